@@ -11,6 +11,7 @@
  */
 
 export type {
+  BusyMessage,
   BusySignalOptions,
   BusySignalService,
 } from './pkg/atom-ide-busy-signal/lib/types';
@@ -124,6 +125,10 @@ export {
   RemoteDebuggerService as DebuggerService,
 } from './pkg/atom-ide-debugger/lib/types';
 
+export type {
+  CompoundConfiguration as DebuggerCompoundConfiguration,
+} from './pkg/atom-ide-debugger/lib/types';
+
 export type {
   TerminalInfo,
   TerminalInstance,
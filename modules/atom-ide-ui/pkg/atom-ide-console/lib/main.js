@@ -36,6 +36,7 @@ import featureConfig from 'nuclide-commons-atom/feature-config';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
 import * as Actions from './redux/Actions';
 import * as Epics from './redux/Epics';
+import * as Selectors from './redux/Selectors';
 import Reducers from './redux/Reducers';
 import {Console, WORKSPACE_VIEW_URI} from './ui/Console';
 import invariant from 'assert';
@@ -147,24 +148,42 @@ class Activation {
     });
   }
 
-  provideAutocomplete(): atom$AutocompleteProvider {
+  provideAutocomplete(): Array<atom$AutocompleteProvider> {
     const activation = this;
-    return {
-      labels: ['nuclide-console'],
-      selector: '*',
-      // Copies Chrome devtools and puts history suggestions at the bottom.
-      suggestionPriority: -1,
-      async getSuggestions(request) {
-        // History provides suggestion only on exact match to current input.
-        const prefix = request.editor.getText();
-        const history = activation._getStore().getState().history;
-        // Use a set to remove duplicates.
-        const seen = new Set(history);
-        return Array.from(seen)
-          .filter(text => text.startsWith(prefix))
-          .map(text => ({text, replacementPrefix: prefix}));
+    return [
+      {
+        labels: ['nuclide-console'],
+        selector: '*',
+        filterSuggestions: true,
+        // Completions from the selected executor, e.g. a debugger's REPL.
+        async getSuggestions(request) {
+          const state = activation._getStore().getState();
+          const executorId = Selectors.getCurrentExecutorId(state);
+          const executor =
+            executorId == null ? null : state.executors.get(executorId);
+          if (executor == null || executor.getCompletions == null) {
+            return [];
+          }
+          return executor.getCompletions(request);
+        },
       },
-    };
+      {
+        labels: ['nuclide-console'],
+        selector: '*',
+        // Copies Chrome devtools and puts history suggestions at the bottom.
+        suggestionPriority: -1,
+        async getSuggestions(request) {
+          // History provides suggestion only on exact match to current input.
+          const prefix = request.editor.getText();
+          const history = activation._getStore().getState().history;
+          // Use a set to remove duplicates.
+          const seen = new Set(history);
+          return Array.from(seen)
+            .filter(text => text.startsWith(prefix))
+            .map(text => ({text, replacementPrefix: prefix}));
+        },
+      },
+    ];
   }
 
   _registerCommandAndOpener(): UniversalDisposable {
@@ -190,6 +190,10 @@ export type Executor = {
   output: Observable<Message | {result?: EvaluationResult}>,
   scopeName: () => string,
   provideSymbols?: (prefix: string) => Array<string>,
+  // Completes the input of the prompt while the executor is selected.
+  getCompletions?: (
+    request: atom$AutocompleteRequest,
+  ) => Promise<Array<atom$AutocompleteSuggestion>>,
   getProperties?: (objectId: string) => Observable<?ExpansionResult>,
   onDidChangeScopeName?: (callback: () => void) => IDisposable,
 };
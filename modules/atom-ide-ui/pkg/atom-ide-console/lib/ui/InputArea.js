@@ -102,6 +102,14 @@ export default class InputArea extends React.Component<Props, State> {
       return;
     }
     if (event.which === ENTER_KEY_CODE) {
+      // A modified enter always inserts a newline, even while autocomplete
+      // is open, so that several lines can be submitted together.
+      if (event.ctrlKey || event.altKey || event.shiftKey) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        editor.insertNewline();
+        return;
+      }
       // If the current auto complete settings are such that pressing
       // enter does NOT accept a suggestion, and the auto complete box
       // is open, treat enter as submit. Otherwise, let the event
@@ -112,12 +120,6 @@ export default class InputArea extends React.Component<Props, State> {
       if (!isAutocompleteOpen || !enterAcceptsSuggestion) {
         event.preventDefault();
         event.stopImmediatePropagation();
-
-        if (event.ctrlKey || event.altKey || event.shiftKey) {
-          editor.insertNewline();
-          return;
-        }
-
         this._submit();
       }
     } else if (
@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import type {IDebugService, IExpression} from '../lib/types';
+
+import invariant from 'assert';
+import {attachWorkspace} from 'nuclide-commons-atom/test-helpers';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import path from 'path';
+import VariableTableViewModel, {
+  openVariableTable,
+} from '../lib/ui/VariableTableViewModel';
+
+describe('VariableTableViewModel', () => {
+  beforeEach(async () => {
+    attachWorkspace();
+    await atom.packages.activatePackage(path.resolve(__dirname, '../'));
+  });
+
+  it('opens the table of an expression in a pane', () => {
+    const service: IDebugService = ({
+      viewModel: {focusedProcess: null},
+      onDidChangeProcessMode: () => new UniversalDisposable(),
+    }: any);
+    const expression: IExpression = ({
+      name: 'items',
+      indexedVariables: 0,
+      hasChildren: () => true,
+      getChildren: () => Promise.resolve([]),
+    }: any);
+
+    openVariableTable(service, expression);
+
+    const item = atom.workspace.getCenter().getActivePaneItem();
+    expect(item).toBeInstanceOf(VariableTableViewModel);
+    invariant(item != null);
+    expect(item.getTitle()).toBe('Table: items');
+    expect(atom.views.getView(item).className).toBe('debugger-container');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import {completionItemsToSuggestions} from '../lib/utils';
+
+function point(row: number, column: number): atom$Point {
+  return ({row, column}: any);
+}
+
+describe('completionItemsToSuggestions', () => {
+  const text = 'let x = 1;\nfoo.ba + 1';
+  // The cursor is after `foo.ba`.
+  const position = point(1, 6);
+
+  it('replaces the text from the start column to the cursor', () => {
+    const [suggestion] = completionItemsToSuggestions(
+      [{label: 'bar', start: 5}],
+      text,
+      position,
+    );
+    expect(suggestion.replacementPrefix).toBe('ba');
+  });
+
+  it('ignores the length when there is a start column', () => {
+    const [suggestion] = completionItemsToSuggestions(
+      [{label: 'foo.bar', start: 1, length: 2}],
+      text,
+      position,
+    );
+    expect(suggestion.replacementPrefix).toBe('foo.ba');
+  });
+
+  it('does not replace text when the start column is after the cursor', () => {
+    const [suggestion] = completionItemsToSuggestions(
+      [{label: 'bar', start: 8}],
+      text,
+      position,
+    );
+    expect(suggestion.replacementPrefix).toBeUndefined();
+  });
+
+  it('replaces the length before the cursor without a start column', () => {
+    const [suggestion] = completionItemsToSuggestions(
+      [{label: 'bar', length: 2}],
+      text,
+      position,
+    );
+    expect(suggestion.replacementPrefix).toBe('ba');
+
+    const [clamped] = completionItemsToSuggestions(
+      [{label: 'foo.bar', length: 10}],
+      text,
+      position,
+    );
+    expect(clamped.replacementPrefix).toBe('foo.ba');
+  });
+
+  it('leaves the prefix to autocomplete without a range', () => {
+    const [suggestion] = completionItemsToSuggestions(
+      [{label: 'bar', text: 'bar()', type: 'function'}],
+      text,
+      position,
+    );
+    expect(suggestion).toEqual({
+      displayText: 'bar',
+      text: 'bar()',
+      type: 'function',
+    });
+  });
+
+  it('sorts by the sort text, falling back to the label', () => {
+    const suggestions = completionItemsToSuggestions(
+      [{label: 'b'}, {label: 'c', sortText: '0'}, {label: 'a', text: ''}],
+      text,
+      position,
+    );
+    expect(suggestions.map(suggestion => suggestion.text)).toEqual([
+      'c',
+      'a',
+      'b',
+    ]);
+  });
+});
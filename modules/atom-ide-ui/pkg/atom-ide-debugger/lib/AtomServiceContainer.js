@@ -11,6 +11,7 @@
  */
 
 import type {
+  BusySignalService,
   DatatipService,
   ConsoleService,
   RegisterExecutorFunction,
@@ -37,6 +38,7 @@ let _datatipService: ?DatatipService = null;
 let _createConsole: ?ConsoleService = null;
 let _terminalService: ?TerminalApi = null;
 let _rpcService: ?nuclide$RpcService = null;
+let _busySignalService: ?BusySignalService = null;
 const _configurationProviders: Map<
   VsAdapterType,
   DebuggerConfigurationProvider,
@@ -105,6 +107,19 @@ export function setRpcService(rpcService: nuclide$RpcService): IDisposable {
   });
 }
 
+export function setBusySignalService(
+  busySignalService: BusySignalService,
+): IDisposable {
+  _busySignalService = busySignalService;
+  return new UniversalDisposable(() => {
+    _busySignalService = null;
+  });
+}
+
+export function getBusySignalService(): ?BusySignalService {
+  return _busySignalService;
+}
+
 export function isNuclideEnvironment(): boolean {
   return _rpcService != null;
 }
@@ -11,6 +11,7 @@
  */
 
 import type {IBreakpoint, IDebugService, IUIBreakpoint} from './types';
+import * as DebugProtocol from 'vscode-debugprotocol';
 
 import invariant from 'assert';
 import {bufferPositionForMouseEvent} from 'nuclide-commons-atom/mouse-to-position';
@@ -19,7 +20,7 @@ import {fastDebounce} from 'nuclide-commons/observable';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
 import {showMenuForEvent} from 'nuclide-commons-atom/ContextMenu';
 import classnames from 'classnames';
-import {Observable} from 'rxjs';
+import {Observable, Subject} from 'rxjs';
 import {DebuggerMode} from './constants';
 import featureConfig from 'nuclide-commons-atom/feature-config';
 
@@ -38,8 +39,13 @@ type BreakpointMarkerProperties = {|
   enabled: boolean,
   resolved: boolean,
   conditional: boolean,
+  logpoint: boolean,
 |};
 
+// Size in pixels of the inline markers for breakpoint locations and column
+// breakpoints, which must match their styles.
+const INLINE_MARKER_SIZE = 8;
+
 /**
  * Handles displaying breakpoints and processing events for a single text
  * editor.
@@ -53,6 +59,10 @@ export default class BreakpointDisplayController {
   _markers: Array<atom$Marker>;
   _markerInfo: Map<number, BreakpointMarkerProperties>;
   _lastShadowBreakpointMarker: ?atom$Marker;
+  _columnBreakpointMarkers: Array<atom$Marker>;
+  _breakpointLocationMarkers: Array<atom$Marker>;
+  // Zero-based line hovered in the gutter, to show where breakpoints can bind.
+  _hoveredLines: Subject<?number>;
   _boundGlobalMouseMoveHandler: (event: MouseEvent) => void;
   _boundCreateContextMenuHandler: (event: MouseEvent) => void;
   _debugging: boolean;
@@ -69,6 +79,9 @@ export default class BreakpointDisplayController {
     this._markers = [];
     this._markerInfo = new Map();
     this._lastShadowBreakpointMarker = null;
+    this._columnBreakpointMarkers = [];
+    this._breakpointLocationMarkers = [];
+    this._hoveredLines = new Subject();
     this._boundGlobalMouseMoveHandler = this._handleGlobalMouseLeave.bind(this);
     this._boundCreateContextMenuHandler = this._handleCreateContextMenu.bind(
       this,
@@ -104,6 +117,12 @@ export default class BreakpointDisplayController {
         .subscribe(this._update.bind(this)),
       this._editor.onDidDestroy(this._handleTextEditorDestroyed.bind(this)),
       this._registerEditorContextMenuHandler(),
+      this._hoveredLines
+        .distinctUntilChanged()
+        .switchMap(line => this._getBreakpointLocations(line))
+        .subscribe(({line, locations}) =>
+          this._showBreakpointLocations(line, locations),
+        ),
     );
   }
 
@@ -189,6 +208,8 @@ export default class BreakpointDisplayController {
   dispose() {
     this._disposables.dispose();
     this._markers.forEach(marker => marker.destroy());
+    this._columnBreakpointMarkers.forEach(marker => marker.destroy());
+    this._clearBreakpointLocations();
     if (this._gutter) {
       this._gutter.destroy();
     }
@@ -226,7 +247,8 @@ export default class BreakpointDisplayController {
     if (
       info.enabled !== bp.enabled ||
       info.resolved !== bp.verified ||
-      info.conditional !== (bp.condition != null)
+      info.conditional !== (bp.condition != null || bp.hitCondition != null) ||
+      info.logpoint !== (bp.logMessage != null)
     ) {
       return true;
     }
@@ -256,8 +278,11 @@ export default class BreakpointDisplayController {
     }
     const allBreakpoints = this._service.getModel().getBreakpoints();
     const breakpoints = allBreakpoints.filter(bp => bp.uri === path);
+    // Column breakpoints are shown inline instead of in the gutter.
     const lineMap = new Map(
-      breakpoints.map(bp => [this._getLineForBp(bp), bp]),
+      breakpoints
+        .filter(bp => bp.originalColumn === 0)
+        .map(bp => [this._getLineForBp(bp), bp]),
     );
 
     // A mutable unhandled lines map.
@@ -308,7 +333,9 @@ export default class BreakpointDisplayController {
       this._markerInfo.set(line, {
         enabled: breakpoint.enabled,
         resolved: breakpoint.verified,
-        conditional: breakpoint.condition != null,
+        conditional:
+          breakpoint.condition != null || breakpoint.hitCondition != null,
+        logpoint: breakpoint.logMessage != null,
       });
       marker.onDidChange(this._handleMarkerChange.bind(this, breakpoint));
       markersToKeep.push(marker);
@@ -316,6 +343,128 @@ export default class BreakpointDisplayController {
 
     gutter.show();
     this._markers = markersToKeep;
+
+    this._columnBreakpointMarkers.forEach(marker => marker.destroy());
+    this._columnBreakpointMarkers = breakpoints
+      .filter(
+        bp => bp.originalColumn > 0 && this._getLineForBp(bp) < fileLength,
+      )
+      .map(bp => this._createColumnBreakpointMarker(bp));
+    if (!debugging) {
+      this._clearBreakpointLocations();
+    }
+  }
+
+  _createInlineMarkerItem(className: string, title: string): HTMLElement {
+    const item = document.createElement('span');
+    item.className = className;
+    item.title = title;
+    // Overlays are placed below their position, so center them on the line.
+    item.style.marginTop = `-${Math.round(
+      (this._editor.getLineHeightInPixels() + INLINE_MARKER_SIZE) / 2,
+    )}px`;
+    item.style.marginLeft = `-${INLINE_MARKER_SIZE / 2}px`;
+    return item;
+  }
+
+  _createColumnBreakpointMarker(breakpoint: IBreakpoint): atom$Marker {
+    const unresolved = this._debugging && !breakpoint.verified;
+    const item = this._createInlineMarkerItem(
+      classnames('debugger-column-breakpoint', {
+        'debugger-column-breakpoint-disabled': !breakpoint.enabled,
+        'debugger-column-breakpoint-unresolved':
+          breakpoint.enabled && unresolved,
+      }),
+      `${unresolved ? 'Unresolved breakpoint' : 'Breakpoint'} at column ${
+        breakpoint.column
+      }`,
+    );
+    item.addEventListener('click', () => {
+      this._service.toggleColumnBreakpoint(
+        breakpoint.uri,
+        breakpoint.line,
+        breakpoint.column,
+      );
+    });
+    const marker = this._editor.markBufferPosition(
+      [this._getLineForBp(breakpoint), breakpoint.column - 1],
+      {invalidate: 'never'},
+    );
+    this._editor.decorateMarker(marker, {type: 'overlay', item});
+    return marker;
+  }
+
+  _getBreakpointLocations(
+    line: ?number,
+  ): Observable<{
+    line: ?number,
+    locations: Array<DebugProtocol.BreakpointLocation>,
+  }> {
+    const path = this._editor.getPath();
+    if (line == null || path == null || !this._isDebugging()) {
+      return Observable.of({line, locations: []});
+    }
+    return Observable.fromPromise(
+      // VSP is 1-based line numbers.
+      this._service.getBreakpointLocations(path, line + 1),
+    )
+      .catch(() => Observable.of([]))
+      .map(locations => ({line, locations}));
+  }
+
+  _clearBreakpointLocations(): void {
+    this._breakpointLocationMarkers.forEach(marker => marker.destroy());
+    this._breakpointLocationMarkers = [];
+  }
+
+  /**
+   * Shows ghost markers at the columns of a line breakpoints can bind to,
+   * which add a column breakpoint when clicked.
+   */
+  _showBreakpointLocations(
+    line: ?number,
+    locations: Array<DebugProtocol.BreakpointLocation>,
+  ): void {
+    this._clearBreakpointLocations();
+    const path = this._editor.getPath();
+    if (line == null || path == null) {
+      return;
+    }
+    const columnBreakpoints = new Set(
+      this._service
+        .getModel()
+        .getBreakpoints()
+        .filter(
+          bp =>
+            bp.uri === path &&
+            bp.originalColumn > 0 &&
+            this._getLineForBp(bp) === line,
+        )
+        .map(bp => bp.column),
+    );
+    const columns = new Set(
+      locations
+        .filter(location => location.line === line + 1)
+        .map(location => location.column)
+        .filter(Boolean),
+    );
+    for (const column of columns) {
+      if (column == null || columnBreakpoints.has(column)) {
+        continue;
+      }
+      const item = this._createInlineMarkerItem(
+        'debugger-breakpoint-location',
+        `Add breakpoint at column ${column}`,
+      );
+      item.addEventListener('click', () => {
+        this._service.toggleColumnBreakpoint(path, line + 1, column);
+      });
+      const marker = this._editor.markBufferPosition([line, column - 1], {
+        invalidate: 'never',
+      });
+      this._editor.decorateMarker(marker, {type: 'overlay', item});
+      this._breakpointLocationMarkers.push(marker);
+    }
   }
 
   /**
@@ -339,13 +488,19 @@ export default class BreakpointDisplayController {
         line: event.newHeadBufferPosition.row + 1,
         id: breakpoint.getId(),
         uri: breakpoint.uri,
-        column: 0,
+        column: breakpoint.originalColumn,
         enabled: breakpoint.enabled,
       };
 
       if (breakpoint.condition != null) {
         newBp.condition = breakpoint.condition;
       }
+      if (breakpoint.hitCondition != null) {
+        newBp.hitCondition = breakpoint.hitCondition;
+      }
+      if (breakpoint.logMessage != null) {
+        newBp.logMessage = breakpoint.logMessage;
+      }
 
       this._service.updateBreakpoints([newBp]);
     }
@@ -371,7 +526,8 @@ export default class BreakpointDisplayController {
       !target.classList.contains('debugger-breakpoint-icon') &&
       !target.classList.contains('debugger-breakpoint-icon-disabled') &&
       !target.classList.contains('debugger-breakpoint-icon-unresolved') &&
-      !target.classList.contains('debugger-breakpoint-icon-conditional')
+      !target.classList.contains('debugger-breakpoint-icon-conditional') &&
+      !target.classList.contains('debugger-breakpoint-icon-logpoint')
     ) {
       return;
     }
@@ -409,6 +565,7 @@ export default class BreakpointDisplayController {
   _handleGutterMouseMove(event: Event): void {
     try {
       const curLine = this._getCurrentMouseEventLine(event);
+      this._hoveredLines.next(curLine);
       if (this._isLineOverLastShadowBreakpoint(curLine)) {
         return;
       }
@@ -442,6 +599,7 @@ export default class BreakpointDisplayController {
       event.clientY > rect.bottom
     ) {
       this._removeLastShadowBreakpoint();
+      this._hoveredLines.next(null);
       window.removeEventListener(
         'mousemove',
         this._boundGlobalMouseMoveHandler,
@@ -491,6 +649,8 @@ export default class BreakpointDisplayController {
     const enabled = breakpoint != null ? breakpoint.enabled : true;
     const resolved = breakpoint != null ? breakpoint.verified : false;
     const condition = breakpoint != null ? breakpoint.condition : null;
+    const hitCondition = breakpoint != null ? breakpoint.hitCondition : null;
+    const logMessage = breakpoint != null ? breakpoint.logMessage : null;
     const marker = this._editor.markBufferPosition([line, 0], {
       invalidate: 'never',
     });
@@ -498,7 +658,8 @@ export default class BreakpointDisplayController {
     // If the debugger is not attached, display all breakpoints as resolved.
     // Once the debugger attaches, it will determine what's actually resolved or not.
     const unresolved = this._debugging && !resolved;
-    const conditional = condition != null;
+    const conditional = condition != null || hitCondition != null;
+    const logpoint = logMessage != null;
     const elem: HTMLElement = document.createElement('span');
     elem.dataset.line = line.toString();
 
@@ -507,7 +668,10 @@ export default class BreakpointDisplayController {
     }
 
     elem.className = classnames({
-      'debugger-breakpoint-icon': !isShadow && enabled && !unresolved,
+      'debugger-breakpoint-icon':
+        !isShadow && enabled && !unresolved && !logpoint,
+      'debugger-breakpoint-icon-logpoint':
+        !isShadow && enabled && !unresolved && logpoint,
       'debugger-breakpoint-icon-conditional': conditional,
       'debugger-breakpoint-icon-nonconditional': !conditional,
       'debugger-shadow-breakpoint-icon': isShadow,
@@ -520,12 +684,20 @@ export default class BreakpointDisplayController {
         elem.title = 'Disabled breakpoint';
       } else if (unresolved) {
         elem.title = 'Unresolved breakpoint';
+      } else if (logpoint) {
+        elem.title = 'Logpoint';
       } else {
         elem.title = 'Breakpoint';
       }
 
-      if (conditional) {
-        elem.title += ` (Condition: ${condition || ''})`;
+      if (condition != null) {
+        elem.title += ` (Condition: ${condition})`;
+      }
+      if (hitCondition != null) {
+        elem.title += ` (Hit count: ${hitCondition})`;
+      }
+      if (logpoint) {
+        elem.title += ` (Log message: ${logMessage || ''})`;
       }
     }
 
@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {IScope, IStackFrame} from './types';
+
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {fastDebounce} from 'nuclide-commons/observable';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {Observable} from 'rxjs';
+import logger from './logger';
+
+const IDENTIFIER_REGEX = /[$A-Za-z_][$\w]*/g;
+const MAX_VALUE_LENGTH = 40;
+const MAX_VALUES_PER_LINE = 8;
+
+type ScopeValues = {
+  range: ?atom$Range,
+  values: Map<string, string>,
+};
+
+function truncate(value: string): string {
+  const singleLine = value.replace(/\s+/g, ' ');
+  return singleLine.length > MAX_VALUE_LENGTH
+    ? singleLine.substr(0, MAX_VALUE_LENGTH - 1) + '…'
+    : singleLine;
+}
+
+async function getScopeValues(stackFrame: IStackFrame): Promise<ScopeValues> {
+  const scopes = await stackFrame.getMostSpecificScopes(stackFrame.range);
+  const children = await Promise.all(
+    scopes.map((scope: IScope) => scope.getChildren().catch(() => [])),
+  );
+  // Scopes are ordered from the most specific one, so a variable shadows any
+  // variable of the same name in the scopes that follow it.
+  const values = new Map();
+  children.forEach(variables =>
+    variables.forEach(variable => {
+      if (variable.available && !values.has(variable.name)) {
+        values.set(variable.name, truncate(variable.getValue()));
+      }
+    }),
+  );
+  return {range: scopes.length > 0 ? scopes[0].range : null, values};
+}
+
+function getValuesForLine(
+  lineText: string,
+  values: Map<string, string>,
+): Array<string> {
+  const names = new Set();
+  const matches = lineText.match(IDENTIFIER_REGEX) || [];
+  for (const name of matches) {
+    if (values.has(name)) {
+      names.add(name);
+    }
+  }
+  return Array.from(names)
+    .slice(0, MAX_VALUES_PER_LINE)
+    .map(name => `${name} = ${String(values.get(name))}`);
+}
+
+/**
+ * Shows the values of the focused frame's variables at the end of the visible
+ * lines of its function that mention them, up to the current line.
+ */
+export default function showInlineValues(
+  editor: atom$TextEditor,
+  stackFrame: IStackFrame,
+): IDisposable {
+  const markers: Array<atom$Marker> = [];
+  const clearMarkers = () => {
+    markers.forEach(marker => marker.destroy());
+    markers.length = 0;
+  };
+
+  const decorate = ({range, values}: ScopeValues) => {
+    clearMarkers();
+    const visibleRows = editor.getVisibleRowRange();
+    if (values.size === 0 || visibleRows == null) {
+      return;
+    }
+    const firstRow = Math.max(
+      editor.bufferRowForScreenRow(visibleRows[0]),
+      range != null ? range.start.row : 0,
+    );
+    const lastRow = Math.min(
+      editor.bufferRowForScreenRow(visibleRows[1]),
+      stackFrame.range.start.row,
+    );
+    // Atom has no decoration that adds text at the end of a line: line
+    // decorations can only add a class, and block decorations take a row of
+    // their own. Overlays are drawn below the line of their marker, so they're
+    // moved up onto it.
+    const marginTop = `-${editor.getLineHeightInPixels()}px`;
+    for (let row = firstRow; row <= lastRow; row++) {
+      const lineText = editor.lineTextForBufferRow(row);
+      const lineValues = getValuesForLine(lineText, values);
+      if (lineValues.length > 0) {
+        const item = document.createElement('span');
+        item.className = 'debugger-inline-value';
+        item.style.marginTop = marginTop;
+        item.textContent = lineValues.join(', ');
+        const marker = editor.markBufferPosition([row, lineText.length], {
+          invalidate: 'touch',
+        });
+        editor.decorateMarker(marker, {type: 'overlay', item});
+        markers.push(marker);
+      }
+    }
+  };
+
+  return new UniversalDisposable(
+    Observable.combineLatest(
+      Observable.fromPromise(getScopeValues(stackFrame)).catch(error => {
+        // The scopes can't be fetched once the process resumes.
+        logger.warn('Could not get the values to show inline', error);
+        return Observable.empty();
+      }),
+      observableFromSubscribeFunction(callback =>
+        editor.getElement().onDidChangeScrollTop(callback),
+      )
+        .let(fastDebounce(100))
+        .startWith(null),
+    ).subscribe(([scopeValues]) => decorate(scopeValues)),
+    clearMarkers,
+  );
+}
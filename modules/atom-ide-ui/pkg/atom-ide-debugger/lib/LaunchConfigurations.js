@@ -0,0 +1,372 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+import type {
+  DebuggerConfigAction,
+  DebuggerLaunchAttachProvider,
+  IProcessConfig,
+  VsAdapterType,
+} from 'nuclide-debugger-common';
+import type {CompoundConfiguration} from './types';
+
+import nuclideUri from 'nuclide-commons/nuclideUri';
+import {
+  getFileForPath,
+  getValidProjectPaths,
+} from 'nuclide-commons-atom/projects';
+import {
+  VsAdapterTypes,
+  resolveAutoGenDefaults,
+  validateAutoGenValues,
+} from 'nuclide-debugger-common';
+import logger from './logger';
+
+// Project-relative location of the checked-in launch configurations file.
+export const LAUNCH_CONFIGURATIONS_PATH = '.atom-ide/launch.json';
+
+/**
+ * A named debug configuration declared in a project's launch.json, e.g.
+ *
+ *   {
+ *     "configurations": [{
+ *       "name": "Run server",
+ *       "adapterType": "node",
+ *       "debugMode": "launch",
+ *       "config": {"program": "server.js", "cwd": "."}
+ *     }],
+ *     "compounds": [{
+ *       "name": "Server and client",
+ *       "configurations": ["Run server", "Run client"]
+ *     }]
+ *   }
+ *
+ * Everything except `config` mirrors the corresponding IProcessConfig field.
+ * The target is always the project root the file was found in.
+ */
+export type LaunchConfiguration = {|
+  +name: string,
+  +projectPath: NuclideUri,
+  +debugMode: DebuggerConfigAction,
+  +adapterType: VsAdapterType,
+  +config: {[string]: mixed},
+  +processName: ?string,
+  +isRestartable: boolean,
+  +isReadOnly: boolean,
+|};
+
+// Configurations of the same file that are started together, in order.
+export type LaunchCompound = {|
+  +name: string,
+  +projectPath: NuclideUri,
+  +configurationNames: Array<string>,
+|};
+
+export type LaunchConfigurationsFile = {|
+  +path: NuclideUri,
+  +configurations: Array<LaunchConfiguration>,
+  +compounds: Array<LaunchCompound>,
+  // Problems with the file itself or with entries that had to be skipped.
+  +errors: Array<string>,
+|};
+
+export type ResolvedLaunchConfiguration = {|
+  +configuration: LaunchConfiguration,
+  // Null if the configuration failed validation.
+  +processConfig: ?IProcessConfig,
+  +errors: Array<string>,
+|};
+
+export type ResolvedLaunchCompound = {|
+  +compound: LaunchCompound,
+  // Null if any of the compound's configurations failed validation.
+  +compoundConfiguration: ?CompoundConfiguration,
+  +errors: Array<string>,
+|};
+
+function parseConfiguration(
+  projectPath: NuclideUri,
+  entry: mixed,
+  index: number,
+): LaunchConfiguration | string {
+  if (entry == null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return `Configuration #${index + 1} is not an object.`;
+  }
+  const {name, debugMode, adapterType, config, processName} = entry;
+  if (typeof name !== 'string' || name.trim() === '') {
+    return `Configuration #${index + 1} is missing a "name".`;
+  }
+  if (debugMode !== 'launch' && debugMode !== 'attach') {
+    return `Configuration "${name}": "debugMode" must be "launch" or "attach".`;
+  }
+  const adapterTypes: Array<VsAdapterType> = (Object.values(
+    VsAdapterTypes,
+  ): any);
+  const knownAdapterType = adapterTypes.find(type => type === adapterType);
+  if (knownAdapterType == null) {
+    return (
+      `Configuration "${name}": unknown "adapterType". Expected one of ` +
+      adapterTypes.join(', ')
+    );
+  }
+  if (config != null && (typeof config !== 'object' || Array.isArray(config))) {
+    return `Configuration "${name}": "config" must be an object.`;
+  }
+  return {
+    name,
+    projectPath,
+    debugMode,
+    adapterType: knownAdapterType,
+    config: config != null ? {...config} : {},
+    processName: typeof processName === 'string' ? processName : null,
+    isRestartable: entry.isRestartable !== false,
+    isReadOnly: entry.isReadOnly === true,
+  };
+}
+
+function parseCompound(
+  projectPath: NuclideUri,
+  entry: mixed,
+  index: number,
+  configurations: Array<LaunchConfiguration>,
+): LaunchCompound | string {
+  if (entry == null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return `Compound #${index + 1} is not an object.`;
+  }
+  const {name} = entry;
+  if (typeof name !== 'string' || name.trim() === '') {
+    return `Compound #${index + 1} is missing a "name".`;
+  }
+  const configurationNames = entry.configurations;
+  if (
+    !Array.isArray(configurationNames) ||
+    configurationNames.length === 0 ||
+    configurationNames.some(n => typeof n !== 'string')
+  ) {
+    return `Compound "${name}": "configurations" must be a non-empty array of configuration names.`;
+  }
+  const unknownName = configurationNames.find(
+    n => !configurations.some(c => c.name === n),
+  );
+  if (unknownName != null) {
+    return `Compound "${name}": unknown configuration "${String(
+      unknownName,
+    )}".`;
+  }
+  return {
+    name,
+    projectPath,
+    configurationNames: configurationNames.map(String),
+  };
+}
+
+async function readLaunchConfigurationsFile(
+  projectPath: NuclideUri,
+): Promise<?LaunchConfigurationsFile> {
+  const path = nuclideUri.join(projectPath, LAUNCH_CONFIGURATIONS_PATH);
+  const file = getFileForPath(path);
+  if (file == null) {
+    return null;
+  }
+
+  let contents;
+  try {
+    contents = await file.read();
+  } catch (error) {
+    logger.error(`Failed to read ${path}`, error);
+    return {
+      path,
+      configurations: [],
+      compounds: [],
+      errors: [`Could not read ${path}.`],
+    };
+  }
+  if (contents == null) {
+    // The project doesn't have a launch configurations file.
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (error) {
+    return {
+      path,
+      configurations: [],
+      compounds: [],
+      errors: [`Invalid JSON: ${error.message}`],
+    };
+  }
+  const entries = parsed != null ? parsed.configurations : null;
+  if (!Array.isArray(entries)) {
+    return {
+      path,
+      configurations: [],
+      compounds: [],
+      errors: ['Expected a top-level "configurations" array.'],
+    };
+  }
+
+  const configurations = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const result = parseConfiguration(projectPath, entry, index);
+    if (typeof result === 'string') {
+      errors.push(result);
+    } else if (configurations.some(c => c.name === result.name)) {
+      errors.push(`Duplicate configuration name "${result.name}".`);
+    } else {
+      configurations.push(result);
+    }
+  });
+
+  const compounds = [];
+  const compoundEntries = parsed.compounds != null ? parsed.compounds : [];
+  if (!Array.isArray(compoundEntries)) {
+    errors.push('"compounds" must be an array.');
+  } else {
+    compoundEntries.forEach((entry, index) => {
+      const result = parseCompound(projectPath, entry, index, configurations);
+      if (typeof result === 'string') {
+        errors.push(result);
+      } else if (
+        compounds.some(c => c.name === result.name) ||
+        configurations.some(c => c.name === result.name)
+      ) {
+        errors.push(`Duplicate configuration name "${result.name}".`);
+      } else {
+        compounds.push(result);
+      }
+    });
+  }
+  return {path, configurations, compounds, errors};
+}
+
+/**
+ * Reads the launch configurations files of all current project roots.
+ * Projects without a launch configurations file are omitted.
+ */
+export async function getLaunchConfigurationsFiles(): Promise<
+  Array<LaunchConfigurationsFile>,
+> {
+  const files = await Promise.all(
+    getValidProjectPaths().map(readLaunchConfigurationsFile),
+  );
+  return files.filter(Boolean);
+}
+
+function getProviderSchema(
+  configuration: LaunchConfiguration,
+  providers: Array<DebuggerLaunchAttachProvider>,
+) {
+  for (const provider of providers) {
+    // Older published debugger packages did not provide `getAutoGenConfig()`.
+    if (typeof provider.getAutoGenConfig !== 'function') {
+      continue;
+    }
+    const autoGenConfig = provider.getAutoGenConfig();
+    const schema =
+      autoGenConfig != null ? autoGenConfig[configuration.debugMode] : null;
+    if (schema != null && schema.vsAdapterType === configuration.adapterType) {
+      return schema;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a launch configuration against the AutoGenConfig schema of the
+ * provider for its adapter type and turns it into an IProcessConfig.
+ * Configurations for adapters without an auto-generated schema are passed
+ * through unvalidated.
+ */
+export function resolveLaunchConfiguration(
+  configuration: LaunchConfiguration,
+  providers: Array<DebuggerLaunchAttachProvider>,
+): ResolvedLaunchConfiguration {
+  const {projectPath, debugMode, adapterType} = configuration;
+  const schema = getProviderSchema(configuration, providers);
+  let config = {...configuration.config};
+  let errors = [];
+  if (schema != null) {
+    // Same as the launch/attach dialog, which pre-fills the defaults.
+    config = resolveAutoGenDefaults(schema.properties, config);
+    errors = validateAutoGenValues(schema.properties, config);
+    schema.properties.forEach(property => {
+      const value = config[property.name];
+      if (property.type === 'path' && typeof value === 'string') {
+        // Paths are relative to the project root and must be passed to the
+        // adapter as paths on the target host.
+        config[property.name] = nuclideUri.getPath(
+          nuclideUri.resolve(projectPath, value),
+        );
+      }
+    });
+  }
+  if (errors.length > 0) {
+    return {configuration, processConfig: null, errors};
+  }
+
+  let {processName} = configuration;
+  if (processName == null && schema != null) {
+    processName = schema.getProcessName(config);
+  }
+  return {
+    configuration,
+    processConfig: {
+      targetUri: projectPath,
+      debugMode,
+      adapterType,
+      config,
+      customControlButtons: [],
+      processName: processName ?? configuration.name,
+      isRestartable: configuration.isRestartable,
+      isReadOnly: configuration.isReadOnly,
+    },
+    errors,
+  };
+}
+
+/**
+ * Resolves all configurations of a compound. The compound can only be started
+ * if every one of them is valid.
+ */
+export function resolveLaunchCompound(
+  compound: LaunchCompound,
+  configurations: Array<LaunchConfiguration>,
+  providers: Array<DebuggerLaunchAttachProvider>,
+): ResolvedLaunchCompound {
+  const processConfigs = [];
+  const errors = [];
+  for (const name of compound.configurationNames) {
+    const configuration = configurations.find(
+      c => c.name === name && c.projectPath === compound.projectPath,
+    );
+    if (configuration == null) {
+      errors.push(`Unknown configuration "${name}".`);
+      continue;
+    }
+    const resolved = resolveLaunchConfiguration(configuration, providers);
+    if (resolved.processConfig != null) {
+      processConfigs.push(resolved.processConfig);
+    }
+    errors.push(...resolved.errors.map(error => `${name}: ${error}`));
+  }
+  return {
+    compound,
+    compoundConfiguration:
+      errors.length === 0
+        ? {name: compound.name, configurations: processConfigs}
+        : null,
+    errors,
+  };
+}
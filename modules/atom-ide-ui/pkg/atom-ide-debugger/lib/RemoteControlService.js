@@ -10,7 +10,11 @@
  * @format
  */
 
-import type {IDebugService, RemoteDebuggerService} from './types';
+import type {
+  CompoundConfiguration,
+  IDebugService,
+  RemoteDebuggerService,
+} from './types';
 import type {IProcessConfig} from 'nuclide-debugger-common';
 
 export default class RemoteControlService implements RemoteDebuggerService {
@@ -24,6 +28,10 @@ export default class RemoteControlService implements RemoteDebuggerService {
     return this._service.startDebugging(config);
   }
 
+  startVspCompoundDebugging(compound: CompoundConfiguration): Promise<void> {
+    return this._service.startCompoundDebugging(compound);
+  }
+
   onDidChangeDebuggerSessions(
     callback: (sessionConfigs: IProcessConfig[]) => mixed,
   ): IDisposable {
@@ -22,25 +22,37 @@ export const AnalyticsEvents = Object.freeze({
   DEBUGGER_BREAKPOINT_TOGGLE_ENABLED: 'debugger-breakpoint-toggle-enabled',
   DEBUGGER_BREAKPOINT_CONFIG_UI_SHOW: 'debugger-breakpoint-condition-shown',
   DEBUGGER_BREAKPOINT_UPDATE_CONDITION: 'debugger-breakpoint-update-condition',
+  DEBUGGER_DATA_BREAKPOINT_ADD: 'debugger-data-breakpoint-add',
+  DEBUGGER_DISASSEMBLY_OPEN: 'debugger-disassembly-open',
+  DEBUGGER_INSTRUCTION_BREAKPOINT_ADD: 'debugger-instruction-breakpoint-add',
+  DEBUGGER_MEMORY_OPEN: 'debugger-memory-open',
+  DEBUGGER_MEMORY_WRITE: 'debugger-memory-write',
   DEBUGGER_EDIT_VARIABLE: 'debugger-edit-variable',
   DEBUGGER_MULTITARGET: 'debugger-multitarget',
+  DEBUGGER_PROGRESS_CANCEL: 'debugger-progress-cancel',
   DEBUGGER_START: 'debugger-start',
+  DEBUGGER_START_COMPOUND: 'debugger-start-compound',
   DEBUGGER_START_FAIL: 'debugger-start-fail',
+  DEBUGGER_START_PROJECT_CONFIGURATION: 'debugger-start-project-configuration',
   DEBUGGER_STEP_CONTINUE: 'debugger-step-continue',
   DEBUGGER_STEP_INTO: 'debugger-step-into',
   DEBUGGER_STEP_OUT: 'debugger-step-out',
   DEBUGGER_STEP_OVER: 'debugger-step-over',
   DEBUGGER_STEP_BACK: 'debugger-step-back',
   DEBUGGER_STEP_RUN_TO_LOCATION: 'debugger-step-run-to-location',
+  DEBUGGER_STEP_JUMP_TO_CURSOR: 'debugger-step-jump-to-cursor',
   DEBUGGER_STEP_PAUSE: 'debugger-step-pause',
+  DEBUGGER_STEP_REVERSE_CONTINUE: 'debugger-step-reverse-continue',
   DEBUGGER_STOP: 'debugger-stop',
   DEBUGGER_TERMINATE_THREAD: 'debugger-terminate-thread',
   DEBUGGER_TOGGLE_ATTACH_DIALOG: 'debugger-toggle-attach-dialog',
   DEBUGGER_TOGGLE_EXCEPTION_BREAKPOINT: 'debugger-toggle-exception-breakpoint',
   DEBUGGER_TREE_OPENED: 'debugger-tree-opened',
+  DEBUGGER_VARIABLE_TABLE_OPEN: 'debugger-variable-table-open',
   DEBUGGER_WATCH_ADD_EXPRESSION: 'debugger-watch-add-expression',
   DEBUGGER_WATCH_REMOVE_EXPRESSION: 'debugger-watch-remove-expression',
   DEBUGGER_WATCH_UPDATE_EXPRESSION: 'debugger-watch-update-expression',
+  DEBUGGER_WATCH_ADD_GROUP: 'debugger-watch-add-group',
   DEBUGGER_EDIT_BREAKPOINT_FROM_ICON: 'debugger-edit-breakpoint-from-icon',
   DEBUGGER_DELETE_BREAKPOINT_FROM_ICON: 'debugger-delete-breakpoint-from-icon',
 });
@@ -67,3 +79,6 @@ export const BreakpointEventReasons = Object.freeze({
 
 export const UNKNOWN_SOURCE = 'Unknown';
 export const DEBUG_SOURCES_URI = 'atom://debug-sources';
+export const DISASSEMBLY_URI = 'atom://debugger-disassembly';
+// Followed by the URI-encoded memory reference being inspected.
+export const MEMORY_URI_PREFIX = 'atom://debugger-memory/';
@@ -11,12 +11,16 @@
  */
 
 import type {
+  AutoGenAttachConfig,
   DebuggerConfigAction,
   DebuggerLaunchAttachProvider,
   NuclideDebuggerProvider,
   DebuggerConfigurationProvider,
+  IProcessConfig,
+  VsAdapterType,
 } from 'nuclide-debugger-common';
 import type {
+  BusySignalService,
   ConsoleService,
   DatatipProvider,
   DatatipService,
@@ -24,12 +28,23 @@ import type {
   TerminalApi,
 } from 'atom-ide-ui';
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
-import type {SerializedState, IBreakpoint} from './types';
+import type {
+  CompoundConfiguration,
+  SerializedState,
+  IBreakpoint,
+  IThread,
+} from './types';
+import type {LaunchCompound, LaunchConfiguration} from './LaunchConfigurations';
 
 import idx from 'idx';
 import {observeRemovedHostnames} from 'nuclide-commons-atom/projects';
 import BreakpointManager from './BreakpointManager';
-import {AnalyticsEvents, DebuggerMode} from './constants';
+import {
+  AnalyticsEvents,
+  DebuggerMode,
+  DISASSEMBLY_URI,
+  MEMORY_URI_PREFIX,
+} from './constants';
 import BreakpointConfigComponent from './ui/BreakpointConfigComponent';
 import createPackage from 'nuclide-commons-atom/createPackage';
 import {getLineForEvent} from './utils';
@@ -42,7 +57,15 @@ import DebugService from './vsp/DebugService';
 import {debuggerDatatip} from './DebuggerDatatip';
 import * as React from 'react';
 import ReactDOM from 'react-dom';
-import DebuggerLaunchAttachUI from './ui/DebuggerLaunchAttachUI';
+import DebuggerLaunchAttachUI, {
+  PROJECT_CONFIGURATIONS_TAB_NAME,
+} from './ui/DebuggerLaunchAttachUI';
+import {
+  LAUNCH_CONFIGURATIONS_PATH,
+  getLaunchConfigurationsFiles,
+  resolveLaunchCompound,
+  resolveLaunchConfiguration,
+} from './LaunchConfigurations';
 import {renderReactRoot} from 'nuclide-commons-ui/renderReactRoot';
 import nuclideUri from 'nuclide-commons/nuclideUri';
 import {
@@ -52,12 +75,19 @@ import {
   setDatatipService,
   setTerminalService,
   setRpcService,
+  setBusySignalService,
   addDebugConfigurationProvider,
 } from './AtomServiceContainer';
 import {wordAtPosition, trimRange} from 'nuclide-commons-atom/range';
 import DebuggerLayoutManager from './ui/DebuggerLayoutManager';
 import DebuggerPaneViewModel from './ui/DebuggerPaneViewModel';
 import DebuggerPaneContainerViewModel from './ui/DebuggerPaneContainerViewModel';
+import DisassemblyViewModel from './ui/DisassemblyViewModel';
+import MemoryViewModel from './ui/MemoryViewModel';
+import VariableTableViewModel from './ui/VariableTableViewModel';
+import pickGotoTarget from './ui/GotoTargetsPicker';
+import pickProcessToAttach from './ui/AttachToProcessPicker';
+import {getProcessAttachValues} from 'nuclide-debugger-common';
 import os from 'os';
 import nullthrows from 'nullthrows';
 import ReactMountRootElement from 'nuclide-commons-ui/ReactMountRootElement';
@@ -88,6 +118,9 @@ class Activation {
       DebuggerPaneContainerViewModel,
       createDebuggerView,
     );
+    atom.views.addViewProvider(DisassemblyViewModel, createDebuggerView);
+    atom.views.addViewProvider(MemoryViewModel, createDebuggerView);
+    atom.views.addViewProvider(VariableTableViewModel, createDebuggerView);
     this._service = new DebugService(state);
     this._uiModel = new DebuggerUiModel(this._service);
     this._breakpointManager = new BreakpointManager(this._service);
@@ -174,6 +207,11 @@ class Activation {
           });
         },
       }),
+      atom.commands.add('atom-workspace', {
+        'debugger:attach-to-local-process': this._attachToLocalProcess.bind(
+          this,
+        ),
+      }),
       atom.commands.add('atom-workspace', {
         'debugger:show-launch-dialog': event => {
           const selectedTabName: any = event?.detail?.selectedTabName;
@@ -185,6 +223,12 @@ class Activation {
           });
         },
       }),
+      atom.commands.add('atom-workspace', {
+        'debugger:start-configuration': event => {
+          const name: any = event?.detail?.name;
+          this._startConfiguration(name);
+        },
+      }),
       atom.commands.add('atom-workspace', {
         'debugger:continue-debugging': this._continue.bind(this),
       }),
@@ -203,6 +247,31 @@ class Activation {
       atom.commands.add('atom-workspace', {
         'debugger:step-out': this._stepOut.bind(this),
       }),
+      atom.commands.add('atom-workspace', {
+        'debugger:step-back': this._stepBack.bind(this),
+      }),
+      atom.commands.add('atom-workspace', {
+        'debugger:step-over-instruction': () =>
+          this._stepInstruction(thread => thread.next('instruction')),
+      }),
+      atom.commands.add('atom-workspace', {
+        'debugger:step-into-instruction': () =>
+          this._stepInstruction(thread => thread.stepIn('instruction')),
+      }),
+      atom.commands.add('atom-workspace', {
+        'debugger:show-disassembly': () => {
+          // eslint-disable-next-line nuclide-internal/atom-apis
+          atom.workspace.open(DISASSEMBLY_URI, {searchAllPanes: true});
+        },
+      }),
+      atom.commands.add('atom-workspace', {
+        'debugger:reverse-continue': this._reverseContinue.bind(this),
+      }),
+      atom.commands.add('atom-workspace', {
+        'debugger:replay-session-transcript': this._replaySessionTranscript.bind(
+          this,
+        ),
+      }),
       atom.commands.add('atom-workspace', {
         // eslint-disable-next-line nuclide-internal/atom-apis
         'debugger:add-breakpoint': this._addBreakpoint.bind(this),
@@ -247,11 +316,17 @@ class Activation {
       atom.commands.add('atom-workspace', {
         'debugger:run-to-location': this._runToLocation.bind(this),
       }),
+      atom.commands.add('atom-workspace', {
+        'debugger:jump-to-cursor': this._jumpToCursor.bind(this),
+      }),
       atom.commands.add('.debugger-expression-value-list', {
         'debugger:copy-debugger-expression-value': this._copyDebuggerExpressionValue.bind(
           this,
         ),
       }),
+      atom.commands.add('.debugger-expression-value-list', {
+        'debugger:break-on-value-change': this._breakOnValueChange.bind(this),
+      }),
       atom.commands.add('atom-workspace', {
         'debugger:copy-debugger-callstack': this._copyDebuggerCallstack.bind(
           this,
@@ -319,6 +394,13 @@ class Activation {
             label: 'Copy',
             command: 'debugger:copy-debugger-expression-value',
           },
+          {
+            label: 'Break When Value Changes',
+            command: 'debugger:break-on-value-change',
+            shouldDisplay: event =>
+              this._supportsDataBreakpoints() &&
+              this._getDataBreakpointTargetFromEvent(event) != null,
+          },
         ],
         'atom-text-editor': [
           {type: 'separator'},
@@ -376,6 +458,12 @@ class Activation {
                   this._service.getDebuggerMode() === DebuggerMode.PAUSED &&
                   !this._isReadOnlyTarget(),
               },
+              {
+                label: 'Jump to Cursor',
+                command: 'debugger:jump-to-cursor',
+                shouldDisplay: event =>
+                  this._supportsGotoTargets() && !this._isReadOnlyTarget(),
+              },
             ],
           },
           {type: 'separator'},
@@ -414,6 +502,24 @@ class Activation {
     }
   }
 
+  _supportsGotoTargets(): boolean {
+    const {focusedProcess} = this._service.viewModel;
+    return (
+      focusedProcess != null &&
+      this._service.getDebuggerMode(focusedProcess) === DebuggerMode.PAUSED &&
+      Boolean(focusedProcess.session.capabilities.supportsGotoTargetsRequest)
+    );
+  }
+
+  _supportsDataBreakpoints(): boolean {
+    const {focusedProcess} = this._service.viewModel;
+    return (
+      focusedProcess != null &&
+      this._service.getDebuggerMode(focusedProcess) === DebuggerMode.PAUSED &&
+      Boolean(focusedProcess.session.capabilities.supportsDataBreakpoints)
+    );
+  }
+
   _setProvidersForConnection(connection: NuclideUri): void {
     const key = nuclideUri.isRemote(connection)
       ? nuclideUri.getHostname(connection)
@@ -424,43 +530,15 @@ class Activation {
     this._connectionProviders.set(key, availableProviders);
   }
 
-  async _getSuggestions(
-    request: atom$AutocompleteRequest,
-  ): Promise<?Array<atom$AutocompleteSuggestion>> {
-    let text = request.editor.getText();
-    const lines = text.split('\n');
-    const {row} = request.bufferPosition;
-    // Only keep the lines up to and including the buffer position row.
-    text = lines.slice(0, row + 1).join('\n');
-    const {focusedStackFrame, focusedProcess} = this._service.viewModel;
-    if (
-      focusedProcess == null ||
-      focusedStackFrame == null ||
-      !Boolean(focusedProcess.session.capabilities.supportsCompletionsRequest)
-    ) {
-      return [];
-    } else {
-      const completions = await focusedProcess.completions(
-        focusedStackFrame.frameId,
-        text,
-        request.bufferPosition,
-        0,
-      );
-      return completions.map(item => ({
-        displayText: item.label,
-        text: item.text == null ? item.label : item.text,
-        type: item.type,
-      }));
-    }
-  }
-
   serialize(): SerializedState {
     const model = this._service.getModel();
     const state = {
       sourceBreakpoints: model.getBreakpoints(),
       functionBreakpoints: model.getFunctionBreakpoints(),
       exceptionBreakpoints: model.getExceptionBreakpoints(),
-      watchExpressions: model.getWatchExpressions().map(e => e.name),
+      dataBreakpoints: model.getDataBreakpoints().filter(dbp => dbp.canPersist),
+      watchExpressionsByProject: this._service.getSerializedWatchExpressions(),
+      watchExpressionHistory: this._service.getWatchExpressionHistory(),
       showDebugger: this._layoutManager.isDebuggerVisible(),
       workspaceDocksVisibility: this._layoutManager.getWorkspaceDocksVisibility(),
     };
@@ -476,6 +554,19 @@ class Activation {
       atom.workspace.addOpener(uri => {
         return this._layoutManager.getModelForDebuggerUri(uri);
       }),
+      atom.workspace.addOpener(uri => {
+        if (uri === DISASSEMBLY_URI) {
+          return new DisassemblyViewModel(this._service);
+        }
+      }),
+      atom.workspace.addOpener(uri => {
+        if (uri.startsWith(MEMORY_URI_PREFIX)) {
+          return new MemoryViewModel(
+            this._service,
+            decodeURIComponent(uri.substr(MEMORY_URI_PREFIX.length)),
+          );
+        }
+      }),
       () => {
         this._layoutManager.hideDebuggerViews(false);
       },
@@ -561,7 +652,11 @@ class Activation {
   _stop() {
     const {focusedProcess} = this._service.viewModel;
     if (focusedProcess) {
-      this._service.stopProcess(focusedProcess);
+      if (focusedProcess.compound != null) {
+        this._service.stopCompound(focusedProcess.compound);
+      } else {
+        this._service.stopProcess(focusedProcess);
+      }
     }
   }
 
@@ -571,7 +666,11 @@ class Activation {
     }
     const {focusedProcess} = this._service.viewModel;
     if (focusedProcess) {
-      this._service.restartProcess(focusedProcess);
+      if (focusedProcess.compound != null) {
+        this._service.restartCompound(focusedProcess.compound);
+      } else {
+        this._service.restartProcess(focusedProcess);
+      }
     }
   }
 
@@ -608,6 +707,49 @@ class Activation {
     }
   }
 
+  _stepInstruction(step: (thread: IThread) => mixed) {
+    if (this._isReadOnlyTarget()) {
+      return;
+    }
+    const {focusedThread} = this._service.viewModel;
+    if (
+      focusedThread != null &&
+      focusedThread.process.session.capabilities.supportsSteppingGranularity
+    ) {
+      step(focusedThread);
+    }
+  }
+
+  _supportsStepBack(): boolean {
+    const {focusedProcess} = this._service.viewModel;
+    return (
+      focusedProcess != null &&
+      Boolean(focusedProcess.session.capabilities.supportsStepBack)
+    );
+  }
+
+  _stepBack() {
+    if (this._isReadOnlyTarget() || !this._supportsStepBack()) {
+      return;
+    }
+    const {focusedThread} = this._service.viewModel;
+    if (focusedThread != null) {
+      track(AnalyticsEvents.DEBUGGER_STEP_BACK);
+      focusedThread.stepBack();
+    }
+  }
+
+  _reverseContinue() {
+    if (this._isReadOnlyTarget() || !this._supportsStepBack()) {
+      return;
+    }
+    const {focusedThread} = this._service.viewModel;
+    if (focusedThread != null) {
+      track(AnalyticsEvents.DEBUGGER_STEP_REVERSE_CONTINUE);
+      focusedThread.reverseContinue();
+    }
+  }
+
   _addBreakpoint(event: any) {
     return this._executeWithEditorPath(event, (filePath, lineNumber) => {
       this._service.addSourceBreakpoint(filePath, lineNumber);
@@ -760,6 +902,10 @@ class Activation {
         connectionOptions={options}
         dialogCloser={dialogCloser}
         providers={this._connectionProviders}
+        startDebugging={config => this._startProcessConfiguration(config)}
+        startCompoundDebugging={compound =>
+          this._startCompoundConfiguration(compound)
+        }
       />,
       panel.getItem(),
     );
@@ -817,6 +963,104 @@ class Activation {
     this._disposables.add(disposables);
   }
 
+  async _startConfiguration(name: ?string): Promise<void> {
+    const files = await getLaunchConfigurationsFiles();
+    const configurations = [].concat(...files.map(file => file.configurations));
+    const compounds = [].concat(...files.map(file => file.compounds));
+    if (name != null) {
+      const compound = compounds.find(c => c.name === name);
+      const configuration = configurations.find(c => c.name === name);
+      if (compound != null) {
+        this._startLaunchCompound(compound, configurations);
+      } else if (configuration != null) {
+        this._startLaunchConfiguration(configuration);
+      } else {
+        atom.notifications.addError(
+          `No debug configuration named "${name}" was found in ` +
+            LAUNCH_CONFIGURATIONS_PATH,
+        );
+      }
+    } else if (files.length === 0) {
+      atom.notifications.addInfo('No debug configurations found', {
+        description: `Add named configurations to \`${LAUNCH_CONFIGURATIONS_PATH}\` in your project root to start them with this command.`,
+      });
+    } else if (
+      configurations.length === 1 &&
+      compounds.length === 0 &&
+      files.every(file => file.errors.length === 0)
+    ) {
+      this._startLaunchConfiguration(configurations[0]);
+    } else {
+      // Let the user pick from the project configurations in the dialog.
+      this._showLaunchAttachDialog({
+        dialogMode: configurations.every(c => c.debugMode === 'attach')
+          ? 'attach'
+          : 'launch',
+        selectedTabName: PROJECT_CONFIGURATIONS_TAB_NAME,
+      });
+    }
+  }
+
+  _getProvidersForProject(
+    projectPath: NuclideUri,
+  ): Array<DebuggerLaunchAttachProvider> {
+    const key = nuclideUri.isRemote(projectPath)
+      ? nuclideUri.getHostname(projectPath)
+      : 'local';
+    return this._connectionProviders.get(key) || [];
+  }
+
+  _showInvalidConfigurationError(name: string, errors: Array<string>): void {
+    atom.notifications.addError(`Debug configuration "${name}" is invalid`, {
+      detail: errors.join('\n'),
+      dismissable: true,
+    });
+  }
+
+  _startLaunchConfiguration(configuration: LaunchConfiguration): void {
+    const {processConfig, errors} = resolveLaunchConfiguration(
+      configuration,
+      this._getProvidersForProject(configuration.projectPath),
+    );
+    if (processConfig == null) {
+      this._showInvalidConfigurationError(configuration.name, errors);
+      return;
+    }
+    this._startProcessConfiguration(processConfig);
+  }
+
+  _startLaunchCompound(
+    compound: LaunchCompound,
+    configurations: Array<LaunchConfiguration>,
+  ): void {
+    const {compoundConfiguration, errors} = resolveLaunchCompound(
+      compound,
+      configurations,
+      this._getProvidersForProject(compound.projectPath),
+    );
+    if (compoundConfiguration == null) {
+      this._showInvalidConfigurationError(compound.name, errors);
+      return;
+    }
+    this._startCompoundConfiguration(compoundConfiguration);
+  }
+
+  _startProcessConfiguration(config: IProcessConfig): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_START_PROJECT_CONFIGURATION, {
+      adapterType: config.adapterType,
+      debugMode: config.debugMode,
+    });
+    return this._service.startDebugging(config);
+  }
+
+  _startCompoundConfiguration(compound: CompoundConfiguration): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_START_PROJECT_CONFIGURATION, {
+      adapterType: 'compound',
+      processesCount: compound.configurations.length,
+    });
+    return this._service.startCompoundDebugging(compound);
+  }
+
   _addToWatch() {
     const editor = atom.workspace.getActiveTextEditor();
     if (!editor) {
@@ -842,6 +1086,132 @@ class Activation {
     });
   }
 
+  _jumpToCursor(event: any) {
+    if (this._isReadOnlyTarget() || !this._supportsGotoTargets()) {
+      return;
+    }
+    this._executeWithEditorPath(event, async (path, line) => {
+      try {
+        const targets = await this._service.getGotoTargets(path, line);
+        if (targets.length === 0) {
+          atom.notifications.addWarning(
+            `The debugger can't jump to line ${line}.`,
+          );
+          return;
+        }
+        const target =
+          targets.length === 1 ? targets[0] : await pickGotoTarget(targets);
+        if (target != null) {
+          await this._service.gotoTarget(target);
+        }
+      } catch (error) {
+        atom.notifications.addError('Failed to jump to cursor', {
+          detail: error.message,
+        });
+      }
+    });
+  }
+
+  _replaySessionTranscript() {
+    const editor = atom.workspace.getActiveTextEditor();
+    if (editor == null) {
+      atom.notifications.addWarning(
+        'Open a debug session transcript to replay it.',
+      );
+      return;
+    }
+    let transcript;
+    try {
+      transcript = JSON.parse(editor.getText());
+    } catch (error) {
+      atom.notifications.addError('Not a debug session transcript', {
+        detail: error.message,
+      });
+      return;
+    }
+    this._service.replaySessionTranscript(transcript).catch(error => {
+      atom.notifications.addError('Failed to replay the debug session', {
+        detail: error.message,
+      });
+    });
+  }
+
+  async _attachToLocalProcess(): Promise<void> {
+    // Local processes are listed by the local service, so the target has to
+    // be a local path.
+    const targetUri =
+      atom.project.getPaths().find(path => !nuclideUri.isRemote(path)) ||
+      os.homedir();
+    const attachConfigs = this._getProcessAttachConfigs(targetUri);
+    if (attachConfigs.size === 0) {
+      atom.notifications.addWarning(
+        'None of the available debuggers can attach to a process by its id',
+      );
+      return;
+    }
+    const picked = await pickProcessToAttach(
+      targetUri,
+      Array.from(attachConfigs, ([adapterType, {name}]) => ({
+        adapterType,
+        name,
+      })),
+    );
+    if (picked == null) {
+      return;
+    }
+    const {process, adapterType} = picked;
+    const {name, attachConfig} = nullthrows(attachConfigs.get(adapterType));
+    const config = getProcessAttachValues(attachConfig, process.pid);
+    if (config == null) {
+      atom.notifications.addError('Failed to attach to the process', {
+        detail: `The ${name} debugger needs more than a process id to attach. Use the attach dialog instead.`,
+      });
+      return;
+    }
+    try {
+      await this._service.startDebugging({
+        targetUri,
+        debugMode: 'attach',
+        adapterType,
+        config,
+        processName: `${process.process} (${process.pid})`,
+      });
+    } catch (error) {
+      atom.notifications.addError('Failed to attach to the process', {
+        detail: error.message,
+      });
+    }
+  }
+
+  /**
+   * Gets the attach configurations of the debuggers that attach to a process
+   * by its id, with the names of their providers.
+   */
+  _getProcessAttachConfigs(
+    targetUri: NuclideUri,
+  ): Map<VsAdapterType, {name: string, attachConfig: AutoGenAttachConfig}> {
+    const attachConfigs = new Map();
+    this._getProvidersForProject(targetUri).forEach(provider => {
+      // Older published debugger packages did not provide `getAutoGenConfig()`.
+      if (typeof provider.getAutoGenConfig !== 'function') {
+        return;
+      }
+      const autoGenConfig = provider.getAutoGenConfig();
+      const attachConfig = autoGenConfig != null ? autoGenConfig.attach : null;
+      if (
+        attachConfig != null &&
+        !attachConfigs.has(attachConfig.vsAdapterType) &&
+        attachConfig.properties.some(property => property.type === 'process')
+      ) {
+        attachConfigs.set(attachConfig.vsAdapterType, {
+          name: provider.getTabName(),
+          attachConfig,
+        });
+      }
+    });
+    return attachConfigs;
+  }
+
   _copyDebuggerExpressionValue(event: Event) {
     const clickedElement: HTMLElement = (event.target: any);
     const copyElement = clickedElement.closest('.nuclide-ui-lazy-nested-value');
@@ -850,6 +1220,49 @@ class Activation {
     }
   }
 
+  _getDataBreakpointTargetFromEvent(
+    event: Event,
+  ): ?{name: string, variablesReference?: number} {
+    const clickedElement: HTMLElement = (event.target: any);
+    const scopeElement: ?HTMLElement = (clickedElement.closest(
+      '.debugger-scope',
+    ): any);
+    if (scopeElement != null) {
+      if (isInNestedValue(scopeElement, clickedElement)) {
+        return null;
+      }
+      const {name, variablesReference} = scopeElement.dataset;
+      const reference = parseInt(variablesReference, 10);
+      if (name != null && !Number.isNaN(reference)) {
+        return {name, variablesReference: reference};
+      }
+    }
+    const watchElement: ?HTMLElement = (clickedElement.closest(
+      '.debugger-watch-expression-row',
+    ): any);
+    if (
+      watchElement != null &&
+      watchElement.dataset.expression != null &&
+      !isInNestedValue(watchElement, clickedElement)
+    ) {
+      return {name: watchElement.dataset.expression};
+    }
+    return null;
+  }
+
+  _breakOnValueChange(event: Event) {
+    const target = this._getDataBreakpointTargetFromEvent(event);
+    if (target != null && this._supportsDataBreakpoints()) {
+      this._service
+        .addDataBreakpoint(target.name, target.variablesReference)
+        .catch(error => {
+          atom.notifications.addError('Failed to add the data breakpoint', {
+            detail: error.message,
+          });
+        });
+    }
+  }
+
   _copyDebuggerCallstack(event: Event) {
     const {focusedThread} = this._service.viewModel;
     if (focusedThread != null) {
@@ -896,15 +1309,6 @@ class Activation {
     });
   }
 
-  createAutocompleteProvider(): atom$AutocompleteProvider {
-    return {
-      labels: ['nuclide-console'],
-      selector: '*',
-      filterSuggestions: true,
-      getSuggestions: this._getSuggestions.bind(this),
-    };
-  }
-
   consumeConsole(createConsole: ConsoleService): IDisposable {
     return setConsoleService(createConsole);
   }
@@ -917,6 +1321,10 @@ class Activation {
     return setRpcService(rpcService);
   }
 
+  consumeBusySignal(busySignalService: BusySignalService): IDisposable {
+    return setBusySignalService(busySignalService);
+  }
+
   consumeRegisterExecutor(
     registerExecutor: RegisterExecutorFunction,
   ): IDisposable {
@@ -993,11 +1401,23 @@ class Activation {
   }
 }
 
+// The children of a variable are rendered inside of its row, so a data
+// breakpoint set from one of them would be set on the top-level variable.
+function isInNestedValue(row: HTMLElement, element: HTMLElement): boolean {
+  const childList = row.querySelector(
+    '.nuclide-ui-lazy-nested-value-treelist > li > .list-tree',
+  );
+  return childList != null && childList.contains(element);
+}
+
 function createDebuggerView(model: mixed): ?HTMLElement {
   let view = null;
   if (
     model instanceof DebuggerPaneViewModel ||
-    model instanceof DebuggerPaneContainerViewModel
+    model instanceof DebuggerPaneContainerViewModel ||
+    model instanceof DisassemblyViewModel ||
+    model instanceof MemoryViewModel ||
+    model instanceof VariableTableViewModel
   ) {
     view = model.createView();
   }
@@ -43,16 +43,34 @@ SOFTWARE.
 import type {Expected} from 'nuclide-commons/expected';
 import type {Observable} from 'rxjs';
 import * as DebugProtocol from 'vscode-debugprotocol';
-import type {IProcessConfig} from 'nuclide-debugger-common';
+import type {
+  DebugSessionTranscript,
+  IProcessConfig,
+} from 'nuclide-debugger-common';
 
 export interface RemoteDebuggerService {
   onDidChangeDebuggerSessions(
     callback: (sessionConfigs: IProcessConfig[]) => mixed,
   ): IDisposable;
   startVspDebugging(config: IProcessConfig): Promise<void>;
+  startVspCompoundDebugging(compound: CompoundConfiguration): Promise<void>;
   getDebugSessions(): IProcessConfig[];
 }
 
+// Several processes that are started together, in order, and are stopped and
+// restarted as a unit, e.g. an app and the packager that serves it.
+export type CompoundConfiguration = {|
+  +name: string,
+  +configurations: Array<IProcessConfig>,
+|};
+
+// A running instance of a compound configuration.
+export type Compound = {|
+  +id: string,
+  +name: string,
+  +configurations: Array<IProcessConfig>,
+|};
+
 export interface ITreeElement {
   getId(): string;
 }
@@ -72,8 +90,13 @@ export interface ISource {
 export type SourcePresentationHint = 'normal' | 'emphasize' | 'deemphasize';
 
 export interface IExpressionContainer extends ITreeElement {
+  +reference: number;
+  // The number of indexed children, if the adapter lets them be paged.
+  +indexedVariables: number;
   hasChildren(): boolean;
   getChildren(): Promise<Array<IVariable>>;
+  // Fetches `count` indexed children, starting from the `start`th one.
+  getIndexedChildren(start: number, count: number): Promise<Array<IVariable>>;
 }
 
 export interface IExpression extends IExpressionContainer {
@@ -94,7 +117,26 @@ export interface IEvaluatableExpression extends IExpression {
   ): Promise<void>;
 }
 
+export interface IWatchExpression extends IEvaluatableExpression {
+  // The watch group the expression is in, or null if it isn't in one.
+  +group: ?string;
+  // True if the value is different from the one at the previous stop.
+  hasChangedSinceLastStop(): boolean;
+}
+
+export type WatchGroup = {|
+  +name: string,
+  +collapsed: boolean,
+|};
+
+// The watch expressions of a project, as they are saved between sessions.
+export type SerializedWatchExpressions = {
+  expressions: Array<{name: string, group: ?string}>,
+  groups: Array<WatchGroup>,
+};
+
 export interface IVariable extends IExpression {
+  +memoryReference: ?string;
   setVariable(newValue: string): Promise<void>;
 }
 
@@ -124,6 +166,13 @@ export interface ISession {
     args: DebugProtocol.RestartFrameArguments,
     threadId: number,
   ): Promise<DebugProtocol.RestartFrameResponse>;
+  gotoTargets(
+    args: DebugProtocol.GotoTargetsArguments,
+  ): Promise<DebugProtocol.GotoTargetsResponse>;
+  goto(args: DebugProtocol.GotoArguments): Promise<DebugProtocol.GotoResponse>;
+  cancel(
+    args: DebugProtocol.CancelArguments,
+  ): Promise<DebugProtocol.CancelResponse>;
   next(args: DebugProtocol.NextArguments): Promise<DebugProtocol.NextResponse>;
   stepIn(
     args: DebugProtocol.StepInArguments,
@@ -152,6 +201,31 @@ export interface ISession {
   source(
     args: DebugProtocol.SourceArguments,
   ): Promise<DebugProtocol.SourceResponse>;
+  modules(
+    args: DebugProtocol.ModulesArguments,
+  ): Promise<DebugProtocol.ModulesResponse>;
+  loadedSources(): Promise<DebugProtocol.LoadedSourcesResponse>;
+  breakpointLocations(
+    args: DebugProtocol.BreakpointLocationsArguments,
+  ): Promise<DebugProtocol.BreakpointLocationsResponse>;
+  dataBreakpointInfo(
+    args: DebugProtocol.DataBreakpointInfoArguments,
+  ): Promise<DebugProtocol.DataBreakpointInfoResponse>;
+  setDataBreakpoints(
+    args: DebugProtocol.SetDataBreakpointsArguments,
+  ): Promise<DebugProtocol.SetDataBreakpointsResponse>;
+  setInstructionBreakpoints(
+    args: DebugProtocol.SetInstructionBreakpointsArguments,
+  ): Promise<DebugProtocol.SetInstructionBreakpointsResponse>;
+  disassemble(
+    args: DebugProtocol.DisassembleArguments,
+  ): Promise<DebugProtocol.DisassembleResponse>;
+  readMemory(
+    args: DebugProtocol.ReadMemoryArguments,
+  ): Promise<DebugProtocol.ReadMemoryResponse>;
+  writeMemory(
+    args: DebugProtocol.WriteMemoryArguments,
+  ): Promise<DebugProtocol.WriteMemoryResponse>;
 }
 
 export interface IThread extends ITreeElement {
@@ -190,6 +264,7 @@ export interface IThread extends ITreeElement {
    * call stack is already fetched. If the call stack is not already fetched,
    * this routine fetches it asynchronously and returns an observable that
    * emits an Expect.Pending value followed by the call stack.
+   * If levels is specified, only frames up to that depth are fetched.
    */
   getFullCallStack(levels?: number): Observable<Expected<IStackFrame[]>>;
 
@@ -199,6 +274,13 @@ export interface IThread extends ITreeElement {
    */
   getCachedCallStack(): IStackFrame[];
 
+  /**
+   * Returns the call stack that was loaded the last time this thread stopped.
+   * Its frames are no longer valid in the debug adapter, but can be displayed
+   * while the current call stack loads.
+   */
+  getStaleCallStack(): IStackFrame[];
+
   /**
    * Invalidates the callstack cache.
    */
@@ -221,10 +303,11 @@ export interface IThread extends ITreeElement {
    */
   stopped: boolean;
 
-  next(): Promise<any>;
-  stepIn(): Promise<any>;
-  stepOut(): Promise<any>;
-  stepBack(): Promise<any>;
+  // Stepping granularity is only sent if the debug adapter supports it.
+  next(granularity?: DebugProtocol.SteppingGranularity): Promise<any>;
+  stepIn(granularity?: DebugProtocol.SteppingGranularity): Promise<any>;
+  stepOut(granularity?: DebugProtocol.SteppingGranularity): Promise<any>;
+  stepBack(granularity?: DebugProtocol.SteppingGranularity): Promise<any>;
   continue(): Promise<any>;
   pause(): Promise<any>;
   reverseContinue(): Promise<any>;
@@ -238,6 +321,8 @@ export interface IScope extends IExpressionContainer {
 
 export interface IProcess extends ITreeElement {
   +configuration: IProcessConfig;
+  // The compound this process was started as a part of, if any.
+  +compound: ?Compound;
   +session: ISession & ITreeElement;
   +sources: Map<string, ISource>;
   +debuggerMode: DebuggerModeType;
@@ -245,11 +330,14 @@ export interface IProcess extends ITreeElement {
   getThread(threadId: number): ?IThread;
   getAllThreads(): IThread[];
   getSource(raw: ?DebugProtocol.Source): ISource;
+  // Sources and modules reported by the adapter's loadedSources and modules
+  // requests and events.
+  getLoadedSources(): ISource[];
+  getModules(): DebugProtocol.Module[];
   completions(
-    frameId: number,
+    frameId: ?number,
     text: string,
     position: atom$Point,
-    overwriteBefore: number,
   ): Promise<Array<DebugProtocol.CompletionItem>>;
 }
 
@@ -264,6 +352,8 @@ export interface IUIBreakpoint {
   +column: number;
   enabled: boolean;
   condition?: string;
+  hitCondition?: string;
+  logMessage?: string;
 }
 
 export interface IExceptionBreakpoint extends IEnableable {
@@ -316,7 +406,10 @@ export interface IModel extends ITreeElement {
   areBreakpointsActivated(): boolean;
   getFunctionBreakpoints(): IFunctionBreakpoint[];
   getExceptionBreakpoints(): IExceptionBreakpoint[];
-  getWatchExpressions(): IEvaluatableExpression[];
+  getDataBreakpoints(): IDataBreakpoint[];
+  getInstructionBreakpoints(): IInstructionBreakpoint[];
+  getWatchExpressions(): IWatchExpression[];
+  getWatchGroups(): Array<WatchGroup>;
 
   onDidChangeBreakpoints(callback: () => mixed): IDisposable;
   onDidChangeCallStack(callback: () => mixed): IDisposable;
@@ -324,6 +417,8 @@ export interface IModel extends ITreeElement {
     callback: (expression: ?IExpression) => mixed,
   ): IDisposable;
   onDidChangeProcesses(callback: () => mixed): IDisposable;
+  onDidChangeLoadedSources(callback: () => mixed): IDisposable;
+  onDidChangeModules(callback: () => mixed): IDisposable;
 }
 
 /* Debugger mode */
@@ -334,6 +429,17 @@ export type DebuggerModeType =
   | 'stopping'
   | 'stopped';
 
+/* A long running operation the debug adapter reports progress for. */
+export type DebuggerProgress = {|
+  +process: IProcess,
+  +progressId: string,
+  +title: string,
+  +message: ?string,
+  // From 0 to 100, or null if the adapter doesn't know how far along it is.
+  +percentage: ?number,
+  +cancelable: boolean,
+|};
+
 export interface IDebugService {
   +viewModel: IViewModel;
 
@@ -352,6 +458,17 @@ export interface IDebugService {
   onDidCustomEvent(
     callback: (event: DebugProtocol.DebugEvent) => mixed,
   ): IDisposable;
+  onDidChangeProgress(callback: () => mixed): IDisposable;
+
+  /**
+   * Gets the operations the debug adapters are currently reporting progress for.
+   */
+  getProgress(): Array<DebuggerProgress>;
+
+  /**
+   * Asks the debug adapter to cancel an operation it reports progress for.
+   */
+  cancelProgress(progress: DebuggerProgress): Promise<void>;
 
   /**
    * Adds new breakpoints to the model. Notifies debug adapter of breakpoint changes.
@@ -374,6 +491,25 @@ export interface IDebugService {
 
   toggleSourceBreakpoint(uri: string, line: number): Promise<void>;
 
+  /**
+   * Adds or removes a breakpoint at a column of a line, for breaking inside
+   * one of the several statements or expressions on a line.
+   */
+  toggleColumnBreakpoint(
+    uri: string,
+    line: number,
+    column: number,
+  ): Promise<void>;
+
+  /**
+   * Gets the positions of a line of the source where the focused process can
+   * bind breakpoints.
+   */
+  getBreakpointLocations(
+    uri: string,
+    line: number,
+  ): Promise<Array<DebugProtocol.BreakpointLocation>>;
+
   /**
    * Sets the global activated property for all breakpoints.
    * Notifies debug adapter of breakpoint changes.
@@ -403,10 +539,36 @@ export interface IDebugService {
    */
   removeFunctionBreakpoints(id?: string): Promise<void>;
 
+  /**
+   * Asks the debug adapter for a data breakpoint that fires when the value of
+   * the named variable (or expression, if no variablesReference is passed) changes.
+   * Notifies debug adapter of breakpoint changes.
+   */
+  addDataBreakpoint(name: string, variablesReference?: number): Promise<void>;
+
+  /**
+   * Removes all data breakpoints. If id is passed only removes the data breakpoint with the passed id.
+   * Notifies debug adapter of breakpoint changes.
+   */
+  removeDataBreakpoints(id?: string): Promise<void>;
+
+  /**
+   * Adds an instruction breakpoint at the passed memory reference, e.g. from
+   * the disassembly view. Notifies debug adapter of breakpoint changes.
+   */
+  addInstructionBreakpoint(instructionReference: string): Promise<void>;
+
+  /**
+   * Removes all instruction breakpoints. If id is passed only removes the instruction breakpoint with the passed id.
+   * Notifies debug adapter of breakpoint changes.
+   */
+  removeInstructionBreakpoints(id?: string): Promise<void>;
+
   /**
    * Adds a new watch expression and evaluates it against the debug adapter.
+   * If a group is passed the expression is added to that watch group.
    */
-  addWatchExpression(name: string): void;
+  addWatchExpression(name: string, group?: ?string): void;
 
   /**
    * Creates an expression to be evaluated.
@@ -423,6 +585,33 @@ export interface IDebugService {
    */
   removeWatchExpressions(id?: string): void;
 
+  /**
+   * Moves a watch expression to another watch group, or out of its group if
+   * the group is null.
+   */
+  moveWatchExpression(id: string, group: ?string): void;
+
+  /**
+   * Adds an empty watch group.
+   */
+  addWatchGroup(name: string): void;
+
+  /**
+   * Removes a watch group along with the watch expressions in it.
+   */
+  removeWatchGroup(name: string): void;
+
+  /**
+   * Collapses or expands a watch group. The expressions of collapsed groups
+   * are not evaluated.
+   */
+  setWatchGroupCollapsed(name: string, collapsed: boolean): void;
+
+  /**
+   * Returns the expressions previously added to watch, most recent first.
+   */
+  getWatchExpressionHistory(): Array<string>;
+
   /**
    * Starts debugging. If the configOrName is not passed uses the selected configuration in the debug dropdown.
    * Also saves all files, manages if compounds are present in the configuration
@@ -430,6 +619,18 @@ export interface IDebugService {
    */
   startDebugging(config: IProcessConfig): Promise<void>;
 
+  /**
+   * Starts a session that plays a recorded session transcript back instead of
+   * talking to a debug adapter.
+   */
+  replaySessionTranscript(transcript: DebugSessionTranscript): Promise<void>;
+
+  /**
+   * Starts the processes of a compound one after another, waiting for each
+   * to finish launching or attaching before starting the next one.
+   */
+  startCompoundDebugging(compound: CompoundConfiguration): Promise<void>;
+
   /**
    * Determines if the current focused process is restartable.
    */
@@ -445,6 +646,16 @@ export interface IDebugService {
    */
   stopProcess(process: IProcess): Promise<void>;
 
+  /**
+   * Stops all processes of a compound and starts the compound again.
+   */
+  restartCompound(compound: Compound): Promise<void>;
+
+  /**
+   * Stops all processes that were started as part of a compound.
+   */
+  stopCompound(compound: Compound): Promise<void>;
+
   /**
    * Gets the current debug model.
    */
@@ -454,6 +665,20 @@ export interface IDebugService {
    * Terminates the specified threads in the target.
    */
   terminateThreads(threadIds: Array<number>): Promise<void>;
+
+  /**
+   * Gets the locations of a line the focused thread can jump to.
+   */
+  getGotoTargets(
+    uri: string,
+    line: number,
+  ): Promise<Array<DebugProtocol.GotoTarget>>;
+
+  /**
+   * Moves the focused thread to a goto target without running the code in
+   * between, then refreshes its call stack.
+   */
+  gotoTarget(target: DebugProtocol.GotoTarget): Promise<void>;
 }
 
 export interface IStackFrame extends ITreeElement {
@@ -462,6 +687,9 @@ export interface IStackFrame extends ITreeElement {
   presentationHint: ?string;
   frameId: number;
   range: atom$Range;
+  index: number;
+  // Memory reference of the current instruction, used for disassembly.
+  instructionPointerReference: ?string;
   source: ISource;
   getScopes(forceRefresh: boolean): Promise<IScope[]>;
   getMostSpecificScopes(range: atom$Range): Promise<IScope[]>;
@@ -474,15 +702,19 @@ export interface IBreakpoint extends IEnableable {
   +uri: string;
   +originalLine: number;
   +line: number;
+  // The column the breakpoint was added at, or 0 for a line breakpoint. The
+  // column may be changed to where the debug adapter binds the breakpoint.
+  +originalColumn: number;
   +column: number;
   +condition: ?string;
+  +hitCondition: ?string;
+  +logMessage: ?string;
   +verified: boolean;
   +idFromAdapter: ?number;
   +adapterData?: any;
   // The following fields are used by the protocol but not by Nuclide.
   // endLine: ?number;
   // endColumn: ?number;
-  // hitCondition: ?string;
   +hitCount: ?number;
 }
 
@@ -494,6 +726,21 @@ export interface IFunctionBreakpoint extends IEnableable {
   hitCondition?: ?string;
 }
 
+export interface IInstructionBreakpoint extends IEnableable {
+  +instructionReference: string;
+  verified: boolean;
+  idFromAdapter: ?number;
+}
+
+export interface IDataBreakpoint extends IEnableable {
+  +dataId: string;
+  +description: string;
+  +accessType: ?DebugProtocol.DataBreakpointAccessType;
+  +canPersist: boolean;
+  verified: boolean;
+  idFromAdapter: ?number;
+}
+
 export type IRawStopppedUpdate = {
   sessionId: string,
   threadId: ?number,
@@ -522,7 +769,14 @@ export type SerializedState = {
   sourceBreakpoints: ?Array<IBreakpoint>,
   functionBreakpoints: ?Array<IFunctionBreakpoint>,
   exceptionBreakpoints: ?Array<IExceptionBreakpoint>,
-  watchExpressions: ?Array<string>,
+  dataBreakpoints: ?Array<IDataBreakpoint>,
+  // Written by older versions, before watch expressions were kept per project.
+  watchExpressions?: ?Array<string>,
+  // Keyed by project root.
+  watchExpressionsByProject: ?{
+    [projectRoot: string]: SerializedWatchExpressions,
+  },
+  watchExpressionHistory: ?Array<string>,
   showDebugger: boolean,
   workspaceDocksVisibility: Array<boolean>,
 };
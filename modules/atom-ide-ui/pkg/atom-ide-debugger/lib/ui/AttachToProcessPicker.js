@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+import type {ProcessRow, VsAdapterType} from 'nuclide-debugger-common';
+
+import * as React from 'react';
+import {Button, ButtonTypes} from 'nuclide-commons-ui/Button';
+import {ButtonGroup} from 'nuclide-commons-ui/ButtonGroup';
+import {Dropdown} from 'nuclide-commons-ui/Dropdown';
+import showModal from 'nuclide-commons-ui/showModal';
+import {
+  SelectableFilterableProcessTable,
+  suggestAdapterTypeForProcess,
+} from 'nuclide-debugger-common';
+
+export type ProcessToAttach = {|
+  +process: ProcessRow,
+  +adapterType: VsAdapterType,
+|};
+
+// A debugger that can attach to a process by its id.
+export type ProcessAttachAdapter = {|
+  +adapterType: VsAdapterType,
+  +name: string,
+|};
+
+type Props = {|
+  +targetUri: NuclideUri,
+  +adapters: Array<ProcessAttachAdapter>,
+  +onAttach: (processToAttach: ProcessToAttach) => mixed,
+  +onCancel: () => mixed,
+|};
+
+type State = {|
+  selectedProcess: ?ProcessRow,
+  adapterType: ?VsAdapterType,
+|};
+
+class AttachToProcessComponent extends React.Component<Props, State> {
+  // Once the user picks a debugger, selecting another process keeps it.
+  _adapterTypeChosen: boolean = false;
+
+  state = {
+    selectedProcess: null,
+    adapterType: null,
+  };
+
+  _handleSelect = (selectedProcess: ?ProcessRow): void => {
+    this.setState(state => ({
+      selectedProcess,
+      adapterType:
+        this._adapterTypeChosen || selectedProcess == null
+          ? state.adapterType
+          : suggestAdapterTypeForProcess(
+              selectedProcess.process,
+              this.props.adapters.map(adapter => adapter.adapterType),
+            ),
+    }));
+  };
+
+  _handleAttach = (): void => {
+    const {selectedProcess, adapterType} = this.state;
+    if (selectedProcess != null && adapterType != null) {
+      this.props.onAttach({process: selectedProcess, adapterType});
+    }
+  };
+
+  render(): React.Node {
+    const {selectedProcess, adapterType} = this.state;
+    return (
+      <div className="debugger-attach-to-process">
+        <SelectableFilterableProcessTable
+          targetUri={this.props.targetUri}
+          title="Attach to a running local process"
+          onSelect={this._handleSelect}
+        />
+        <div className="debugger-attach-to-process-actions">
+          <span>Debugger:</span>
+          <Dropdown
+            className="inline"
+            options={this.props.adapters.map(adapter => ({
+              value: adapter.adapterType,
+              label: adapter.name,
+            }))}
+            placeholder="Select a debugger"
+            value={adapterType}
+            size="sm"
+            onChange={(value: VsAdapterType) => {
+              this._adapterTypeChosen = true;
+              this.setState({adapterType: value});
+            }}
+          />
+          <ButtonGroup>
+            <Button onClick={this.props.onCancel}>Cancel</Button>
+            <Button
+              buttonType={ButtonTypes.PRIMARY}
+              disabled={selectedProcess == null || adapterType == null}
+              onClick={this._handleAttach}>
+              Attach
+            </Button>
+          </ButtonGroup>
+        </div>
+      </div>
+    );
+  }
+}
+
+/**
+ * Asks the user for a local process to attach to and which of the adapters to
+ * attach with, suggesting one from the executable of the process. Resolves
+ * with null if the picker is dismissed.
+ */
+export default function pickProcessToAttach(
+  targetUri: NuclideUri,
+  adapters: Array<ProcessAttachAdapter>,
+): Promise<?ProcessToAttach> {
+  return new Promise(resolve => {
+    let picked = null;
+    showModal(
+      ({dismiss}) => (
+        <AttachToProcessComponent
+          targetUri={targetUri}
+          adapters={adapters}
+          onAttach={processToAttach => {
+            picked = processToAttach;
+            dismiss();
+          }}
+          onCancel={dismiss}
+        />
+      ),
+      {onDismiss: () => resolve(picked)},
+    );
+  });
+}
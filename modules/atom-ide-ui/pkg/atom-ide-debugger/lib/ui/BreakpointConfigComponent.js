@@ -21,6 +21,7 @@ import nullthrows from 'nullthrows';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
 import {Checkbox} from 'nuclide-commons-ui/Checkbox';
 import {Modal} from 'nuclide-commons-ui/Modal';
+import RadioGroup from 'nuclide-commons-ui/RadioGroup';
 import {Observable} from 'rxjs';
 import {track} from 'nuclide-commons/analytics';
 import {AnalyticsEvents} from '../constants';
@@ -31,9 +32,15 @@ type PropsType = {
   service: IDebugService,
 };
 
+type BreakpointMode = 'break' | 'log';
+
+const BREAKPOINT_MODES: Array<BreakpointMode> = ['break', 'log'];
+const BREAKPOINT_MODE_LABELS = ['Break execution', 'Log a message'];
+
 type StateType = {
   bpId: string,
   enabledChecked: boolean,
+  mode: BreakpointMode,
 };
 
 export default class BreakpointConfigComponent extends React.Component<
@@ -41,6 +48,8 @@ export default class BreakpointConfigComponent extends React.Component<
   StateType,
 > {
   _condition: ?AtomInput;
+  _hitCondition: ?AtomInput;
+  _logMessage: ?AtomInput;
   props: PropsType;
   state: StateType;
   _disposables: UniversalDisposable;
@@ -51,6 +60,7 @@ export default class BreakpointConfigComponent extends React.Component<
     this.state = {
       bpId: this.props.breakpoint.getId(),
       enabledChecked: this.props.breakpoint.enabled,
+      mode: this.props.breakpoint.logMessage != null ? 'log' : 'break',
     };
 
     const model = this.props.service.getModel();
@@ -80,8 +90,10 @@ export default class BreakpointConfigComponent extends React.Component<
         this._updateBreakpoint.bind(this),
       ),
       Observable.timer(100).subscribe(() => {
-        if (this._condition != null) {
-          this._condition.focus();
+        const input =
+          this.state.mode === 'log' ? this._logMessage : this._condition;
+        if (input != null) {
+          input.focus();
         }
       }),
     );
@@ -98,7 +110,19 @@ export default class BreakpointConfigComponent extends React.Component<
     const condition = nullthrows(this._condition)
       .getText()
       .trim();
-    if (condition === (breakpoint.condition || '')) {
+    const hitCondition =
+      this._hitCondition != null ? this._hitCondition.getText().trim() : '';
+    const logMessage =
+      this.state.mode === 'log'
+        ? nullthrows(this._logMessage)
+            .getText()
+            .trim()
+        : '';
+    if (
+      condition === (breakpoint.condition || '') &&
+      hitCondition === (breakpoint.hitCondition || '') &&
+      logMessage === (breakpoint.logMessage || '')
+    ) {
       this.props.onDismiss();
       return;
     }
@@ -107,7 +131,7 @@ export default class BreakpointConfigComponent extends React.Component<
 
     const bp: IUIBreakpoint = {
       line: breakpoint.line,
-      column: breakpoint.column,
+      column: breakpoint.originalColumn,
       enabled: breakpoint.enabled,
       id: breakpoint.getId(),
       uri: breakpoint.uri,
@@ -115,18 +139,76 @@ export default class BreakpointConfigComponent extends React.Component<
     if (condition !== '') {
       bp.condition = condition;
     }
+    if (hitCondition !== '') {
+      bp.hitCondition = hitCondition;
+    }
+    if (logMessage !== '') {
+      bp.logMessage = logMessage;
+    }
 
     await service.addUIBreakpoints([bp]);
     track(AnalyticsEvents.DEBUGGER_BREAKPOINT_UPDATE_CONDITION, {
       path: breakpoint.uri,
       line: breakpoint.line,
       condition,
+      hitCondition,
+      isLogpoint: logMessage !== '',
       fileExtension: nuclideUri.extname(breakpoint.uri),
     });
     this.props.onDismiss();
   }
 
+  _supportsLogPoints(): boolean {
+    const {breakpoint, service} = this.props;
+    const {focusedProcess} = service.viewModel;
+    // Existing logpoints can always be edited. Otherwise, only offer logpoints
+    // if there is no debug session or the current adapter supports them.
+    return (
+      breakpoint.logMessage != null ||
+      focusedProcess == null ||
+      Boolean(focusedProcess.session.capabilities.supportsLogPoints)
+    );
+  }
+
+  _supportsHitConditionalBreakpoints(): boolean {
+    const {breakpoint, service} = this.props;
+    const {focusedProcess} = service.viewModel;
+    return (
+      breakpoint.hitCondition != null ||
+      focusedProcess == null ||
+      Boolean(
+        focusedProcess.session.capabilities.supportsHitConditionalBreakpoints,
+      )
+    );
+  }
+
+  _handleModeChange = (selectedIndex: number): void => {
+    this.setState({mode: BREAKPOINT_MODES[selectedIndex]});
+  };
+
   render(): React.Node {
+    const {mode} = this.state;
+    const logMessageInput =
+      mode === 'log' ? (
+        <div>
+          <div className="block">
+            <AtomInput
+              placeholderText="Message to log..."
+              value={this.props.breakpoint.logMessage || ''}
+              size="sm"
+              ref={input => {
+                this._logMessage = input;
+              }}
+            />
+          </div>
+          <label>
+            This message will be logged to the console each time the
+            corresponding line is hit, instead of breaking execution.
+            Expressions within curly braces, such as {'{x}'}, will be evaluated
+            and substituted into the message.
+          </label>
+        </div>
+      ) : null;
     return (
       <Modal onDismiss={this.props.onDismiss}>
         <div className="padded debugger-bp-dialog">
@@ -152,6 +234,17 @@ export default class BreakpointConfigComponent extends React.Component<
               label="Enable breakpoint"
             />
           </div>
+          {this._supportsLogPoints() ? (
+            <div className="block">
+              <RadioGroup
+                className="debugger-bp-config-mode"
+                optionLabels={BREAKPOINT_MODE_LABELS}
+                selectedIndex={BREAKPOINT_MODES.indexOf(mode)}
+                onSelectedChange={this._handleModeChange}
+              />
+            </div>
+          ) : null}
+          {logMessageInput}
           <div className="block">
             <AtomInput
               placeholderText="Breakpoint hit condition..."
@@ -165,9 +258,29 @@ export default class BreakpointConfigComponent extends React.Component<
           </div>
           <label>
             This expression will be evaluated each time the corresponding line
-            is hit, but the debugger will only break execution if the expression
-            evaluates to true.
+            is hit, but the debugger will only{' '}
+            {mode === 'log' ? 'log the message' : 'break execution'} if the
+            expression evaluates to true.
           </label>
+          {this._supportsHitConditionalBreakpoints() ? (
+            <div>
+              <div className="block">
+                <AtomInput
+                  placeholderText="Hit count condition..."
+                  value={this.props.breakpoint.hitCondition || ''}
+                  size="sm"
+                  ref={input => {
+                    this._hitCondition = input;
+                  }}
+                />
+              </div>
+              <label>
+                Controls how many hits of the breakpoint are ignored before it
+                takes effect. For example, enter 50 to stop on the 50th hit. The
+                exact syntax is interpreted by the debug adapter.
+              </label>
+            </div>
+          ) : null}
           <div className="debugger-bp-config-actions">
             <ButtonGroup>
               <Button onClick={this.props.onDismiss}>Cancel</Button>
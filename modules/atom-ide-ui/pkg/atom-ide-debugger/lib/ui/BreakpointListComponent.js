@@ -10,7 +10,12 @@
  * @format
  */
 
-import type {IBreakpoint, IDebugService, IExceptionBreakpoint} from '../types';
+import type {
+  IBreakpoint,
+  IDataBreakpoint,
+  IDebugService,
+  IExceptionBreakpoint,
+} from '../types';
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
 
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
@@ -37,6 +42,7 @@ type State = {
   breakpoints: IBreakpoint[],
   exceptionBreakpoints: IExceptionBreakpoint[],
   exceptionBreakpointsCollapsed: boolean,
+  dataBreakpoints: IDataBreakpoint[],
   unavailableBreakpointsCollapsed: boolean,
   activeProjects: NuclideUri[],
 };
@@ -79,6 +85,7 @@ export default class BreakpointListComponent extends React.Component<
       breakpoints: model.getBreakpoints(),
       exceptionBreakpoints: model.getExceptionBreakpoints(),
       exceptionBreakpointsCollapsed,
+      dataBreakpoints: model.getDataBreakpoints(),
       unavailableBreakpointsCollapsed: true,
       activeProjects: newActiveProjects,
     };
@@ -151,6 +158,7 @@ export default class BreakpointListComponent extends React.Component<
   render(): React.Node {
     const {
       exceptionBreakpoints,
+      dataBreakpoints,
       supportsConditionalBreakpoints,
       activeProjects,
       breakpoints,
@@ -175,15 +183,22 @@ export default class BreakpointListComponent extends React.Component<
           if (fileA !== fileB) {
             return fileA.localeCompare(fileB);
           }
-          return breakpointA.line - breakpointB.line;
+          if (breakpointA.line !== breakpointB.line) {
+            return breakpointA.line - breakpointB.line;
+          }
+          return breakpointA.column - breakpointB.column;
         })
         .map((breakpoint, i) => {
           const host = this._getHostnameTranslated(breakpoint.uri) || 'local';
           const basename = nuclideUri.basename(breakpoint.uri);
-          const {line, verified, uri: path} = breakpoint;
+          const {line, column, verified, uri: path} = breakpoint;
           const enabled = breakpoint.enabled && available;
           const bpId = breakpoint.getId();
-          const label = `${basename}:${line}`;
+          // Column breakpoints break inside one of the statements of a line.
+          const label =
+            column > 0
+              ? `${basename}:${line}:${column}`
+              : `${basename}:${line}`;
           const title =
             (!enabled
               ? 'Disabled breakpoint'
@@ -212,6 +227,42 @@ export default class BreakpointListComponent extends React.Component<
               </div>
             ) : null;
 
+          const hitConditionElement =
+            breakpoint.hitCondition != null ? (
+              <div
+                className="debugger-breakpoint-condition"
+                title={`Breakpoint hit condition: ${breakpoint.hitCondition}`}
+                data-path={path}
+                data-line={line}
+                data-bpid={bpId}
+                onClick={event => {
+                  atom.commands.dispatch(
+                    event.target,
+                    'debugger:edit-breakpoint',
+                  );
+                }}>
+                Hit condition: {breakpoint.hitCondition}
+              </div>
+            ) : null;
+
+          const logMessageElement =
+            breakpoint.logMessage != null ? (
+              <div
+                className="debugger-breakpoint-log-message"
+                title={`Log message: ${breakpoint.logMessage}`}
+                data-path={path}
+                data-line={line}
+                data-bpid={bpId}
+                onClick={event => {
+                  atom.commands.dispatch(
+                    event.target,
+                    'debugger:edit-breakpoint',
+                  );
+                }}>
+                Log: {breakpoint.logMessage}
+              </div>
+            ) : null;
+
           const hitcountElement =
             breakpoint.hitCount != null && breakpoint.hitCount > 0 ? (
               <div className="debugger-breakpoint-hitcount">
@@ -223,9 +274,9 @@ export default class BreakpointListComponent extends React.Component<
               <div
                 className={classnames({
                   'debugger-breakpoint-disabled': !enabled,
-                  'debugger-breakpoint-with-condition': Boolean(
-                    breakpoint.condition,
-                  ),
+                  'debugger-breakpoint-with-condition':
+                    Boolean(breakpoint.condition) ||
+                    Boolean(breakpoint.hitCondition),
                 })}
                 key={i}>
                 <Checkbox
@@ -285,6 +336,8 @@ export default class BreakpointListComponent extends React.Component<
                   {label}
                 </span>
                 {conditionElement}
+                {hitConditionElement}
+                {logMessageElement}
                 {hitcountElement}
               </div>
             </div>
@@ -350,6 +403,49 @@ export default class BreakpointListComponent extends React.Component<
             })}
           </Section>
         ) : null}
+        {dataBreakpoints.length > 0 ? (
+          <Section
+            className="debugger-breakpoint-section"
+            headline="Data breakpoints"
+            collapsable={false}>
+            {dataBreakpoints.map(dataBreakpoint => {
+              return (
+                <div
+                  className={classnames('debugger-breakpoint', {
+                    'debugger-breakpoint-disabled': !dataBreakpoint.enabled,
+                  })}
+                  title={dataBreakpoint.description}
+                  key={dataBreakpoint.getId()}>
+                  <Checkbox
+                    className={classnames(
+                      'debugger-breakpoint-checkbox',
+                      dataBreakpoint.verified
+                        ? ''
+                        : 'debugger-breakpoint-unresolved',
+                    )}
+                    onChange={enabled =>
+                      service.enableOrDisableBreakpoints(
+                        enabled,
+                        dataBreakpoint,
+                      )
+                    }
+                    checked={dataBreakpoint.enabled}
+                  />
+                  {dataBreakpoint.description}
+                  <div className="debugger-breakpoint-condition-controls">
+                    <Icon
+                      icon="x"
+                      className="debugger-breakpoint-condition-control"
+                      onClick={() =>
+                        service.removeDataBreakpoints(dataBreakpoint.getId())
+                      }
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </Section>
+        ) : null}
         {unavailableBreakpoints.length > 0 ? (
           <Section
             className="debugger-breakpoint-section"
@@ -19,6 +19,7 @@ import {Observable} from 'rxjs';
 import DebuggerSteppingComponent from './DebuggerSteppingComponent';
 import {DebuggerMode} from '../constants';
 import DebuggerControllerView from './DebuggerControllerView';
+import DebuggerProgressComponent from './DebuggerProgressComponent';
 import {AddTargetButton} from './DebuggerAddTargetButton';
 
 type Props = {
@@ -117,6 +118,7 @@ export default class DebuggerControlsView extends React.PureComponent<
         </div>
         {debuggerRunningNotice}
         {debuggerStoppedNotice}
+        <DebuggerProgressComponent service={service} />
       </div>
     );
   }
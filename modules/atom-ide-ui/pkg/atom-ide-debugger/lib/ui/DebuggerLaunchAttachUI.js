@@ -14,8 +14,11 @@
 import type {
   DebuggerConfigAction,
   DebuggerLaunchAttachProvider,
+  IProcessConfig,
 } from 'nuclide-debugger-common';
 import type {Tab} from 'nuclide-commons-ui/Tabs';
+import type {LaunchConfigurationsFile} from '../LaunchConfigurations';
+import type {CompoundConfiguration} from '../types';
 
 import * as React from 'react';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
@@ -27,6 +30,14 @@ import Tabs from 'nuclide-commons-ui/Tabs';
 import {Observable} from 'rxjs';
 import invariant from 'assert';
 import {isNuclideEnvironment} from '../AtomServiceContainer';
+import {
+  getLaunchConfigurationsFiles,
+  resolveLaunchCompound,
+  resolveLaunchConfiguration,
+} from '../LaunchConfigurations';
+import ProjectLaunchConfigurationsComponent from './ProjectLaunchConfigurationsComponent';
+
+export const PROJECT_CONFIGURATIONS_TAB_NAME = 'Project Configurations';
 
 type ConnectionOption = {
   value: string,
@@ -48,12 +59,15 @@ type Props = {|
   +connectionOptions: Array<ConnectionOption>,
   +providers: Map<string, Array<DebuggerLaunchAttachProvider>>,
   +dialogCloser: () => void,
+  +startDebugging: (config: IProcessConfig) => mixed,
+  +startCompoundDebugging: (compound: CompoundConfiguration) => mixed,
 |};
 
 type State = {
   selectedProviderTab: ?string,
   configIsValid: boolean,
   enabledProviders: Array<EnabledProvider>,
+  launchConfigurationsFiles: Array<LaunchConfigurationsFile>,
 };
 
 // TODO those should be managed by the debugger store state
@@ -119,6 +133,7 @@ export default class DebuggerLaunchAttachUI extends React.Component<
       selectedProviderTab: null,
       configIsValid: false,
       enabledProviders: [],
+      launchConfigurationsFiles: [],
     };
   }
 
@@ -154,8 +169,18 @@ export default class DebuggerLaunchAttachUI extends React.Component<
     }
     this._filterProviders(host);
     this.setState({
-      selectedProviderTab: getLastUsedDebugger(host, this.props.dialogMode),
+      selectedProviderTab:
+        this.props.initialSelectedTabName === PROJECT_CONFIGURATIONS_TAB_NAME
+          ? PROJECT_CONFIGURATIONS_TAB_NAME
+          : getLastUsedDebugger(host, this.props.dialogMode),
     });
+    this._disposables.add(
+      Observable.fromPromise(getLaunchConfigurationsFiles()).subscribe(
+        launchConfigurationsFiles => {
+          this.setState({launchConfigurationsFiles});
+        },
+      ),
+    );
   }
 
   UNSAFE_componentWillReceiveProps(nextProps: Props) {
@@ -214,8 +239,30 @@ export default class DebuggerLaunchAttachUI extends React.Component<
     });
   };
 
-  _getTabsFromEnabledProviders(enabledProviders: EnabledProvider[]): Tab[] {
-    const tabs = this.state.enabledProviders
+  _getHost(): string {
+    return nuclideUri.isRemote(this.props.connection)
+      ? nuclideUri.getHostname(this.props.connection)
+      : 'local';
+  }
+
+  // Only the launch configurations of projects on the selected connection.
+  _getLaunchConfigurationsFiles(
+    files: Array<LaunchConfigurationsFile>,
+  ): Array<LaunchConfigurationsFile> {
+    return files.filter(
+      file =>
+        nuclideUri.isRemote(this.props.connection)
+          ? nuclideUri.isRemote(file.path) &&
+            nuclideUri.getHostname(file.path) === this._getHost()
+          : nuclideUri.isLocal(file.path),
+    );
+  }
+
+  _getTabsFromEnabledProviders(
+    enabledProviders: EnabledProvider[],
+    launchConfigurationsFiles: Array<LaunchConfigurationsFile>,
+  ): Tab[] {
+    const tabs = enabledProviders
       .map(debuggerType => ({
         name: debuggerType.tabName,
         tabContent: (
@@ -225,9 +272,54 @@ export default class DebuggerLaunchAttachUI extends React.Component<
         ),
       }))
       .sort((a, b) => a.name.localeCompare(b.name));
+    if (
+      this._getLaunchConfigurationsFiles(launchConfigurationsFiles).length > 0
+    ) {
+      tabs.unshift({
+        name: PROJECT_CONFIGURATIONS_TAB_NAME,
+        tabContent: (
+          <span
+            title={PROJECT_CONFIGURATIONS_TAB_NAME}
+            className="debugger-provider-tab">
+            {PROJECT_CONFIGURATIONS_TAB_NAME}
+          </span>
+        ),
+      });
+    }
     return tabs;
   }
 
+  _renderProjectConfigurations(): React.Node {
+    const files = this._getLaunchConfigurationsFiles(
+      this.state.launchConfigurationsFiles,
+    );
+    const providers = this.props.providers.get(this._getHost()) || [];
+    const configurations = [].concat(
+      ...files.map(file =>
+        file.configurations.map(configuration =>
+          resolveLaunchConfiguration(configuration, providers),
+        ),
+      ),
+    );
+    const compounds = [].concat(
+      ...files.map(file =>
+        file.compounds.map(compound =>
+          resolveLaunchCompound(compound, file.configurations, providers),
+        ),
+      ),
+    );
+    return (
+      <ProjectLaunchConfigurationsComponent
+        files={files}
+        configurations={configurations}
+        compounds={compounds}
+        configIsValidChanged={valid => this._setConfigValid(valid)}
+        startDebugging={this.props.startDebugging}
+        startCompoundDebugging={this.props.startCompoundDebugging}
+      />
+    );
+  }
+
   setState(
     partialState: $Shape<State> | ((State, Props) => $Shape<State> | void),
     callback?: () => mixed,
@@ -242,6 +334,7 @@ export default class DebuggerLaunchAttachUI extends React.Component<
       if (fullState.selectedProviderTab == null) {
         const tabs = this._getTabsFromEnabledProviders(
           fullState.enabledProviders,
+          fullState.launchConfigurationsFiles,
         );
         if (tabs.length > 0) {
           const firstTab = tabs[0];
@@ -253,33 +346,41 @@ export default class DebuggerLaunchAttachUI extends React.Component<
   }
 
   render(): React.Node {
-    const tabs = this._getTabsFromEnabledProviders(this.state.enabledProviders);
+    const tabs = this._getTabsFromEnabledProviders(
+      this.state.enabledProviders,
+      this.state.launchConfigurationsFiles,
+    );
     let providerContent = null;
+    let selectedTab = null;
     if (tabs.length > 0) {
-      let selectedTab =
-        this.state.selectedProviderTab != null
+      selectedTab =
+        this.state.selectedProviderTab != null &&
+        tabs.some(tab => tab.name === this.state.selectedProviderTab)
           ? this.state.selectedProviderTab
-          : this.state.enabledProviders[0].tabName;
-      let provider = this.state.enabledProviders.find(
-        p => p.tabName === selectedTab,
-      );
-      if (provider == null) {
-        provider = this.state.enabledProviders[0];
-        selectedTab = provider.tabName;
-      }
+          : tabs[0].name;
 
-      const defaultConfig =
-        selectedTab != null && selectedTab === this.props.initialSelectedTabName
-          ? this.props.initialProviderConfig
-          : null;
-
-      const debuggerConfigPage = provider.provider
-        .getCallbacksForAction(this.props.dialogMode)
-        .getComponent(
-          selectedTab,
-          valid => this._setConfigValid(valid),
-          defaultConfig,
+      let debuggerConfigPage;
+      if (selectedTab === PROJECT_CONFIGURATIONS_TAB_NAME) {
+        debuggerConfigPage = this._renderProjectConfigurations();
+      } else {
+        const provider = this.state.enabledProviders.find(
+          p => p.tabName === selectedTab,
         );
+        invariant(provider != null);
+
+        const defaultConfig =
+          selectedTab === this.props.initialSelectedTabName
+            ? this.props.initialProviderConfig
+            : null;
+
+        debuggerConfigPage = provider.provider
+          .getCallbacksForAction(this.props.dialogMode)
+          .getComponent(
+            selectedTab,
+            valid => this._setConfigValid(valid),
+            defaultConfig,
+          );
+      }
 
       providerContent = (
         <div>
@@ -287,7 +388,7 @@ export default class DebuggerLaunchAttachUI extends React.Component<
             className="debugger-launch-attach-tabs"
             tabs={tabs}
             growable={true}
-            activeTabName={this.state.selectedProviderTab}
+            activeTabName={selectedTab}
             triggeringEvent="onClick"
             onActiveTabChange={newTab => {
               this._setConfigValid(false);
@@ -350,7 +451,11 @@ export default class DebuggerLaunchAttachUI extends React.Component<
                   'core:confirm',
                 )
               }>
-              {this.props.dialogMode === 'attach' ? 'Attach' : 'Launch'}
+              {selectedTab === PROJECT_CONFIGURATIONS_TAB_NAME
+                ? 'Start'
+                : this.props.dialogMode === 'attach'
+                  ? 'Attach'
+                  : 'Launch'}
             </Button>
           </ButtonGroup>
         </div>
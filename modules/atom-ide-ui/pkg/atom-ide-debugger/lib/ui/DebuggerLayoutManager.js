@@ -28,6 +28,8 @@ import DebuggerProcessTreeView from './DebuggerProcessTreeView';
 import BreakpointsView from './BreakpointsView';
 import ScopesView from './ScopesView';
 import WatchView from './WatchView';
+import LoadedSourcesView from './LoadedSourcesView';
+import ModulesView from './ModulesView';
 
 const CONSOLE_VIEW_URI = 'atom://nuclide/console';
 const DEBUGGER_URI_BASE = 'atom://nuclide/debugger-';
@@ -75,6 +77,9 @@ export type DebuggerPaneConfig = {
   // explicitly chosen by the user.
   previousDefaultLocation?: string,
 
+  // Optional panes are hidden until the user shows them from the context menu.
+  hiddenByDefault?: boolean,
+
   // Optional callback to be invoked when the pane is being resized (flex scale changed).
   onPaneResize?: (pane: atom$Pane, newFlexScale: number) => boolean,
 };
@@ -243,6 +248,28 @@ export default class DebuggerLayoutManager {
         isEnabled: () => true,
         createView: () => <WatchView service={this._service} />,
       },
+      {
+        uri: DEBUGGER_URI_BASE + 'loaded-sources',
+        isLifetimeView: false,
+        defaultLocation: DEBUGGER_PANELS_DEFAULT_LOCATION,
+        title: () => 'Loaded Sources',
+        isEnabled: () => true,
+        hiddenByDefault: true,
+        createView: () => <LoadedSourcesView service={this._service} />,
+        debuggerModeFilter: (mode: DebuggerModeType) =>
+          mode !== DebuggerMode.STOPPED,
+      },
+      {
+        uri: DEBUGGER_URI_BASE + 'modules',
+        isLifetimeView: false,
+        defaultLocation: 'bottom',
+        title: () => 'Modules',
+        isEnabled: () => true,
+        hiddenByDefault: true,
+        createView: () => <ModulesView service={this._service} />,
+        debuggerModeFilter: (mode: DebuggerModeType) =>
+          mode !== DebuggerMode.STOPPED,
+      },
     ];
 
     this.registerContextMenus();
@@ -495,6 +522,12 @@ export default class DebuggerLayoutManager {
         debuggerPane.previousLocation = this._deserializeSavedLocation(
           savedItem,
         );
+      } else if (debuggerPane.hiddenByDefault) {
+        debuggerPane.previousLocation = {
+          dock: debuggerPane.defaultLocation,
+          layoutIndex: 0,
+          userHidden: true,
+        };
       }
     }
   }
@@ -546,8 +579,10 @@ export default class DebuggerLayoutManager {
 
       // If the location is the pane's default location, no need to store
       // it explicitly. This is also helpful if the default changes in the
-      // future.
+      // future. Panes hidden by default always store it, otherwise they would
+      // be hidden again once shown.
       if (
+        !debuggerPane.hiddenByDefault &&
         debuggerPane.previousLocation != null &&
         !debuggerPane.previousLocation.userHidden &&
         (debuggerPane.previousLocation.dock === debuggerPane.defaultLocation ||
@@ -11,11 +11,11 @@
  */
 
 import {AtomInput} from 'nuclide-commons-ui/AtomInput';
-import type {IDebugService, IProcess} from '../types';
+import type {Compound, IDebugService, IProcess} from '../types';
 
 import {observableFromSubscribeFunction} from 'nuclide-commons/event';
 import * as React from 'react';
-import {TreeList} from 'nuclide-commons-ui/Tree';
+import {NestedTreeItem, TreeList} from 'nuclide-commons-ui/Tree';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
 import {fastDebounce} from 'nuclide-commons/observable';
 import ProcessTreeNode from './ProcessTreeNode';
@@ -71,6 +71,43 @@ export default class DebuggerProcessComponent extends React.PureComponent<
     this._disposables.dispose();
   }
 
+  _renderCompound(
+    compound: Compound,
+    children: Array<React.Node>,
+  ): React.Element<any> {
+    const {service} = this.props;
+    const title = (
+      <span className="debugger-tree-compound" title={compound.name}>
+        {compound.name}
+        <span className="debugger-tree-right-align">
+          {compound.configurations.every(c => c.isRestartable === true) ? (
+            <span
+              className="icon icon-sync debugger-compound-control"
+              title="Restart all processes"
+              onClick={event => {
+                event.stopPropagation();
+                service.restartCompound(compound);
+              }}
+            />
+          ) : null}
+          <span
+            className="icon icon-primitive-square debugger-compound-control"
+            title="Stop all processes"
+            onClick={event => {
+              event.stopPropagation();
+              service.stopCompound(compound);
+            }}
+          />
+        </span>
+      </span>
+    );
+    return (
+      <NestedTreeItem key={compound.id} title={title} collapsed={false}>
+        {children}
+      </NestedTreeItem>
+    );
+  }
+
   render(): React.Node {
     const {processList, filter} = this.state;
     const {service} = this.props;
@@ -80,7 +117,7 @@ export default class DebuggerProcessComponent extends React.PureComponent<
         filterRegEx = new RegExp(filter, 'ig');
       }
     } catch (_) {}
-    const processElements = processList.map((process, processIndex) => {
+    const renderProcess = (process: IProcess) => {
       const {adapterType, processName} = process.configuration;
       return process == null ? (
         'No processes are currently being debugged'
@@ -96,7 +133,28 @@ export default class DebuggerProcessComponent extends React.PureComponent<
           service={service}
         />
       );
-    });
+    };
+
+    // Processes started as part of a compound are grouped under it, at the
+    // position of the compound's first process.
+    const processElements = [];
+    const compoundIds = new Set();
+    for (const process of processList) {
+      const {compound} = process;
+      if (compound == null) {
+        processElements.push(renderProcess(process));
+      } else if (!compoundIds.has(compound.id)) {
+        compoundIds.add(compound.id);
+        processElements.push(
+          this._renderCompound(
+            compound,
+            processList
+              .filter(p => p.compound != null && p.compound.id === compound.id)
+              .map(renderProcess),
+          ),
+        );
+      }
+    }
 
     return (
       <div>
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {DebuggerProgress, IDebugService} from '../types';
+
+import * as React from 'react';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {Button, ButtonSizes} from 'nuclide-commons-ui/Button';
+import {ProgressBar} from 'nuclide-commons-ui/ProgressBar';
+
+type Props = {|
+  +service: IDebugService,
+|};
+
+type State = {
+  progress: Array<DebuggerProgress>,
+};
+
+/**
+ * Shows the long running operations the debug adapters report progress for,
+ * and lets the user cancel the ones the adapter allows cancelling.
+ */
+export default class DebuggerProgressComponent extends React.Component<
+  Props,
+  State,
+> {
+  _disposables: UniversalDisposable;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this.state = {progress: props.service.getProgress()};
+  }
+
+  componentDidMount(): void {
+    const {service} = this.props;
+    this._disposables.add(
+      observableFromSubscribeFunction(
+        service.onDidChangeProgress.bind(service),
+      ).subscribe(() => this.setState({progress: service.getProgress()})),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _cancel(progress: DebuggerProgress): void {
+    this.props.service.cancelProgress(progress).catch(error => {
+      atom.notifications.addError(`Failed to cancel "${progress.title}"`, {
+        detail: error.message,
+      });
+    });
+  }
+
+  _renderProgress(progress: DebuggerProgress): React.Node {
+    const {process, progressId, title, message, percentage} = progress;
+    const canCancel =
+      progress.cancelable &&
+      Boolean(process.session.capabilities.supportsCancelRequest);
+    return (
+      <div
+        key={`${process.getId()}:${progressId}`}
+        className="debugger-progress">
+        <div className="debugger-progress-header">
+          <span className="debugger-progress-title">{title}</span>
+          {canCancel ? (
+            <Button
+              icon="x"
+              size={ButtonSizes.EXTRA_SMALL}
+              tooltip={{title: 'Cancel'}}
+              onClick={() => this._cancel(progress)}
+            />
+          ) : null}
+        </div>
+        {message != null ? (
+          <div className="debugger-progress-message">{message}</div>
+        ) : null}
+        <ProgressBar
+          className="debugger-progress-bar"
+          value={percentage != null ? percentage : undefined}
+          max={100}
+        />
+      </div>
+    );
+  }
+
+  render(): React.Node {
+    const {progress} = this.state;
+    if (progress.length === 0) {
+      return null;
+    }
+    return (
+      <div className="debugger-pane-content debugger-progress-list">
+        {progress.map(p => this._renderProgress(p))}
+      </div>
+    );
+  }
+}
@@ -72,6 +72,21 @@ const STEP_OUT_ICON = (
   </svg>
 );
 
+const STEP_BACK_ICON = (
+  <svg viewBox="0 0 100 100">
+    <g transform="translate(100, 0) scale(-1, 1)">
+      <circle cx="46" cy="63" r="10" />
+      <path
+        d={
+          'M83.8,54.7c-6.5-16.6-20.7-28.1-37.2-28.1c-19.4,0-35.6,16-39.9,' +
+          '37.3l11.6,2.9c3-16.2,14.5-28.2,28.2-28.2 c11,0,20.7,7.8,25.6,' +
+          '19.3l-9.6,2.7l20.8,14.7L93.7,52L83.8,54.7z'
+        }
+      />
+    </g>
+  </svg>
+);
+
 function SVGButton(props: {
   onClick: () => mixed,
   tooltip: atom$TooltipsAddOptions,
@@ -221,7 +236,11 @@ export default class DebuggerSteppingComponent extends React.Component<
           }}
           onClick={() => {
             invariant(focusedProcess != null);
-            service.restartProcess(focusedProcess);
+            if (focusedProcess.compound != null) {
+              service.restartCompound(focusedProcess.compound);
+            } else {
+              service.restartProcess(focusedProcess);
+            }
           }}
         />
       ) : null;
@@ -259,6 +278,31 @@ export default class DebuggerSteppingComponent extends React.Component<
       playPauseTitle = 'Pause';
     }
 
+    const supportsStepBack =
+      focusedProcess != null &&
+      Boolean(focusedProcess.session.capabilities.supportsStepBack);
+    const reverseContinueButton = supportsStepBack ? (
+      <Button
+        icon="playback-rewind"
+        disabled={!isPaused || focusedThread == null || readOnly}
+        tooltip={{
+          ...defaultTooltipOptions,
+          title: 'Reverse continue',
+          keyBindingCommand: 'debugger:reverse-continue',
+        }}
+        onClick={() => nullthrows(focusedThread).reverseContinue()}
+      />
+    ) : null;
+    const stepBackButton = supportsStepBack ? (
+      <DebuggerStepButton
+        icon={STEP_BACK_ICON}
+        disabled={!isPaused || focusedThread == null}
+        title="Step back"
+        keyBindingCommand="debugger:step-back"
+        onClick={() => nullthrows(focusedThread).stepBack()}
+      />
+    ) : null;
+
     const process = service.getModel().getProcesses()[0];
     const attached =
       process != null && process.configuration.debugMode === 'attach';
@@ -267,6 +311,7 @@ export default class DebuggerSteppingComponent extends React.Component<
       <div className="debugger-stepping-component">
         <ButtonGroup className="debugger-stepping-buttongroup">
           {restartDebuggerButton}
+          {reverseContinueButton}
           <Button
             disabled={isPausing || pausableThread == null || readOnly}
             tooltip={{
@@ -303,6 +348,7 @@ export default class DebuggerSteppingComponent extends React.Component<
             keyBindingCommand="debugger:step-out"
             onClick={() => nullthrows(focusedThread).stepOut()}
           />
+          {stepBackButton}
           <Button
             icon="primitive-square"
             disabled={isStopped || focusedProcess == null}
@@ -313,7 +359,11 @@ export default class DebuggerSteppingComponent extends React.Component<
             }}
             onClick={() => {
               if (focusedProcess != null) {
-                service.stopProcess(focusedProcess);
+                if (focusedProcess.compound != null) {
+                  service.stopCompound(focusedProcess.compound);
+                } else {
+                  service.stopProcess(focusedProcess);
+                }
               }
             }}
           />
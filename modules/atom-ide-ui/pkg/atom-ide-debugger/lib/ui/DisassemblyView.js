@@ -0,0 +1,327 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {
+  IDebugService,
+  IInstructionBreakpoint,
+  IStackFrame,
+} from '../types';
+import * as DebugProtocol from 'vscode-debugprotocol';
+
+import classnames from 'classnames';
+import * as React from 'react';
+import {Observable} from 'rxjs';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {Button, ButtonSizes} from 'nuclide-commons-ui/Button';
+import {ButtonGroup} from 'nuclide-commons-ui/ButtonGroup';
+import {LoadingSpinner} from 'nuclide-commons-ui/LoadingSpinner';
+import {AnalyticsEvents, DebuggerMode} from '../constants';
+import {track} from 'nuclide-commons/analytics';
+import {canDisassemble} from '../utils';
+import {scrollIntoViewIfNeeded} from 'nuclide-commons-ui/scrollIntoView';
+
+type Props = {|
+  +service: IDebugService,
+|};
+
+type State = {
+  stackFrame: ?IStackFrame,
+  instructions: Array<DebugProtocol.DisassembledInstruction>,
+  // Index of the instruction the frame is stopped at.
+  currentIndex: number,
+  instructionBreakpoints: Array<IInstructionBreakpoint>,
+  loading: boolean,
+  error: ?string,
+};
+
+// Number of instructions shown before and after the current one.
+const INSTRUCTIONS_BEFORE = 30;
+const INSTRUCTIONS_AFTER = 70;
+
+function normalizeAddress(address: string): string {
+  return address.toLowerCase().replace(/^0x0*/, '0x');
+}
+
+function findCurrentIndex(
+  instructions: Array<DebugProtocol.DisassembledInstruction>,
+  instructionPointerReference: string,
+): number {
+  const address = normalizeAddress(instructionPointerReference);
+  const index = instructions.findIndex(
+    instruction => normalizeAddress(instruction.address) === address,
+  );
+  // Memory references are opaque to the client, so if the adapter doesn't use
+  // addresses for them rely on the offset the instructions were requested at.
+  return index !== -1 ? index : INSTRUCTIONS_BEFORE;
+}
+
+export default class DisassemblyView extends React.Component<Props, State> {
+  _disposables: UniversalDisposable;
+  _content: ?HTMLElement;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this.state = {
+      stackFrame: null,
+      instructions: [],
+      currentIndex: -1,
+      instructionBreakpoints: props.service
+        .getModel()
+        .getInstructionBreakpoints(),
+      loading: false,
+      error: null,
+    };
+  }
+
+  componentDidMount(): void {
+    const {service} = this.props;
+    const {viewModel} = service;
+    const model = service.getModel();
+    track(AnalyticsEvents.DEBUGGER_DISASSEMBLY_OPEN);
+    this._disposables.add(
+      observableFromSubscribeFunction(
+        viewModel.onDidChangeDebuggerFocus.bind(viewModel),
+      )
+        .startWith(null)
+        .map(() => viewModel.focusedStackFrame)
+        .distinctUntilChanged()
+        .switchMap(stackFrame => this._disassemble(stackFrame))
+        .subscribe(state => this.setState(state)),
+      model.onDidChangeBreakpoints(() => {
+        this.setState({
+          instructionBreakpoints: model.getInstructionBreakpoints(),
+        });
+      }),
+    );
+  }
+
+  componentDidUpdate(prevProps: Props, prevState: State): void {
+    if (
+      this._content == null ||
+      (prevState.instructions === this.state.instructions &&
+        prevState.currentIndex === this.state.currentIndex)
+    ) {
+      return;
+    }
+    const current = this._content.querySelector(
+      '.debugger-disassembly-instruction-current',
+    );
+    if (current != null) {
+      scrollIntoViewIfNeeded(current, true);
+    }
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _disassemble(stackFrame: ?IStackFrame): Observable<$Shape<State>> {
+    const instructionPointerReference =
+      stackFrame != null ? stackFrame.instructionPointerReference : null;
+    if (
+      stackFrame == null ||
+      instructionPointerReference == null ||
+      !canDisassemble(stackFrame)
+    ) {
+      return Observable.of({
+        stackFrame,
+        instructions: [],
+        currentIndex: -1,
+        loading: false,
+        error: null,
+      });
+    }
+    return Observable.fromPromise(
+      stackFrame.thread.process.session.disassemble({
+        memoryReference: instructionPointerReference,
+        instructionOffset: -INSTRUCTIONS_BEFORE,
+        instructionCount: INSTRUCTIONS_BEFORE + INSTRUCTIONS_AFTER,
+        resolveSymbols: true,
+      }),
+    )
+      .map(response => {
+        const instructions =
+          response.body != null ? response.body.instructions : [];
+        return {
+          stackFrame,
+          instructions,
+          currentIndex: findCurrentIndex(
+            instructions,
+            instructionPointerReference,
+          ),
+          loading: false,
+          error: null,
+        };
+      })
+      .catch(error =>
+        Observable.of({
+          stackFrame,
+          instructions: [],
+          currentIndex: -1,
+          loading: false,
+          error: error.message,
+        }),
+      )
+      .startWith({stackFrame, loading: true, error: null});
+  }
+
+  _toggleInstructionBreakpoint(address: string): void {
+    const {service} = this.props;
+    const existing = this.state.instructionBreakpoints.find(
+      ibp => ibp.instructionReference === address,
+    );
+    if (existing != null) {
+      service.removeInstructionBreakpoints(existing.getId());
+    } else {
+      service.addInstructionBreakpoint(address);
+    }
+  }
+
+  _renderControls(): React.Node {
+    const {stackFrame} = this.state;
+    const process = stackFrame != null ? stackFrame.thread.process : null;
+    const canStep =
+      process != null &&
+      process.debuggerMode === DebuggerMode.PAUSED &&
+      Boolean(process.session.capabilities.supportsSteppingGranularity);
+    return (
+      <ButtonGroup size={ButtonSizes.SMALL}>
+        <Button
+          icon="arrow-right"
+          disabled={!canStep}
+          tooltip={{
+            title: 'Step over instruction',
+            keyBindingCommand: 'debugger:step-over-instruction',
+          }}
+          onClick={() => {
+            if (stackFrame != null) {
+              stackFrame.thread.next('instruction');
+            }
+          }}
+        />
+        <Button
+          icon="arrow-down"
+          disabled={!canStep}
+          tooltip={{
+            title: 'Step into instruction',
+            keyBindingCommand: 'debugger:step-into-instruction',
+          }}
+          onClick={() => {
+            if (stackFrame != null) {
+              stackFrame.thread.stepIn('instruction');
+            }
+          }}
+        />
+      </ButtonGroup>
+    );
+  }
+
+  _renderInstruction(
+    instruction: DebugProtocol.DisassembledInstruction,
+    index: number,
+  ): React.Node {
+    const {currentIndex, instructionBreakpoints, stackFrame} = this.state;
+    const isCurrent = index === currentIndex;
+    const breakpoint = instructionBreakpoints.find(
+      ibp => ibp.instructionReference === instruction.address,
+    );
+    const supportsBreakpoints =
+      stackFrame != null &&
+      Boolean(
+        stackFrame.thread.process.session.capabilities
+          .supportsInstructionBreakpoints,
+      );
+    return (
+      <tr
+        key={index}
+        className={classnames('debugger-disassembly-instruction', {
+          'debugger-disassembly-instruction-current': isCurrent,
+        })}>
+        <td
+          className="debugger-disassembly-gutter"
+          title={supportsBreakpoints ? 'Toggle instruction breakpoint' : null}
+          onClick={
+            supportsBreakpoints
+              ? () => this._toggleInstructionBreakpoint(instruction.address)
+              : null
+          }>
+          {breakpoint != null ? (
+            <span
+              className={classnames('debugger-breakpoint-icon', {
+                'debugger-breakpoint-icon-disabled': !breakpoint.enabled,
+                'debugger-breakpoint-icon-unresolved': !breakpoint.verified,
+              })}
+            />
+          ) : null}
+        </td>
+        <td className="debugger-disassembly-address">{instruction.address}</td>
+        <td className="debugger-disassembly-bytes">
+          {instruction.instructionBytes}
+        </td>
+        <td className="debugger-disassembly-text">{instruction.instruction}</td>
+        <td className="debugger-disassembly-symbol">{instruction.symbol}</td>
+      </tr>
+    );
+  }
+
+  render(): React.Node {
+    const {stackFrame, instructions, loading, error} = this.state;
+    let content;
+    if (loading) {
+      content = <LoadingSpinner delay={200} />;
+    } else if (error != null) {
+      content = (
+        <div className="debugger-disassembly-message">
+          Could not disassemble: {error}
+        </div>
+      );
+    } else if (stackFrame == null || !canDisassemble(stackFrame)) {
+      content = (
+        <div className="debugger-disassembly-message">
+          Disassembly is only available while paused in a native debugger that
+          supports it.
+        </div>
+      );
+    } else {
+      content = (
+        <table className="debugger-disassembly-table">
+          <tbody>
+            {instructions.map((instruction, index) =>
+              this._renderInstruction(instruction, index),
+            )}
+          </tbody>
+        </table>
+      );
+    }
+    return (
+      <div className="debugger-disassembly">
+        <div className="debugger-disassembly-toolbar">
+          {stackFrame != null ? (
+            <span className="debugger-disassembly-frame">
+              {stackFrame.name}
+            </span>
+          ) : null}
+          {this._renderControls()}
+        </div>
+        <div
+          className="debugger-disassembly-content"
+          ref={el => {
+            this._content = el;
+          }}>
+          {content}
+        </div>
+      </div>
+    );
+  }
+}
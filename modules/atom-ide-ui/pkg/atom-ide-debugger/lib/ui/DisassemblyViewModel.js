@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {IDebugService} from '../types';
+
+import * as React from 'react';
+import {DISASSEMBLY_URI} from '../constants';
+import DisassemblyView from './DisassemblyView';
+
+// Workspace item showing the instructions around the focused stack frame.
+// Unlike the debugger panes it isn't part of the debugger layout: it's opened
+// in the center when a frame has no source.
+export default class DisassemblyViewModel {
+  _service: IDebugService;
+
+  constructor(service: IDebugService) {
+    this._service = service;
+  }
+
+  getTitle(): string {
+    return 'Disassembly';
+  }
+
+  getIconName(): string {
+    return 'file-binary';
+  }
+
+  getDefaultLocation(): string {
+    return 'center';
+  }
+
+  getURI(): string {
+    return DISASSEMBLY_URI;
+  }
+
+  createView(): React.Element<any> {
+    return <DisassemblyView service={this._service} />;
+  }
+
+  // Atom view needs to provide this, otherwise Atom throws an exception splitting panes for the view.
+  serialize(): {} {
+    return {};
+  }
+
+  copy(): boolean {
+    return false;
+  }
+}
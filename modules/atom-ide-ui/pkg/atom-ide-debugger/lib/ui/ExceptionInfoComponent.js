@@ -0,0 +1,172 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {
+  IDebugService,
+  IExceptionBreakpoint,
+  IExceptionInfo,
+} from '../types';
+import * as DebugProtocol from 'vscode-debugprotocol';
+
+import * as React from 'react';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import BlockDecoration from 'nuclide-commons-ui/BlockDecoration';
+import {Checkbox} from 'nuclide-commons-ui/Checkbox';
+import {Icon} from 'nuclide-commons-ui/Icon';
+import {Section} from 'nuclide-commons-ui/Section';
+
+type Props = {|
+  +service: IDebugService,
+  +editor: atom$TextEditor,
+  +range: atom$Range,
+  +exceptionInfo: IExceptionInfo,
+  +onDismiss: () => mixed,
+|};
+
+type State = {
+  exceptionBreakpoints: Array<IExceptionBreakpoint>,
+};
+
+const BREAK_MODE_DESCRIPTIONS = {
+  never: 'Never breaks on this exception',
+  always: 'Breaks whenever this exception is thrown',
+  unhandled: 'Breaks because the exception is unhandled',
+  userUnhandled: 'Breaks because the exception is not handled by user code',
+};
+
+function ExceptionDetailsComponent(props: {
+  details: DebugProtocol.ExceptionDetails,
+}): React.Node {
+  const {details} = props;
+  const innerExceptions = details.innerException || [];
+  return (
+    <div className="debugger-exception-details">
+      {details.fullTypeName != null || details.typeName != null ? (
+        <div className="debugger-exception-details-type">
+          {details.fullTypeName != null
+            ? details.fullTypeName
+            : details.typeName}
+        </div>
+      ) : null}
+      {details.message != null ? <div>{details.message}</div> : null}
+      {details.stackTrace != null ? (
+        <pre className="debugger-exception-details-stack">
+          {details.stackTrace}
+        </pre>
+      ) : null}
+      {innerExceptions.map((innerException, index) => (
+        <Section
+          key={index}
+          className="debugger-exception-inner"
+          headline="Inner exception"
+          collapsable={true}
+          collapsedByDefault={true}>
+          <ExceptionDetailsComponent details={innerException} />
+        </Section>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Shows what the thread stopped on below the line that threw, along with
+ * toggles for the exception breakpoint filters of the debugger.
+ */
+export default class ExceptionInfoComponent extends React.Component<
+  Props,
+  State,
+> {
+  _disposables: UniversalDisposable;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this.state = {
+      exceptionBreakpoints: props.service.getModel().getExceptionBreakpoints(),
+    };
+  }
+
+  componentDidMount(): void {
+    const model = this.props.service.getModel();
+    this._disposables.add(
+      model.onDidChangeBreakpoints(() => {
+        this.setState({exceptionBreakpoints: model.getExceptionBreakpoints()});
+      }),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  render(): React.Node {
+    const {editor, range, exceptionInfo, service, onDismiss} = this.props;
+    const {exceptionBreakpoints} = this.state;
+    const {id, description, breakMode, details} = exceptionInfo;
+    return (
+      <BlockDecoration editor={editor} range={range}>
+        <div className="debugger-exception-widget">
+          <div className="debugger-exception-widget-header">
+            <Icon icon="alert" />
+            <span className="debugger-exception-widget-title">
+              {id != null ? `Exception has occurred: ${id}` : 'Exception'}
+            </span>
+            <span
+              className="icon icon-x debugger-exception-widget-close"
+              title="Dismiss"
+              onClick={onDismiss}
+            />
+          </div>
+          {description != null ? (
+            <div className="debugger-exception-widget-description">
+              {description}
+            </div>
+          ) : null}
+          {breakMode != null ? (
+            <div className="debugger-exception-widget-break-mode">
+              {BREAK_MODE_DESCRIPTIONS[breakMode] || breakMode}
+            </div>
+          ) : null}
+          {details != null ? (
+            <Section
+              headline="Details"
+              collapsable={true}
+              collapsedByDefault={true}>
+              <ExceptionDetailsComponent details={details} />
+            </Section>
+          ) : null}
+          {exceptionBreakpoints.length > 0 ? (
+            <div className="debugger-exception-widget-filters">
+              {exceptionBreakpoints.map(exceptionBreakpoint => (
+                <Checkbox
+                  key={exceptionBreakpoint.getId()}
+                  className="debugger-exception-checkbox"
+                  checked={exceptionBreakpoint.enabled}
+                  label={
+                    exceptionBreakpoint.label ||
+                    `${exceptionBreakpoint.filter} exceptions`
+                  }
+                  onChange={enabled =>
+                    service.enableOrDisableBreakpoints(
+                      enabled,
+                      exceptionBreakpoint,
+                    )
+                  }
+                />
+              ))}
+            </div>
+          ) : null}
+        </div>
+      </BlockDecoration>
+    );
+  }
+}
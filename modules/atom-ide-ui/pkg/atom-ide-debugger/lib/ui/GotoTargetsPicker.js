@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import * as DebugProtocol from 'vscode-debugprotocol';
+
+import * as React from 'react';
+import {ListView, ListViewItem} from 'nuclide-commons-ui/ListView';
+import showModal from 'nuclide-commons-ui/showModal';
+
+function formatTargetLocation(target: DebugProtocol.GotoTarget): string {
+  return target.column != null
+    ? `line ${target.line}, column ${target.column}`
+    : `line ${target.line}`;
+}
+
+/**
+ * Asks the user which of several goto targets to jump to. Resolves with null
+ * if the picker is dismissed without choosing one.
+ */
+export default function pickGotoTarget(
+  targets: Array<DebugProtocol.GotoTarget>,
+): Promise<?DebugProtocol.GotoTarget> {
+  return new Promise(resolve => {
+    let pickedTarget = null;
+    showModal(
+      ({dismiss}) => (
+        <div className="debugger-goto-targets">
+          <div className="debugger-goto-targets-title">Jump to:</div>
+          <ListView
+            alternateBackground={true}
+            selectable={true}
+            onSelect={index => {
+              pickedTarget = targets[index];
+              dismiss();
+            }}>
+            {targets.map((target, index) => (
+              <ListViewItem key={target.id} index={index} value={target}>
+                <div className="debugger-goto-target">
+                  <span>{target.label}</span>
+                  <span className="debugger-goto-target-location">
+                    {formatTargetLocation(target)}
+                  </span>
+                </div>
+              </ListViewItem>
+            ))}
+          </ListView>
+        </div>
+      ),
+      {onDismiss: () => resolve(pickedTarget)},
+    );
+  });
+}
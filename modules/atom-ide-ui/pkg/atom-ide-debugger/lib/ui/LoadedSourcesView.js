@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {IDebugService, ISource} from '../types';
+
+import * as React from 'react';
+import {Observable} from 'rxjs';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {AtomInput} from 'nuclide-commons-ui/AtomInput';
+import {ListView, ListViewItem} from 'nuclide-commons-ui/ListView';
+
+type Props = {|
+  +service: IDebugService,
+|};
+
+type State = {
+  sources: Array<ISource>,
+  supportsLoadedSources: boolean,
+  filter: string,
+};
+
+/**
+ * Lists the sources the focused process has loaded, including the ones that
+ * only exist in the debugger and are fetched through their source reference.
+ */
+export default class LoadedSourcesView extends React.Component<Props, State> {
+  _disposables: UniversalDisposable;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this.state = {...this._getSourcesState(), filter: ''};
+  }
+
+  componentDidMount(): void {
+    const {service} = this.props;
+    const model = service.getModel();
+    const {viewModel} = service;
+    this._disposables.add(
+      Observable.merge(
+        observableFromSubscribeFunction(
+          model.onDidChangeLoadedSources.bind(model),
+        ),
+        observableFromSubscribeFunction(
+          viewModel.onDidChangeDebuggerFocus.bind(viewModel),
+        ),
+      ).subscribe(() => this.setState(this._getSourcesState())),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _getSourcesState(): $Shape<State> {
+    const {focusedProcess} = this.props.service.viewModel;
+    if (focusedProcess == null) {
+      return {sources: [], supportsLoadedSources: false};
+    }
+    return {
+      sources: focusedProcess
+        .getLoadedSources()
+        .sort((a, b) => a.uri.localeCompare(b.uri)),
+      supportsLoadedSources: Boolean(
+        focusedProcess.session.capabilities.supportsLoadedSourcesRequest,
+      ),
+    };
+  }
+
+  _handleSourceClick = (index: number, source: ?ISource): void => {
+    if (source != null) {
+      source.openInEditor();
+    }
+  };
+
+  _renderSource(source: ISource, index: number): React.Element<any> {
+    return (
+      <ListViewItem key={source.uri} index={index} value={source}>
+        <div className="debugger-loaded-source" title={source.uri}>
+          <span className="debugger-loaded-source-name">
+            {source.name != null ? source.name : source.uri}
+          </span>
+          {source.inMemory ? null : (
+            <span className="debugger-loaded-source-path">{source.uri}</span>
+          )}
+        </div>
+      </ListViewItem>
+    );
+  }
+
+  render(): React.Node {
+    const {sources, supportsLoadedSources, filter} = this.state;
+    if (sources.length === 0) {
+      return (
+        <div className="debugger-pane-content debugger-loaded-sources-empty">
+          {supportsLoadedSources
+            ? '(no loaded sources)'
+            : 'The debugger does not report its loaded sources.'}
+        </div>
+      );
+    }
+    const lowerCaseFilter = filter.toLowerCase();
+    const filteredSources = sources.filter(source =>
+      source.uri.toLowerCase().includes(lowerCaseFilter),
+    );
+    return (
+      <div className="debugger-pane-content">
+        <AtomInput
+          className="debugger-loaded-sources-filter"
+          size="sm"
+          placeholderText="Filter sources"
+          onDidChange={text => this.setState({filter: text})}
+        />
+        <ListView
+          alternateBackground={true}
+          selectable={true}
+          onSelect={this._handleSourceClick}>
+          {filteredSources.map((source, index) =>
+            this._renderSource(source, index),
+          )}
+        </ListView>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {IDebugService, IProcess} from '../types';
+
+import classnames from 'classnames';
+import * as React from 'react';
+import {Observable, Subject} from 'rxjs';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {AtomInput} from 'nuclide-commons-ui/AtomInput';
+import {Button, ButtonSizes} from 'nuclide-commons-ui/Button';
+import {ButtonGroup} from 'nuclide-commons-ui/ButtonGroup';
+import {LoadingSpinner} from 'nuclide-commons-ui/LoadingSpinner';
+import {AnalyticsEvents, DebuggerMode} from '../constants';
+import {track} from 'nuclide-commons/analytics';
+
+type Props = {|
+  +service: IDebugService,
+  +process: ?IProcess,
+  +memoryReference: string,
+|};
+
+type State = {
+  // Offset in bytes of the shown page from the memory reference.
+  offset: number,
+  // Address of the first byte of the page, as returned by the adapter.
+  address: ?string,
+  // null for the bytes the adapter couldn't read.
+  bytes: Array<?number>,
+  loading: boolean,
+  error: ?string,
+  // Index in the page of the byte being edited.
+  editingIndex: ?number,
+  editingText: string,
+};
+
+const BYTES_PER_ROW = 16;
+const PAGE_SIZE = BYTES_PER_ROW * 16;
+const BYTE_REGEX = /^[0-9a-f]{1,2}$/i;
+
+function formatByte(byte: ?number): string {
+  return byte == null ? '??' : byte.toString(16).padStart(2, '0');
+}
+
+function formatChar(byte: ?number): string {
+  return byte != null && byte >= 0x20 && byte < 0x7f
+    ? String.fromCharCode(byte)
+    : '.';
+}
+
+/**
+ * Shows the memory around a memory reference of the process as hex and ASCII,
+ * a page at a time, and lets the bytes be edited if the adapter allows it.
+ */
+export default class MemoryView extends React.Component<Props, State> {
+  _disposables: UniversalDisposable;
+  _reads: Subject<number>;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this._reads = new Subject();
+    this.state = {
+      offset: 0,
+      address: null,
+      bytes: [],
+      loading: false,
+      error: null,
+      editingIndex: null,
+      editingText: '',
+    };
+  }
+
+  componentDidMount(): void {
+    const {viewModel} = this.props.service;
+    track(AnalyticsEvents.DEBUGGER_MEMORY_OPEN);
+    this._disposables.add(
+      // Memory may have changed whenever the process stops again.
+      Observable.merge(
+        this._reads,
+        observableFromSubscribeFunction(
+          viewModel.onDidChangeDebuggerFocus.bind(viewModel),
+        ).map(() => this.state.offset),
+      )
+        .startWith(0)
+        .switchMap(offset => this._readMemory(offset))
+        .subscribe(state => this.setState(state)),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _canAccessMemory(): boolean {
+    const {process} = this.props;
+    return (
+      process != null &&
+      process.debuggerMode === DebuggerMode.PAUSED &&
+      Boolean(process.session.capabilities.supportsReadMemoryRequest)
+    );
+  }
+
+  _canWriteMemory(): boolean {
+    const {process} = this.props;
+    return (
+      process != null &&
+      this._canAccessMemory() &&
+      Boolean(process.session.capabilities.supportsWriteMemoryRequest)
+    );
+  }
+
+  _readMemory(offset: number): Observable<$Shape<State>> {
+    const {process, memoryReference} = this.props;
+    if (process == null || !this._canAccessMemory()) {
+      return Observable.of({offset, loading: false, error: null});
+    }
+    return Observable.fromPromise(
+      process.session.readMemory({memoryReference, offset, count: PAGE_SIZE}),
+    )
+      .map(response => {
+        const body = response.body;
+        const data =
+          body != null && body.data != null
+            ? Array.from(Buffer.from(body.data, 'base64'))
+            : [];
+        const bytes = data.concat(
+          new Array(Math.max(PAGE_SIZE - data.length, 0)).fill(null),
+        );
+        return {
+          offset,
+          address: body != null ? body.address : null,
+          bytes,
+          loading: false,
+          error: null,
+        };
+      })
+      .catch(error =>
+        Observable.of({
+          offset,
+          address: null,
+          bytes: [],
+          loading: false,
+          error: error.message,
+        }),
+      )
+      .startWith({offset, loading: true, error: null, editingIndex: null});
+  }
+
+  _writeByte(index: number, text: string): void {
+    const {process, memoryReference} = this.props;
+    this.setState({editingIndex: null});
+    if (process == null || !BYTE_REGEX.test(text.trim())) {
+      return;
+    }
+    const {offset} = this.state;
+    track(AnalyticsEvents.DEBUGGER_MEMORY_WRITE);
+    process.session
+      .writeMemory({
+        memoryReference,
+        offset: offset + index,
+        data: Buffer.from([parseInt(text.trim(), 16)]).toString('base64'),
+      })
+      .then(
+        () => this._reads.next(offset),
+        error => {
+          atom.notifications.addError('Failed to write memory', {
+            detail: error.message,
+          });
+        },
+      );
+  }
+
+  _getRowAddress(row: number): string {
+    const {address, offset} = this.state;
+    const rowOffset = row * BYTES_PER_ROW;
+    if (address != null && address.startsWith('0x')) {
+      const value = parseInt(address, 16) + rowOffset;
+      if (Number.isSafeInteger(value)) {
+        return '0x' + value.toString(16).padStart(address.length - 2, '0');
+      }
+    }
+    // Memory references are opaque, so fall back to showing offsets.
+    const rowStart = offset + rowOffset;
+    return rowStart < 0
+      ? `-0x${(-rowStart).toString(16)}`
+      : `+0x${rowStart.toString(16)}`;
+  }
+
+  _renderByte(byte: ?number, index: number): React.Node {
+    const {editingIndex} = this.state;
+    if (index === editingIndex) {
+      return (
+        <span key={index} className="debugger-memory-byte">
+          <AtomInput
+            size="xs"
+            width={30}
+            autofocus={true}
+            startSelected={true}
+            initialValue={formatByte(byte)}
+            onDidChange={editingText => this.setState({editingText})}
+            onConfirm={() => this._writeByte(index, this.state.editingText)}
+            onCancel={() => this.setState({editingIndex: null})}
+            onBlur={() => this.setState({editingIndex: null})}
+          />
+        </span>
+      );
+    }
+    const canEdit = byte != null && this._canWriteMemory();
+    return (
+      <span
+        key={index}
+        className={classnames('debugger-memory-byte', {
+          'debugger-memory-byte-unreadable': byte == null,
+          'debugger-memory-byte-editable': canEdit,
+        })}
+        title={canEdit ? 'Click to edit' : null}
+        onClick={
+          canEdit
+            ? () =>
+                this.setState({
+                  editingIndex: index,
+                  editingText: formatByte(byte),
+                })
+            : null
+        }>
+        {formatByte(byte)}
+      </span>
+    );
+  }
+
+  _renderRows(): React.Node {
+    const {bytes} = this.state;
+    const rows = [];
+    for (let row = 0; row * BYTES_PER_ROW < bytes.length; row++) {
+      const start = row * BYTES_PER_ROW;
+      const rowBytes = bytes.slice(start, start + BYTES_PER_ROW);
+      rows.push(
+        <tr key={row}>
+          <td className="debugger-memory-address">
+            {this._getRowAddress(row)}
+          </td>
+          <td className="debugger-memory-bytes">
+            {rowBytes.map((byte, i) => this._renderByte(byte, start + i))}
+          </td>
+          <td className="debugger-memory-ascii">
+            {rowBytes.map(formatChar).join('')}
+          </td>
+        </tr>,
+      );
+    }
+    return (
+      <table className="debugger-memory-table">
+        <tbody>{rows}</tbody>
+      </table>
+    );
+  }
+
+  render(): React.Node {
+    const {memoryReference} = this.props;
+    const {offset, bytes, loading, error} = this.state;
+    let content;
+    if (loading) {
+      content = <LoadingSpinner delay={200} />;
+    } else if (error != null) {
+      content = (
+        <div className="debugger-memory-message">
+          Could not read memory: {error}
+        </div>
+      );
+    } else if (!this._canAccessMemory()) {
+      content = (
+        <div className="debugger-memory-message">
+          Memory is only available while the session this reference came from is
+          paused, and if its debugger supports reading memory.
+        </div>
+      );
+    } else if (bytes.length === 0) {
+      content = (
+        <div className="debugger-memory-message">No memory was returned.</div>
+      );
+    } else {
+      content = this._renderRows();
+    }
+    const canAccess = this._canAccessMemory();
+    return (
+      <div className="debugger-memory">
+        <div className="debugger-memory-toolbar">
+          <span className="debugger-memory-reference">
+            {memoryReference}
+            {offset !== 0
+              ? ` ${offset < 0 ? '-' : '+'} ${Math.abs(offset)} bytes`
+              : null}
+          </span>
+          <ButtonGroup size={ButtonSizes.SMALL}>
+            <Button
+              icon="chevron-left"
+              disabled={!canAccess}
+              tooltip={{title: `Previous ${PAGE_SIZE} bytes`}}
+              onClick={() => this._reads.next(offset - PAGE_SIZE)}
+            />
+            <Button
+              icon="home"
+              disabled={!canAccess || offset === 0}
+              tooltip={{title: 'Back to the memory reference'}}
+              onClick={() => this._reads.next(0)}
+            />
+            <Button
+              icon="chevron-right"
+              disabled={!canAccess}
+              tooltip={{title: `Next ${PAGE_SIZE} bytes`}}
+              onClick={() => this._reads.next(offset + PAGE_SIZE)}
+            />
+          </ButtonGroup>
+        </div>
+        <div className="debugger-memory-content">{content}</div>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {IDebugService, IProcess} from '../types';
+
+import * as React from 'react';
+import {MEMORY_URI_PREFIX} from '../constants';
+import MemoryView from './MemoryView';
+
+// Workspace item showing the memory around a memory reference. Memory
+// references are only valid in the session they came from, so the item keeps
+// the process that was focused when it was opened.
+export default class MemoryViewModel {
+  _service: IDebugService;
+  _process: ?IProcess;
+  _memoryReference: string;
+
+  constructor(service: IDebugService, memoryReference: string) {
+    this._service = service;
+    this._process = service.viewModel.focusedProcess;
+    this._memoryReference = memoryReference;
+  }
+
+  getTitle(): string {
+    return `Memory: ${this._memoryReference}`;
+  }
+
+  getIconName(): string {
+    return 'file-binary';
+  }
+
+  getDefaultLocation(): string {
+    return 'center';
+  }
+
+  getURI(): string {
+    return MEMORY_URI_PREFIX + encodeURIComponent(this._memoryReference);
+  }
+
+  createView(): React.Element<any> {
+    return (
+      <MemoryView
+        service={this._service}
+        process={this._process}
+        memoryReference={this._memoryReference}
+      />
+    );
+  }
+
+  // Atom view needs to provide this, otherwise Atom throws an exception splitting panes for the view.
+  serialize(): {} {
+    return {};
+  }
+
+  copy(): boolean {
+    return false;
+  }
+}
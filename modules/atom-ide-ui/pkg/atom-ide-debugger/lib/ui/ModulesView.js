@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {IDebugService} from '../types';
+import * as DebugProtocol from 'vscode-debugprotocol';
+
+import * as React from 'react';
+import {Observable} from 'rxjs';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {Table} from 'nuclide-commons-ui/Table';
+
+type Props = {|
+  +service: IDebugService,
+|};
+
+type State = {
+  modules: Array<DebugProtocol.Module>,
+  supportsModules: boolean,
+};
+
+type ModuleRowData = {
+  name: string,
+  symbolStatus: string,
+  version: string,
+  path: string,
+};
+
+const COLUMNS = [
+  {title: 'Name', key: 'name', width: 0.25},
+  {title: 'Symbols', key: 'symbolStatus', width: 0.2},
+  {title: 'Version', key: 'version', width: 0.1},
+  {title: 'Path', key: 'path', width: 0.45},
+];
+
+/**
+ * Lists the modules the focused process has loaded along with whether the
+ * debugger found symbols for them.
+ */
+export default class ModulesView extends React.Component<Props, State> {
+  _disposables: UniversalDisposable;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this.state = this._getModulesState();
+  }
+
+  componentDidMount(): void {
+    const {service} = this.props;
+    const model = service.getModel();
+    const {viewModel} = service;
+    this._disposables.add(
+      Observable.merge(
+        observableFromSubscribeFunction(model.onDidChangeModules.bind(model)),
+        observableFromSubscribeFunction(
+          viewModel.onDidChangeDebuggerFocus.bind(viewModel),
+        ),
+      ).subscribe(() => this.setState(this._getModulesState())),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _getModulesState(): State {
+    const {focusedProcess} = this.props.service.viewModel;
+    if (focusedProcess == null) {
+      return {modules: [], supportsModules: false};
+    }
+    return {
+      modules: focusedProcess.getModules(),
+      supportsModules: Boolean(
+        focusedProcess.session.capabilities.supportsModulesRequest,
+      ),
+    };
+  }
+
+  render(): React.Node {
+    const {modules, supportsModules} = this.state;
+    if (modules.length === 0) {
+      return (
+        <div className="debugger-pane-content debugger-modules-empty">
+          {supportsModules
+            ? '(no modules)'
+            : 'The debugger does not report its modules.'}
+        </div>
+      );
+    }
+    const rows = modules.map(module => ({
+      className:
+        module.isUserCode === true ? 'debugger-module-user-code' : undefined,
+      data: ({
+        name: module.name,
+        symbolStatus: module.symbolStatus || '',
+        version: module.version || '',
+        path: module.path || '',
+      }: ModuleRowData),
+    }));
+    return (
+      <div className="debugger-pane-content">
+        <Table
+          className="debugger-modules-table"
+          columns={COLUMNS}
+          rows={rows}
+          alternateBackground={1}
+        />
+      </div>
+    );
+  }
+}
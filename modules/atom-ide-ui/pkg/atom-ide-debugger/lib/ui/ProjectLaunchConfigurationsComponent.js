@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {IProcessConfig} from 'nuclide-debugger-common';
+import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+import type {
+  LaunchConfigurationsFile,
+  ResolvedLaunchCompound,
+  ResolvedLaunchConfiguration,
+} from '../LaunchConfigurations';
+import type {CompoundConfiguration} from '../types';
+
+import classnames from 'classnames';
+import * as React from 'react';
+import nuclideUri from 'nuclide-commons/nuclideUri';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {ListView, ListViewItem} from 'nuclide-commons-ui/ListView';
+import {LAUNCH_CONFIGURATIONS_PATH} from '../LaunchConfigurations';
+
+type Props = {|
+  +files: Array<LaunchConfigurationsFile>,
+  +configurations: Array<ResolvedLaunchConfiguration>,
+  +compounds: Array<ResolvedLaunchCompound>,
+  +configIsValidChanged: (valid: boolean) => void,
+  +startDebugging: (config: IProcessConfig) => mixed,
+  +startCompoundDebugging: (compound: CompoundConfiguration) => mixed,
+|};
+
+// A configuration or compound, as listed in the UI.
+type LaunchItem = {|
+  +name: string,
+  +description: string,
+  +projectPath: NuclideUri,
+  +errors: Array<string>,
+  // Null if the item is invalid and can't be started.
+  +start: ?() => mixed,
+|};
+
+type State = {
+  selectedIndex: ?number,
+};
+
+export default class ProjectLaunchConfigurationsComponent extends React.Component<
+  Props,
+  State,
+> {
+  _disposables: UniversalDisposable;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    const firstValid = this._getItems().findIndex(item => item.start != null);
+    this.state = {
+      selectedIndex: firstValid === -1 ? null : firstValid,
+    };
+  }
+
+  componentDidMount(): void {
+    this.props.configIsValidChanged(this._getSelectedStart() != null);
+    this._disposables.add(
+      atom.commands.add('atom-workspace', {
+        'core:confirm': () => {
+          const start = this._getSelectedStart();
+          if (start != null) {
+            start();
+          }
+        },
+      }),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _getItems(): Array<LaunchItem> {
+    const {
+      compounds,
+      configurations,
+      startDebugging,
+      startCompoundDebugging,
+    } = this.props;
+    const compoundItems = compounds.map(
+      ({compound, compoundConfiguration, errors}) => ({
+        name: compound.name,
+        description: compound.configurationNames.join(', '),
+        projectPath: compound.projectPath,
+        errors,
+        start:
+          compoundConfiguration != null
+            ? () => startCompoundDebugging(compoundConfiguration)
+            : null,
+      }),
+    );
+    const configurationItems = configurations.map(
+      ({configuration, processConfig, errors}) => ({
+        name: configuration.name,
+        description: `${configuration.adapterType} ${configuration.debugMode}`,
+        projectPath: configuration.projectPath,
+        errors,
+        start:
+          processConfig != null ? () => startDebugging(processConfig) : null,
+      }),
+    );
+    return compoundItems.concat(configurationItems);
+  }
+
+  _getSelectedStart(): ?() => mixed {
+    const {selectedIndex} = this.state;
+    if (selectedIndex == null) {
+      return null;
+    }
+    const selected = this._getItems()[selectedIndex];
+    return selected != null ? selected.start : null;
+  }
+
+  _handleSelect = (selectedIndex: number): void => {
+    this.setState({selectedIndex}, () =>
+      this.props.configIsValidChanged(this._getSelectedStart() != null),
+    );
+  };
+
+  _renderItem(item: LaunchItem, index: number): React.Element<any> {
+    const {errors} = item;
+    const showProjectName = this.props.files.length > 1;
+    return (
+      <ListViewItem key={index} index={index}>
+        <div
+          className={classnames('debugger-launch-configuration', {
+            'debugger-launch-configuration-selected':
+              index === this.state.selectedIndex,
+            'debugger-launch-configuration-invalid': errors.length > 0,
+          })}
+          onDoubleClick={() =>
+            atom.commands.dispatch(
+              atom.views.getView(atom.workspace),
+              'core:confirm',
+            )
+          }>
+          <div>
+            <span className="debugger-launch-configuration-name">
+              {item.name}
+            </span>
+            <span className="debugger-launch-configuration-details">
+              {item.description}
+              {showProjectName
+                ? ` (${nuclideUri.basename(item.projectPath)})`
+                : null}
+            </span>
+          </div>
+          {errors.map((error, i) => (
+            <div key={i} className="text-error">
+              {error}
+            </div>
+          ))}
+        </div>
+      </ListViewItem>
+    );
+  }
+
+  render(): React.Node {
+    const {files} = this.props;
+    const items = this._getItems();
+    const fileErrors = files.filter(file => file.errors.length > 0);
+    return (
+      <div className="block">
+        {fileErrors.map(file => (
+          <div key={file.path} className="debugger-launch-configuration-errors">
+            <div>Problems in {file.path}:</div>
+            {file.errors.map((error, i) => (
+              <div key={i} className="text-error">
+                {error}
+              </div>
+            ))}
+          </div>
+        ))}
+        {items.length === 0 ? (
+          <div>
+            No configurations found. Add them to {LAUNCH_CONFIGURATIONS_PATH} in
+            your project root.
+          </div>
+        ) : (
+          <ListView
+            alternateBackground={true}
+            selectable={true}
+            onSelect={this._handleSelect}>
+            {items.map((item, index) => this._renderItem(item, index))}
+          </ListView>
+        )}
+      </div>
+    );
+  }
+}
@@ -19,6 +19,7 @@ import {LazyNestedValueComponent} from 'nuclide-commons-ui/LazyNestedValueCompon
 import SimpleValueComponent from 'nuclide-commons-ui/SimpleValueComponent';
 import invariant from 'assert';
 import {Observable} from 'rxjs';
+import {Icon} from 'nuclide-commons-ui/Icon';
 import {Section} from 'nuclide-commons-ui/Section';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
 import {observableFromSubscribeFunction} from 'nuclide-commons/event';
@@ -28,6 +29,8 @@ import {
 } from '../utils';
 import {Expect} from 'nuclide-commons/expected';
 import {LoadingSpinner} from 'nuclide-commons-ui/LoadingSpinner';
+import {MEMORY_URI_PREFIX} from '../constants';
+import {openVariableTable} from './VariableTableViewModel';
 
 type Props = {|
   +service: IDebugService,
@@ -120,15 +123,21 @@ export default class ScopesComponent extends React.Component<Props, State> {
     const canSetVariables =
       focusedProcess != null &&
       focusedProcess.session.capabilities.supportsSetVariable;
+    const canViewMemory =
+      focusedProcess != null &&
+      Boolean(focusedProcess.session.capabilities.supportsReadMemoryRequest);
 
     let ScopeBodyComponent = () => null;
     if (expanded) {
       ScopeBodyComponent = bindObservableAsProps(
         this._getScopeVariables(scope).map(variables => ({
           variables,
+          variablesReference: scope.reference,
           canSetVariables,
+          canViewMemory,
           getExpansionStateIdForExpression: this
             ._getExpansionStateIdForExpression,
+          viewAsTable: this._viewAsTable,
         })),
         ScopeComponent,
       );
@@ -155,6 +164,10 @@ export default class ScopesComponent extends React.Component<Props, State> {
     return expansionStateId;
   };
 
+  _viewAsTable = (variable: IVariable): void => {
+    openVariableTable(this.props.service, variable);
+  };
+
   _getScopeVariables(scope: IScope): Observable<Expected<Array<IVariable>>> {
     return Observable.of(Expect.pending()).concat(
       Observable.fromPromise(
@@ -210,8 +223,11 @@ export default class ScopesComponent extends React.Component<Props, State> {
 
 type ScopeProps = {
   variables: Expected<Array<IVariable>>,
+  variablesReference: number,
   canSetVariables: boolean,
+  canViewMemory: boolean,
   getExpansionStateIdForExpression: (name: string) => Object,
+  viewAsTable: (variable: IVariable) => void,
 };
 
 class ScopeComponent extends React.Component<ScopeProps> {
@@ -248,10 +264,21 @@ class ScopeComponent extends React.Component<ScopeProps> {
     variable.setVariable(newValue).then(() => this.forceUpdate());
   };
 
+  _viewMemory(memoryReference: string): void {
+    // eslint-disable-next-line nuclide-internal/atom-apis
+    atom.workspace.open(
+      MEMORY_URI_PREFIX + encodeURIComponent(memoryReference),
+      {searchAllPanes: true},
+    );
+  }
+
   _renderVariable(expression: IVariable): ?React.Element<any> {
+    const {memoryReference} = expression;
     return (
       <div
         className="debugger-expression-value-row debugger-scope native-key-bindings"
+        data-name={expression.name}
+        data-variables-reference={this.props.variablesReference}
         key={expression.getId()}>
         <div className="debugger-expression-value-content">
           <LazyNestedValueComponent
@@ -265,6 +292,24 @@ class ScopeComponent extends React.Component<ScopeProps> {
             setVariable={this.props.canSetVariables ? this._setVariable : null}
           />
         </div>
+        <div className="debugger-scope-controls">
+          {expression.hasChildren() ? (
+            <Icon
+              icon="list-unordered"
+              className="debugger-scope-control"
+              title="View as table"
+              onClick={() => this.props.viewAsTable(expression)}
+            />
+          ) : null}
+          {this.props.canViewMemory && memoryReference != null ? (
+            <Icon
+              icon="file-binary"
+              className="debugger-scope-control"
+              title="View memory"
+              onClick={() => this._viewMemory(memoryReference)}
+            />
+          ) : null}
+        </div>
       </div>
     );
   }
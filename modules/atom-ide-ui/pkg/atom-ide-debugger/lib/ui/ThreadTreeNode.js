@@ -40,6 +40,7 @@ type State = {
   isCollapsed: boolean,
   stackFrames: Expected<Array<IStackFrame>>,
   callStackLevels: number,
+  isLoadingMoreFrames: boolean,
 };
 
 const LEVELS_TO_FETCH = 20;
@@ -49,15 +50,19 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
   // Subject that emits every time this node transitions from collapsed
   // to expanded.
   _expandedSubject: Subject<void>;
+  // Subject that emits every time the user asks for another page of frames.
+  _loadMoreFramesSubject: Subject<void>;
   _nestedTreeItem: ?NestedTreeItem;
 
   constructor(props: Props) {
     super(props);
     this._expandedSubject = new Subject();
+    this._loadMoreFramesSubject = new Subject();
     this.state = {
       isCollapsed: true,
       stackFrames: Expect.pending(),
-      callStackLevels: 20,
+      callStackLevels: LEVELS_TO_FETCH,
+      isLoadingMoreFrames: false,
     };
     this._disposables = new UniversalDisposable();
   }
@@ -69,8 +74,6 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
   }
 
   _getFrames(levels: ?number): Observable<Expected<Array<IStackFrame>>> {
-    // TODO: support frame paging - fetch ~20 frames here and offer
-    // a way in the UI for the user to ask for more
     return levels != null
       ? this.props.thread.getFullCallStack(levels)
       : this.props.thread.getFullCallStack();
@@ -122,6 +125,22 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
             stackFrames: frames,
           });
         }),
+      this._loadMoreFramesSubject
+        .asObservable()
+        .exhaustMap(() => {
+          const {thread} = this.props;
+          this.setState({isLoadingMoreFrames: true});
+          return Observable.fromPromise(
+            thread.refreshCallStack(LEVELS_TO_FETCH),
+          ).map(() => thread.getCachedCallStack());
+        })
+        .subscribe(frames => {
+          this.setState({
+            stackFrames: Expect.value(frames),
+            callStackLevels: Math.max(LEVELS_TO_FETCH, frames.length),
+            isLoadingMoreFrames: false,
+          });
+        }),
       additionalFocusedCheck
         .let(fastDebounce(100))
         .switchMap(() => {
@@ -132,23 +151,32 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
           const newIsCollapsed =
             this.state.isCollapsed && !this._threadIsFocused();
 
+          // Keep however many frames the thread kept loaded across the stop
+          // (see IThread.refreshCallStack), but at least one page.
+          const callStackLevels = Math.max(
+            LEVELS_TO_FETCH,
+            this.props.thread.getCachedCallStack().length,
+          );
+
           // If the node is collapsed, we only need to fetch the first call
           // frame to display the stop location (if any). Otherwise, we need
           // to fetch the call stack.
           return this._getFrames(
-            newIsCollapsed ? 1 : this.state.callStackLevels,
+            newIsCollapsed ? 1 : callStackLevels,
           ).switchMap(frames =>
             Observable.of({
               frames,
               newIsCollapsed,
+              callStackLevels,
             }),
           );
         })
         .subscribe(result => {
-          const {frames, newIsCollapsed} = result;
+          const {frames, newIsCollapsed, callStackLevels} = result;
           this.setState({
             stackFrames: frames,
             isCollapsed: newIsCollapsed,
+            callStackLevels,
           });
         }),
     );
@@ -176,11 +204,12 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
     this.props.service.viewModel.setFocusedStackFrame(clickedRow.frame, true);
   };
 
-  _generateTable(childItems: Array<IStackFrame>) {
+  _generateTable(childItems: Array<IStackFrame>, isStale: boolean = false) {
     const {service} = this.props;
     const rows = childItems.map((frame, frameIndex) => {
       const activeFrame = service.viewModel.focusedStackFrame;
-      const isSelected = activeFrame != null ? frame === activeFrame : false;
+      const isSelected =
+        activeFrame != null && !isStale ? frame === activeFrame : false;
       const cellData = {
         data: {
           name: frame.name,
@@ -220,6 +249,7 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
       <div
         className={classnames({
           'debugger-container-new-disabled':
+            isStale ||
             this.props.thread.process.debuggerMode === DebuggerMode.RUNNING,
         })}>
         <div className="debugger-callstack-table-div">
@@ -227,7 +257,7 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
             className="debugger-callstack-table"
             columns={columns}
             rows={rows}
-            selectable={cellData => cellData.frame.source.available}
+            selectable={cellData => !isStale && cellData.frame.source.available}
             resizable={true}
             onSelect={this._handleStackFrameClick}
             sortable={false}
@@ -309,8 +339,13 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
       </span>
     );
 
+    // While a new stop's frames load, keep showing the previous frames rather
+    // than collapsing the table to a spinner.
+    const staleFrames = thread.getStaleCallStack();
     const callFramesElements = stackFrames.isPending
-      ? LOADING
+      ? staleFrames.length > 0
+        ? this._generateTable(staleFrames, true)
+        : LOADING
       : stackFrames.isError
         ? ERROR
         : this._generateTable(stackFrames.value);
@@ -331,29 +366,27 @@ export default class ThreadTreeNode extends React.Component<Props, State> {
 
   _renderLoadMoreStackFrames(): ?React.Element<any> {
     const {thread} = this.props;
-    const {stackFrames, callStackLevels} = this.state;
+    const {stackFrames, isLoadingMoreFrames} = this.state;
 
     if (
-      !thread.additionalFramesAvailable(callStackLevels + 1) ||
       stackFrames.isPending ||
-      stackFrames.isError
+      stackFrames.isError ||
+      !thread.additionalFramesAvailable(stackFrames.value.length)
     ) {
       return null;
     }
 
     return (
-      <div>
-        <a
-          className="debugger-fetch-frames-link"
-          onClick={() => {
-            this.setState({
-              stackFrames: Expect.pending(),
-              callStackLevels: callStackLevels + LEVELS_TO_FETCH,
-            });
-            this._expandedSubject.next();
-          }}>
-          Load More Stack Frames...
-        </a>
+      <div className="debugger-fetch-frames-row">
+        {isLoadingMoreFrames ? (
+          <LoadingSpinner size="EXTRA_SMALL" />
+        ) : (
+          <a
+            className="debugger-fetch-frames-link"
+            onClick={() => this._loadMoreFramesSubject.next()}>
+            Load more frames
+          </a>
+        )}
       </div>
     );
   }
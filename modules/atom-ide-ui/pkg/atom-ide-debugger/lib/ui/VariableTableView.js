@@ -0,0 +1,294 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {IDebugService, IExpression, IProcess, IVariable} from '../types';
+import type {Row} from 'nuclide-commons-ui/Table';
+
+import * as React from 'react';
+import {Observable, Subject} from 'rxjs';
+import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
+import {observableFromSubscribeFunction} from 'nuclide-commons/event';
+import {AtomInput} from 'nuclide-commons-ui/AtomInput';
+import {Button, ButtonSizes} from 'nuclide-commons-ui/Button';
+import {ButtonGroup} from 'nuclide-commons-ui/ButtonGroup';
+import {LoadingSpinner} from 'nuclide-commons-ui/LoadingSpinner';
+import {Table} from 'nuclide-commons-ui/Table';
+import {DebuggerMode} from '../constants';
+
+type Props = {|
+  +service: IDebugService,
+  +process: ?IProcess,
+  +expression: IExpression,
+|};
+
+type Record = {
+  child: IVariable,
+  properties: Array<IVariable>,
+};
+
+type State = {
+  // Index of the shown page of indexed children.
+  page: number,
+  records: Array<Record>,
+  loading: boolean,
+  error: ?string,
+  // Set once the process continues, since the variables can't be fetched
+  // anymore.
+  stale: boolean,
+  filter: string,
+  sortedColumn: ?string,
+  sortDescending: boolean,
+};
+
+type RowData = {[key: string]: string};
+
+const PAGE_SIZE = 100;
+// Keys of the columns that aren't properties of the children. Property
+// columns are keyed by the property name prefixed with PROPERTY_KEY_PREFIX,
+// so they can't collide with these.
+const NAME_KEY = 'name';
+const VALUE_KEY = 'value';
+const PROPERTY_KEY_PREFIX = 'property:';
+
+function compareCells(a: ?string, b: ?string): number {
+  return (a || '').localeCompare(b || '', undefined, {numeric: true});
+}
+
+/**
+ * Shows each child of an expression as a row, with the children of the
+ * child as columns. Indexed children are fetched a page at a time.
+ */
+export default class VariableTableView extends React.Component<Props, State> {
+  _disposables: UniversalDisposable;
+  _pages: Subject<number>;
+
+  constructor(props: Props) {
+    super(props);
+    this._disposables = new UniversalDisposable();
+    this._pages = new Subject();
+    this.state = {
+      page: 0,
+      records: [],
+      loading: true,
+      error: null,
+      stale: false,
+      filter: '',
+      sortedColumn: null,
+      sortDescending: false,
+    };
+  }
+
+  componentDidMount(): void {
+    const {service, process} = this.props;
+    this._disposables.add(
+      this._pages
+        .startWith(0)
+        .switchMap(page => this._loadPage(page))
+        .subscribe(state => this.setState(state)),
+      observableFromSubscribeFunction(
+        service.onDidChangeProcessMode.bind(service),
+      )
+        .filter(
+          data => data.process === process && data.mode !== DebuggerMode.PAUSED,
+        )
+        .take(1)
+        .subscribe(() => this.setState({stale: true})),
+    );
+  }
+
+  componentWillUnmount(): void {
+    this._disposables.dispose();
+  }
+
+  _getPageCount(): number {
+    const {indexedVariables} = this.props.expression;
+    return Math.max(Math.ceil(indexedVariables / PAGE_SIZE), 1);
+  }
+
+  _loadPage(page: number): Observable<$Shape<State>> {
+    const {expression} = this.props;
+    const {indexedVariables} = expression;
+    const children =
+      indexedVariables > 0
+        ? expression.getIndexedChildren(
+            page * PAGE_SIZE,
+            Math.min(PAGE_SIZE, indexedVariables - page * PAGE_SIZE),
+          )
+        : expression.getChildren();
+    return Observable.fromPromise(
+      children.then(childVariables =>
+        Promise.all(
+          childVariables.map(async child => ({
+            child,
+            properties: child.hasChildren() ? await child.getChildren() : [],
+          })),
+        ),
+      ),
+    )
+      .map(records => ({page, records, loading: false, error: null}))
+      .catch(error =>
+        Observable.of({
+          page,
+          records: [],
+          loading: false,
+          error: error.message,
+        }),
+      )
+      .startWith({page, loading: true});
+  }
+
+  _handleSort = (sortedColumn: string, sortDescending: boolean): void => {
+    this.setState({sortedColumn, sortDescending});
+  };
+
+  _getColumnNames(): Array<string> {
+    const names = new Set();
+    this.state.records.forEach(({properties}) =>
+      properties.forEach(property => names.add(property.name)),
+    );
+    return Array.from(names);
+  }
+
+  _getRows(): Array<Row<RowData>> {
+    const {records, filter, sortedColumn, sortDescending} = this.state;
+    const lowerCaseFilter = filter.toLowerCase();
+    const rows = records
+      .map(({child, properties}) => {
+        const data: RowData = {
+          [NAME_KEY]: child.name,
+          [VALUE_KEY]: child.getValue(),
+        };
+        properties.forEach(property => {
+          data[PROPERTY_KEY_PREFIX + property.name] = property.getValue();
+        });
+        return {data};
+      })
+      .filter(
+        ({data}) =>
+          lowerCaseFilter === '' ||
+          Object.keys(data).some(key =>
+            data[key].toLowerCase().includes(lowerCaseFilter),
+          ),
+      );
+    if (sortedColumn != null) {
+      rows.sort((a, b) => {
+        const order = compareCells(a.data[sortedColumn], b.data[sortedColumn]);
+        return sortDescending ? -order : order;
+      });
+    }
+    return rows;
+  }
+
+  _renderPager(): React.Node {
+    const {expression} = this.props;
+    const {page, loading, stale} = this.state;
+    const {indexedVariables} = expression;
+    if (indexedVariables <= PAGE_SIZE) {
+      return null;
+    }
+    const pageCount = this._getPageCount();
+    const first = page * PAGE_SIZE;
+    const last = Math.min(first + PAGE_SIZE, indexedVariables) - 1;
+    return (
+      <div className="debugger-variable-table-pager">
+        <span>
+          {first}..{last} of {indexedVariables}
+        </span>
+        <ButtonGroup size={ButtonSizes.SMALL}>
+          <Button
+            icon="chevron-left"
+            disabled={stale || loading || page === 0}
+            tooltip={{title: `Previous ${PAGE_SIZE} items`}}
+            onClick={() => this._pages.next(page - 1)}
+          />
+          <Button
+            icon="chevron-right"
+            disabled={stale || loading || page >= pageCount - 1}
+            tooltip={{title: `Next ${PAGE_SIZE} items`}}
+            onClick={() => this._pages.next(page + 1)}
+          />
+        </ButtonGroup>
+      </div>
+    );
+  }
+
+  _renderTable(): React.Node {
+    const {records, sortedColumn, sortDescending} = this.state;
+    if (records.length === 0) {
+      return (
+        <div className="debugger-variable-table-message">
+          {this.props.expression.hasChildren()
+            ? '(no children)'
+            : 'This value has no children to show as rows.'}
+        </div>
+      );
+    }
+    const hasSimpleValues = records.some(
+      ({properties}) => properties.length === 0,
+    );
+    const columns = [
+      {title: 'Name', key: NAME_KEY},
+      ...(hasSimpleValues ? [{title: 'Value', key: VALUE_KEY}] : []),
+      ...this._getColumnNames().map(name => ({
+        title: name,
+        key: PROPERTY_KEY_PREFIX + name,
+      })),
+    ];
+    return (
+      <Table
+        className="debugger-variable-table"
+        columns={columns}
+        rows={this._getRows()}
+        sortable={true}
+        onSort={this._handleSort}
+        sortedColumn={sortedColumn}
+        sortDescending={sortDescending}
+        collapsable={true}
+      />
+    );
+  }
+
+  render(): React.Node {
+    const {loading, error, stale} = this.state;
+    let content;
+    if (loading) {
+      content = <LoadingSpinner delay={200} />;
+    } else if (error != null) {
+      content = (
+        <div className="debugger-variable-table-message">
+          Could not fetch the children: {error}
+        </div>
+      );
+    } else {
+      content = this._renderTable();
+    }
+    return (
+      <div className="debugger-variable-table-view">
+        <div className="debugger-variable-table-toolbar">
+          <AtomInput
+            className="debugger-variable-table-filter"
+            size="sm"
+            placeholderText="Filter rows"
+            onDidChange={filter => this.setState({filter})}
+          />
+          {this._renderPager()}
+        </div>
+        {stale ? (
+          <div className="debugger-variable-table-message">
+            The program has continued, so these values may be out of date.
+          </div>
+        ) : null}
+        <div className="debugger-variable-table-content">{content}</div>
+      </div>
+    );
+  }
+}
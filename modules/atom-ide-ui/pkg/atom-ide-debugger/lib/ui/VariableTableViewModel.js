@@ -0,0 +1,76 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {IDebugService, IExpression, IProcess} from '../types';
+
+import * as React from 'react';
+import {track} from 'nuclide-commons/analytics';
+import {AnalyticsEvents} from '../constants';
+import VariableTableView from './VariableTableView';
+
+// Workspace item showing the children of a variable or watch expression as
+// the rows of a table. Variable references are only valid while the process
+// stays paused, so the item keeps the process that was focused when it was
+// opened. It has no URI since the expression can't be looked up again.
+export default class VariableTableViewModel {
+  _service: IDebugService;
+  _process: ?IProcess;
+  _expression: IExpression;
+
+  constructor(service: IDebugService, expression: IExpression) {
+    this._service = service;
+    this._process = service.viewModel.focusedProcess;
+    this._expression = expression;
+  }
+
+  getTitle(): string {
+    return `Table: ${this._expression.name}`;
+  }
+
+  getIconName(): string {
+    return 'list-unordered';
+  }
+
+  getDefaultLocation(): string {
+    return 'center';
+  }
+
+  createView(): React.Element<any> {
+    return (
+      <VariableTableView
+        service={this._service}
+        process={this._process}
+        expression={this._expression}
+      />
+    );
+  }
+
+  // Atom view needs to provide this, otherwise Atom throws an exception splitting panes for the view.
+  serialize(): {} {
+    return {};
+  }
+
+  copy(): boolean {
+    return false;
+  }
+}
+
+export function openVariableTable(
+  service: IDebugService,
+  expression: IExpression,
+): void {
+  track(AnalyticsEvents.DEBUGGER_VARIABLE_TABLE_OPEN);
+  const pane = atom.workspace.getCenter().getActivePane();
+  const item = new VariableTableViewModel(service, expression);
+  pane.addItem(item);
+  pane.activateItem(item);
+}
@@ -10,7 +10,12 @@
  * @format
  */
 
-import type {IEvaluatableExpression, IStackFrame, IProcess} from '../types';
+import type {
+  IStackFrame,
+  IProcess,
+  IWatchExpression,
+  WatchGroup,
+} from '../types';
 
 import {Observable} from 'rxjs';
 import * as React from 'react';
@@ -21,30 +26,79 @@ import nullthrows from 'nullthrows';
 import {LazyNestedValueComponent} from 'nuclide-commons-ui/LazyNestedValueComponent';
 import SimpleValueComponent from 'nuclide-commons-ui/SimpleValueComponent';
 import {Icon} from 'nuclide-commons-ui/Icon';
+import {Dropdown} from 'nuclide-commons-ui/Dropdown';
+import {Section} from 'nuclide-commons-ui/Section';
 import {
   expressionAsEvaluationResultStream,
   fetchChildrenForLazyComponent,
 } from '../utils';
 
 type Props = {
-  watchExpressions: Array<IEvaluatableExpression>,
+  watchExpressions: Array<IWatchExpression>,
+  watchGroups: Array<WatchGroup>,
+  watchExpressionHistory: Array<string>,
   focusedStackFrame: ?IStackFrame,
   focusedProcess: ?IProcess,
-  onAddWatchExpression: (expression: string) => void,
+  onAddWatchExpression: (expression: string, group: ?string) => void,
   onRemoveWatchExpression: (id: string) => void,
   onUpdateWatchExpression: (id: string, newExpression: string) => void,
+  onMoveWatchExpression: (id: string, group: ?string) => void,
+  onAddWatchGroup: (name: string) => void,
+  onRemoveWatchGroup: (name: string) => void,
+  onSetWatchGroupCollapsed: (name: string, collapsed: boolean) => void,
+  onViewAsTable: (expression: IWatchExpression) => void,
 };
 
 type State = {
   rowBeingEdited: ?string,
 };
 
+// Data transfer type of the id of a watch expression being dragged to
+// another group.
+const WATCH_EXPRESSION_ID_TYPE = 'text/x-debugger-watch-expression-id';
+
+type AddInputProps = {
+  className?: string,
+  placeholderText: string,
+  onConfirm: (text: string) => void,
+};
+
+// Input that adds what's typed into it, then clears itself.
+class AddInput extends React.Component<AddInputProps> {
+  _input: ?AtomInput;
+
+  _onConfirm = (): void => {
+    const input = nullthrows(this._input);
+    const text = input.getText();
+    if (text.trim() !== '') {
+      this.props.onConfirm(text);
+    }
+    input.setText('');
+  };
+
+  render(): React.Node {
+    return (
+      <AtomInput
+        className={classnames(
+          'debugger-watch-expression-input',
+          this.props.className,
+        )}
+        onConfirm={this._onConfirm}
+        ref={input => {
+          this._input = input;
+        }}
+        size="sm"
+        placeholderText={this.props.placeholderText}
+      />
+    );
+  }
+}
+
 export default class WatchExpressionComponent extends React.Component<
   Props,
   State,
 > {
   coreCancelDisposable: ?IDisposable;
-  _newExpressionEditor: ?AtomInput;
   _editExpressionEditor: ?AtomInput;
   _expansionStates: Map<
     string /* expression */,
@@ -73,16 +127,37 @@ export default class WatchExpressionComponent extends React.Component<
     this.props.onRemoveWatchExpression(id);
   }
 
-  addExpression(expression: string): void {
-    this.props.onAddWatchExpression(expression);
+  addExpression(expression: string, group: ?string): void {
+    this.props.onAddWatchExpression(expression, group);
   }
 
-  _onConfirmNewExpression = (): void => {
-    const text = nullthrows(this._newExpressionEditor).getText();
-    this.addExpression(text);
-    nullthrows(this._newExpressionEditor).setText('');
+  _removeGroup(name: string, event: MouseEvent): void {
+    // Don't toggle the section.
+    event.stopPropagation();
+    this.props.onRemoveWatchGroup(name);
+  }
+
+  _onDragStart(id: string, event: SyntheticDragEvent<>): void {
+    event.dataTransfer.setData(WATCH_EXPRESSION_ID_TYPE, id);
+    event.dataTransfer.effectAllowed = 'move';
+  }
+
+  _onDragOver = (event: SyntheticDragEvent<>): void => {
+    if (event.dataTransfer.types.includes(WATCH_EXPRESSION_ID_TYPE)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    }
   };
 
+  _onDrop(group: ?string, event: SyntheticDragEvent<>): void {
+    const id = event.dataTransfer.getData(WATCH_EXPRESSION_ID_TYPE);
+    if (id !== '') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.props.onMoveWatchExpression(id, group);
+    }
+  }
+
   _onConfirmExpressionEdit(id: string): void {
     const text = nullthrows(this._editExpressionEditor).getText();
     this.props.onUpdateWatchExpression(id, text);
@@ -110,7 +185,7 @@ export default class WatchExpressionComponent extends React.Component<
   };
 
   _renderExpression = (
-    watchExpression: IEvaluatableExpression,
+    watchExpression: IWatchExpression,
   ): React.Element<any> => {
     const {focusedProcess, focusedStackFrame} = this.props;
     const id = watchExpression.getId();
@@ -143,7 +218,14 @@ export default class WatchExpressionComponent extends React.Component<
       );
     }
     const ValueComponent = bindObservableAsProps(
-      evalResult.map(evaluationResult => ({evaluationResult})),
+      evalResult.map(evaluationResult => ({
+        evaluationResult,
+        // Highlights the values that changed since the previous stop.
+        className:
+          evaluationResult != null && watchExpression.hasChangedSinceLastStop()
+            ? 'debugger-watch-expression-value-changed'
+            : null,
+      })),
       LazyNestedValueComponent,
     );
     return (
@@ -152,6 +234,9 @@ export default class WatchExpressionComponent extends React.Component<
           'debugger-expression-value-row',
           'debugger-watch-expression-row',
         )}
+        data-expression={watchExpression.name}
+        draggable={true}
+        onDragStart={this._onDragStart.bind(this, id)}
         key={id}>
         <div
           className={classnames(
@@ -169,6 +254,12 @@ export default class WatchExpressionComponent extends React.Component<
           />
         </div>
         <div className="debugger-watch-expression-controls">
+          <Icon
+            icon="list-unordered"
+            className="debugger-watch-expression-control"
+            title="View as table"
+            onClick={() => this.props.onViewAsTable(watchExpression)}
+          />
           <Icon
             icon="pencil"
             className="debugger-watch-expression-control"
@@ -184,26 +275,96 @@ export default class WatchExpressionComponent extends React.Component<
     );
   };
 
-  render(): React.Node {
-    const expressions = this.props.watchExpressions.map(this._renderExpression);
-    const addNewExpressionInput = (
-      <AtomInput
-        className={classnames(
-          'debugger-watch-expression-input',
-          'debugger-watch-expression-add-new-input',
-        )}
-        onConfirm={this._onConfirmNewExpression}
-        ref={input => {
-          this._newExpressionEditor = input;
-        }}
+  _renderGroup(group: WatchGroup): React.Node {
+    const {name, collapsed} = group;
+    const expressions = collapsed
+      ? null
+      : this.props.watchExpressions
+          .filter(expression => expression.group === name)
+          .map(this._renderExpression);
+    return (
+      <div
+        className="debugger-watch-group"
+        key={name}
+        onDragOver={this._onDragOver}
+        onDrop={this._onDrop.bind(this, name)}>
+        <Section
+          collapsable={true}
+          collapsed={collapsed}
+          onChange={isCollapsed =>
+            this.props.onSetWatchGroupCollapsed(name, isCollapsed)
+          }
+          headline={
+            <span className="debugger-watch-group-headline">
+              {name}
+              <Icon
+                icon="x"
+                className="debugger-watch-expression-control"
+                title="Remove group and its expressions"
+                onClick={this._removeGroup.bind(this, name)}
+              />
+            </span>
+          }
+          size="small">
+          {expressions}
+          <AddInput
+            placeholderText={`Add watch expression to ${name}`}
+            onConfirm={text => this.addExpression(text, name)}
+          />
+        </Section>
+      </div>
+    );
+  }
+
+  _renderHistory(): React.Node {
+    const {watchExpressionHistory} = this.props;
+    return (
+      <Dropdown
+        className="debugger-watch-expression-history"
+        disabled={watchExpressionHistory.length === 0}
+        label="History"
         size="sm"
-        placeholderText="Add new watch expression"
+        tooltip={{title: 'Watch a previously added expression'}}
+        value={null}
+        options={watchExpressionHistory.map(expression => ({
+          label: expression,
+          value: expression,
+        }))}
+        onChange={(expression: ?string) => {
+          if (expression != null) {
+            this.addExpression(expression, null);
+          }
+        }}
       />
     );
+  }
+
+  render(): React.Node {
+    const expressions = this.props.watchExpressions
+      .filter(expression => expression.group == null)
+      .map(this._renderExpression);
     return (
       <div className="debugger-expression-value-list">
-        {expressions}
-        {addNewExpressionInput}
+        <div
+          className="debugger-watch-ungrouped"
+          onDragOver={this._onDragOver}
+          onDrop={this._onDrop.bind(this, null)}>
+          {expressions}
+          <div className="debugger-watch-expression-add-new">
+            <AddInput
+              className="debugger-watch-expression-add-new-input"
+              placeholderText="Add new watch expression"
+              onConfirm={text => this.addExpression(text, null)}
+            />
+            {this._renderHistory()}
+          </div>
+        </div>
+        {this.props.watchGroups.map(group => this._renderGroup(group))}
+        <AddInput
+          className="debugger-watch-group-add-new-input"
+          placeholderText="Add new watch group"
+          onConfirm={this.props.onAddWatchGroup}
+        />
       </div>
     );
   }
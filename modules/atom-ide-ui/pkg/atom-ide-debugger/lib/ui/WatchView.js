@@ -18,6 +18,7 @@ import * as React from 'react';
 import {bindObservableAsProps} from 'nuclide-commons-ui/bindObservableAsProps';
 import {Observable} from 'rxjs';
 import WatchExpressionComponent from './WatchExpressionComponent';
+import {openVariableTable} from './VariableTableViewModel';
 import {observableFromSubscribeFunction} from 'nuclide-commons/event';
 
 type Props = {
@@ -53,6 +54,8 @@ export default class WatchView extends React.PureComponent<Props> {
           focusedProcess: viewModel.focusedProcess,
           focusedStackFrame: viewModel.focusedStackFrame,
           watchExpressions: model.getWatchExpressions(),
+          watchGroups: model.getWatchGroups(),
+          watchExpressionHistory: service.getWatchExpressionHistory(),
         })),
       WatchExpressionComponent,
     );
@@ -74,6 +77,13 @@ export default class WatchView extends React.PureComponent<Props> {
             onUpdateWatchExpression={service.renameWatchExpression.bind(
               service,
             )}
+            onMoveWatchExpression={service.moveWatchExpression.bind(service)}
+            onAddWatchGroup={service.addWatchGroup.bind(service)}
+            onRemoveWatchGroup={service.removeWatchGroup.bind(service)}
+            onSetWatchGroupCollapsed={service.setWatchGroupCollapsed.bind(
+              service,
+            )}
+            onViewAsTable={expression => openVariableTable(service, expression)}
           />
         </div>
       </div>
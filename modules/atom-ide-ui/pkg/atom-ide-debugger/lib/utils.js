@@ -18,6 +18,7 @@ import type {
   ContextType,
 } from './types';
 import type {EvaluationResult} from 'nuclide-commons-ui/TextRenderer';
+import * as DebugProtocol from 'vscode-debugprotocol';
 import type {ExpansionResult} from 'nuclide-commons-ui/LazyNestedValueComponent';
 
 import nullthrows from 'nullthrows';
@@ -109,6 +110,16 @@ export function isLocalScopeName(scopeName: string): boolean {
   return ['Local', 'Locals'].indexOf(scopeName) !== -1;
 }
 
+export function canDisassemble(stackFrame: ?IStackFrame): boolean {
+  return (
+    stackFrame != null &&
+    stackFrame.instructionPointerReference != null &&
+    Boolean(
+      stackFrame.thread.process.session.capabilities.supportsDisassembleRequest,
+    )
+  );
+}
+
 export function expressionAsEvaluationResult(
   expression: IExpression,
 ): EvaluationResult {
@@ -167,6 +178,88 @@ export function fetchChildrenForLazyComponent(
   );
 }
 
+// Autocomplete has no icons for some of the completion item types.
+const COMPLETION_ITEM_TYPES: {[DebugProtocol.CompletionItemType]: ?string} = {
+  method: 'method',
+  function: 'function',
+  constructor: 'method',
+  field: 'property',
+  variable: 'variable',
+  class: 'class',
+  interface: 'type',
+  module: 'import',
+  property: 'property',
+  unit: 'value',
+  value: 'value',
+  enum: 'type',
+  keyword: 'keyword',
+  snippet: 'snippet',
+  text: null,
+  color: 'value',
+  file: 'import',
+  reference: 'variable',
+  customcolor: 'value',
+};
+
+function getReplacementPrefix(
+  item: DebugProtocol.CompletionItem,
+  line: string,
+  column: number,
+): ?string {
+  // Autocomplete replaces the prefix before the cursor, so the part of a
+  // range after the cursor is kept.
+  if (item.start != null) {
+    // `start` is a column of the line of the cursor. Columns start at 1 in
+    // this client.
+    const start = Math.max(item.start - 1, 0);
+    return start <= column ? line.slice(start, column) : null;
+  }
+  if (item.length != null) {
+    return line.slice(Math.max(column - item.length, 0), column);
+  }
+  // Like in other clients, a completion without a range replaces the word
+  // before the cursor.
+  return null;
+}
+
+function getSortText(item: DebugProtocol.CompletionItem): string {
+  return item.sortText != null && item.sortText !== ''
+    ? item.sortText
+    : item.label;
+}
+
+/**
+ * Turns the completion items from a debug adapter into autocomplete
+ * suggestions for the cursor at `position` in `text`.
+ */
+export function completionItemsToSuggestions(
+  items: Array<DebugProtocol.CompletionItem>,
+  text: string,
+  position: atom$Point,
+): Array<atom$AutocompleteSuggestion> {
+  const line = text.split(/\r?\n/)[position.row] || '';
+  return items
+    .slice()
+    .sort((a, b) => getSortText(a).localeCompare(getSortText(b)))
+    .map(item => {
+      const suggestion: atom$AutocompleteSuggestion = {
+        displayText: item.label,
+        // The protocol falls back to the label for empty strings too.
+        text: item.text != null && item.text !== '' ? item.text : item.label,
+        type: item.type == null ? null : COMPLETION_ITEM_TYPES[item.type],
+      };
+      const replacementPrefix = getReplacementPrefix(
+        item,
+        line,
+        position.column,
+      );
+      if (replacementPrefix != null) {
+        suggestion.replacementPrefix = replacementPrefix;
+      }
+      return suggestion;
+    });
+}
+
 export function onUnexpectedError(error: any) {
   const errorMessage = error.stack || error.message || String(error);
   logger.error('Unexpected error', error);
@@ -39,14 +39,17 @@ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.
 */
 
-import type {ConsoleMessage} from 'atom-ide-ui';
+import type {BusyMessage, ConsoleMessage} from 'atom-ide-ui';
 import type {RecordToken, Level} from '../../../atom-ide-console/lib/types';
 import type {
   TerminalInfo,
   TerminalInstance,
 } from '../../../atom-ide-terminal/lib/types';
 import type {
+  Compound,
+  CompoundConfiguration,
   DebuggerModeType,
+  DebuggerProgress,
   IDebugService,
   IModel,
   IViewModel,
@@ -57,22 +60,29 @@ import type {
   IUIBreakpoint,
   IStackFrame,
   SerializedState,
+  SerializedWatchExpressions,
 } from '../types';
 import type {
+  DebugSessionTranscript,
   IProcessConfig,
   MessageProcessor,
+  ProgressEvent,
   VSAdapterExecutableInfo,
 } from 'nuclide-debugger-common';
 import type {TimingTracker} from 'nuclide-commons/analytics';
 import * as DebugProtocol from 'vscode-debugprotocol';
 import * as React from 'react';
+import ReactDOM from 'react-dom';
 
 import invariant from 'assert';
 import {Icon} from 'nuclide-commons-ui/Icon';
 import nuclideUri from 'nuclide-commons/nuclideUri';
+import fsPromise from 'nuclide-commons/fsPromise';
 import {observableFromSubscribeFunction} from 'nuclide-commons/event';
 import {sleep, serializeAsyncCall} from 'nuclide-commons/promise';
 import {
+  DebugSessionRecorder,
+  VsAdapterReplaySpawner,
   VsDebugSession,
   localToRemoteProcessor,
   remoteToLocalProcessor,
@@ -84,6 +94,7 @@ import ReadOnlyNotice from 'nuclide-commons-ui/ReadOnlyNotice';
 import {track, startTracking} from 'nuclide-commons/analytics';
 import nullthrows from 'nullthrows';
 import {
+  getBusySignalService,
   getConsoleRegisterExecutor,
   getConsoleService,
   getNotificationService,
@@ -92,6 +103,8 @@ import {
   resolveDebugConfiguration,
 } from '../AtomServiceContainer';
 import {
+  canDisassemble,
+  completionItemsToSuggestions,
   expressionAsEvaluationResultStream,
   fetchChildrenForLazyComponent,
   capitalize,
@@ -100,21 +113,32 @@ import {
   Model,
   ExceptionBreakpoint,
   FunctionBreakpoint,
+  DataBreakpoint,
+  InstructionBreakpoint,
   Breakpoint,
   Expression,
   Process,
   ExpressionContainer,
+  WatchExpression,
 } from './DebuggerModel';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
-import {Emitter, TextBuffer} from 'atom';
-import {distinct, mapFromObject} from 'nuclide-commons/collection';
+import {Emitter, Range, TextBuffer} from 'atom';
+import {
+  distinct,
+  mapFromObject,
+  objectFromMap,
+} from 'nuclide-commons/collection';
 import {onUnexpectedError} from '../utils';
+import showInlineValues from '../InlineValues';
+import ExceptionInfoComponent from '../ui/ExceptionInfoComponent';
+import featureConfig from 'nuclide-commons-atom/feature-config';
 import uuid from 'uuid';
 import {
   BreakpointEventReasons,
   DebuggerMode,
   AnalyticsEvents,
   DEBUG_SOURCES_URI,
+  DISASSEMBLY_URI,
 } from '../constants';
 import logger from '../logger';
 import stripAnsi from 'strip-ansi';
@@ -126,6 +150,7 @@ const CONSOLE_VIEW_URI = 'atom://nuclide/console';
 
 const CUSTOM_DEBUG_EVENT = 'CUSTOM_DEBUG_EVENT';
 const CHANGE_DEBUG_MODE = 'CHANGE_DEBUG_MODE';
+const PROGRESS_CHANGED = 'PROGRESS_CHANGED';
 const START_DEBUG_SESSION = 'START_DEBUG_SESSION';
 const ACTIVE_THREAD_CHANGED = 'ACTIVE_THREAD_CHANGED';
 
@@ -289,6 +314,41 @@ class ViewModel implements IViewModel {
   }
 }
 
+function getProgressTitle(progress: DebuggerProgress): string {
+  const {title, message, percentage} = progress;
+  let progressTitle = message != null ? `${title}: ${message}` : title;
+  if (percentage != null) {
+    progressTitle += ` (${Math.round(percentage)}%)`;
+  }
+  return `Debugger: ${progressTitle}`;
+}
+
+const MAX_WATCH_EXPRESSION_HISTORY = 50;
+
+// Watch expressions are kept per project, keyed by the first project root.
+// Windows without a project folder use the empty string.
+function getWatchProjectRoot(): string {
+  const [root] = atom.project.getPaths();
+  return root != null ? root : '';
+}
+
+function serializeWatchExpressions(model: IModel): SerializedWatchExpressions {
+  return {
+    expressions: model
+      .getWatchExpressions()
+      .map(({name, group}) => ({name, group})),
+    groups: model.getWatchGroups(),
+  };
+}
+
+function createWatchExpressions(
+  serialized: SerializedWatchExpressions,
+): Array<WatchExpression> {
+  return serialized.expressions.map(
+    ({name, group}) => new WatchExpression(name, group),
+  );
+}
+
 function getDebuggerName(adapterType: string): string {
   return `${capitalize(adapterType)} Debugger`;
 }
@@ -303,6 +363,19 @@ export default class DebugService implements IDebugService {
   _timer: ?TimingTracker;
   _breakpointsToSendOnSave: Set<string>;
   _consoleOutput: Subject<ConsoleMessage>;
+  // Keyed by session id, then by progress id.
+  _progress: Map<
+    string,
+    Map<string, {progress: DebuggerProgress, busyMessage: ?BusyMessage}>,
+  >;
+  // Keyed by session id.
+  _recorders: Map<string, DebugSessionRecorder>;
+  // The saved watch expressions of the projects other than the current one,
+  // keyed by project root.
+  _watchExpressionsByProject: Map<string, SerializedWatchExpressions>;
+  _watchProjectRoot: string;
+  // Most recent first.
+  _watchExpressionHistory: Array<string>;
 
   constructor(state: ?SerializedState) {
     this._disposables = new UniversalDisposable();
@@ -312,13 +385,23 @@ export default class DebugService implements IDebugService {
     this._viewModel = new ViewModel();
     this._breakpointsToSendOnSave = new Set();
     this._consoleOutput = new Subject();
+    this._progress = new Map();
+    this._recorders = new Map();
+    this._watchProjectRoot = getWatchProjectRoot();
+    this._watchExpressionsByProject = this._loadWatchExpressionsByProject(
+      state,
+    );
+    this._watchExpressionHistory = this._loadWatchExpressionHistory(state);
+    const watchExpressions = this._loadWatchExpressions(state);
 
     this._model = new Model(
       this._loadBreakpoints(state),
       true,
       this._loadFunctionBreakpoints(state),
       this._loadExceptionBreakpoints(state),
-      this._loadWatchExpressions(state),
+      this._loadDataBreakpoints(state),
+      createWatchExpressions(watchExpressions),
+      watchExpressions.groups,
       () => this._viewModel.focusedProcess,
     );
     this._disposables.add(this._model, this._consoleOutput);
@@ -348,6 +431,7 @@ export default class DebugService implements IDebugService {
           }
         }
       }),
+      atom.project.onDidChangePaths(() => this._switchWatchProject()),
     );
   }
 
@@ -424,11 +508,12 @@ export default class DebugService implements IDebugService {
     // The call stack has already been refreshed by the logic handling
     // the thread stop event for this thread.
     const callStack = thread.getCachedCallStack();
+    const {focusedStackFrame} = this._viewModel;
     if (
       callStack.length === 0 ||
-      (this._viewModel.focusedStackFrame &&
-        this._viewModel.focusedStackFrame.thread.getId() === thread.getId() &&
-        callStack.includes(this._viewModel.focusedStackFrame))
+      (focusedStackFrame != null &&
+        focusedStackFrame.thread.getId() === thread.getId() &&
+        callStack.includes(focusedStackFrame))
     ) {
       return;
     }
@@ -447,6 +532,8 @@ export default class DebugService implements IDebugService {
   _registerMarkers(process: IProcess): IDisposable {
     let selectedFrameMarker: ?atom$Marker = null;
     let threadChangeDatatip: ?IDisposable;
+    let inlineValues: ?IDisposable;
+    let exceptionInfo: ?IDisposable;
     let lastFocusedThreadId: ?number;
     let lastFocusedProcess: ?IProcess;
 
@@ -460,6 +547,16 @@ export default class DebugService implements IDebugService {
         threadChangeDatatip.dispose();
         threadChangeDatatip = null;
       }
+
+      if (inlineValues != null) {
+        inlineValues.dispose();
+        inlineValues = null;
+      }
+
+      if (exceptionInfo != null) {
+        exceptionInfo.dispose();
+        exceptionInfo = null;
+      }
     };
 
     return new UniversalDisposable(
@@ -473,6 +570,12 @@ export default class DebugService implements IDebugService {
           const stackFrame = this._viewModel.focusedStackFrame;
 
           if (stackFrame == null || !stackFrame.source.available) {
+            if (canDisassemble(stackFrame)) {
+              // Native frames often have no source, show their instructions.
+              // eslint-disable-next-line nuclide-internal/atom-apis
+              atom.workspace.open(DISASSEMBLY_URI, {searchAllPanes: true});
+              return Observable.empty();
+            }
             if (
               explicit &&
               this.getDebuggerMode(this._viewModel.focusedProcess) ===
@@ -512,6 +615,14 @@ export default class DebugService implements IDebugService {
             class: 'debugger-current-line-highlight',
           });
 
+          if (featureConfig.get('atom-ide-debugger.showInlineValues')) {
+            inlineValues = showInlineValues(editor, stackFrame);
+          }
+
+          if (stackFrame.index === 0) {
+            exceptionInfo = this._showExceptionInfo(editor, stackFrame);
+          }
+
           const datatipService = getDatatipService();
           if (datatipService == null) {
             return;
@@ -576,6 +687,42 @@ export default class DebugService implements IDebugService {
     );
   }
 
+  /**
+   * Shows the exception the thread of the frame stopped on, if any, below the
+   * line that threw it.
+   */
+  _showExceptionInfo(
+    editor: atom$TextEditor,
+    stackFrame: IStackFrame,
+  ): IDisposable {
+    const container = document.createElement('div');
+    const line = stackFrame.range.start.row;
+    const disposable = new UniversalDisposable(
+      Observable.fromPromise(stackFrame.thread.exceptionInfo())
+        .catch(error => {
+          logger.error('Failed to get exception info', error);
+          return Observable.of(null);
+        })
+        .subscribe(info => {
+          if (info == null) {
+            return;
+          }
+          ReactDOM.render(
+            <ExceptionInfoComponent
+              service={this}
+              editor={editor}
+              range={new Range([line, 0], [line, 0])}
+              exceptionInfo={info}
+              onDismiss={() => disposable.dispose()}
+            />,
+            container,
+          );
+        }),
+      () => ReactDOM.unmountComponentAtNode(container),
+    );
+    return disposable;
+  }
+
   _registerSessionListeners(process: Process, session: VsDebugSession): void {
     this._sessionEndDisposables = new UniversalDisposable(session);
     this._sessionEndDisposables.add(this._registerMarkers(process));
@@ -649,10 +796,19 @@ export default class DebugService implements IDebugService {
             sendConfigurationDone,
           );
           await threadFetcher();
+          await this._fetchLoadedSourcesAndModules(process);
         } catch (error) {
           onUnexpectedError(error);
         }
       }),
+      session.observeSourceLoadedEvents().subscribe(event => {
+        const {reason, source} = event.body;
+        this._model.updateLoadedSource(process, reason, source);
+      }),
+      session.observeModuleEvents().subscribe(event => {
+        const {reason, module} = event.body;
+        this._model.updateModule(process, reason, module);
+      }),
     );
 
     const toFocusThreads = new Subject();
@@ -670,6 +826,8 @@ export default class DebugService implements IDebugService {
 
     this._sessionEndDisposables.add(
       session.observeStopEvents().subscribe(() => {
+        // Before the watch expressions are evaluated at this stop.
+        this._model.rememberWatchExpressionValues();
         this._onDebuggerModeChanged(process, DebuggerMode.PAUSED);
       }),
       session.observeEvaluations().subscribe(() => {
@@ -717,10 +875,20 @@ export default class DebugService implements IDebugService {
             focusedThread != null &&
             focusedThread.stopped &&
             focusedThread.getId() !== thread.getId() &&
-            preserveFocusHint
+            (preserveFocusHint || focusedThread.process !== thread.process)
           ) {
-            // The debugger is already stopped elsewhere.
-            return Observable.empty();
+            // The debugger is already stopped elsewhere. When several
+            // processes stop at once, keep focus on the first one rather
+            // than jumping to whichever process reported last. Still fetch
+            // the top frame so the thread list can show where it stopped.
+            return Observable.fromPromise(
+              this._model.refreshCallStack(thread, false),
+            )
+              .ignoreElements()
+              .catch(error => {
+                onUnexpectedError(error);
+                return Observable.empty();
+              });
           }
 
           const thisThreadIsFocused =
@@ -730,9 +898,9 @@ export default class DebugService implements IDebugService {
           // Fetches the first call frame in this stack to allow the UI to
           // update the thread list. Additional frames will be fetched by the UI
           // on demand, only if they are needed.
-          // If this thread is the currently focused thread, fetch the entire
-          // stack because the UI will certainly need it, and we need it here to
-          // try and auto-focus a frame.
+          // If this thread is the currently focused thread, fetch the first
+          // page of the stack because the UI will certainly need it, and we
+          // need it here to try and auto-focus a frame.
           return (
             Observable.fromPromise(
               this._model.refreshCallStack(thread, thisThreadIsFocused),
@@ -1025,6 +1193,14 @@ export default class DebugService implements IDebugService {
       }),
     );
 
+    this._sessionEndDisposables.add(
+      session
+        .observeProgressEvents()
+        // The adapter won't end the progress it was reporting if it goes away.
+        .finally(() => this._clearProgress(sessionId))
+        .subscribe(event => this._handleProgressEvent(process, event)),
+    );
+
     // Clear in memory breakpoints.
     this._sessionEndDisposables.add(() => {
       const sourceRefBreakpoints = this._model
@@ -1051,6 +1227,115 @@ export default class DebugService implements IDebugService {
     }
   }
 
+  _handleProgressEvent(process: IProcess, event: ProgressEvent): void {
+    const sessionId = process.getId();
+    let sessionProgress = this._progress.get(sessionId);
+    if (sessionProgress == null) {
+      sessionProgress = new Map();
+      this._progress.set(sessionId, sessionProgress);
+    }
+    const {progressId} = event.body;
+    const entry = sessionProgress.get(progressId);
+    switch (event.event) {
+      case 'progressStart': {
+        if (entry != null && entry.busyMessage != null) {
+          entry.busyMessage.dispose();
+        }
+        const {title, message, percentage} = event.body;
+        // The protocol spells it differently.
+        // eslint-disable-next-line nuclide-internal/api-spelling
+        const cancelable = event.body.cancellable === true;
+        const progress = {
+          process,
+          progressId,
+          title,
+          message,
+          percentage,
+          cancelable,
+        };
+        const busySignalService = getBusySignalService();
+        sessionProgress.set(progressId, {
+          progress,
+          busyMessage:
+            busySignalService == null
+              ? null
+              : busySignalService.reportBusy(getProgressTitle(progress)),
+        });
+        break;
+      }
+      case 'progressUpdate': {
+        if (entry == null) {
+          return;
+        }
+        const {message, percentage} = event.body;
+        const progress = {
+          ...entry.progress,
+          // An omitted message means the previous one still applies.
+          message: message != null ? message : entry.progress.message,
+          percentage,
+        };
+        if (entry.busyMessage != null) {
+          entry.busyMessage.setTitle(getProgressTitle(progress));
+        }
+        sessionProgress.set(progressId, {...entry, progress});
+        break;
+      }
+      case 'progressEnd':
+        if (entry == null) {
+          return;
+        }
+        if (entry.busyMessage != null) {
+          entry.busyMessage.dispose();
+        }
+        sessionProgress.delete(progressId);
+        break;
+      default:
+        return;
+    }
+    this._emitter.emit(PROGRESS_CHANGED);
+  }
+
+  _clearProgress(sessionId: string): void {
+    const sessionProgress = this._progress.get(sessionId);
+    if (sessionProgress == null) {
+      return;
+    }
+    for (const {busyMessage} of sessionProgress.values()) {
+      if (busyMessage != null) {
+        busyMessage.dispose();
+      }
+    }
+    this._progress.delete(sessionId);
+    this._emitter.emit(PROGRESS_CHANGED);
+  }
+
+  getProgress(): Array<DebuggerProgress> {
+    const progress = [];
+    for (const sessionProgress of this._progress.values()) {
+      for (const entry of sessionProgress.values()) {
+        progress.push(entry.progress);
+      }
+    }
+    return progress;
+  }
+
+  async cancelProgress(progress: DebuggerProgress): Promise<void> {
+    const {process, progressId} = progress;
+    if (
+      !progress.cancelable ||
+      !process.session.capabilities.supportsCancelRequest
+    ) {
+      return;
+    }
+    track(AnalyticsEvents.DEBUGGER_PROGRESS_CANCEL);
+    // The adapter ends the progress once it has stopped the operation.
+    await process.session.cancel({progressId});
+  }
+
+  onDidChangeProgress(callback: () => mixed): IDisposable {
+    return this._emitter.on(PROGRESS_CHANGED, callback);
+  }
+
   onDidChangeActiveThread(callback: () => mixed): IDisposable {
     return this._emitter.on(ACTIVE_THREAD_CHANGED, callback);
   }
@@ -1083,7 +1368,9 @@ export default class DebugService implements IDebugService {
         const bp: IUIBreakpoint = {
           uri: breakpoint.uri,
           line: breakpoint.originalLine,
-          column: breakpoint.column,
+          // Breakpoints saved before there were column breakpoints have no
+          // original column.
+          column: breakpoint.originalColumn || 0,
           enabled: breakpoint.enabled,
           id: uuid.v4(),
         };
@@ -1093,6 +1380,18 @@ export default class DebugService implements IDebugService {
         ) {
           bp.condition = breakpoint.condition;
         }
+        if (
+          breakpoint.hitCondition != null &&
+          breakpoint.hitCondition.trim() !== ''
+        ) {
+          bp.hitCondition = breakpoint.hitCondition;
+        }
+        if (
+          breakpoint.logMessage != null &&
+          breakpoint.logMessage.trim() !== ''
+        ) {
+          bp.logMessage = breakpoint.logMessage;
+        }
         return bp;
       });
     } catch (e) {}
@@ -1132,18 +1431,93 @@ export default class DebugService implements IDebugService {
     return result;
   }
 
-  _loadWatchExpressions(state: ?SerializedState): Expression[] {
-    let result: Expression[] = [];
-    if (state == null || state.watchExpressions == null) {
+  _loadDataBreakpoints(state: ?SerializedState): DataBreakpoint[] {
+    let result: DataBreakpoint[] = [];
+    if (state == null || state.dataBreakpoints == null) {
+      return result;
+    }
+    try {
+      result = state.dataBreakpoints.filter(dbp => dbp.canPersist).map(dbp => {
+        return new DataBreakpoint(
+          dbp.dataId,
+          dbp.description,
+          dbp.accessType,
+          dbp.canPersist,
+          dbp.enabled,
+        );
+      });
+    } catch (e) {}
+
+    return result;
+  }
+
+  _loadWatchExpressionsByProject(
+    state: ?SerializedState,
+  ): Map<string, SerializedWatchExpressions> {
+    let result = new Map();
+    if (state == null || state.watchExpressionsByProject == null) {
       return result;
     }
     try {
-      result = state.watchExpressions.map(name => new Expression(name));
+      result = mapFromObject(state.watchExpressionsByProject);
     } catch (e) {}
 
     return result;
   }
 
+  _loadWatchExpressionHistory(state: ?SerializedState): Array<string> {
+    if (state == null || state.watchExpressionHistory == null) {
+      return [];
+    }
+    return state.watchExpressionHistory.slice(0, MAX_WATCH_EXPRESSION_HISTORY);
+  }
+
+  _loadWatchExpressions(state: ?SerializedState): SerializedWatchExpressions {
+    const saved = this._watchExpressionsByProject.get(this._watchProjectRoot);
+    if (saved != null) {
+      this._watchExpressionsByProject.delete(this._watchProjectRoot);
+      return saved;
+    }
+    // Older versions kept a single list of watch expressions for all projects.
+    if (state != null && state.watchExpressions != null) {
+      return {
+        expressions: state.watchExpressions.map(name => ({name, group: null})),
+        groups: [],
+      };
+    }
+    return {expressions: [], groups: []};
+  }
+
+  _switchWatchProject(): void {
+    const root = getWatchProjectRoot();
+    if (root === this._watchProjectRoot) {
+      return;
+    }
+    this._watchExpressionsByProject.set(
+      this._watchProjectRoot,
+      serializeWatchExpressions(this._model),
+    );
+    this._watchProjectRoot = root;
+    const saved = this._watchExpressionsByProject.get(root);
+    this._watchExpressionsByProject.delete(root);
+    if (saved != null) {
+      this._model.setWatchExpressions(
+        createWatchExpressions(saved),
+        saved.groups,
+      );
+    } else {
+      this._model.setWatchExpressions([], []);
+    }
+  }
+
+  getSerializedWatchExpressions(): {
+    [projectRoot: string]: SerializedWatchExpressions,
+  } {
+    const byProject = objectFromMap(this._watchExpressionsByProject);
+    byProject[this._watchProjectRoot] = serializeWatchExpressions(this._model);
+    return byProject;
+  }
+
   _onDebuggerModeChanged(process: IProcess, mode: DebuggerModeType): void {
     this._emitter.emit(CHANGE_DEBUG_MODE, {
       data: {
@@ -1163,6 +1537,10 @@ export default class DebugService implements IDebugService {
         return this._sendBreakpoints(breakpoint.uri);
       } else if (breakpoint instanceof FunctionBreakpoint) {
         return this._sendFunctionBreakpoints();
+      } else if (breakpoint instanceof DataBreakpoint) {
+        return this._sendDataBreakpoints();
+      } else if (breakpoint instanceof InstructionBreakpoint) {
+        return this._sendInstructionBreakpoints();
       } else {
         track(AnalyticsEvents.DEBUGGER_TOGGLE_EXCEPTION_BREAKPOINT);
         return this._sendExceptionBreakpoints();
@@ -1213,6 +1591,42 @@ export default class DebugService implements IDebugService {
     }
   }
 
+  toggleColumnBreakpoint(
+    uri: string,
+    line: number,
+    column: number,
+  ): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_BREAKPOINT_TOGGLE);
+    const existing = this._model
+      .getBreakpoints()
+      .find(bp => bp.uri === uri && bp.line === line && bp.column === column);
+    if (existing == null) {
+      return this.addUIBreakpoints([
+        {line, column, enabled: true, id: uuid.v4(), uri},
+      ]);
+    } else {
+      return this.removeBreakpoints(existing.getId(), true);
+    }
+  }
+
+  async getBreakpointLocations(
+    uri: string,
+    line: number,
+  ): Promise<Array<DebugProtocol.BreakpointLocation>> {
+    const {focusedProcess} = this.viewModel;
+    if (
+      focusedProcess == null ||
+      !focusedProcess.session.capabilities.supportsBreakpointLocationsRequest
+    ) {
+      return [];
+    }
+    const response = await focusedProcess.session.breakpointLocations({
+      source: focusedProcess.getSource({path: uri}).raw,
+      line,
+    });
+    return response.body.breakpoints;
+  }
+
   updateBreakpoints(uiBreakpoints: IUIBreakpoint[]) {
     this._model.updateBreakpoints(uiBreakpoints);
 
@@ -1261,6 +1675,72 @@ export default class DebugService implements IDebugService {
     return this._sendFunctionBreakpoints();
   }
 
+  async addDataBreakpoint(
+    name: string,
+    variablesReference?: number,
+  ): Promise<void> {
+    const session = this._getCurrentSession();
+    if (session == null || !session.getCapabilities().supportsDataBreakpoints) {
+      return;
+    }
+
+    const response = await session.dataBreakpointInfo({
+      name,
+      variablesReference,
+    });
+    if (response == null || response.body == null) {
+      return;
+    }
+
+    const {dataId, description, accessTypes, canPersist} = response.body;
+    if (dataId == null) {
+      atom.notifications.addWarning(
+        `Cannot break when the value of ${name} changes`,
+        {detail: description},
+      );
+      return;
+    }
+
+    track(AnalyticsEvents.DEBUGGER_DATA_BREAKPOINT_ADD, {
+      language: nullthrows(this._viewModel.focusedProcess).configuration
+        .adapterType,
+    });
+    this._model.addDataBreakpoint(
+      dataId,
+      description,
+      accessTypes != null && accessTypes.includes('write') ? 'write' : null,
+      Boolean(canPersist),
+    );
+    await this._sendDataBreakpoints();
+  }
+
+  removeDataBreakpoints(id?: string): Promise<void> {
+    this._model.removeDataBreakpoints(id);
+    return this._sendDataBreakpoints();
+  }
+
+  async addInstructionBreakpoint(instructionReference: string): Promise<void> {
+    const session = this._getCurrentSession();
+    if (
+      session == null ||
+      !session.getCapabilities().supportsInstructionBreakpoints
+    ) {
+      return;
+    }
+
+    track(AnalyticsEvents.DEBUGGER_INSTRUCTION_BREAKPOINT_ADD, {
+      language: nullthrows(this._viewModel.focusedProcess).configuration
+        .adapterType,
+    });
+    this._model.addInstructionBreakpoint(instructionReference);
+    await this._sendInstructionBreakpoints();
+  }
+
+  removeInstructionBreakpoints(id?: string): Promise<void> {
+    this._model.removeInstructionBreakpoints(id);
+    return this._sendInstructionBreakpoints();
+  }
+
   async terminateThreads(threadIds: Array<number>): Promise<void> {
     const {focusedProcess} = this.viewModel;
     if (focusedProcess == null) {
@@ -1276,6 +1756,41 @@ export default class DebugService implements IDebugService {
     }
   }
 
+  async getGotoTargets(
+    uri: string,
+    line: number,
+  ): Promise<Array<DebugProtocol.GotoTarget>> {
+    const {focusedProcess} = this.viewModel;
+    if (
+      focusedProcess == null ||
+      !focusedProcess.session.capabilities.supportsGotoTargetsRequest
+    ) {
+      return [];
+    }
+    const response = await focusedProcess.session.gotoTargets({
+      source: focusedProcess.getSource({path: uri}).raw,
+      line,
+    });
+    return response.body.targets;
+  }
+
+  async gotoTarget(target: DebugProtocol.GotoTarget): Promise<void> {
+    const {focusedThread, focusedProcess} = this.viewModel;
+    if (focusedThread == null || focusedProcess == null) {
+      return;
+    }
+
+    track(AnalyticsEvents.DEBUGGER_STEP_JUMP_TO_CURSOR);
+    await focusedProcess.session.goto({
+      threadId: focusedThread.threadId,
+      targetId: target.id,
+    });
+    // The thread stays stopped, so there may not be a stopped event to
+    // refresh the frames.
+    await this._model.refreshCallStack(focusedThread, true);
+    await this._tryToAutoFocusStackFrame(focusedThread);
+  }
+
   async runToLocation(uri: string, line: number): Promise<void> {
     const {focusedThread, focusedProcess} = this.viewModel;
     if (focusedThread == null || focusedProcess == null) {
@@ -1334,13 +1849,15 @@ export default class DebugService implements IDebugService {
     await focusedThread.continue();
   }
 
-  addWatchExpression(name: string): void {
+  addWatchExpression(name: string, group?: ?string): void {
     track(AnalyticsEvents.DEBUGGER_WATCH_ADD_EXPRESSION);
-    return this._model.addWatchExpression(name);
+    this._addToWatchExpressionHistory(name);
+    return this._model.addWatchExpression(name, group);
   }
 
   renameWatchExpression(id: string, newName: string): void {
     track(AnalyticsEvents.DEBUGGER_WATCH_UPDATE_EXPRESSION);
+    this._addToWatchExpressionHistory(newName);
     return this._model.renameWatchExpression(id, newName);
   }
 
@@ -1349,6 +1866,37 @@ export default class DebugService implements IDebugService {
     this._model.removeWatchExpressions(id);
   }
 
+  moveWatchExpression(id: string, group: ?string): void {
+    this._model.moveWatchExpression(id, group);
+  }
+
+  addWatchGroup(name: string): void {
+    track(AnalyticsEvents.DEBUGGER_WATCH_ADD_GROUP);
+    this._model.addWatchGroup(name);
+  }
+
+  removeWatchGroup(name: string): void {
+    this._model.removeWatchGroup(name);
+  }
+
+  setWatchGroupCollapsed(name: string, collapsed: boolean): void {
+    this._model.setWatchGroupCollapsed(name, collapsed);
+  }
+
+  getWatchExpressionHistory(): Array<string> {
+    return this._watchExpressionHistory;
+  }
+
+  _addToWatchExpressionHistory(name: string): void {
+    if (name.trim() === '') {
+      return;
+    }
+    this._watchExpressionHistory = [
+      name,
+      ...this._watchExpressionHistory.filter(entry => entry !== name),
+    ].slice(0, MAX_WATCH_EXPRESSION_HISTORY);
+  }
+
   createExpression(rawExpression: string): IEvaluatableExpression {
     return new Expression(rawExpression);
   }
@@ -1356,6 +1904,7 @@ export default class DebugService implements IDebugService {
   async _doCreateProcess(
     rawConfiguration: IProcessConfig,
     sessionId: string,
+    compound: ?Compound,
   ): Promise<?IProcess> {
     let process: ?Process;
     let session: ?VsDebugSession;
@@ -1390,10 +1939,13 @@ export default class DebugService implements IDebugService {
       const adapterExecutable = await this._resolveAdapterExecutable(
         rawConfiguration,
       );
-      const configuration = await resolveDebugConfiguration({
-        ...rawConfiguration,
-        adapterExecutable,
-      });
+      const configuration =
+        rawConfiguration.replayTranscript != null
+          ? {...rawConfiguration, adapterExecutable}
+          : await resolveDebugConfiguration({
+              ...rawConfiguration,
+              adapterExecutable,
+            });
       const {
         adapterType,
         onDebugStartingCallback,
@@ -1431,8 +1983,8 @@ export default class DebugService implements IDebugService {
           this._registerConsoleExecutor();
         }
 
-        process = this._model.addProcess(config, newSession);
-        this._viewModel.setFocusedProcess(process, false);
+        process = this._model.addProcess(config, newSession, compound);
+        this._focusStartedProcess(process);
         this._onDebuggerModeChanged(process, DebuggerMode.STARTING);
         this._emitter.emit(START_DEBUG_SESSION, config);
         this._registerSessionListeners(process, newSession);
@@ -1449,6 +2001,8 @@ export default class DebugService implements IDebugService {
           supportsVariableType: true,
           supportsVariablePaging: false,
           supportsRunInTerminalRequest: getTerminalService() != null,
+          supportsMemoryReferences: true,
+          supportsProgressReporting: true,
           locale: 'en-us',
         });
 
@@ -1476,13 +2030,13 @@ export default class DebugService implements IDebugService {
         if (process != null) {
           process.clearProcessStartingFlag();
           this._onDebuggerModeChanged(process, DebuggerMode.RUNNING);
-          this._viewModel.setFocusedProcess(process, false);
+          this._focusStartedProcess(process);
         }
       };
 
       // We're not awaiting launch/attach to finish because some debug adapters
       // need to do custom work for launch/attach to work (e.g. mobilejs)
-      this._launchOrAttachTarget(session, configuration)
+      const launchOrAttach = this._launchOrAttachTarget(session, configuration)
         .then(() => setRunningState())
         .catch(async error => {
           if (process != null) {
@@ -1491,6 +2045,7 @@ export default class DebugService implements IDebugService {
 
           if (
             configuration.debugMode === 'attach' &&
+            configuration.replayTranscript == null &&
             configuration.adapterExecutable != null &&
             configuration.adapterExecutable.command !== 'sudo' &&
             // sudo is not supported on Windows, and currently remote projects
@@ -1511,7 +2066,7 @@ export default class DebugService implements IDebugService {
             );
 
             session = await createInitializeSession(configuration);
-            this._launchOrAttachTarget(session, configuration)
+            await this._launchOrAttachTarget(session, configuration)
               .then(() => setRunningState())
               .catch(errorHandler);
           } else {
@@ -1539,6 +2094,11 @@ export default class DebugService implements IDebugService {
       });
       this._sessionEndDisposables.add(sessionTeardownDisposables);
 
+      if (compound != null) {
+        // The processes of a compound are started in order, so wait for this
+        // one to finish launching or attaching before the next one starts.
+        await launchOrAttach;
+      }
       return process;
     } catch (error) {
       errorHandler(error);
@@ -1552,6 +2112,10 @@ export default class DebugService implements IDebugService {
     if (configuration.adapterExecutable != null) {
       return configuration.adapterExecutable;
     }
+    if (configuration.replayTranscript != null) {
+      // Replaying a transcript doesn't start an adapter.
+      return {command: '', args: []};
+    }
     return getVSCodeDebuggerAdapterServiceByNuclideUri(
       configuration.targetUri,
     ).getAdapterExecutableInfo(configuration.adapterType);
@@ -1562,9 +2126,13 @@ export default class DebugService implements IDebugService {
     adapterExecutable: VSAdapterExecutableInfo,
     sessionId: string,
   ): Promise<VsDebugSession> {
-    const {targetUri} = configuration;
-    const service = getVSCodeDebuggerAdapterServiceByNuclideUri(targetUri);
-    const spawner = await service.createVsRawAdapterSpawnerService();
+    const {targetUri, replayTranscript} = configuration;
+    const spawner =
+      replayTranscript != null
+        ? new VsAdapterReplaySpawner(replayTranscript)
+        : await getVSCodeDebuggerAdapterServiceByNuclideUri(
+            targetUri,
+          ).createVsRawAdapterSpawnerService();
 
     const clientPreprocessors: Array<MessageProcessor> = [];
     const adapterPreprocessors: Array<MessageProcessor> = [];
@@ -1579,6 +2147,16 @@ export default class DebugService implements IDebugService {
       clientPreprocessors.push(remoteToLocalProcessor());
       adapterPreprocessors.push(localToRemoteProcessor(targetUri));
     }
+    if (
+      replayTranscript == null &&
+      featureConfig.get('atom-ide-debugger.recordSessionTranscripts')
+    ) {
+      // Record the messages as they go over the wire.
+      const recorder = new DebugSessionRecorder(configuration);
+      clientPreprocessors.push(recorder.recordClientMessage);
+      adapterPreprocessors.unshift(recorder.recordAdapterMessage);
+      this._recorders.set(sessionId, recorder);
+    }
     return new VsDebugSession(
       sessionId,
       logger,
@@ -1681,7 +2259,13 @@ export default class DebugService implements IDebugService {
 
   canRestartProcess(): boolean {
     const process = this._getCurrentProcess();
-    return process != null && process.configuration.isRestartable === true;
+    if (process == null) {
+      return false;
+    }
+    const {compound} = process;
+    return compound != null
+      ? compound.configurations.every(config => config.isRestartable === true)
+      : process.configuration.isRestartable === true;
   }
 
   async restartProcess(process: IProcess): Promise<void> {
@@ -1690,7 +2274,130 @@ export default class DebugService implements IDebugService {
     }
     await process.session.disconnect(true);
     await sleep(300);
-    await this.startDebugging(process.configuration);
+    await this._startProcess(process.configuration, process.compound);
+  }
+
+  _getCompoundProcesses(compound: Compound): Array<IProcess> {
+    return this._model
+      .getProcesses()
+      .filter(p => p.compound != null && p.compound.id === compound.id);
+  }
+
+  async stopCompound(compound: Compound): Promise<void> {
+    await Promise.all(
+      this._getCompoundProcesses(compound).map(p => this.stopProcess(p)),
+    );
+  }
+
+  async restartCompound(compound: Compound): Promise<void> {
+    // Processes depend on the ones started before them, so tear the compound
+    // down completely and start it again in order.
+    await Promise.all(
+      this._getCompoundProcesses(compound).map(p => p.session.disconnect(true)),
+    );
+    await sleep(300);
+    await this._startCompound(compound);
+  }
+
+  async startCompoundDebugging(
+    compoundConfiguration: CompoundConfiguration,
+  ): Promise<void> {
+    await this._startCompound({
+      id: uuid.v4(),
+      name: compoundConfiguration.name,
+      configurations: compoundConfiguration.configurations,
+    });
+  }
+
+  async _startCompound(compound: Compound): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_START_COMPOUND, {
+      processesCount: compound.configurations.length,
+      debuggerTypes: compound.configurations.map(c => c.adapterType),
+    });
+    let failedConfig = null;
+    for (const config of compound.configurations) {
+      // eslint-disable-next-line no-await-in-loop
+      const process = await this._startProcess(config, compound);
+      if (process == null || !this._model.getProcesses().includes(process)) {
+        failedConfig = config;
+        break;
+      }
+    }
+    if (failedConfig != null) {
+      // Later processes can't work without the earlier ones, so don't leave
+      // a partially started compound behind.
+      atom.notifications.addError(
+        `Failed to start "${compound.name}": ` +
+          `${failedConfig.processName ??
+            failedConfig.adapterType} did not start.`,
+      );
+      await this.stopCompound(compound);
+    }
+  }
+
+  _focusStartedProcess(process: IProcess): void {
+    const {focusedProcess} = this._viewModel;
+    if (
+      process.compound != null &&
+      focusedProcess != null &&
+      focusedProcess !== process &&
+      focusedProcess.debuggerMode === DebuggerMode.PAUSED
+    ) {
+      // Don't take focus away from an earlier process of a compound which is
+      // already paused, e.g. because it stopped on entry.
+      return;
+    }
+    this._viewModel.setFocusedProcess(process, false);
+  }
+
+  async replaySessionTranscript(
+    transcript: DebugSessionTranscript,
+  ): Promise<void> {
+    const {adapterType, debugMode, targetUri, processName} = transcript;
+    await this._startProcess(
+      {
+        adapterType,
+        debugMode,
+        targetUri,
+        config: {},
+        processName: `Replay: ${
+          processName != null ? processName : getDebuggerName(adapterType)
+        }`,
+        isRestartable: false,
+        replayTranscript: transcript,
+      },
+      null,
+    );
+  }
+
+  async _saveTranscript(transcript: DebugSessionTranscript): Promise<void> {
+    const transcriptPath = nuclideUri.join(
+      os.tmpdir(),
+      `debugger-transcript-${transcript.adapterType}-${
+        transcript.startTime
+      }.json`,
+    );
+    await fsPromise.writeFile(
+      transcriptPath,
+      JSON.stringify(transcript, null, 2),
+    );
+    const notification = atom.notifications.addInfo(
+      'Debug session transcript saved',
+      {
+        detail: transcriptPath,
+        dismissable: true,
+        buttons: [
+          {
+            text: 'Open Transcript',
+            onDidClick: () => {
+              // eslint-disable-next-line nuclide-internal/atom-apis
+              atom.workspace.open(transcriptPath);
+              notification.dismiss();
+            },
+          },
+        ],
+      },
+    );
   }
 
   /**
@@ -1699,13 +2406,20 @@ export default class DebugService implements IDebugService {
    * and resolveds configurations via DebugConfigurationProviders.
    */
   async startDebugging(config: IProcessConfig): Promise<void> {
+    await this._startProcess(config, null);
+  }
+
+  async _startProcess(
+    config: IProcessConfig,
+    compound: ?Compound,
+  ): Promise<?IProcess> {
     this._timer = startTracking('debugger-atom:startDebugging');
 
     // Open the console window if it's not already opened.
     // eslint-disable-next-line nuclide-internal/atom-apis
     atom.workspace.open(CONSOLE_VIEW_URI, {searchAllPanes: true});
 
-    await this._doCreateProcess(config, uuid.v4());
+    const process = await this._doCreateProcess(config, uuid.v4(), compound);
 
     if (this._model.getProcesses().length > 1) {
       const debuggerTypes = this._model
@@ -1719,6 +2433,7 @@ export default class DebugService implements IDebugService {
         debuggerTypes,
       });
     }
+    return process;
   }
 
   _onSessionEnd = async (session: VsDebugSession): Promise<void> => {
@@ -1740,12 +2455,20 @@ export default class DebugService implements IDebugService {
     // Ensure all the adapters are terminated.
     await session.disconnect(false /* restart */, true /* force */);
 
+    const recorder = this._recorders.get(session.getId());
+    if (recorder != null) {
+      this._recorders.delete(session.getId());
+      this._saveTranscript(recorder.getTranscript()).catch(onUnexpectedError);
+    }
+
     if (
       this._model.getProcesses() == null ||
       this._model.getProcesses().length === 0
     ) {
       this._sessionEndDisposables.dispose();
       this._consoleDisposables.dispose();
+      this._model.removeSessionDataBreakpoints();
+      this._model.removeInstructionBreakpoints();
 
       // No processes remaining, clear process focus.
       this._viewModel.setFocusedProcess(null, false);
@@ -1799,6 +2522,27 @@ export default class DebugService implements IDebugService {
     return this._model;
   }
 
+  async _fetchLoadedSourcesAndModules(process: Process): Promise<void> {
+    const {session} = process;
+    const {
+      supportsLoadedSourcesRequest,
+      supportsModulesRequest,
+    } = session.capabilities;
+    // Events only report changes, so start from the full lists.
+    await Promise.all([
+      supportsLoadedSourcesRequest
+        ? session.loadedSources().then(response => {
+            this._model.setLoadedSources(process, response.body.sources);
+          }, onUnexpectedError)
+        : null,
+      supportsModulesRequest
+        ? session.modules({}).then(response => {
+            this._model.setModules(process, response.body.modules);
+          }, onUnexpectedError)
+        : null,
+    ]);
+  }
+
   async _sendAllBreakpoints(): Promise<void> {
     await Promise.all(
       distinct(this._model.getBreakpoints(), bp => bp.uri).map(bp =>
@@ -1806,6 +2550,8 @@ export default class DebugService implements IDebugService {
       ),
     );
     await this._sendFunctionBreakpoints();
+    await this._sendDataBreakpoints();
+    await this._sendInstructionBreakpoints();
     // send exception breakpoints at the end since some debug adapters rely on the order
     await this._sendExceptionBreakpoints();
   }
@@ -1846,6 +2592,12 @@ export default class DebugService implements IDebugService {
       rawSource.adapterData = breakpointsToSend[0].adapterData;
     }
 
+    const capabilities = session.getCapabilities();
+    const supportsHitConditionalBreakpoints = Boolean(
+      capabilities.supportsHitConditionalBreakpoints,
+    );
+    const supportsLogPoints = Boolean(capabilities.supportsLogPoints);
+
     // The UI is 0-based, while VSP is 1-based.
     const response = await session.setBreakpoints({
       source: (rawSource: any),
@@ -1854,8 +2606,8 @@ export default class DebugService implements IDebugService {
         const bpToSend: Object = {
           line: bp.line,
         };
-        // Column and condition are optional in the protocol, but should
-        // only be included on the object sent to the debug adapter if
+        // Column, conditions and log message are optional in the protocol, but
+        // should only be included on the object sent to the debug adapter if
         // they have values that exist.
         if (bp.column != null && bp.column > 0) {
           bpToSend.column = bp.column;
@@ -1863,6 +2615,20 @@ export default class DebugService implements IDebugService {
         if (bp.condition != null && bp.condition !== '') {
           bpToSend.condition = bp.condition;
         }
+        if (
+          supportsHitConditionalBreakpoints &&
+          bp.hitCondition != null &&
+          bp.hitCondition !== ''
+        ) {
+          bpToSend.hitCondition = bp.hitCondition;
+        }
+        if (
+          supportsLogPoints &&
+          bp.logMessage != null &&
+          bp.logMessage !== ''
+        ) {
+          bpToSend.logMessage = bp.logMessage;
+        }
         return bpToSend;
       }),
       sourceModified,
@@ -1932,6 +2698,70 @@ export default class DebugService implements IDebugService {
     this._model.updateFunctionBreakpoints(data);
   }
 
+  async _sendDataBreakpoints(): Promise<void> {
+    const session = this._getCurrentSession();
+    if (
+      session == null ||
+      !session.isReadyForBreakpoints() ||
+      !session.getCapabilities().supportsDataBreakpoints
+    ) {
+      return;
+    }
+
+    const breakpointsToSend = this._model
+      .getDataBreakpoints()
+      .filter(dbp => dbp.enabled && this._model.areBreakpointsActivated());
+    const response = await session.setDataBreakpoints({
+      breakpoints: breakpointsToSend.map(dbp => {
+        const dbpToSend: DebugProtocol.DataBreakpoint = {dataId: dbp.dataId};
+        if (dbp.accessType != null) {
+          dbpToSend.accessType = dbp.accessType;
+        }
+        return dbpToSend;
+      }),
+    });
+    if (response == null || response.body == null) {
+      return;
+    }
+
+    const data = {};
+    for (let i = 0; i < breakpointsToSend.length; i++) {
+      data[breakpointsToSend[i].getId()] = response.body.breakpoints[i];
+    }
+
+    this._model.updateDataBreakpoints(data);
+  }
+
+  async _sendInstructionBreakpoints(): Promise<void> {
+    const session = this._getCurrentSession();
+    if (
+      session == null ||
+      !session.isReadyForBreakpoints() ||
+      !session.getCapabilities().supportsInstructionBreakpoints
+    ) {
+      return;
+    }
+
+    const breakpointsToSend = this._model
+      .getInstructionBreakpoints()
+      .filter(ibp => ibp.enabled && this._model.areBreakpointsActivated());
+    const response = await session.setInstructionBreakpoints({
+      breakpoints: breakpointsToSend.map(ibp => ({
+        instructionReference: ibp.instructionReference,
+      })),
+    });
+    if (response == null || response.body == null) {
+      return;
+    }
+
+    const data = {};
+    for (let i = 0; i < breakpointsToSend.length; i++) {
+      data[breakpointsToSend[i].getId()] = response.body.breakpoints[i];
+    }
+
+    this._model.updateInstructionBreakpoints(data);
+  }
+
   async _sendExceptionBreakpoints(): Promise<void> {
     const session = this._getCurrentSession();
     if (
@@ -2013,9 +2843,34 @@ export default class DebugService implements IDebugService {
       onDidChangeScopeName(callback: () => mixed): IDisposable {
         return emitter.on(SCOPE_CHANGED, callback);
       },
+      // Input of several lines is evaluated as a single expression.
       send(expression: string) {
         evaluateExpression(new Expression(expression), 'log');
       },
+      async getCompletions(
+        request: atom$AutocompleteRequest,
+      ): Promise<Array<atom$AutocompleteSuggestion>> {
+        const {focusedProcess, focusedStackFrame} = viewModel;
+        if (
+          focusedProcess == null ||
+          !Boolean(
+            focusedProcess.session.capabilities.supportsCompletionsRequest,
+          )
+        ) {
+          return [];
+        }
+        const text = request.editor.getText();
+        const items = await focusedProcess.completions(
+          focusedStackFrame == null ? null : focusedStackFrame.frameId,
+          text,
+          request.bufferPosition,
+        );
+        return completionItemsToSuggestions(
+          items,
+          text,
+          request.bufferPosition,
+        );
+      },
       output: this._consoleOutput,
       getProperties: (fetchChildrenForLazyComponent: any),
     };
@@ -40,6 +40,7 @@ SOFTWARE.
 */
 
 import type {
+  Compound,
   IExpression,
   IExpressionContainer,
   IEvaluatableExpression,
@@ -60,9 +61,13 @@ import type {
   IExceptionInfo,
   IExceptionBreakpoint,
   IFunctionBreakpoint,
+  IDataBreakpoint,
+  IInstructionBreakpoint,
   ITreeElement,
   IVariable,
+  IWatchExpression,
   SourcePresentationHint,
+  WatchGroup,
   DebuggerModeType,
 } from '../types';
 import type {IProcessConfig} from 'nuclide-debugger-common';
@@ -179,6 +184,10 @@ export class ExpressionContainer implements IExpressionContainer {
     this._children = null;
   }
 
+  get indexedVariables(): number {
+    return this._indexedVariables;
+  }
+
   getChildren(): Promise<IVariable[]> {
     if (this._children == null) {
       this._children = this._doGetChildren();
@@ -250,6 +259,17 @@ export class ExpressionContainer implements IExpressionContainer {
     return childrenArray.concat(variables);
   }
 
+  getIndexedChildren(start: number, count: number): Promise<IVariable[]> {
+    if (!this.hasChildren()) {
+      return Promise.resolve([]);
+    }
+    return this._fetchVariables(
+      this._startOfVariables + start,
+      count,
+      'indexed',
+    );
+  }
+
   getId(): string {
     return this._id;
   }
@@ -296,6 +316,9 @@ export class ExpressionContainer implements IExpressionContainer {
             v.indexedVariables,
             v.presentationHint,
             v.type,
+            true,
+            null,
+            v.memoryReference,
           ),
       );
     } catch (e) {
@@ -401,6 +424,46 @@ export class Expression extends ExpressionContainer
   }
 }
 
+export class WatchExpression extends Expression implements IWatchExpression {
+  group: ?string;
+  // The value of the most recent evaluation that succeeded.
+  _lastAvailableValue: ?string;
+  _valueAtLastStop: ?string;
+
+  constructor(name: string, group: ?string, id?: string) {
+    super(name, id);
+    this.group = group;
+    this._lastAvailableValue = null;
+    this._valueAtLastStop = null;
+  }
+
+  async evaluate(
+    process: ?IProcess,
+    stackFrame: ?IStackFrame,
+    context: string,
+  ): Promise<void> {
+    await super.evaluate(process, stackFrame, context);
+    if (this.available) {
+      this._lastAvailableValue = this._value;
+    }
+  }
+
+  // Called when a process stops, before the expression is evaluated again.
+  // Evaluations while the process is running aren't available, so this
+  // remembers the last value that was.
+  rememberValueAtStop(): void {
+    this._valueAtLastStop = this._lastAvailableValue;
+  }
+
+  hasChangedSinceLastStop(): boolean {
+    return (
+      this.available &&
+      this._valueAtLastStop != null &&
+      this._valueAtLastStop !== this._value
+    );
+  }
+}
+
 export class Variable extends ExpressionContainer implements IExpression {
   // Used to show the error message coming from the adapter when setting the value #7807
   errorMessage: ?string;
@@ -410,6 +473,7 @@ export class Variable extends ExpressionContainer implements IExpression {
   presentationHint: ?DebugProtocol.VariablePresentationHint;
   _type: ?string;
   available: boolean;
+  memoryReference: ?string;
 
   constructor(
     process: ?IProcess,
@@ -424,6 +488,7 @@ export class Variable extends ExpressionContainer implements IExpression {
     type: ?string,
     available?: boolean = true,
     _startOfVariables: ?number,
+    memoryReference: ?string,
   ) {
     super(
       process,
@@ -441,6 +506,7 @@ export class Variable extends ExpressionContainer implements IExpression {
     this._type = type;
     this.available = available;
     this._value = value;
+    this.memoryReference = memoryReference;
   }
 
   get type(): ?string {
@@ -513,6 +579,7 @@ export class StackFrame implements IStackFrame {
   presentationHint: ?string;
   range: atom$Range;
   index: number;
+  instructionPointerReference: ?string;
 
   constructor(
     thread: IThread,
@@ -522,6 +589,7 @@ export class StackFrame implements IStackFrame {
     presentationHint: ?string,
     range: atom$Range,
     index: number,
+    instructionPointerReference: ?string,
   ) {
     this.thread = thread;
     this.frameId = frameId;
@@ -530,6 +598,7 @@ export class StackFrame implements IStackFrame {
     this.presentationHint = presentationHint;
     this.range = range;
     this.index = index;
+    this.instructionPointerReference = instructionPointerReference;
     this.scopes = null;
   }
 
@@ -623,10 +692,23 @@ export class StackFrame implements IStackFrame {
 type CallStack = {|
   valid: boolean,
   callFrames: IStackFrame[],
+  // The depth of the whole stack, if the adapter reported it.
+  totalFrames: ?number,
 |};
 
+function isSameFrame(frameA: IStackFrame, frameB: IStackFrame): boolean {
+  return (
+    frameA.name === frameB.name &&
+    frameA.source.uri === frameB.source.uri &&
+    frameA.range.start.row === frameB.range.start.row
+  );
+}
+
 export class Thread implements IThread {
   _callStack: CallStack;
+  // Frames loaded the last time this thread was stopped.
+  _staleCallFrames: IStackFrame[];
+  _staleTotalFrames: ?number;
   _refreshInProgress: boolean;
   stoppedDetails: ?IRawStoppedDetails;
   stopped: boolean;
@@ -640,6 +722,8 @@ export class Thread implements IThread {
     this.threadId = threadId;
     this.stoppedDetails = null;
     this._callStack = this._getEmptyCallstackState();
+    this._staleCallFrames = [];
+    this._staleTotalFrames = null;
     this.stopped = false;
     this._refreshInProgress = false;
   }
@@ -648,6 +732,7 @@ export class Thread implements IThread {
     return {
       valid: false,
       callFrames: [],
+      totalFrames: null,
     };
   }
 
@@ -690,9 +775,48 @@ export class Thread implements IThread {
   }
 
   clearCallStack(): void {
+    if (this._callStack.valid) {
+      this._staleCallFrames = this._callStack.callFrames;
+      this._staleTotalFrames = this._callStack.totalFrames;
+    }
     this._callStack = this._getEmptyCallstackState();
   }
 
+  getStaleCallStack(): IStackFrame[] {
+    return this._staleCallFrames;
+  }
+
+  /**
+   * If the outer frames of the stack are unchanged since the previous stop,
+   * i.e. only the innermost frames moved (as when stepping over, in or out),
+   * returns how many frames deeper the previous stack was. Otherwise returns
+   * null. The stacks are aligned from the bottom, where they stay the same.
+   */
+  _getUnchangedStackOffset(): ?number {
+    const {callFrames, totalFrames} = this._callStack;
+    const staleCallFrames = this._staleCallFrames;
+    const staleTotalFrames = this._staleTotalFrames;
+    if (totalFrames == null || staleTotalFrames == null) {
+      return null;
+    }
+    const offset = staleTotalFrames - totalFrames;
+    let compared = 0;
+    // The innermost frame moves with every step, so it's not compared.
+    for (let i = 1; i < callFrames.length; i++) {
+      const staleIndex = i + offset;
+      if (staleIndex >= staleCallFrames.length) {
+        break;
+      }
+      if (staleIndex >= 0) {
+        if (!isSameFrame(callFrames[i], staleCallFrames[staleIndex])) {
+          return null;
+        }
+        compared++;
+      }
+    }
+    return compared > 0 ? offset : null;
+  }
+
   getCallStackTopFrame(): ?IStackFrame {
     return this._isCallstackLoaded() ? this._callStack.callFrames[0] : null;
   }
@@ -711,10 +835,12 @@ export class Thread implements IThread {
 
     // Return a pending value and kick off the fetch. When the fetch
     // is done, emit the new call frames.
+    const missingLevels =
+      levels != null ? levels - this._callStack.callFrames.length : null;
     return Observable.concat(
       Observable.of(Expect.pending()),
-      Observable.fromPromise(this.refreshCallStack(levels)).switchMap(() =>
-        Observable.of(Expect.value(this._callStack.callFrames)),
+      Observable.fromPromise(this.refreshCallStack(missingLevels)).switchMap(
+        () => Observable.of(Expect.value(this._callStack.callFrames)),
       ),
     );
   }
@@ -728,7 +854,12 @@ export class Thread implements IThread {
    * which completes once the call stack has been retrieved.
    * If the thread is not stopped, it returns a promise to an empty array.
    *
-   * If specified, levels indicates the maximum depth of call frames to fetch.
+   * If specified, levels indicates the maximum number of additional call
+   * frames to fetch. When the first frames of a new stop are fetched and the
+   * outer frames are unchanged since the previous stop, the thread fetches
+   * the frames down to the depth that was loaded before, so that the depth the
+   * user paged to is kept while stepping. Frames can't be reused across stops,
+   * since adapters only keep their ids valid while the thread is stopped.
    */
   async refreshCallStack(levels: ?number): Promise<void> {
     if (!this.stopped) {
@@ -755,6 +886,20 @@ export class Thread implements IThread {
         this._callStack.callFrames = this._callStack.callFrames.concat(
           callStack || [],
         );
+
+        const offset = start === 0 ? this._getUnchangedStackOffset() : null;
+        if (offset != null) {
+          const loadedCount = this._callStack.callFrames.length;
+          const depth = Math.min(
+            this._staleCallFrames.length - offset,
+            nullthrows(this._callStack.totalFrames),
+          );
+          if (depth > loadedCount) {
+            this._callStack.callFrames = this._callStack.callFrames.concat(
+              await this._getCallStackImpl(loadedCount, depth - loadedCount),
+            );
+          }
+        }
       } else {
         // Must load the entire call stack, the debugger backend doesn't support
         // delayed call stack loading.
@@ -793,6 +938,7 @@ export class Thread implements IThread {
       if (this.stoppedDetails != null) {
         this.stoppedDetails.totalFrames = response.body.totalFrames;
       }
+      this._callStack.totalFrames = response.body.totalFrames;
 
       return response.body.stackFrames.map((rsf, index) => {
         const source = this.process.getSource(rsf.source);
@@ -812,6 +958,7 @@ export class Thread implements IThread {
             ],
           ),
           startFrame + index,
+          rsf.instructionPointerReference,
         );
       });
     } catch (err) {
@@ -859,24 +1006,44 @@ export class Thread implements IThread {
     };
   }
 
-  async next(): Promise<void> {
-    track(AnalyticsEvents.DEBUGGER_STEP_OVER);
-    await this.process.session.next({threadId: this.threadId});
+  _getSteppingArguments(
+    granularity?: DebugProtocol.SteppingGranularity,
+  ): DebugProtocol.NextArguments {
+    if (
+      granularity == null ||
+      !this.process.session.capabilities.supportsSteppingGranularity
+    ) {
+      return {threadId: this.threadId};
+    }
+    return {threadId: this.threadId, granularity};
+  }
+
+  async next(granularity?: DebugProtocol.SteppingGranularity): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_STEP_OVER, {granularity});
+    await this.process.session.next(this._getSteppingArguments(granularity));
   }
 
-  async stepIn(): Promise<void> {
-    track(AnalyticsEvents.DEBUGGER_STEP_INTO);
-    await this.process.session.stepIn({threadId: this.threadId});
+  async stepIn(granularity?: DebugProtocol.SteppingGranularity): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_STEP_INTO, {granularity});
+    await this.process.session.stepIn({
+      ...this._getSteppingArguments(granularity),
+    });
   }
 
-  async stepOut(): Promise<void> {
-    track(AnalyticsEvents.DEBUGGER_STEP_OUT);
-    await this.process.session.stepOut({threadId: this.threadId});
+  async stepOut(
+    granularity?: DebugProtocol.SteppingGranularity,
+  ): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_STEP_OUT, {granularity});
+    await this.process.session.stepOut(this._getSteppingArguments(granularity));
   }
 
-  async stepBack(): Promise<void> {
-    track(AnalyticsEvents.DEBUGGER_STEP_BACK);
-    await this.process.session.stepBack({threadId: this.threadId});
+  async stepBack(
+    granularity?: DebugProtocol.SteppingGranularity,
+  ): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_STEP_BACK, {granularity});
+    await this.process.session.stepBack(
+      this._getSteppingArguments(granularity),
+    );
   }
 
   async continue(): Promise<void> {
@@ -890,25 +1057,36 @@ export class Thread implements IThread {
   }
 
   async reverseContinue(): Promise<void> {
+    track(AnalyticsEvents.DEBUGGER_STEP_REVERSE_CONTINUE);
     await this.process.session.reverseContinue({threadId: this.threadId});
   }
 }
 
 export class Process implements IProcess {
   _sources: Map<string, ISource>;
+  _loadedSources: Map<string, ISource>;
+  _modules: Map<number | string, DebugProtocol.Module>;
   _threads: Map<number, Thread>;
   _session: ISession & ITreeElement;
   _configuration: IProcessConfig;
+  _compound: ?Compound;
   _pendingStart: boolean;
   _pendingStop: boolean;
   breakpoints: Breakpoint[];
   exceptionBreakpoints: IExceptionBreakpoint[];
 
-  constructor(configuration: IProcessConfig, session: ISession & ITreeElement) {
+  constructor(
+    configuration: IProcessConfig,
+    session: ISession & ITreeElement,
+    compound: ?Compound,
+  ) {
     this._configuration = configuration;
+    this._compound = compound;
     this._session = session;
     this._threads = new Map();
     this._sources = new Map();
+    this._loadedSources = new Map();
+    this._modules = new Map();
     this._pendingStart = true;
     this._pendingStop = false;
     this.breakpoints = [];
@@ -927,6 +1105,10 @@ export class Process implements IProcess {
     return this._configuration;
   }
 
+  get compound(): ?Compound {
+    return this._compound;
+  }
+
   get debuggerMode(): DebuggerModeType {
     if (this._pendingStart) {
       return DebuggerMode.STARTING;
@@ -965,6 +1147,44 @@ export class Process implements IProcess {
     return source;
   }
 
+  getLoadedSources(): ISource[] {
+    return Array.from(this._loadedSources.values());
+  }
+
+  setLoadedSources(sources: Array<DebugProtocol.Source>): void {
+    this._loadedSources.clear();
+    sources.forEach(raw => this.updateLoadedSource('new', raw));
+  }
+
+  updateLoadedSource(
+    reason: LoadedSourceEventReason,
+    raw: DebugProtocol.Source,
+  ): void {
+    const source = new Source(raw, this.getId());
+    if (reason === 'removed') {
+      this._loadedSources.delete(source.uri);
+    } else if (source.available) {
+      this._loadedSources.set(source.uri, source);
+    }
+  }
+
+  getModules(): DebugProtocol.Module[] {
+    return Array.from(this._modules.values());
+  }
+
+  setModules(modules: Array<DebugProtocol.Module>): void {
+    this._modules.clear();
+    modules.forEach(module => this.updateModule('new', module));
+  }
+
+  updateModule(reason: ModuleEventReason, module: DebugProtocol.Module): void {
+    if (reason === 'removed') {
+      this._modules.delete(module.id);
+    } else {
+      this._modules.set(module.id, module);
+    }
+  }
+
   getThread(threadId: number): ?Thread {
     return this._threads.get(threadId);
   }
@@ -1048,20 +1268,20 @@ export class Process implements IProcess {
   }
 
   async completions(
-    frameId: number,
+    frameId: ?number,
     text: string,
     position: atom$Point,
-    overwriteBefore: number,
   ): Promise<Array<DebugProtocol.CompletionItem>> {
     if (!this._session.capabilities.supportsCompletionsRequest) {
       return [];
     }
     try {
       const response = await this._session.completions({
-        frameId,
+        frameId: frameId == null ? undefined : frameId,
         text,
-        column: position.column,
-        line: position.row,
+        // Lines and columns start at 1 in this client.
+        column: position.column + 1,
+        line: position.row + 1,
       });
       if (response && response.body && response.body.targets) {
         return response.body.targets;
@@ -1081,9 +1301,12 @@ export class Breakpoint implements IBreakpoint {
   uri: string;
   line: number;
   originalLine: number;
+  originalColumn: number;
   column: number;
   enabled: boolean;
   condition: ?string;
+  hitCondition: ?string;
+  logMessage: ?string;
   adapterData: any;
   hitCount: ?number;
 
@@ -1094,11 +1317,14 @@ export class Breakpoint implements IBreakpoint {
     column: number,
     enabled: boolean,
     condition: ?string,
+    hitCondition: ?string,
+    logMessage: ?string,
     adapterData?: any,
   ) {
     this.uri = uri;
     this.line = line;
     this.originalLine = line;
+    this.originalColumn = column;
     this.column = column;
     this.enabled = enabled;
     this.condition = condition;
@@ -1112,6 +1338,16 @@ export class Breakpoint implements IBreakpoint {
     } else {
       this.condition = null;
     }
+    if (hitCondition != null && hitCondition.trim() !== '') {
+      this.hitCondition = hitCondition;
+    } else {
+      this.hitCondition = null;
+    }
+    if (logMessage != null && logMessage.trim() !== '') {
+      this.logMessage = logMessage;
+    } else {
+      this.logMessage = null;
+    }
   }
 
   getId(): string {
@@ -1161,11 +1397,77 @@ export class ExceptionBreakpoint implements IExceptionBreakpoint {
   }
 }
 
+export class DataBreakpoint implements IDataBreakpoint {
+  _id: string;
+  +dataId: string;
+  +description: string;
+  +accessType: ?DebugProtocol.DataBreakpointAccessType;
+  +canPersist: boolean;
+  enabled: boolean;
+  verified: boolean;
+  idFromAdapter: ?number;
+
+  constructor(
+    dataId: string,
+    description: string,
+    accessType: ?DebugProtocol.DataBreakpointAccessType,
+    canPersist: boolean,
+    enabled: boolean,
+  ) {
+    this.dataId = dataId;
+    this.description = description;
+    this.accessType = accessType;
+    this.canPersist = canPersist;
+    this.enabled = enabled;
+    this.verified = false;
+    this.idFromAdapter = null;
+    this._id = uuid.v4();
+  }
+
+  getId(): string {
+    return this._id;
+  }
+}
+
+export class InstructionBreakpoint implements IInstructionBreakpoint {
+  _id: string;
+  +instructionReference: string;
+  enabled: boolean;
+  verified: boolean;
+  idFromAdapter: ?number;
+
+  constructor(instructionReference: string, enabled: boolean) {
+    this.instructionReference = instructionReference;
+    this.enabled = enabled;
+    this.verified = false;
+    this.idFromAdapter = null;
+    this._id = uuid.v4();
+  }
+
+  getId(): string {
+    return this._id;
+  }
+}
+
+// Number of stack frames fetched at a time for a focused thread.
+const CALLSTACK_PAGE_SIZE = 20;
+
 const BREAKPOINTS_CHANGED = 'BREAKPOINTS_CHANGED';
 const WATCH_EXPRESSIONS_CHANGED = 'WATCH_EXPRESSIONS_CHANGED';
 
 const CALLSTACK_CHANGED = 'CALLSTACK_CHANGED';
 const PROCESSES_CHANGED = 'PROCESSES_CHANGED';
+const LOADED_SOURCES_CHANGED = 'LOADED_SOURCES_CHANGED';
+const MODULES_CHANGED = 'MODULES_CHANGED';
+
+type LoadedSourceEventReason = $PropertyType<
+  $PropertyType<DebugProtocol.LoadedSourceEvent, 'body'>,
+  'reason',
+>;
+type ModuleEventReason = $PropertyType<
+  $PropertyType<DebugProtocol.ModuleEvent, 'body'>,
+  'reason',
+>;
 
 type getFocusedProcessCallback = () => ?IProcess;
 
@@ -1178,7 +1480,10 @@ export class Model implements IModel {
   _uiBreakpoints: IUIBreakpoint[];
   _breakpointsActivated: boolean;
   _functionBreakpoints: FunctionBreakpoint[];
-  _watchExpressions: Expression[];
+  _dataBreakpoints: DataBreakpoint[];
+  _instructionBreakpoints: InstructionBreakpoint[];
+  _watchExpressions: WatchExpression[];
+  _watchGroups: Array<WatchGroup>;
   _disposables: UniversalDisposable;
   _emitter: Emitter;
   _getFocusedProcess: getFocusedProcessCallback;
@@ -1195,7 +1500,9 @@ export class Model implements IModel {
     breakpointsActivated: boolean,
     functionBreakpoints: FunctionBreakpoint[],
     exceptionBreakpoints: ExceptionBreakpoint[],
-    watchExpressions: Expression[],
+    dataBreakpoints: DataBreakpoint[],
+    watchExpressions: WatchExpression[],
+    watchGroups: Array<WatchGroup>,
     getFocusedProcess: getFocusedProcessCallback,
   ) {
     this._processes = [];
@@ -1203,7 +1510,10 @@ export class Model implements IModel {
     this._breakpointsActivated = breakpointsActivated;
     this._functionBreakpoints = functionBreakpoints;
     this._mostRecentExceptionBreakpoints = ((exceptionBreakpoints: any): IExceptionBreakpoint[]);
+    this._dataBreakpoints = dataBreakpoints;
+    this._instructionBreakpoints = [];
     this._watchExpressions = watchExpressions;
+    this._watchGroups = watchGroups;
     this._getFocusedProcess = getFocusedProcess;
     this._emitter = new Emitter();
     this._disposables = new UniversalDisposable(this._emitter);
@@ -1220,8 +1530,9 @@ export class Model implements IModel {
   addProcess(
     configuration: IProcessConfig,
     session: ISession & ITreeElement,
+    compound: ?Compound,
   ): Process {
-    const process = new Process(configuration, session);
+    const process = new Process(configuration, session, compound);
 
     // Add breakpoints to process.
     const processBreakpoints = process.breakpoints;
@@ -1234,6 +1545,8 @@ export class Model implements IModel {
           uiBp.column,
           uiBp.enabled,
           uiBp.condition,
+          uiBp.hitCondition,
+          uiBp.logMessage,
         ),
       );
     }
@@ -1282,6 +1595,45 @@ export class Model implements IModel {
     return this._emitter.on(WATCH_EXPRESSIONS_CHANGED, callback);
   }
 
+  onDidChangeLoadedSources(callback: () => mixed): IDisposable {
+    return this._emitter.on(LOADED_SOURCES_CHANGED, callback);
+  }
+
+  onDidChangeModules(callback: () => mixed): IDisposable {
+    return this._emitter.on(MODULES_CHANGED, callback);
+  }
+
+  setLoadedSources(
+    process: Process,
+    sources: Array<DebugProtocol.Source>,
+  ): void {
+    process.setLoadedSources(sources);
+    this._emitter.emit(LOADED_SOURCES_CHANGED);
+  }
+
+  updateLoadedSource(
+    process: Process,
+    reason: LoadedSourceEventReason,
+    source: DebugProtocol.Source,
+  ): void {
+    process.updateLoadedSource(reason, source);
+    this._emitter.emit(LOADED_SOURCES_CHANGED);
+  }
+
+  setModules(process: Process, modules: Array<DebugProtocol.Module>): void {
+    process.setModules(modules);
+    this._emitter.emit(MODULES_CHANGED);
+  }
+
+  updateModule(
+    process: Process,
+    reason: ModuleEventReason,
+    module: DebugProtocol.Module,
+  ): void {
+    process.updateModule(reason, module);
+    this._emitter.emit(MODULES_CHANGED);
+  }
+
   rawUpdate(data: IRawModelUpdate): void {
     const process = this._processes
       .filter(p => p.getId() === data.sessionId)
@@ -1309,20 +1661,22 @@ export class Model implements IModel {
 
   async refreshCallStack(
     threadI: IThread,
-    fetchAllFrames: boolean,
+    fetchFirstPage: boolean,
   ): Promise<void> {
     const thread: Thread = (threadI: any);
 
     // If the debugger supports delayed stack trace loading, load only
     // the first call stack frame, which is needed to display in the threads
-    // view. We will lazily load the remaining frames only for threads that
-    // are visible in the UI, allowing us to skip loading frames we don't
-    // need right now.
-    const framesToLoad =
+    // view, or the first page of frames for the focused thread. We will lazily
+    // load the remaining frames only when the user asks for them, allowing us
+    // to skip loading (possibly thousands of) frames we don't need right now.
+    let framesToLoad = null;
+    if (
       nullthrows(thread.process).session.capabilities
-        .supportsDelayedStackTraceLoading && !fetchAllFrames
-        ? 1
-        : null;
+        .supportsDelayedStackTraceLoading
+    ) {
+      framesToLoad = fetchFirstPage ? CALLSTACK_PAGE_SIZE : 1;
+    }
 
     thread.clearCallStack();
     await thread.refreshCallStack(framesToLoad);
@@ -1357,6 +1711,8 @@ export class Model implements IModel {
         uiBp.column,
         uiBp.enabled,
         uiBp.condition,
+        uiBp.hitCondition,
+        uiBp.logMessage,
       );
       bp.verified = true;
       return bp;
@@ -1364,13 +1720,13 @@ export class Model implements IModel {
   }
 
   getBreakpointAtLine(uri: string, line: number): ?IBreakpoint {
-    let breakpoint = this.getBreakpoints().find(
-      bp => bp.uri === uri && bp.line === line,
+    // Column breakpoints are toggled at their columns, not with the line.
+    const lineBreakpoints = this.getBreakpoints().filter(
+      bp => bp.uri === uri && bp.originalColumn === 0,
     );
+    let breakpoint = lineBreakpoints.find(bp => bp.line === line);
     if (breakpoint == null) {
-      breakpoint = this.getBreakpoints().find(
-        bp => bp.uri === uri && bp.originalLine === line,
-      );
+      breakpoint = lineBreakpoints.find(bp => bp.originalLine === line);
     }
     return breakpoint;
   }
@@ -1383,6 +1739,14 @@ export class Model implements IModel {
     return (this._functionBreakpoints: any);
   }
 
+  getDataBreakpoints(): IDataBreakpoint[] {
+    return (this._dataBreakpoints: any);
+  }
+
+  getInstructionBreakpoints(): IInstructionBreakpoint[] {
+    return (this._instructionBreakpoints: any);
+  }
+
   getExceptionBreakpoints(): IExceptionBreakpoint[] {
     const focusedProcess = this._getFocusedProcess();
     if (focusedProcess != null) {
@@ -1527,11 +1891,15 @@ export class Model implements IModel {
               uiBp.column,
               uiBp.enabled,
               uiBp.condition,
+              uiBp.hitCondition,
+              uiBp.logMessage,
             ),
           );
         } else {
           processBp.enabled = uiBp.enabled;
           processBp.condition = uiBp.condition;
+          processBp.hitCondition = uiBp.hitCondition;
+          processBp.logMessage = uiBp.logMessage;
         }
       }
 
@@ -1560,6 +1928,12 @@ export class Model implements IModel {
     this._functionBreakpoints.forEach(fbp => {
       fbp.enabled = enable;
     });
+    this._dataBreakpoints.forEach(dbp => {
+      dbp.enabled = enable;
+    });
+    this._instructionBreakpoints.forEach(ibp => {
+      ibp.enabled = enable;
+    });
 
     this._sortSyncAndDeDup();
   }
@@ -1610,12 +1984,138 @@ export class Model implements IModel {
     this._emitter.emit(BREAKPOINTS_CHANGED, {removed});
   }
 
-  getWatchExpressions(): IEvaluatableExpression[] {
+  addDataBreakpoint(
+    dataId: string,
+    description: string,
+    accessType: ?DebugProtocol.DataBreakpointAccessType,
+    canPersist: boolean,
+  ): DataBreakpoint {
+    const newDataBreakpoint = new DataBreakpoint(
+      dataId,
+      description,
+      accessType,
+      canPersist,
+      true,
+    );
+    this._dataBreakpoints.push(newDataBreakpoint);
+    this._emitter.emit(BREAKPOINTS_CHANGED);
+    return newDataBreakpoint;
+  }
+
+  updateDataBreakpoints(data: {
+    [id: string]: {
+      verified?: boolean,
+      id?: number,
+    },
+  }): void {
+    this._dataBreakpoints.forEach(dbp => {
+      const dbpData = data[dbp.getId()];
+      if (dbpData != null) {
+        dbp.verified = dbpData.verified || dbp.verified;
+        dbp.idFromAdapter = dbpData.id;
+      }
+    });
+
+    this._emitter.emit(BREAKPOINTS_CHANGED);
+  }
+
+  removeDataBreakpoints(id?: string): void {
+    let removed: DataBreakpoint[];
+    if (id != null) {
+      removed = this._dataBreakpoints.filter(dbp => dbp.getId() === id);
+      this._dataBreakpoints = this._dataBreakpoints.filter(
+        dbp => dbp.getId() !== id,
+      );
+    } else {
+      removed = this._dataBreakpoints;
+      this._dataBreakpoints = [];
+    }
+    this._emitter.emit(BREAKPOINTS_CHANGED, {removed});
+  }
+
+  // Data ids are only meaningful to the session that produced them unless the
+  // adapter says they can be persisted.
+  removeSessionDataBreakpoints(): void {
+    const removed = this._dataBreakpoints.filter(dbp => !dbp.canPersist);
+    if (removed.length === 0) {
+      return;
+    }
+    this._dataBreakpoints = this._dataBreakpoints.filter(dbp => dbp.canPersist);
+    this._emitter.emit(BREAKPOINTS_CHANGED, {removed});
+  }
+
+  addInstructionBreakpoint(
+    instructionReference: string,
+  ): InstructionBreakpoint {
+    const newInstructionBreakpoint = new InstructionBreakpoint(
+      instructionReference,
+      true,
+    );
+    this._instructionBreakpoints.push(newInstructionBreakpoint);
+    this._emitter.emit(BREAKPOINTS_CHANGED);
+    return newInstructionBreakpoint;
+  }
+
+  updateInstructionBreakpoints(data: {
+    [id: string]: {
+      verified?: boolean,
+      id?: number,
+    },
+  }): void {
+    this._instructionBreakpoints.forEach(ibp => {
+      const ibpData = data[ibp.getId()];
+      if (ibpData != null) {
+        ibp.verified = ibpData.verified || ibp.verified;
+        ibp.idFromAdapter = ibpData.id;
+      }
+    });
+
+    this._emitter.emit(BREAKPOINTS_CHANGED);
+  }
+
+  // Instruction references are memory addresses, which are only meaningful
+  // while the session that produced them is running.
+  removeInstructionBreakpoints(id?: string): void {
+    let removed: InstructionBreakpoint[];
+    if (id != null) {
+      removed = this._instructionBreakpoints.filter(ibp => ibp.getId() === id);
+      this._instructionBreakpoints = this._instructionBreakpoints.filter(
+        ibp => ibp.getId() !== id,
+      );
+    } else {
+      removed = this._instructionBreakpoints;
+      this._instructionBreakpoints = [];
+    }
+    this._emitter.emit(BREAKPOINTS_CHANGED, {removed});
+  }
+
+  getWatchExpressions(): IWatchExpression[] {
     return (this._watchExpressions: any);
   }
 
-  addWatchExpression(name: string): void {
-    const we = new Expression(name);
+  getWatchGroups(): Array<WatchGroup> {
+    return this._watchGroups;
+  }
+
+  // Replaces all the watch expressions and groups, e.g. when switching to
+  // another project.
+  setWatchExpressions(
+    watchExpressions: WatchExpression[],
+    watchGroups: Array<WatchGroup>,
+  ): void {
+    this._watchExpressions = watchExpressions;
+    this._watchGroups = watchGroups;
+    this._emitter.emit(WATCH_EXPRESSIONS_CHANGED);
+  }
+
+  addWatchExpression(name: string, group: ?string): void {
+    if (group != null && !this._hasWatchGroup(group)) {
+      this._watchGroups = [
+        ...this._watchGroups,
+        {name: group, collapsed: false},
+      ];
+    }
+    const we = new WatchExpression(name, group);
     this._watchExpressions.push(we);
     this._emitter.emit(WATCH_EXPRESSIONS_CHANGED, we);
   }
@@ -1634,6 +2134,57 @@ export class Model implements IModel {
     this._emitter.emit(WATCH_EXPRESSIONS_CHANGED);
   }
 
+  moveWatchExpression(id: string, group: ?string): void {
+    const we = this._watchExpressions.find(w => w.getId() === id);
+    if (we == null || we.group === group) {
+      return;
+    }
+    if (group != null && !this._hasWatchGroup(group)) {
+      this._watchGroups = [
+        ...this._watchGroups,
+        {name: group, collapsed: false},
+      ];
+    }
+    we.group = group;
+    // Move it to the end so that it's last in its new group.
+    this._watchExpressions = [
+      ...this._watchExpressions.filter(w => w !== we),
+      we,
+    ];
+    this._emitter.emit(WATCH_EXPRESSIONS_CHANGED, we);
+  }
+
+  _hasWatchGroup(name: string): boolean {
+    return this._watchGroups.some(group => group.name === name);
+  }
+
+  addWatchGroup(name: string): void {
+    if (!this._hasWatchGroup(name)) {
+      this._watchGroups = [...this._watchGroups, {name, collapsed: false}];
+      this._emitter.emit(WATCH_EXPRESSIONS_CHANGED);
+    }
+  }
+
+  removeWatchGroup(name: string): void {
+    this._watchGroups = this._watchGroups.filter(group => group.name !== name);
+    this._watchExpressions = this._watchExpressions.filter(
+      we => we.group !== name,
+    );
+    this._emitter.emit(WATCH_EXPRESSIONS_CHANGED);
+  }
+
+  setWatchGroupCollapsed(name: string, collapsed: boolean): void {
+    this._watchGroups = this._watchGroups.map(
+      group => (group.name === name ? {name, collapsed} : group),
+    );
+    this._emitter.emit(WATCH_EXPRESSIONS_CHANGED);
+  }
+
+  // Lets the watch expressions tell which values changed since this stop.
+  rememberWatchExpressionValues(): void {
+    this._watchExpressions.forEach(we => we.rememberValueAtStop());
+  }
+
   sourceIsNotAvailable(uri: string): void {
     this._processes.forEach(p => {
       if (p.sources.has(uri)) {
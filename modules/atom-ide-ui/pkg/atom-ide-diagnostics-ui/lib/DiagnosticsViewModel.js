@@ -54,11 +54,15 @@ type State = {|
 
 export const WORKSPACE_VIEW_URI = 'atom://nuclide/diagnostics';
 
+const NO_MESSAGES: Set<DiagnosticMessage> = new Set();
+
 export class DiagnosticsViewModel {
   _element: ?HTMLElement;
   _model: Model<State>;
   _props: Observable<Props>;
   _disposables: IDisposable;
+  // The diagnostics that pass the filters, once the view has been rendered.
+  _filteredDiagnostics: ?Array<DiagnosticMessage>;
 
   constructor(globalStates: Observable<GlobalViewState>) {
     // Memoize `_filterDiagnostics()`
@@ -70,19 +74,22 @@ export class DiagnosticsViewModel {
         hiddenGroups,
         filterByActiveTextEditor,
         filterPath,
+        hiddenMessages,
       ) => ({
         diagnostics,
         pattern,
         hiddenGroups,
         filterByActiveTextEditor,
         filterPath,
+        hiddenMessages,
       }),
       (a, b) =>
         patternsAreEqual(a.pattern, b.pattern) &&
         areSetsEqual(a.hiddenGroups, b.hiddenGroups) &&
         arrayEqual(a.diagnostics, b.diagnostics) &&
         a.filterByActiveTextEditor === b.filterByActiveTextEditor &&
-        a.filterPath === b.filterPath,
+        a.filterPath === b.filterPath &&
+        a.hiddenMessages === b.hiddenMessages,
     );
 
     const {pattern, invalid} = getFilterPattern('', false);
@@ -128,6 +135,19 @@ export class DiagnosticsViewModel {
               return window.getSelection().toString() !== '';
             },
           },
+          {
+            command: 'diagnostics:fix-all-in-project-from-provider',
+            label: 'Fix All from This Provider in Project',
+            shouldDisplay: () => this.getSelectedMessage() != null,
+          },
+          {
+            command: 'diagnostics:fix-all-in-project-with-code',
+            label: 'Fix All with This Code in Project',
+            shouldDisplay: () => {
+              const message = this.getSelectedMessage();
+              return message != null && message.code != null;
+            },
+          },
         ],
       }),
     );
@@ -143,6 +163,7 @@ export class DiagnosticsViewModel {
           pathToActiveTextEditor,
           ...globalStateWithoutPathToActiveTextEditor
         } = globalState;
+        const {baselinedMessages, display} = globalState.baselineState;
 
         return {
           ...globalStateWithoutPathToActiveTextEditor,
@@ -154,6 +175,7 @@ export class DiagnosticsViewModel {
             instanceState.hiddenGroups,
             globalState.filterByActiveTextEditor,
             pathToActiveTextEditor,
+            display === 'hide' ? baselinedMessages : NO_MESSAGES,
           ),
           onTypeFilterChange: this._handleTypeFilterChange,
           onTextFilterChange: this._handleTextFilterChange,
@@ -164,7 +186,9 @@ export class DiagnosticsViewModel {
       },
     );
 
-    this._props = this._trackVisibility(props);
+    this._props = this._trackVisibility(props).do(newProps => {
+      this._filteredDiagnostics = newProps.diagnostics;
+    });
   }
 
   // If autoVisibility setting is on, then automatically show/hide on changes.
@@ -229,6 +253,14 @@ export class DiagnosticsViewModel {
     };
   }
 
+  getFilteredDiagnostics(): ?Array<DiagnosticMessage> {
+    return this._filteredDiagnostics;
+  }
+
+  getSelectedMessage(): ?DiagnosticMessage {
+    return this._model.state.selectedMessage;
+  }
+
   getElement(): HTMLElement {
     if (this._element == null) {
       const Component = bindObservableAsProps(this._props, DiagnosticsView);
@@ -271,8 +303,12 @@ export class DiagnosticsViewModel {
     hiddenGroups: Set<DiagnosticGroup>,
     filterByActiveTextEditor: boolean,
     filterByPath: ?string,
+    hiddenMessages: Set<DiagnosticMessage>,
   ): Array<DiagnosticMessage> {
     return diagnostics.filter(message => {
+      if (hiddenMessages.has(message)) {
+        return false;
+      }
       if (hiddenGroups.has(GroupUtils.getGroup(message))) {
         return false;
       }
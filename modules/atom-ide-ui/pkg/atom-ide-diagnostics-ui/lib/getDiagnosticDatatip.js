@@ -68,7 +68,7 @@ export default (async function getDiagnosticDatatip(
   invariant(range != null);
   return {
     component: makeDatatipComponent(messagesAtPosition, diagnosticUpdater, {
-      fixer: message => diagnosticUpdater.applyFix(message),
+      fixer: (message, fix) => diagnosticUpdater.applyFix(message, fix),
       goToLocation: gotoLine,
     }),
     pinnable: false,
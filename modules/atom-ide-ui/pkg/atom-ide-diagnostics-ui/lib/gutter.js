@@ -82,6 +82,8 @@ type ProcessState = {
   gutter: atom$Gutter,
   startingLine: number,
   messages: Iterable<DiagnosticMessage>,
+  // Messages in the diagnostics baseline, which are de-emphasized.
+  baselinedMessages: Set<DiagnosticMessage>,
   blockDecorationFragments: Array<React.Node>,
   openedMessageIds: Set<string>,
   setOpenMessageIds: (openedMessageIds: Set<string>) => void,
@@ -153,6 +155,7 @@ const SpawnPopupEvents = handleSpawnPopupEvents
 function processChunk(editor: atom$TextEditor): boolean {
   const state = nullthrows(editorToProcessState.get(editor));
   const {
+    baselinedMessages,
     blockDecorationFragments,
     diagnosticUpdater,
     gutter,
@@ -221,6 +224,9 @@ function processChunk(editor: atom$TextEditor): boolean {
       HIGHLIGHT_CSS,
       HIGHLIGHT_CSS_LEVELS[message.type],
       message.stale ? 'diagnostics-gutter-ui-highlight-stale' : '',
+      baselinedMessages.has(message)
+        ? 'diagnostics-gutter-ui-highlight-baselined'
+        : '',
     );
 
     if (range) {
@@ -243,6 +249,7 @@ function processChunk(editor: atom$TextEditor): boolean {
     editor,
     gutter,
     rowToMessage,
+    baselinedMessages,
     diagnosticUpdater,
     openedMessageIds,
     setOpenMessageIds,
@@ -290,6 +297,7 @@ function combineMarkers({
   editor,
   gutter,
   rowToMessage,
+  baselinedMessages,
   diagnosticUpdater,
   openedMessageIds,
   setOpenMessageIds,
@@ -297,6 +305,7 @@ function combineMarkers({
   editor: atom$TextEditor,
   gutter: atom$Gutter,
   rowToMessage: Map<number, Array<DiagnosticMessage>>,
+  baselinedMessages: Set<DiagnosticMessage>,
   diagnosticUpdater: DiagnosticUpdater,
   openedMessageIds: Set<string>,
   setOpenMessageIds: (openedMessageIds: Set<string>) => void,
@@ -311,6 +320,7 @@ function combineMarkers({
     const {item, dispose} = createGutterItem({
       editor,
       messages,
+      baselinedMessages,
       diagnosticUpdater,
       gutter,
       openedMessageIds,
@@ -402,6 +412,7 @@ function _applyUpdateToEditor(
   blockDecorationContainer: HTMLElement,
   openedMessageIds: Set<string>,
   setOpenMessageIds: (openedMessageIds: Set<string>) => void,
+  baselinedMessages: Set<DiagnosticMessage>,
 ): IDisposable {
   let gutter = editor.gutterWithName(GUTTER_ID);
   if (!gutter) {
@@ -443,6 +454,7 @@ function _applyUpdateToEditor(
     startingLine: 0,
     // $FlowFixMe
     messages: update[Symbol.iterator](),
+    baselinedMessages,
     blockDecorationFragments: [],
     openedMessageIds,
     setOpenMessageIds,
@@ -578,6 +590,7 @@ function createBlockDecorations({
 function createGutterItem({
   editor,
   messages,
+  baselinedMessages,
   diagnosticUpdater,
   gutter,
   openedMessageIds,
@@ -586,6 +599,7 @@ function createGutterItem({
 }: {
   editor: TextEditor,
   messages: Array<DiagnosticMessage>,
+  baselinedMessages: Set<DiagnosticMessage>,
   diagnosticUpdater: DiagnosticUpdater,
   gutter: atom$Gutter,
   openedMessageIds: Set<string>,
@@ -603,6 +617,9 @@ function createGutterItem({
     'diagnostics-gutter-ui-gutter-stale': messages.every(
       message => message.stale,
     ),
+    'diagnostics-gutter-ui-gutter-baselined': messages.every(message =>
+      baselinedMessages.has(message),
+    ),
   });
 
   // Add the icon
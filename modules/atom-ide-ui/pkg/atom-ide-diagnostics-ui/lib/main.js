@@ -13,18 +13,23 @@
 import type {GatekeeperService} from 'nuclide-commons-atom/types';
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
 
-import type {GlobalViewState} from './types';
+import type {
+  BaselinedMessageDisplay,
+  BaselineState,
+  GlobalViewState,
+} from './types';
 import type {
   DatatipProvider,
   DatatipService,
 } from '../../atom-ide-datatip/lib/types';
 import type {
+  DiagnosticFixFilter,
   DiagnosticMessage,
   DiagnosticUpdater,
   ObservableDiagnosticProvider,
 } from '../../atom-ide-diagnostics/lib/types';
 
-import {areSetsEqual} from 'nuclide-commons/collection';
+import {areSetsEqual, filterIterable} from 'nuclide-commons/collection';
 import {diffSets, throttle} from 'nuclide-commons/observable';
 import {observableFromSubscribeFunction} from 'nuclide-commons/event';
 import analytics from 'nuclide-commons/analytics';
@@ -44,6 +49,8 @@ import {isValidTextEditor} from 'nuclide-commons-atom/text-editor';
 import {Observable, BehaviorSubject} from 'rxjs';
 import featureConfig from 'nuclide-commons-atom/feature-config';
 import getDiagnosticDatatip from './getDiagnosticDatatip';
+import showExportModal from './ui/ExportModal';
+import showFixAllModal from './ui/FixAllModal';
 import showActionsMenu from './showActionsMenu';
 import showAtomLinterWarning from './showAtomLinterWarning';
 import StatusBarTile from './ui/StatusBarTile';
@@ -51,7 +58,13 @@ import ReactDOM from 'react-dom';
 import {STALE_MESSAGE_UPDATE_THROTTLE_TIME} from './utils';
 
 const MAX_OPEN_ALL_FILES = 20;
+const EXPORT_GRAMMARS = {
+  sarif: 'source.json',
+  json: 'source.json',
+  checkstyle: 'text.xml',
+};
 const SHOW_TRACES_SETTING = 'atom-ide-diagnostics-ui.showDiagnosticTraces';
+const BASELINED_MESSAGES_SETTING = 'atom-ide-diagnostics-ui.baselinedMessages';
 
 type ActivationState = {|
   filterByActiveTextEditor: boolean,
@@ -68,6 +81,8 @@ type OpenBlockDecorationState = {|
 |};
 
 const NUCLIDE_DIAGNOSTICS_STALE_GK = 'nuclide_diagnostics_stale';
+// Stale messages are also shown when their marking is turned on in the settings.
+const MARK_STALE_ON_CHANGE_SETTING = 'atom-ide-diagnostics.markStaleOnChange';
 
 class Activation {
   _subscriptions: UniversalDisposable;
@@ -124,6 +139,7 @@ class Activation {
     this._getStatusBarTile().consumeDiagnosticUpdates(
       diagnosticUpdater,
       this._getIsStaleMessageEnabledStream(),
+      observeBaselineStates(diagnosticUpdater),
     );
 
     this._subscriptions.add(
@@ -237,13 +253,17 @@ class Activation {
   }
 
   _getIsStaleMessageEnabledStream(): Observable<boolean> {
-    return this._gatekeeperServices
-      .switchMap(gkService => {
-        if (gkService != null) {
-          return gkService.passesGK(NUCLIDE_DIAGNOSTICS_STALE_GK);
-        }
-        return Observable.of(false);
-      })
+    const passesGK = this._gatekeeperServices.switchMap(gkService => {
+      if (gkService != null) {
+        return gkService.passesGK(NUCLIDE_DIAGNOSTICS_STALE_GK);
+      }
+      return Observable.of(false);
+    });
+    const markStaleOnChange: Observable<
+      boolean,
+    > = (featureConfig.observeAsStream(MARK_STALE_ON_CHANGE_SETTING): any);
+    return Observable.combineLatest(passesGK, markStaleOnChange)
+      .map(([gkEnabled, settingEnabled]) => gkEnabled || settingEnabled)
       .distinctUntilChanged();
   }
 
@@ -290,6 +310,8 @@ class Activation {
         .let(throttle(300))
         .startWith([]);
 
+      const baselineStateStream = updaters.switchMap(observeBaselineStates);
+
       const showTracesStream: Observable<
         boolean,
       > = (featureConfig.observeAsStream(SHOW_TRACES_SETTING): any);
@@ -340,6 +362,7 @@ class Activation {
 
       this._globalViewStates = Observable.combineLatest(
         diagnosticsStream,
+        baselineStateStream,
         filterByActiveTextEditorStream,
         pathToActiveTextEditorStream,
         showTracesStream,
@@ -350,6 +373,7 @@ class Activation {
         // $FlowFixMe
         (
           diagnostics,
+          baselineState,
           filterByActiveTextEditor,
           pathToActiveTextEditor,
           showTraces,
@@ -359,6 +383,7 @@ class Activation {
           uiConfig,
         ) => ({
           diagnostics,
+          baselineState,
           filterByActiveTextEditor,
           pathToActiveTextEditor,
           showTraces,
@@ -485,6 +510,7 @@ class Activation {
             diagnosticUpdater,
             this._getIsStaleMessageEnabledStream(),
           ),
+          observeBaselineStates(diagnosticUpdater),
         )
           .finally(() => {
             subscriptions.remove(subscription);
@@ -496,6 +522,7 @@ class Activation {
                 ObservableDiagnosticProvider,
                 Array<DiagnosticMessage>,
               >,
+              {baselinedMessages, display}: BaselineState,
             ]) => {
               // Although the subscription should be cleaned up on editor destroy,
               // the very act of destroying the editor can trigger diagnostic updates.
@@ -508,6 +535,7 @@ class Activation {
                   blockDecorationContainer,
                   openedMessageIds,
                   setOpenedMessageIds,
+                  display === 'deemphasize' ? baselinedMessages : new Set(),
                 );
               }
             },
@@ -533,6 +561,69 @@ function addAtomCommands(diagnosticUpdater: DiagnosticUpdater): IDisposable {
     diagnosticUpdater.applyFixesForFile(path);
   };
 
+  const fixAllInProject = async (filter?: DiagnosticFixFilter) => {
+    const fixes = diagnosticUpdater.getProjectFixes(filter);
+    if (fixes.size === 0) {
+      atom.notifications.addInfo('There are no diagnostics to fix');
+      return;
+    }
+    const selectedFiles = await showFixAllModal(fixes);
+    if (selectedFiles == null || selectedFiles.size === 0) {
+      return;
+    }
+    const previewedMessages = new Set();
+    selectedFiles.forEach(filePath => {
+      (fixes.get(filePath) || []).forEach(fix => {
+        previewedMessages.add(fix.message);
+      });
+    });
+    // Files may have been edited while the fixes were previewed, so their
+    // ranges are looked up again. Only the fixes that were previewed are
+    // applied, and diagnostics that were updated since then drop out.
+    const selectedFixes = diagnosticUpdater.getProjectFixes({
+      ...filter,
+      messages: previewedMessages,
+    });
+    let fixCount = 0;
+    selectedFixes.forEach(fileFixes => {
+      fixCount += fileFixes.length;
+    });
+    if (fixCount < previewedMessages.size) {
+      const droppedCount = previewedMessages.size - fixCount;
+      atom.notifications.addWarning(
+        `${droppedCount} of the previewed fixes can no longer be applied`,
+        {
+          description:
+            'Their diagnostics were updated or their code was edited while the fixes were previewed.',
+        },
+      );
+    }
+    if (selectedFixes.size === 0) {
+      return;
+    }
+    analytics.track('diagnostics-autofix-all-in-project', {
+      files: selectedFixes.size.toString(),
+      filtered: (filter != null).toString(),
+    });
+    diagnosticUpdater.applyProjectFixes(selectedFixes);
+  };
+
+  // Fixes everything like the message selected in the diagnostics table.
+  const fixAllLikeSelectedMessage = (withCode: boolean) => {
+    const viewModel = atom.workspace
+      .getPaneItems()
+      .find(item => item instanceof DiagnosticsViewModel);
+    const message = viewModel != null ? viewModel.getSelectedMessage() : null;
+    if (message == null) {
+      return;
+    }
+    fixAllInProject(
+      withCode && message.code != null
+        ? {providerName: message.providerName, code: message.code}
+        : {providerName: message.providerName},
+    );
+  };
+
   const openAllFilesWithErrors = () => {
     analytics.track('diagnostics-panel-open-all-files-with-errors');
     // eslint-disable-next-line nuclide-internal/unused-subscription
@@ -553,12 +644,70 @@ function addAtomCommands(diagnosticUpdater: DiagnosticUpdater): IDisposable {
       });
   };
 
+  const exportDiagnostics = async () => {
+    const viewModel = atom.workspace
+      .getPaneItems()
+      .find(item => item instanceof DiagnosticsViewModel);
+    const filteredMessages =
+      viewModel != null ? viewModel.getFilteredDiagnostics() : null;
+    const options = await showExportModal(filteredMessages != null);
+    if (options == null) {
+      return;
+    }
+    const {format, filtered} = options;
+    analytics.track('diagnostics-export', {
+      format,
+      filtered: filtered.toString(),
+    });
+    const text = diagnosticUpdater.exportMessages(
+      format,
+      filtered && filteredMessages != null ? filteredMessages : undefined,
+    );
+    // The export is opened in a new editor, to be saved or copied from there.
+    // eslint-disable-next-line nuclide-internal/atom-apis
+    const editor = await atom.workspace.open();
+    // The grammar is missing if its package isn't loaded.
+    const grammar = atom.grammars.grammarForScopeName(EXPORT_GRAMMARS[format]);
+    if (grammar != null) {
+      editor.setGrammar(grammar);
+    }
+    editor.setText(text);
+  };
+
   return new UniversalDisposable(
     atom.commands.add(
       'atom-workspace',
       'diagnostics:fix-all-in-current-file',
       fixAllInCurrentFile,
     ),
+    atom.commands.add(
+      'atom-workspace',
+      'diagnostics:fix-all-in-project',
+      () => {
+        fixAllInProject();
+      },
+    ),
+    atom.commands.add(
+      '.diagnostics-ui-table-container',
+      'diagnostics:fix-all-in-project-from-provider',
+      () => fixAllLikeSelectedMessage(false),
+    ),
+    atom.commands.add(
+      '.diagnostics-ui-table-container',
+      'diagnostics:fix-all-in-project-with-code',
+      () => fixAllLikeSelectedMessage(true),
+    ),
+    atom.commands.add('atom-workspace', 'diagnostics:export', () => {
+      exportDiagnostics().catch(error => {
+        atom.notifications.addError('Failed to export the diagnostics', {
+          detail: error.message,
+        });
+      });
+    }),
+    atom.commands.add('atom-workspace', 'diagnostics:snapshot-baseline', () => {
+      analytics.track('diagnostics-snapshot-baseline');
+      diagnosticUpdater.snapshotBaseline();
+    }),
     atom.commands.add(
       'atom-workspace',
       'diagnostics:open-all-files-with-errors',
@@ -594,6 +743,25 @@ function getTopMostErrorLocationsByFilePath(
   return errorLocations;
 }
 
+function observeBaselineStates(
+  diagnosticUpdater: ?DiagnosticUpdater,
+): Observable<BaselineState> {
+  const displayStream: Observable<
+    BaselinedMessageDisplay,
+  > = (featureConfig.observeAsStream(BASELINED_MESSAGES_SETTING): any);
+  const baselinedMessagesStream =
+    diagnosticUpdater == null
+      ? Observable.of(new Set())
+      : observableFromSubscribeFunction(
+          diagnosticUpdater.observeBaselinedMessages,
+        );
+  return Observable.combineLatest(
+    baselinedMessagesStream,
+    displayStream,
+    (baselinedMessages, display) => ({baselinedMessages, display}),
+  );
+}
+
 function getActiveEditorPaths(): Observable<?NuclideUri> {
   const center = atom.workspace.getCenter();
   return (
@@ -644,6 +812,19 @@ function getEditorDiagnosticUpdates(
         ),
       ),
     )
+    .combineLatest(observeBaselineStates(diagnosticUpdater))
+    .map(
+      ([[messages, isStaleMessageEnabled], {baselinedMessages, display}]) =>
+        display === 'hide' && baselinedMessages.size > 0
+          ? [
+              filterIterable(
+                messages,
+                message => !baselinedMessages.has(message),
+              ),
+              isStaleMessageEnabled,
+            ]
+          : [messages, isStaleMessageEnabled],
+    )
     .map(
       ([messages, isStaleMessageEnabled]) =>
         // Flow and other providers have begun sending updates that mark prior
@@ -48,29 +48,37 @@ export default function showActionsMenu(
       .race(Observable.of(new WeakMap()).delay(CODE_ACTIONS_TIMEOUT))
       .subscribe(codeActionsForMessage => {
         const menu = new remote.Menu();
-        const fixes = arrayCompact(
-          messagesAtPosition.map(message => {
-            const {fix} = message;
-            if (fix == null) {
-              return null;
-            }
-            const fixTitle = fix.title == null ? 'Fix' : fix.title;
-            return {
-              title: `${fixTitle} (${message.providerName})`,
-              apply: () => diagnosticUpdater.applyFix(message),
-            };
-          }),
+        const fixes = arrayFlatten(
+          messagesAtPosition.map(message =>
+            arrayCompact([
+              message.fix,
+              ...(message.alternativeFixes || []),
+            ]).map(fix => {
+              const fixTitle = fix.title == null ? 'Fix' : fix.title;
+              return {
+                title: `${fixTitle} (${message.providerName})`,
+                apply: () => diagnosticUpdater.applyFix(message, fix),
+              };
+            }),
+          ),
         );
         const actions = arrayFlatten(
           messagesAtPosition.map(message => {
+            const messageActions = (message.actions || []).map(action => ({
+              title: `${action.title} (${message.providerName})`,
+              apply: () => action.apply(),
+            }));
             const codeActions = codeActionsForMessage.get(message);
             if (codeActions == null) {
-              return [];
+              return messageActions;
             }
-            return Array.from(codeActions).map(([title, codeAction]) => ({
-              title,
-              apply: () => codeAction.apply(),
-            }));
+            return [
+              ...messageActions,
+              ...Array.from(codeActions).map(([title, codeAction]) => ({
+                title,
+                apply: () => codeAction.apply(),
+              })),
+            ];
           }),
         );
 
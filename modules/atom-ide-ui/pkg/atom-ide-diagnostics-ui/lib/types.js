@@ -26,9 +26,18 @@ export type DiagnosticGroup =
   | 'review'
   | 'action';
 
+// How to show the messages that are in the baseline of their project.
+export type BaselinedMessageDisplay = 'hide' | 'deemphasize' | 'show';
+
+export type BaselineState = {|
+  baselinedMessages: Set<DiagnosticMessage>,
+  display: BaselinedMessageDisplay,
+|};
+
 // State that's shared between every diagnostics panel instance.
 export type GlobalViewState = {
   diagnostics: Array<DiagnosticMessage>,
+  baselineState: BaselineState,
   pathToActiveTextEditor: ?NuclideUri,
   filterByActiveTextEditor: boolean,
   onFilterByActiveTextEditorChange: (isChecked: boolean) => mixed,
@@ -10,10 +10,15 @@
  * @format
  */
 
-import type {DiagnosticMessage} from '../../../atom-ide-diagnostics/lib/types';
+import type {
+  DiagnosticFix,
+  DiagnosticMessage,
+} from '../../../atom-ide-diagnostics/lib/types';
 
 import * as React from 'react';
+import {shell} from 'electron';
 import {Button, ButtonTypes} from 'nuclide-commons-ui/Button';
+import {DiagnosticsStaleBadge} from './DiagnosticsStaleBadge';
 import {DiagnosticsMessageText} from './DiagnosticsMessageText';
 import {DiagnosticsMessageDescription} from './DiagnosticsMessageDescription';
 import {DiagnosticsTraceItem} from './DiagnosticsTraceItem';
@@ -24,7 +29,7 @@ type DiagnosticsMessageProps = {
   message: DiagnosticMessage,
   description?: string,
   goToLocation: (path: string, line: number) => mixed,
-  fixer: (message: DiagnosticMessage) => void,
+  fixer: (message: DiagnosticMessage, fix?: DiagnosticFix) => void,
   children?: React.Node,
   /* eslint-enable react/no-unused-prop-types */
 };
@@ -39,38 +44,60 @@ const PROVIDER_CLASS_NAME = {
 function diagnosticHeader(props: DiagnosticsMessageProps) {
   const {message, fixer} = props;
   const providerClassName = PROVIDER_CLASS_NAME[message.type];
-  let fixButton = null;
+  const fixes = [];
   if (message.fix != null) {
+    fixes.push(message.fix);
+  }
+  if (message.alternativeFixes != null) {
+    fixes.push(...message.alternativeFixes);
+  }
+  const fixButtons = fixes.map((fix, i) => {
     const applyFix = () => {
-      fixer(message);
+      fixer(message, fix);
     };
-    const speculative = message.fix.speculative === true;
+    const speculative = fix.speculative === true;
     const buttonType = speculative ? undefined : ButtonTypes.SUCCESS;
-    fixButton = (
-      <Button buttonType={buttonType} size="EXTRA_SMALL" onClick={applyFix}>
+    return (
+      <Button
+        key={i}
+        className="diagnostics-popup-fix-button"
+        buttonType={buttonType}
+        size="EXTRA_SMALL"
+        onClick={applyFix}>
         {// flowlint-next-line sketchy-null-string:off
-        message.fix.title || 'Fix'}
+        fix.title || 'Fix'}
       </Button>
     );
-  }
-
-  const staleBox = Boolean(message.stale) ? (
-    <span className="diagnostics-popup-header-stale-box highlight">
-      {'Stale'}
-    </span>
-  ) : null;
+  });
 
   return (
     <div className="diagnostics-popup-header">
       <span>
-        {staleBox}
-        {fixButton}
+        {message.stale === true ? <DiagnosticsStaleBadge /> : null}
+        {fixButtons}
       </span>
       <span className={providerClassName}>{message.providerName}</span>
     </div>
   );
 }
 
+function learnMoreLink(message: DiagnosticMessage) {
+  const {url} = message;
+  if (url == null) {
+    return null;
+  }
+  const openUrl = () => {
+    shell.openExternal(url);
+  };
+  return (
+    <div className="diagnostics-popup-learn-more">
+      <a href="#" title={url} onClick={openUrl}>
+        Learn more
+      </a>
+    </div>
+  );
+}
+
 function traceElements(props: DiagnosticsMessageProps) {
   const {message, goToLocation} = props;
   return message.trace && message.trace.length ? (
@@ -93,6 +120,7 @@ export const DiagnosticsMessage = (props: DiagnosticsMessageProps) => {
       <div className="diagnostics-popup-message">
         <DiagnosticsMessageText message={props.message} />
         <DiagnosticsMessageDescription description={props.description} />
+        {learnMoreLink(props.message)}
       </div>
       {traceElements(props)}
       {props.children}
@@ -105,6 +133,7 @@ export const DiagnosticsMessageNoHeader = (props: DiagnosticsMessageProps) => {
     <div className="diagnostics-full-description-message">
       <DiagnosticsMessageText message={props.message} />
       <DiagnosticsMessageDescription description={props.description} />
+      {learnMoreLink(props.message)}
       {traceElements(props)}
     </div>
   );
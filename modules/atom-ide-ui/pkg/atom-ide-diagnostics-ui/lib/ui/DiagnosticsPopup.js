@@ -12,6 +12,7 @@
 
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
 import type {
+  DiagnosticFix,
   DiagnosticMessage,
   CodeActionsState,
   DescriptionsState,
@@ -28,14 +29,14 @@ import DiagnosticsCodeActions from './DiagnosticsCodeActions';
 type DiagnosticsPopupProps = {
   messages: Array<DiagnosticMessage>,
   goToLocation: (filePath: NuclideUri, line: number) => mixed,
-  fixer: (message: DiagnosticMessage) => void,
+  fixer: (message: DiagnosticMessage, fix?: DiagnosticFix) => void,
   codeActionsForMessage?: CodeActionsState,
   descriptions?: DescriptionsState,
   style: ?Object,
 };
 
 function renderMessage(
-  fixer: (message: DiagnosticMessage) => void,
+  fixer: (message: DiagnosticMessage, fix?: DiagnosticFix) => void,
   goToLocation: (filePath: NuclideUri, line: number) => mixed,
   codeActionsForMessage: ?CodeActionsState,
   descriptions: ?DescriptionsState,
@@ -50,6 +51,7 @@ function renderMessage(
       'diagnostics-popup-error': message.type === 'Error',
       'diagnostics-popup-warning': message.type === 'Warning',
       'diagnostics-popup-info': message.type === 'Info',
+      'diagnostics-popup-stale': message.stale === true,
     },
   );
   const codeActions = getCodeActions(message, codeActionsForMessage);
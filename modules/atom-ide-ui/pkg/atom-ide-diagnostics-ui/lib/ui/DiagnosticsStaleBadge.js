@@ -0,0 +1,23 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import * as React from 'react';
+
+export const STALE_MESSAGE_TITLE =
+  'The file has changed since this diagnostic was reported';
+
+// Shown next to messages whose file changed after their provider reported them.
+export const DiagnosticsStaleBadge = () => (
+  <span className="diagnostics-stale-badge" title={STALE_MESSAGE_TITLE}>
+    may be out of date
+  </span>
+);
@@ -32,6 +32,10 @@ import {Table} from 'nuclide-commons-ui/Table';
 import sortDiagnostics from '../sortDiagnostics';
 import {DiagnosticsMessageNoHeader} from './DiagnosticsMessage';
 import {DiagnosticsMessageText} from './DiagnosticsMessageText';
+import {
+  DiagnosticsStaleBadge,
+  STALE_MESSAGE_TITLE,
+} from './DiagnosticsStaleBadge';
 import {Icon} from 'nuclide-commons-ui/Icon';
 
 const DIAGNOSTICS_TO_ROWS_TRACES_MAP = new WeakMap();
@@ -63,6 +67,8 @@ type Props = {|
   showFileName: ?boolean,
   showDirectoryColumn: boolean,
   showTraces: boolean,
+  // Messages in the diagnostics baseline, which are de-emphasized.
+  baselinedMessages: Set<DiagnosticMessage>,
 |};
 
 type State = {|
@@ -83,12 +89,14 @@ export default class DiagnosticsTable extends React.PureComponent<
     // Memoize `_getRows()`
     (this: any)._getRows = memoizeUntilChanged(
       this._getRows,
-      (diagnostics, showTraces) => ({
+      (diagnostics, showTraces, baselinedMessages) => ({
         diagnostics,
         showTraces,
+        baselinedMessages,
       }),
       (a, b) =>
         a.showTraces === b.showTraces &&
+        a.baselinedMessages === b.baselinedMessages &&
         arrayEqual(a.diagnostics, b.diagnostics),
     );
 
@@ -213,7 +221,7 @@ export default class DiagnosticsTable extends React.PureComponent<
   // eslint-disable-next-line react/no-unused-prop-types
   _renderDescription = (props: {data: DescriptionField}) => {
     const {showTraces, diagnostic, text, isPlainText} = props.data;
-    return showTraces
+    const description = showTraces
       ? DiagnosticsMessageNoHeader({
           message: diagnostic,
           goToLocation: (file: string, line: number) =>
@@ -224,6 +232,14 @@ export default class DiagnosticsTable extends React.PureComponent<
           preserveNewlines: showTraces,
           message: {text, html: isPlainText ? undefined : text},
         });
+    return diagnostic.stale === true ? (
+      <span>
+        <DiagnosticsStaleBadge />
+        {description}
+      </span>
+    ) : (
+      description
+    );
   };
 
   _getSortOptions(
@@ -247,10 +263,19 @@ export default class DiagnosticsTable extends React.PureComponent<
   }
 
   render(): React.Node {
-    const {diagnostics, selectedMessage, showTraces} = this.props;
+    const {
+      diagnostics,
+      selectedMessage,
+      showTraces,
+      baselinedMessages,
+    } = this.props;
     const columns = this._getColumns();
     const {sortedColumn, sortDescending} = this._getSortOptions(columns);
-    const diagnosticRows = this._getRows(diagnostics, showTraces);
+    const diagnosticRows = this._getRows(
+      diagnostics,
+      showTraces,
+      baselinedMessages,
+    );
     let sortedRows = this._sortRows(
       diagnosticRows,
       sortedColumn,
@@ -340,6 +365,7 @@ export default class DiagnosticsTable extends React.PureComponent<
   _getRows(
     diagnostics: Array<DiagnosticMessage>,
     showTraces: boolean,
+    baselinedMessages: Set<DiagnosticMessage>,
   ): Array<Row<DisplayDiagnostic>> {
     const diagnosticsToRows = showTraces
       ? DIAGNOSTICS_TO_ROWS_TRACES_MAP
@@ -354,6 +380,7 @@ export default class DiagnosticsTable extends React.PureComponent<
               kind: diagnostic.kind || 'lint',
               severity: diagnostic.type,
               stale: diagnostic.stale,
+              icon: diagnostic.icon,
             },
             providerName: diagnostic.providerName,
             description: {
@@ -366,10 +393,21 @@ export default class DiagnosticsTable extends React.PureComponent<
             diagnostic,
             line: idx(location, _ => _.locationInFile.line),
           },
+          className: diagnostic.stale
+            ? 'diagnostics-ui-table-row-stale'
+            : undefined,
         };
         diagnosticsToRows.set(diagnostic, row);
       }
-      return row;
+      return baselinedMessages.has(diagnostic)
+        ? {
+            ...row,
+            className: classnames(
+              row.className,
+              'diagnostics-ui-table-row-baselined',
+            ),
+          }
+        : row;
     });
   }
 
@@ -391,6 +429,8 @@ type Classification = {
   kind: DiagnosticMessageKind,
   severity: DiagnosticMessageType,
   stale?: boolean,
+  // Overrides the icon for the kind and severity.
+  icon?: string,
 };
 
 function TypeComponent(props: {data: Classification}): React.Element<any> {
@@ -400,13 +440,17 @@ function TypeComponent(props: {data: Classification}): React.Element<any> {
     <Icon
       icon={iconName}
       className={classification.stale ? 'nuclide-ui-table-type-icon-stale' : ''}
-      title={classification.stale ? 'Stale' : ''}
+      title={classification.stale ? STALE_MESSAGE_TITLE : ''}
     />
   );
 }
 
 function getIconName(classification: Classification): IconName {
-  const {kind, severity} = classification;
+  const {kind, severity, icon} = classification;
+  if (icon != null) {
+    // Providers name any octicon, which can't be checked statically.
+    return (icon: any);
+  }
   if (kind === 'review') {
     return 'nuclicon-comment-discussion';
   }
@@ -15,7 +15,7 @@ import type {
   DiagnosticMessageKind,
   UiConfig,
 } from '../../../atom-ide-diagnostics/lib/types';
-import type {DiagnosticGroup} from '../types';
+import type {BaselineState, DiagnosticGroup} from '../types';
 import type {
   RegExpFilterChange,
   RegExpFilterValue,
@@ -40,6 +40,7 @@ import SettingsModal from './SettingsModal';
 
 export type Props = {|
   diagnostics: Array<DiagnosticMessage>,
+  baselineState: BaselineState,
   filterByActiveTextEditor: boolean,
   onFilterByActiveTextEditorChange: (isChecked: boolean) => mixed,
   showDirectoryColumn: boolean,
@@ -63,6 +64,8 @@ export type Props = {|
   onTextFilterChange: (change: RegExpFilterChange) => mixed,
 |};
 
+const NO_MESSAGES: Set<DiagnosticMessage> = new Set();
+
 /**
  * Dismissable panel that displays the diagnostics from nuclide-diagnostics-store.
  */
@@ -91,7 +94,12 @@ export default class DiagnosticsView extends React.Component<Props> {
   }
 
   render(): React.Node {
-    const {diagnostics, showDirectoryColumn, showTraces} = this.props;
+    const {
+      diagnostics,
+      baselineState,
+      showDirectoryColumn,
+      showTraces,
+    } = this.props;
 
     const groups = ['errors', 'warnings', 'info'];
     if (this.props.supportedMessageKinds.has('review')) {
@@ -161,6 +169,14 @@ export default class DiagnosticsView extends React.Component<Props> {
               title="Open All">
               Open All
             </Button>
+            <Button
+              onClick={this._export}
+              size={ButtonSizes.SMALL}
+              disabled={diagnostics.length === 0}
+              className="inline-block"
+              title="Export the diagnostics as SARIF, JSON or Checkstyle XML">
+              Export
+            </Button>
             <Button
               icon="gear"
               size={ButtonSizes.SMALL}
@@ -180,6 +196,11 @@ export default class DiagnosticsView extends React.Component<Props> {
             diagnostics={diagnostics}
             showDirectoryColumn={showDirectoryColumn}
             showTraces={showTraces}
+            baselinedMessages={
+              baselineState.display === 'deemphasize'
+                ? baselineState.baselinedMessages
+                : NO_MESSAGES
+            }
             selectedMessage={this.props.selectedMessage}
             selectMessage={this.props.selectMessage}
             gotoMessageLocation={this.props.gotoMessageLocation}
@@ -214,6 +235,13 @@ export default class DiagnosticsView extends React.Component<Props> {
     );
   };
 
+  _export = (): void => {
+    atom.commands.dispatch(
+      atom.views.getView(atom.workspace),
+      'diagnostics:export',
+    );
+  };
+
   _focusFilter(): void {
     if (this._filterComponent != null) {
       this._filterComponent.focus();
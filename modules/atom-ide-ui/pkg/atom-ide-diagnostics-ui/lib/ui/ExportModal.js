@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {DiagnosticExportFormat} from '../../../atom-ide-diagnostics/lib/types';
+
+import * as React from 'react';
+import {Button, ButtonTypes} from 'nuclide-commons-ui/Button';
+import {ButtonGroup} from 'nuclide-commons-ui/ButtonGroup';
+import {Checkbox} from 'nuclide-commons-ui/Checkbox';
+import {Dropdown} from 'nuclide-commons-ui/Dropdown';
+import showModal from 'nuclide-commons-ui/showModal';
+
+export type ExportOptions = {|
+  +format: DiagnosticExportFormat,
+  // Whether to export only the diagnostics that pass the table's filters.
+  +filtered: boolean,
+|};
+
+const FORMAT_OPTIONS = [
+  {value: 'sarif', label: 'SARIF 2.1'},
+  {value: 'json', label: 'JSON'},
+  {value: 'checkstyle', label: 'Checkstyle XML'},
+];
+
+type Props = {|
+  +canExportFiltered: boolean,
+  +onExport: (options: ExportOptions) => mixed,
+  +onCancel: () => mixed,
+|};
+
+type State = {|
+  format: DiagnosticExportFormat,
+  filtered: boolean,
+|};
+
+class ExportModal extends React.Component<Props, State> {
+  constructor(props: Props) {
+    super(props);
+    this.state = {
+      format: 'sarif',
+      filtered: props.canExportFiltered,
+    };
+  }
+
+  _handleExport = (): void => {
+    this.props.onExport(this.state);
+  };
+
+  render(): React.Node {
+    return (
+      <div className="nuclide-diagnostics-ui-export-modal">
+        <div className="nuclide-diagnostics-ui-export-modal-row">
+          <span>Format:</span>
+          <Dropdown
+            className="inline"
+            options={FORMAT_OPTIONS}
+            value={this.state.format}
+            size="sm"
+            onChange={(format: DiagnosticExportFormat) =>
+              this.setState({format})
+            }
+          />
+        </div>
+        <Checkbox
+          label="Only the diagnostics shown in the Diagnostics table"
+          checked={this.state.filtered}
+          disabled={!this.props.canExportFiltered}
+          onChange={filtered => this.setState({filtered})}
+        />
+        <div className="nuclide-diagnostics-ui-export-modal-row">
+          <ButtonGroup>
+            <Button onClick={this.props.onCancel}>Cancel</Button>
+            <Button
+              buttonType={ButtonTypes.PRIMARY}
+              onClick={this._handleExport}>
+              Export
+            </Button>
+          </ButtonGroup>
+        </div>
+      </div>
+    );
+  }
+}
+
+/**
+ * Asks the user for the format to export the diagnostics in and whether to
+ * export all of them. Resolves with null if the modal is dismissed.
+ */
+export default function showExportModal(
+  canExportFiltered: boolean,
+): Promise<?ExportOptions> {
+  return new Promise(resolve => {
+    let options = null;
+    showModal(
+      ({dismiss}) => (
+        <ExportModal
+          canExportFiltered={canExportFiltered}
+          onExport={exportOptions => {
+            options = exportOptions;
+            dismiss();
+          }}
+          onCancel={dismiss}
+        />
+      ),
+      {onDismiss: () => resolve(options)},
+    );
+  });
+}
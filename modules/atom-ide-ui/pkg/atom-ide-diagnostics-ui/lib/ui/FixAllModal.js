@@ -0,0 +1,220 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+import type {ProjectFix} from '../../../atom-ide-diagnostics/lib/types';
+
+import {TextBuffer} from 'atom';
+import parse from 'diffparser';
+import {getLogger} from 'log4js';
+import * as React from 'react';
+import {Observable} from 'rxjs';
+import {arrayCompact} from 'nuclide-commons/collection';
+import nuclideUri from 'nuclide-commons/nuclideUri';
+import {getFileForPath} from 'nuclide-commons-atom/projects';
+import {toUnifiedDiff} from 'nuclide-commons-atom/text-edit-diff';
+import {existingEditorForUri} from 'nuclide-commons-atom/text-editor';
+import {Button, ButtonTypes} from 'nuclide-commons-ui/Button';
+import {ButtonGroup} from 'nuclide-commons-ui/ButtonGroup';
+import {Checkbox} from 'nuclide-commons-ui/Checkbox';
+import FileChanges from 'nuclide-commons-ui/FileChanges';
+import {LoadingSpinner} from 'nuclide-commons-ui/LoadingSpinner';
+import showModal from 'nuclide-commons-ui/showModal';
+
+type ProjectFixes = Map<NuclideUri, Array<ProjectFix>>;
+
+type FileDiff = {|
+  +filePath: NuclideUri,
+  +diff: diffparser$FileDiff,
+|};
+
+function describeFixes(count: number): string {
+  return count === 1 ? '1 fix' : `${count} fixes`;
+}
+
+type Props = {|
+  +fixes: ProjectFixes,
+  +onApply: (filePaths: Set<NuclideUri>) => mixed,
+  +onCancel: () => mixed,
+|};
+
+type State = {|
+  // Null until the files have been read.
+  diffs: ?Array<FileDiff>,
+  deselectedFiles: Set<NuclideUri>,
+|};
+
+async function readBuffer(filePath: NuclideUri): Promise<atom$TextBuffer> {
+  // Open files may have changes that haven't been saved.
+  const editor = existingEditorForUri(filePath);
+  if (editor != null) {
+    return editor.getBuffer();
+  }
+  const file = getFileForPath(filePath);
+  if (file == null) {
+    throw new Error(`${filePath} is not in a project`);
+  }
+  return new TextBuffer(await file.read());
+}
+
+/**
+ * Diffs each file against its contents with the fixes applied. Files that
+ * can't be read are left out, so their fixes won't be applied either.
+ */
+async function getDiffs(fixes: ProjectFixes): Promise<Array<FileDiff>> {
+  const diffs = await Promise.all(
+    Array.from(fixes, async ([filePath, fileFixes]) => {
+      try {
+        const buffer = await readBuffer(filePath);
+        const diff = toUnifiedDiff(
+          nuclideUri.basename(filePath),
+          buffer,
+          fileFixes.map(fix => fix.edit),
+        );
+        return {filePath, diff: parse(diff)[0]};
+      } catch (error) {
+        getLogger('atom-ide-diagnostics-ui').warn(
+          `Could not preview the fixes in ${filePath}`,
+          error,
+        );
+        return null;
+      }
+    }),
+  );
+  return arrayCompact(diffs);
+}
+
+class FixAllModal extends React.Component<Props, State> {
+  _subscription: ?rxjs$ISubscription;
+
+  state = {
+    diffs: null,
+    deselectedFiles: new Set(),
+  };
+
+  componentDidMount(): void {
+    this._subscription = Observable.defer(() =>
+      getDiffs(this.props.fixes),
+    ).subscribe(diffs => {
+      this.setState({diffs});
+    });
+  }
+
+  componentWillUnmount(): void {
+    if (this._subscription != null) {
+      this._subscription.unsubscribe();
+    }
+  }
+
+  _getSelectedFiles(): Set<NuclideUri> {
+    const {diffs, deselectedFiles} = this.state;
+    return new Set(
+      (diffs || [])
+        .map(({filePath}) => filePath)
+        .filter(filePath => !deselectedFiles.has(filePath)),
+    );
+  }
+
+  _handleApply = (): void => {
+    this.props.onApply(this._getSelectedFiles());
+  };
+
+  _toggleFile(filePath: NuclideUri, checked: boolean): void {
+    this.setState(state => {
+      const deselectedFiles = new Set(state.deselectedFiles);
+      if (checked) {
+        deselectedFiles.delete(filePath);
+      } else {
+        deselectedFiles.add(filePath);
+      }
+      return {deselectedFiles};
+    });
+  }
+
+  _renderDiffs(diffs: Array<FileDiff>): React.Node {
+    return diffs.map(({filePath, diff}) => {
+      const fileFixes = this.props.fixes.get(filePath) || [];
+      const displayPath = atom.project.relativizePath(filePath)[1];
+      return (
+        <div key={filePath} className="diagnostics-fix-all-modal-file">
+          <Checkbox
+            label={`Apply ${describeFixes(fileFixes.length)} to ${displayPath}`}
+            checked={!this.state.deselectedFiles.has(filePath)}
+            onChange={checked => this._toggleFile(filePath, checked)}
+          />
+          <FileChanges
+            diff={diff}
+            fullPath={filePath}
+            displayPath={displayPath}
+            collapsable={true}
+          />
+        </div>
+      );
+    });
+  }
+
+  render(): React.Node {
+    const {diffs} = this.state;
+    let fixCount = 0;
+    this._getSelectedFiles().forEach(filePath => {
+      fixCount += (this.props.fixes.get(filePath) || []).length;
+    });
+    return (
+      <div className="diagnostics-fix-all-modal">
+        <div className="diagnostics-fix-all-modal-files">
+          {diffs == null ? (
+            <LoadingSpinner className="inline-block" />
+          ) : (
+            this._renderDiffs(diffs)
+          )}
+        </div>
+        <div className="diagnostics-fix-all-modal-actions">
+          <ButtonGroup>
+            <Button onClick={this.props.onCancel}>Cancel</Button>
+            <Button
+              buttonType={ButtonTypes.PRIMARY}
+              disabled={fixCount === 0}
+              onClick={this._handleApply}>
+              Apply {describeFixes(fixCount)}
+            </Button>
+          </ButtonGroup>
+        </div>
+      </div>
+    );
+  }
+}
+
+/**
+ * Previews the fixes as diffs and lets the user leave out files before they're
+ * applied. Resolves with the files that were kept, or null if the modal is
+ * dismissed.
+ */
+export default function showFixAllModal(
+  fixes: ProjectFixes,
+): Promise<?Set<NuclideUri>> {
+  return new Promise(resolve => {
+    let selected = null;
+    showModal(
+      ({dismiss}) => (
+        <FixAllModal
+          fixes={fixes}
+          onApply={selectedFiles => {
+            selected = selectedFiles;
+            dismiss();
+          }}
+          onCancel={dismiss}
+        />
+      ),
+      {onDismiss: () => resolve(selected)},
+    );
+  });
+}
@@ -14,6 +14,7 @@ import type {
   DiagnosticUpdater,
   DiagnosticMessage,
 } from '../../../atom-ide-diagnostics/lib/types';
+import type {BaselineState} from '../types';
 
 import addTooltip from 'nuclide-commons-ui/addTooltip';
 import {Icon} from 'nuclide-commons-ui/Icon';
@@ -34,6 +35,18 @@ type DiagnosticCount = {
   warningCount: number,
   staleErrorCount: number,
   staleWarningCount: number,
+  // Baselined messages that are left out of the counts above.
+  baselinedErrorCount: number,
+  baselinedWarningCount: number,
+};
+
+const EMPTY_COUNT: DiagnosticCount = {
+  errorCount: 0,
+  warningCount: 0,
+  staleErrorCount: 0,
+  staleWarningCount: 0,
+  baselinedErrorCount: 0,
+  baselinedWarningCount: 0,
 };
 
 // Stick this to the left of remote-projects (-99)
@@ -50,30 +63,20 @@ export default class StatusBarTile {
 
   constructor() {
     this._diagnosticUpdaters = new Map();
-    this._totalDiagnosticCount = {
-      errorCount: 0,
-      warningCount: 0,
-      staleErrorCount: 0,
-      staleWarningCount: 0,
-    };
+    this._totalDiagnosticCount = EMPTY_COUNT;
     this._subscriptions = new UniversalDisposable();
   }
 
   consumeDiagnosticUpdates(
     diagnosticUpdater: DiagnosticUpdater,
     isStaleMessageEnabledStream: Observable<boolean>,
+    baselineStateStream: Observable<BaselineState>,
   ): void {
     if (this._diagnosticUpdaters.has(diagnosticUpdater)) {
       return;
     }
 
-    const diagnosticCount = {
-      errorCount: 0,
-      warningCount: 0,
-      staleErrorCount: 0,
-      staleWarningCount: 0,
-    };
-    this._diagnosticUpdaters.set(diagnosticUpdater, diagnosticCount);
+    this._diagnosticUpdaters.set(diagnosticUpdater, EMPTY_COUNT);
     this._subscriptions.add(
       observableFromSubscribeFunction(diagnosticUpdater.observeMessages)
         .let(fastDebounce(RENDER_DEBOUNCE_TIME))
@@ -98,10 +101,17 @@ export default class StatusBarTile {
             return diagnostic;
           }),
         )
+        .combineLatest(baselineStateStream)
         .subscribe(
-          this._onAllMessagesDidUpdate.bind(this, diagnosticUpdater),
+          ([diagnostics, {baselinedMessages, display}]) =>
+            this._onAllMessagesDidUpdate(
+              diagnosticUpdater,
+              diagnostics,
+              // Shown baselined messages count like any other.
+              display === 'show' ? new Set() : baselinedMessages,
+            ),
           null,
-          this._onAllMessagesDidUpdate.bind(this, diagnosticUpdater, []),
+          () => this._onAllMessagesDidUpdate(diagnosticUpdater, [], new Set()),
         ),
     );
   }
@@ -136,14 +146,23 @@ export default class StatusBarTile {
   _onAllMessagesDidUpdate(
     diagnosticUpdater: DiagnosticUpdater,
     messages: Array<DiagnosticMessage>,
+    baselinedMessages: Set<DiagnosticMessage>,
   ): void {
     // Update the DiagnosticCount for the updater.
     let errorCount = 0;
     let warningCount = 0;
     let staleErrorCount = 0;
     let staleWarningCount = 0;
+    let baselinedErrorCount = 0;
+    let baselinedWarningCount = 0;
     for (const message of messages) {
-      if (message.type === 'Error') {
+      if (baselinedMessages.has(message)) {
+        if (message.type === 'Error') {
+          ++baselinedErrorCount;
+        } else if (message.type === 'Warning' || message.type === 'Info') {
+          ++baselinedWarningCount;
+        }
+      } else if (message.type === 'Error') {
         ++errorCount;
         if (message.stale) {
           ++staleErrorCount;
@@ -161,6 +180,8 @@ export default class StatusBarTile {
       warningCount,
       staleErrorCount,
       staleWarningCount,
+      baselinedErrorCount,
+      baselinedWarningCount,
     });
 
     // Recalculate the total diagnostic count.
@@ -168,17 +189,23 @@ export default class StatusBarTile {
     let totalWarningCount = 0;
     let totalStaleErrorCount = 0;
     let totalStaleWarningCount = 0;
+    let totalBaselinedErrorCount = 0;
+    let totalBaselinedWarningCount = 0;
     for (const diagnosticCount of this._diagnosticUpdaters.values()) {
       totalErrorCount += diagnosticCount.errorCount;
       totalWarningCount += diagnosticCount.warningCount;
       totalStaleErrorCount += diagnosticCount.staleErrorCount;
       totalStaleWarningCount += diagnosticCount.staleWarningCount;
+      totalBaselinedErrorCount += diagnosticCount.baselinedErrorCount;
+      totalBaselinedWarningCount += diagnosticCount.baselinedWarningCount;
     }
     this._totalDiagnosticCount = {
       errorCount: totalErrorCount,
       warningCount: totalWarningCount,
       staleErrorCount: totalStaleErrorCount,
       staleWarningCount: totalStaleWarningCount,
+      baselinedErrorCount: totalBaselinedErrorCount,
+      baselinedWarningCount: totalBaselinedWarningCount,
     };
 
     this._render();
@@ -212,6 +239,8 @@ type Props = {|
   warningCount: number,
   staleErrorCount: number,
   staleWarningCount: number,
+  baselinedErrorCount: number,
+  baselinedWarningCount: number,
 |};
 
 class StatusBarTileComponent extends React.Component<Props> {
@@ -226,6 +255,8 @@ class StatusBarTileComponent extends React.Component<Props> {
       warningCount,
       staleErrorCount,
       staleWarningCount,
+      baselinedErrorCount,
+      baselinedWarningCount,
     } = this.props;
     const hasErrors = errorCount > 0;
     const hasWarnings = warningCount > 0;
@@ -243,6 +274,10 @@ class StatusBarTileComponent extends React.Component<Props> {
     const errorSuffix = errorCount !== 1 ? 's' : '';
     const warningLabel = hasWarnings ? warningCount : 'No';
     const warningSuffix = warningCount !== 1 ? 's' : '';
+    const errorBaselined =
+      baselinedErrorCount > 0 ? ` (${baselinedErrorCount} baselined)` : '';
+    const warningBaselined =
+      baselinedWarningCount > 0 ? ` (${baselinedWarningCount} baselined)` : '';
 
     return (
       <span>
@@ -251,7 +286,7 @@ class StatusBarTileComponent extends React.Component<Props> {
           onClick={this._onClick}
           // eslint-disable-next-line nuclide-internal/jsx-simple-callback-refs
           ref={addTooltip({
-            title: `${errorLabel} error${errorSuffix}`,
+            title: `${errorLabel} error${errorSuffix}${errorBaselined}`,
             placement: 'top',
           })}>
           <Icon icon="nuclicon-error" />
@@ -262,7 +297,7 @@ class StatusBarTileComponent extends React.Component<Props> {
           onClick={this._onClick}
           // eslint-disable-next-line nuclide-internal/jsx-simple-callback-refs
           ref={addTooltip({
-            title: `${warningLabel} warning${warningSuffix}`,
+            title: `${warningLabel} warning${warningSuffix}${warningBaselined}`,
             placement: 'top',
           })}>
           <Icon icon="nuclicon-warning" />
@@ -415,6 +415,65 @@ describe('message transformation functions', () => {
         ],
       });
     });
+
+    it('should convert every solution, the url and the icon', () => {
+      const message = {
+        location: {
+          file: 'file.txt',
+          position: [[0, 0], [0, 1]],
+        },
+        excerpt: 'Error',
+        severity: 'warning',
+        url: 'https://example.com/rules/no-a',
+        icon: 'alert',
+        solutions: [
+          {
+            title: 'Use c',
+            position: [[0, 0], [0, 1]],
+            replaceWith: 'c',
+            priority: 2,
+          },
+          {
+            title: 'Use b',
+            position: [[0, 0], [0, 1]],
+            replaceWith: 'b',
+            priority: 1,
+          },
+          {
+            title: 'Ignore',
+            position: [[0, 0], [0, 1]],
+            apply: ({bind: () => 'dummy'}: any),
+          },
+        ],
+      };
+      expect(linterMessageV2ToDiagnosticMessage(message, 'test')).toEqual({
+        providerName: 'test',
+        type: 'Warning',
+        filePath: 'file.txt',
+        range: new Range([0, 0], [0, 1]),
+        text: 'Error',
+        fix: {
+          title: 'Use b',
+          oldRange: new Range([0, 0], [0, 1]),
+          newText: 'b',
+        },
+        alternativeFixes: [
+          {
+            title: 'Use c',
+            oldRange: new Range([0, 0], [0, 1]),
+            newText: 'c',
+          },
+        ],
+        actions: [
+          {
+            title: 'Ignore',
+            apply: 'dummy',
+          },
+        ],
+        url: 'https://example.com/rules/no-a',
+        icon: 'alert',
+      });
+    });
   });
 
   describe('linterMessagesToDiagnosticUpdate', () => {
@@ -106,6 +106,67 @@ describe('MessageRangeTracker', () => {
     checkRep(tracker);
   });
 
+  it('should keep tracking message ranges after their fixes are invalidated', () => {
+    tracker.addFileMessages([messageForInitiallyOpenFile]);
+    initiallyOpenEditor.setTextInBufferRange(new Range([1, 20], [1, 21]), '');
+    initiallyOpenEditor.setTextInBufferRange(new Range([0, 0], [0, 0]), '\n');
+    expect(tracker.getCurrentRange(messageForInitiallyOpenFile)).toBeNull();
+    const range = tracker.getCurrentMessageRange(messageForInitiallyOpenFile);
+    invariant(range != null);
+    expect(range.isEqual(new Range([2, 18], [2, 21]))).toBeTruthy();
+    checkRep(tracker);
+  });
+
+  it('should track alternative fixes', () => {
+    const alternativeFix = {
+      oldRange: new Range([1, 3], [1, 7]),
+      oldText: 'will',
+      newText: 'shall',
+    };
+    const message = {
+      ...messageForInitiallyOpenFile,
+      alternativeFixes: [alternativeFix],
+    };
+    tracker.addFileMessages([message]);
+    initiallyOpenEditor.setTextInBufferRange(new Range([1, 20], [1, 21]), '');
+    expect(tracker.getCurrentRange(message)).toBeNull();
+    const range = tracker.getCurrentFixRange(message, alternativeFix);
+    invariant(range != null);
+    expect(range.isEqual(new Range([1, 3], [1, 7]))).toBeTruthy();
+
+    tracker.removeFileMessages([message]);
+    expect(tracker._alternativeFixToMarker.size).toBe(0);
+    checkRep(tracker);
+  });
+
+  it('should apply fixes in closed files to their original range', () => {
+    tracker.addFileMessages([
+      messageForInitiallyOpenFile,
+      messageForInitiallyClosedFile,
+    ]);
+    const {fix} = messageForInitiallyClosedFile;
+    invariant(fix != null);
+    expect(tracker.getFixRangeToApply(messageForInitiallyClosedFile, fix)).toBe(
+      fix.oldRange,
+    );
+    // Without the old text, there's no telling if the file changed on disk.
+    const fixWithoutOldText = {oldRange: fix.oldRange, newText: fix.newText};
+    expect(
+      tracker.getFixRangeToApply(
+        messageForInitiallyClosedFile,
+        fixWithoutOldText,
+      ),
+    ).toBeNull();
+
+    const openFix = messageForInitiallyOpenFile.fix;
+    invariant(openFix != null);
+    initiallyOpenEditor.setTextInBufferRange(new Range([1, 20], [1, 21]), '');
+    expect(
+      tracker.getFixRangeToApply(messageForInitiallyOpenFile, openFix),
+    ).toBeNull();
+    checkRep(tracker);
+  });
+
   it('should add markers to files when they are opened', async () => {
     tracker.addFileMessages([messageForInitiallyClosedFile]);
     checkRep(tracker);
@@ -219,4 +280,16 @@ function checkRep(tracker: MessageRangeTracker): void {
   for (const marker of tracker._messageToMarker.values()) {
     expect(marker.isDestroyed()).toBeFalsy();
   }
+
+  for (const marker of tracker._alternativeFixToMarker.values()) {
+    expect(marker.isDestroyed()).toBeFalsy();
+  }
+
+  for (const message of tracker._messageToRangeMarker.keys()) {
+    expect(openFiles.has(message.filePath)).toBeTruthy();
+  }
+
+  for (const marker of tracker._messageToRangeMarker.values()) {
+    expect(marker.isDestroyed()).toBeFalsy();
+  }
 }
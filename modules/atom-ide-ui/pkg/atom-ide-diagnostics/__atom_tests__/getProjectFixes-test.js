@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import type {DiagnosticMessage} from '../lib/types';
+
+import {Range} from 'atom';
+
+import getProjectFixes from '../lib/getProjectFixes';
+
+function message(
+  providerName: string,
+  filePath: string,
+  range: atom$Range,
+  extra?: Object,
+): DiagnosticMessage {
+  return {
+    providerName,
+    type: 'Error',
+    filePath,
+    text: 'something is wrong',
+    range,
+    fix: {oldRange: range, newText: 'fix'},
+    ...extra,
+  };
+}
+
+describe('getProjectFixes', () => {
+  const getOldRange = (msg, fix) => fix.oldRange;
+
+  it('groups the fixes by file', () => {
+    const a1 = message('Flow', 'a.js', new Range([0, 0], [0, 3]));
+    const a2 = message('ESLint', 'a.js', new Range([2, 0], [2, 3]));
+    const b = message('Flow', 'b.js', new Range([1, 0], [1, 3]));
+    const fixes = getProjectFixes([a2, b, a1], null, getOldRange);
+    expect(Array.from(fixes.keys())).toEqual(['a.js', 'b.js']);
+    const aFixes = fixes.get('a.js') || [];
+    expect(aFixes.map(fix => fix.message)).toEqual([a1, a2]);
+    expect(aFixes[0].edit.newText).toBe('fix');
+  });
+
+  it('filters by provider and code', () => {
+    const a = message('Flow', 'a.js', new Range([0, 0], [0, 3]), {code: 1});
+    const b = message('Flow', 'b.js', new Range([0, 0], [0, 3]), {code: 2});
+    const c = message('ESLint', 'c.js', new Range([0, 0], [0, 3]));
+    const messages = [a, b, c];
+    expect(
+      Array.from(
+        getProjectFixes(messages, {providerName: 'Flow'}, getOldRange).keys(),
+      ),
+    ).toEqual(['a.js', 'b.js']);
+    expect(
+      Array.from(
+        getProjectFixes(
+          messages,
+          {providerName: 'Flow', code: 2},
+          getOldRange,
+        ).keys(),
+      ),
+    ).toEqual(['b.js']);
+  });
+
+  it('filters by message', () => {
+    const a = message('Flow', 'a.js', new Range([0, 0], [0, 3]));
+    const b = message('Flow', 'b.js', new Range([0, 0], [0, 3]));
+    const fixes = getProjectFixes(
+      [a, b],
+      {providerName: 'Flow', messages: new Set([b])},
+      getOldRange,
+    );
+    expect(Array.from(fixes.keys())).toEqual(['b.js']);
+  });
+
+  it('leaves out speculative, stale, invalid and overlapping fixes', () => {
+    const range = new Range([0, 0], [0, 5]);
+    const speculative = message('Flow', 'a.js', range, {
+      fix: {oldRange: range, newText: 'fix', speculative: true},
+    });
+    const stale = message('Flow', 'a.js', new Range([2, 0], [2, 5]), {
+      stale: true,
+    });
+    const invalid = message('Flow', 'a.js', new Range([3, 0], [3, 5]));
+    const first = message('Flow', 'a.js', new Range([1, 0], [1, 5]));
+    const overlapping = message('Flow', 'a.js', new Range([1, 2], [1, 8]));
+    const fixes = getProjectFixes(
+      [speculative, stale, invalid, overlapping, first],
+      null,
+      (msg, fix) => (msg === invalid ? null : fix.oldRange),
+    );
+    const aFixes = fixes.get('a.js') || [];
+    expect(aFixes.map(fix => fix.message)).toEqual([first]);
+  });
+});
@@ -15,7 +15,8 @@ import type {DiagnosticMessage} from '../lib/types';
 import {Observable} from 'rxjs';
 import {ActionsObservable} from 'nuclide-commons/redux-observable';
 import * as Actions from '../lib/redux/Actions';
-import {fetchCodeActions} from '../lib/redux/Epics';
+import * as Selectors from '../lib/redux/Selectors';
+import {expireStaleMessages, fetchCodeActions} from '../lib/redux/Epics';
 import createStore from '../lib/redux/createStore';
 
 describe('Epics', () => {
@@ -66,4 +67,65 @@ describe('Epics', () => {
       ]);
     });
   });
+
+  describe('expireStaleMessages', () => {
+    const fakeMessageRangeTracker: any = null;
+    const fakeProvider: any = {};
+    const FILE_PATH = '/test.js';
+    const message: DiagnosticMessage = {
+      providerName: 'test',
+      type: 'Error',
+      filePath: FILE_PATH,
+      text: 'something is wrong',
+    };
+
+    it('expires the messages that became stale once', async () => {
+      const store = createStore(fakeMessageRangeTracker);
+      store.dispatch(
+        Actions.updateMessages(fakeProvider, new Map([[FILE_PATH, [message]]])),
+      );
+      const firstMark = Actions.markMessagesStale(FILE_PATH, 10);
+      store.dispatch(firstMark);
+      const [staleMessage] = Selectors.getFileMessages(
+        store.getState(),
+        FILE_PATH,
+      );
+      expect(staleMessage.stale).toBe(true);
+
+      expect(
+        await expireStaleMessages(
+          new ActionsObservable(
+            Observable.of(
+              firstMark,
+              // The message was already stale, so it's not expired twice.
+              Actions.markMessagesStale(FILE_PATH, 10),
+            ),
+          ),
+          store,
+        )
+          .toArray()
+          .toPromise(),
+      ).toEqual([
+        Actions.expireStaleMessages(FILE_PATH, new Set([staleMessage])),
+      ]);
+    });
+
+    it("doesn't expire messages without an expiration", async () => {
+      const store = createStore(fakeMessageRangeTracker);
+      store.dispatch(
+        Actions.updateMessages(fakeProvider, new Map([[FILE_PATH, [message]]])),
+      );
+      const mark = Actions.markMessagesStale(FILE_PATH);
+      store.dispatch(mark);
+
+      expect(
+        await expireStaleMessages(
+          new ActionsObservable(Observable.of(mark)),
+          store,
+        )
+          .toArray()
+          .toPromise(),
+      ).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import {
+  BASELINE_FILE_NAME,
+  getFingerprint,
+  writeBaselines,
+} from '../lib/baseline';
+
+describe('getFingerprint', () => {
+  const lines = ['function foo() {', '  return bar;', '}'];
+
+  it('ignores whitespace and blank lines', () => {
+    expect(getFingerprint('Unknown  name `bar`', lines)).toBe(
+      getFingerprint(' Unknown name `bar`\n', [
+        'function foo() {',
+        '',
+        '    return bar;  ',
+        '}',
+      ]),
+    );
+  });
+
+  it('changes with the message text or the surrounding lines', () => {
+    const fingerprint = getFingerprint('Unknown name `bar`', lines);
+    expect(getFingerprint('Unknown name `baz`', lines)).not.toBe(fingerprint);
+    expect(
+      getFingerprint('Unknown name `bar`', [
+        'function foo() {',
+        '  return bar + 1;',
+        '}',
+      ]),
+    ).not.toBe(fingerprint);
+  });
+});
+
+describe('writeBaselines', () => {
+  function createDirectory(path: string, hasBaseline: boolean) {
+    const file = {
+      exists: () => Promise.resolve(hasBaseline),
+      write: jest.fn(() => Promise.resolve()),
+    };
+    const directory: atom$Directory = ({
+      getPath: () => path,
+      getFile: name => {
+        expect(name).toBe(BASELINE_FILE_NAME);
+        return file;
+      },
+    }: any);
+    return {directory, file};
+  }
+
+  it('does not add empty baselines to directories without one', async () => {
+    const {directory, file} = createDirectory('/a', false);
+    const baselines = await writeBaselines([directory], [], () => null);
+    expect(baselines.size).toBe(0);
+    expect(file.write).not.toHaveBeenCalled();
+  });
+
+  it('replaces existing baselines even when they become empty', async () => {
+    const {directory, file} = createDirectory('/a', true);
+    const baselines = await writeBaselines([directory], [], () => null);
+    expect(Array.from(baselines.keys())).toEqual(['/a']);
+    expect(file.write).toHaveBeenCalledWith(
+      JSON.stringify({version: 1, entries: []}, null, 2) + '\n',
+    );
+  });
+});
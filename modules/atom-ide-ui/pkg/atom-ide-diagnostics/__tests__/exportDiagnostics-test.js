@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import type {DiagnosticMessage} from '../lib/types';
+
+import exportDiagnostics from '../lib/exportDiagnostics';
+
+function range(
+  startRow: number,
+  startColumn: number,
+  endRow: number,
+  endColumn: number,
+): atom$Range {
+  return ({
+    start: {row: startRow, column: startColumn},
+    end: {row: endRow, column: endColumn},
+  }: any);
+}
+
+const messages: Array<DiagnosticMessage> = [
+  {
+    providerName: 'Flow',
+    kind: 'lint',
+    type: 'Error',
+    filePath: '/src/a.js',
+    text: 'Cannot call `foo` with "bar"',
+    range: range(2, 4, 2, 9),
+    code: 123,
+    trace: [
+      {
+        type: 'Trace',
+        text: 'declared here',
+        filePath: '/src/b.js',
+        range: range(0, 0, 0, 3),
+      },
+    ],
+    fix: {
+      oldRange: range(2, 4, 2, 9),
+      newText: 'foo()',
+      title: 'Call foo',
+    },
+  },
+  {
+    providerName: 'ESLint',
+    kind: 'review',
+    type: 'Info',
+    filePath: '/src/a.js',
+    html: 'Prefer <code>const</code> &amp; co',
+  },
+];
+
+describe('exportDiagnostics', () => {
+  it('exports SARIF with a run per provider', () => {
+    const sarif = JSON.parse(exportDiagnostics(messages, 'sarif'));
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs.map(run => run.tool.driver.name)).toEqual([
+      'Flow',
+      'ESLint',
+    ]);
+
+    const [flowResult] = sarif.runs[0].results;
+    expect(flowResult).toMatchObject({
+      ruleId: '123',
+      level: 'error',
+      message: {text: 'Cannot call `foo` with "bar"'},
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {uri: 'file:///src/a.js'},
+            region: {startLine: 3, startColumn: 5, endLine: 3, endColumn: 10},
+          },
+        },
+      ],
+      properties: {kind: 'lint'},
+    });
+    expect(flowResult.codeFlows[0].threadFlows[0].locations).toEqual([
+      {
+        location: {
+          physicalLocation: {
+            artifactLocation: {uri: 'file:///src/b.js'},
+            region: {startLine: 1, startColumn: 1, endLine: 1, endColumn: 4},
+          },
+          message: {text: 'declared here'},
+        },
+      },
+    ]);
+    expect(flowResult.fixes[0]).toMatchObject({
+      description: {text: 'Call foo'},
+      artifactChanges: [
+        {
+          replacements: [
+            {
+              deletedRegion: {startLine: 3, startColumn: 5},
+              insertedContent: {text: 'foo()'},
+            },
+          ],
+        },
+      ],
+    });
+
+    const [eslintResult] = sarif.runs[1].results;
+    expect(eslintResult.level).toBe('note');
+    expect(eslintResult.message.text).toBe('Prefer const & co');
+    expect(eslintResult.properties.kind).toBe('review');
+  });
+
+  it('escapes the paths of SARIF locations', () => {
+    const sarif = JSON.parse(
+      exportDiagnostics(
+        [
+          {
+            providerName: 'Flow',
+            type: 'Error',
+            filePath: '/src/#1 a?.js',
+            text: 'Cannot call `foo`',
+            range: range(0, 0, 0, 3),
+          },
+        ],
+        'sarif',
+      ),
+    );
+    expect(
+      sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation
+        .uri,
+    ).toBe('file:///src/%231%20a%3F.js');
+  });
+
+  it('exports plain JSON', () => {
+    const json = JSON.parse(exportDiagnostics(messages, 'json'));
+    expect(json[0]).toMatchObject({
+      providerName: 'Flow',
+      kind: 'lint',
+      type: 'Error',
+      range: {start: {row: 2, column: 4}, end: {row: 2, column: 9}},
+      trace: [{text: 'declared here', filePath: '/src/b.js'}],
+      fix: {title: 'Call foo', newText: 'foo()'},
+    });
+    expect(json[1].html).toBe('Prefer <code>const</code> &amp; co');
+  });
+
+  it('exports Checkstyle XML grouped by file', () => {
+    expect(exportDiagnostics(messages, 'checkstyle')).toBe(
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<checkstyle version="4.3">',
+        '  <file name="/src/a.js">',
+        '    <error line="3" column="5" severity="error" ' +
+          'message="Cannot call `foo` with &quot;bar&quot;&#10;' +
+          '  /src/b.js:1: declared here" source="Flow.lint.123" ' +
+          'fix="foo()" fixTitle="Call foo"/>',
+        '    <error line="0" severity="info" message="Prefer const &amp; co" ' +
+          'source="ESLint.review"/>',
+        '  </file>',
+        '</checkstyle>',
+        '',
+      ].join('\n'),
+    );
+  });
+});
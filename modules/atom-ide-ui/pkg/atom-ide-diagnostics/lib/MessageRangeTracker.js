@@ -10,7 +10,7 @@
  * @format
  */
 
-import type {DiagnosticMessage} from './types';
+import type {DiagnosticFix, DiagnosticMessage} from './types';
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
 
 import invariant from 'assert';
@@ -21,6 +21,10 @@ import {MultiMap} from 'nuclide-commons/collection';
  * This class tracks the position of messages as the contents of the editor changes. It does this
  * using markers. Note that there's no visible change to the editor; the markers are just a means to
  * track ranges as surrounding lines change.
+ *
+ * Both the ranges of a message's fixes and the range of the message itself are tracked. Fix ranges
+ * are invalidated as soon as they're edited, while message ranges just follow the text around
+ * them.
  */
 export default class MessageRangeTracker {
   /**
@@ -35,10 +39,23 @@ export default class MessageRangeTracker {
    */
   _messageToMarker: Map<DiagnosticMessage, atom$Marker>;
 
+  /**
+   * Stores the markers of the message ranges, with the same invariants as `_messageToMarker`.
+   */
+  _messageToRangeMarker: Map<DiagnosticMessage, atom$Marker>;
+
+  /**
+   * Stores the markers of the messages' alternative fixes, with the same invariants as
+   * `_messageToMarker`.
+   */
+  _alternativeFixToMarker: Map<DiagnosticFix, atom$Marker>;
+
   _disposables: UniversalDisposable;
 
   constructor() {
     this._messageToMarker = new Map();
+    this._messageToRangeMarker = new Map();
+    this._alternativeFixToMarker = new Map();
     this._fileToMessages = new MultiMap();
 
     this._disposables = new UniversalDisposable(
@@ -51,8 +68,11 @@ export default class MessageRangeTracker {
         for (const message of messagesForPath) {
           // There might already be a marker because there can be multiple TextEditors open for a
           // given file.
-          if (!this._messageToMarker.has(message)) {
-            this._addMarker(editor, message);
+          if (
+            !this._messageToMarker.has(message) &&
+            !this._messageToRangeMarker.has(message)
+          ) {
+            this._addMarkers(editor, message);
           }
         }
       }),
@@ -60,8 +80,16 @@ export default class MessageRangeTracker {
         for (const marker of this._messageToMarker.values()) {
           marker.destroy();
         }
+        for (const marker of this._messageToRangeMarker.values()) {
+          marker.destroy();
+        }
+        for (const marker of this._alternativeFixToMarker.values()) {
+          marker.destroy();
+        }
         this._fileToMessages.clear();
         this._messageToMarker.clear();
+        this._messageToRangeMarker.clear();
+        this._alternativeFixToMarker.clear();
       },
     );
   }
@@ -82,11 +110,60 @@ export default class MessageRangeTracker {
     }
   }
 
+  /**
+   * Return the current range of one of the message's fixes if its marker is still valid, otherwise
+   * return null.
+   */
+  getCurrentFixRange(
+    message: DiagnosticMessage,
+    fix: DiagnosticFix,
+  ): ?atom$Range {
+    this._assertNotDisposed();
+    if (fix === message.fix) {
+      return this.getCurrentRange(message);
+    }
+    const marker = this._alternativeFixToMarker.get(fix);
+    if (marker != null && marker.isValid()) {
+      return marker.getBufferRange();
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Return the range one of the message's fixes can be applied to now, or null if it may no longer
+   * apply. Files that aren't open aren't tracked and may have changed on disk since the fix was
+   * reported, so their fixes are only applied to the original range if they have the old text to
+   * check it against.
+   */
+  getFixRangeToApply(
+    message: DiagnosticMessage,
+    fix: DiagnosticFix,
+  ): ?atom$Range {
+    this._assertNotDisposed();
+    const isFileOpen = atom.workspace
+      .getTextEditors()
+      .some(editor => editor.getPath() === message.filePath);
+    if (isFileOpen) {
+      return this.getCurrentFixRange(message, fix);
+    }
+    return fix.oldText != null ? fix.oldRange : null;
+  }
+
+  /**
+   * Return the current range of the message itself if its file is open, otherwise return null.
+   */
+  getCurrentMessageRange(message: DiagnosticMessage): ?atom$Range {
+    this._assertNotDisposed();
+    const marker = this._messageToRangeMarker.get(message);
+    return marker != null ? marker.getBufferRange() : null;
+  }
+
   addFileMessages(messages: Iterable<DiagnosticMessage>): void {
     this._assertNotDisposed();
 
     for (const message of messages) {
-      invariant(message.fix != null);
+      invariant(message.fix != null || message.range != null);
       this._fileToMessages.add(message.filePath, message);
 
       // If the file is currently open, create a marker.
@@ -100,7 +177,7 @@ export default class MessageRangeTracker {
         .getTextEditors()
         .filter(editor => editor.getPath() === message.filePath)[0];
       if (editorForFile != null) {
-        this._addMarker(editorForFile, message);
+        this._addMarkers(editorForFile, message);
       }
     }
   }
@@ -112,32 +189,58 @@ export default class MessageRangeTracker {
     for (const message of messages) {
       this._fileToMessages.delete(message.filePath, message);
 
+      // No need to remove from the maps explicitly since we do that on the markers' onDidDestroy
+      // handlers.
       const marker = this._messageToMarker.get(message);
       if (marker != null) {
-        // No need to remove from the set explicitly since we do that on the marker's onDidDestroy
-        // handler.
         marker.destroy();
       }
+      const rangeMarker = this._messageToRangeMarker.get(message);
+      if (rangeMarker != null) {
+        rangeMarker.destroy();
+      }
+      if (message.alternativeFixes != null) {
+        for (const fix of message.alternativeFixes) {
+          const fixMarker = this._alternativeFixToMarker.get(fix);
+          if (fixMarker != null) {
+            fixMarker.destroy();
+          }
+        }
+      }
     }
   }
 
-  _addMarker(editor: atom$TextEditor, message: DiagnosticMessage): void {
-    const fix = message.fix;
-    invariant(fix != null);
+  _addMarkers(editor: atom$TextEditor, message: DiagnosticMessage): void {
+    const {fix, alternativeFixes, range} = message;
+    if (fix != null) {
+      this._trackMarker(this._messageToMarker, message, markFix(editor, fix));
+    }
+    if (alternativeFixes != null) {
+      for (const alternativeFix of alternativeFixes) {
+        this._trackMarker(
+          this._alternativeFixToMarker,
+          alternativeFix,
+          markFix(editor, alternativeFix),
+        );
+      }
+    }
+    if (range != null) {
+      const marker = editor.markBufferRange(range, {invalidate: 'never'});
+      this._trackMarker(this._messageToRangeMarker, message, marker);
+    }
+  }
 
-    const marker = editor.markBufferRange(fix.oldRange, {
-      // 'touch' is the least permissive invalidation strategy: It will invalidate for
-      // changes that touch the marked region in any way. We want to invalidate
-      // aggressively because an incorrect fix application is far worse than a failed
-      // application.
-      invalidate: 'touch',
-    });
-    this._messageToMarker.set(message, marker);
+  _trackMarker<K>(
+    keyToMarker: Map<K, atom$Marker>,
+    key: K,
+    marker: atom$Marker,
+  ): void {
+    keyToMarker.set(key, marker);
 
     // The marker will be destroyed automatically when its associated TextBuffer is destroyed. Clean
     // up when that happens.
     const markerSubscription = marker.onDidDestroy(() => {
-      this._messageToMarker.delete(message);
+      keyToMarker.delete(key);
       markerSubscription.dispose();
       this._disposables.remove(markerSubscription);
     });
@@ -151,3 +254,13 @@ export default class MessageRangeTracker {
     );
   }
 }
+
+function markFix(editor: atom$TextEditor, fix: DiagnosticFix): atom$Marker {
+  return editor.markBufferRange(fix.oldRange, {
+    // 'touch' is the least permissive invalidation strategy: It will invalidate for
+    // changes that touch the marked region in any way. We want to invalidate
+    // aggressively because an incorrect fix application is far worse than a failed
+    // application.
+    invalidate: 'touch',
+  });
+}
@@ -0,0 +1,291 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {
+  BaselinesState,
+  DiagnosticBaseline,
+  DiagnosticBaselineEntry,
+  DiagnosticMessage,
+  LoadedBaseline,
+} from './types';
+import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+
+import crypto from 'crypto';
+import {getLogger} from 'log4js';
+
+// The baseline lives at the root of each project, so it can be checked in.
+export const BASELINE_FILE_NAME = '.diagnostics-baseline.json';
+
+// How many lines around a message are part of its fingerprint.
+const CONTEXT_LINES = 1;
+// Messages can span whole functions, so only their first lines are used.
+const MAX_MESSAGE_LINES = 5;
+
+// Returns the current range of a message, which differs from its reported
+// range once its file has been edited.
+export type GetMessageRange = (message: DiagnosticMessage) => ?atom$Range;
+
+function getBaselineKey(entry: DiagnosticBaselineEntry): string {
+  const {providerName, code, filePath, fingerprint} = entry;
+  return JSON.stringify([providerName, code, filePath, fingerprint]);
+}
+
+/**
+ * The fingerprint of a message is made of its text and the lines around it,
+ * leaving out the line numbers so that it survives lines being added or
+ * removed elsewhere in the file. Whitespace is ignored, as are blank lines.
+ */
+export function getFingerprint(text: string, lines: Array<string>): string {
+  const hash = crypto.createHash('sha1');
+  hash.update(text.replace(/\s+/g, ' ').trim());
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed !== '') {
+      hash.update('\n' + trimmed);
+    }
+  });
+  return hash.digest('hex');
+}
+
+function getMessageText(message: DiagnosticMessage): string {
+  if (message.text != null) {
+    return message.text;
+  }
+  return message.html != null ? message.html : '';
+}
+
+function getContextLines(
+  fileLines: ?Array<string>,
+  range: ?atom$Range,
+): Array<string> {
+  if (fileLines == null || range == null) {
+    return [];
+  }
+  const startRow = Math.max(range.start.row - CONTEXT_LINES, 0);
+  const endRow = Math.min(
+    range.end.row,
+    range.start.row + MAX_MESSAGE_LINES - 1,
+  );
+  return fileLines.slice(startRow, endRow + CONTEXT_LINES + 1);
+}
+
+function getProjectDirectory(filePath: NuclideUri): ?atom$Directory {
+  return atom.project
+    .getDirectories()
+    .find(directory => directory.contains(filePath));
+}
+
+/**
+ * Reads the lines of a file, preferring the contents of an open editor to what
+ * is on disk.
+ */
+async function readFileLines(
+  directory: atom$Directory,
+  filePath: NuclideUri,
+): Promise<?Array<string>> {
+  const editor = atom.workspace
+    .getTextEditors()
+    .find(textEditor => textEditor.getPath() === filePath);
+  if (editor != null) {
+    return editor.getBuffer().getLines();
+  }
+  try {
+    const contents = await directory
+      .getFile(directory.relativize(filePath))
+      .read();
+    return contents != null ? contents.split(/\r?\n/) : null;
+  } catch (error) {
+    getLogger('atom-ide-diagnostics').warn(
+      `Could not read ${filePath} to fingerprint its diagnostics`,
+      error,
+    );
+    return null;
+  }
+}
+
+/**
+ * Creates the baseline entries of the messages in each file of a directory.
+ * Messages in files that are open use the ranges that follow their edits.
+ */
+async function createEntries(
+  directory: atom$Directory,
+  messagesByFile: Map<NuclideUri, Array<DiagnosticMessage>>,
+  getMessageRange: GetMessageRange,
+): Promise<Array<[DiagnosticMessage, DiagnosticBaselineEntry]>> {
+  const entries = await Promise.all(
+    Array.from(messagesByFile, async ([filePath, messages]) => {
+      const fileLines = await readFileLines(directory, filePath);
+      const relativePath = directory.relativize(filePath);
+      return messages.map(message => {
+        const range = getMessageRange(message) || message.range;
+        return [
+          message,
+          {
+            providerName: message.providerName,
+            code: message.code != null ? message.code : null,
+            filePath: relativePath,
+            fingerprint: getFingerprint(
+              getMessageText(message),
+              getContextLines(fileLines, range),
+            ),
+          },
+        ];
+      });
+    }),
+  );
+  return [].concat(...entries);
+}
+
+// Groups the messages by the project directory and the file they are in.
+function groupMessages(
+  messages: Array<DiagnosticMessage>,
+  filter: (directory: atom$Directory, filePath: NuclideUri) => boolean,
+): Map<atom$Directory, Map<NuclideUri, Array<DiagnosticMessage>>> {
+  const groups = new Map();
+  messages.forEach(message => {
+    const directory = getProjectDirectory(message.filePath);
+    if (directory == null || !filter(directory, message.filePath)) {
+      return;
+    }
+    let messagesByFile = groups.get(directory);
+    if (messagesByFile == null) {
+      messagesByFile = new Map();
+      groups.set(directory, messagesByFile);
+    }
+    const fileMessages = messagesByFile.get(message.filePath);
+    if (fileMessages == null) {
+      messagesByFile.set(message.filePath, [message]);
+    } else {
+      fileMessages.push(message);
+    }
+  });
+  return groups;
+}
+
+function toLoadedBaseline(baseline: DiagnosticBaseline): LoadedBaseline {
+  return {
+    files: new Set(baseline.entries.map(entry => entry.filePath)),
+    keys: new Set(baseline.entries.map(getBaselineKey)),
+  };
+}
+
+/**
+ * Reads the baselines of the project directories that have one.
+ */
+export async function readBaselines(
+  directories: Array<atom$Directory>,
+): Promise<BaselinesState> {
+  const baselines = await Promise.all(
+    directories.map(async directory => {
+      const file = directory.getFile(BASELINE_FILE_NAME);
+      try {
+        if (!(await file.exists())) {
+          return null;
+        }
+        const baseline: DiagnosticBaseline = JSON.parse(await file.read());
+        if (baseline.version !== 1) {
+          throw new Error(`Unsupported version: ${baseline.version}`);
+        }
+        return [directory.getPath(), toLoadedBaseline(baseline)];
+      } catch (error) {
+        getLogger('atom-ide-diagnostics').error(
+          `Could not read the diagnostics baseline ${file.getPath()}`,
+          error,
+        );
+        return null;
+      }
+    }),
+  );
+  return new Map(baselines.filter(Boolean));
+}
+
+/**
+ * Writes a baseline of the given messages to each project directory, replacing
+ * the previous baselines. Directories without messages only get a baseline if
+ * they already had one.
+ */
+export async function writeBaselines(
+  directories: Array<atom$Directory>,
+  messages: Array<DiagnosticMessage>,
+  getMessageRange: GetMessageRange,
+): Promise<BaselinesState> {
+  const groups = groupMessages(messages, () => true);
+  const baselines = await Promise.all(
+    directories.map(async directory => {
+      const messagesByFile = groups.get(directory) || new Map();
+      const entries = (await createEntries(
+        directory,
+        messagesByFile,
+        getMessageRange,
+      )).map(([, entry]) => entry);
+      const file = directory.getFile(BASELINE_FILE_NAME);
+      if (entries.length === 0 && !(await file.exists())) {
+        return null;
+      }
+      // Keep the file stable so that it diffs well when it's checked in.
+      const keys = new Set();
+      const baseline = {
+        version: 1,
+        entries: entries
+          .filter(entry => {
+            const key = getBaselineKey(entry);
+            if (keys.has(key)) {
+              return false;
+            }
+            keys.add(key);
+            return true;
+          })
+          .sort((a, b) => getBaselineKey(a).localeCompare(getBaselineKey(b))),
+      };
+      await file.write(JSON.stringify(baseline, null, 2) + '\n');
+      return [directory.getPath(), toLoadedBaseline(baseline)];
+    }),
+  );
+  return new Map(baselines.filter(Boolean));
+}
+
+/**
+ * Finds the messages that are in the baselines of their project directories.
+ */
+export async function getBaselinedMessages(
+  messages: Array<DiagnosticMessage>,
+  baselines: BaselinesState,
+  getMessageRange: GetMessageRange,
+): Promise<Set<DiagnosticMessage>> {
+  // Only the messages in files with baselined messages need a fingerprint.
+  const groups = groupMessages(messages, (directory, filePath) => {
+    const baseline = baselines.get(directory.getPath());
+    return (
+      baseline != null && baseline.files.has(directory.relativize(filePath))
+    );
+  });
+  const baselined = new Set();
+  await Promise.all(
+    Array.from(groups, async ([directory, messagesByFile]) => {
+      const baseline = baselines.get(directory.getPath());
+      if (baseline == null) {
+        return;
+      }
+      const entries = await createEntries(
+        directory,
+        messagesByFile,
+        getMessageRange,
+      );
+      entries.forEach(([message, entry]) => {
+        if (baseline.keys.has(getBaselineKey(entry))) {
+          baselined.add(message);
+        }
+      });
+    }),
+  );
+  return baselined;
+}
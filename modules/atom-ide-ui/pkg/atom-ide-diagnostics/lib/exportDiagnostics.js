@@ -0,0 +1,345 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {
+  DiagnosticExportFormat,
+  DiagnosticFix,
+  DiagnosticMessage,
+  DiagnosticMessageType,
+  DiagnosticTrace,
+} from './types';
+
+import nuclideUri from 'nuclide-commons/nuclideUri';
+
+type SerializedRange = {|
+  start: {|row: number, column: number|},
+  end: {|row: number, column: number|},
+|};
+
+type SarifRegion = {|
+  startLine: number,
+  startColumn: number,
+  endLine: number,
+  endColumn: number,
+|};
+
+type SarifLocation = {
+  physicalLocation?: {
+    artifactLocation: {uri: string},
+    region?: SarifRegion,
+  },
+  message?: {text: string},
+};
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS: {[DiagnosticMessageType]: string} = {
+  Error: 'error',
+  Warning: 'warning',
+  Info: 'note',
+  Hint: 'none',
+};
+
+const CHECKSTYLE_SEVERITIES: {[DiagnosticMessageType]: string} = {
+  Error: 'error',
+  Warning: 'warning',
+  Info: 'info',
+  Hint: 'info',
+};
+
+/**
+ * Serializes diagnostics so they can be shared outside of the editor, e.g.
+ * attached to a code review or consumed by a CI system.
+ */
+export default function exportDiagnostics(
+  messages: Array<DiagnosticMessage>,
+  format: DiagnosticExportFormat,
+): string {
+  switch (format) {
+    case 'sarif':
+      return toSarif(messages);
+    case 'json':
+      return toJson(messages);
+    case 'checkstyle':
+      return toCheckstyle(messages);
+    default:
+      (format: empty);
+      throw new Error(`Unknown diagnostics export format: ${format}`);
+  }
+}
+
+function serializeRange(range: atom$Range): SerializedRange {
+  return {
+    start: {row: range.start.row, column: range.start.column},
+    end: {row: range.end.row, column: range.end.column},
+  };
+}
+
+// Drops the tags of HTML messages for the formats that only take text.
+function htmlToText(html: string): string {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function getText(message: DiagnosticMessage | DiagnosticTrace): string {
+  if (message.text != null) {
+    return message.text;
+  }
+  return message.html != null ? htmlToText(message.html) : '';
+}
+
+function serializeFix(fix: DiagnosticFix) {
+  return {
+    title: fix.title,
+    range: serializeRange(fix.oldRange),
+    oldText: fix.oldText,
+    newText: fix.newText,
+    speculative: fix.speculative,
+  };
+}
+
+function toJson(messages: Array<DiagnosticMessage>): string {
+  const diagnostics = messages.map(message => ({
+    providerName: message.providerName,
+    kind: message.kind != null ? message.kind : 'lint',
+    type: message.type,
+    filePath: message.filePath,
+    text: message.text,
+    html: message.html,
+    // Descriptions that have to be fetched are left out.
+    description:
+      typeof message.description === 'string' ? message.description : undefined,
+    range: message.range != null ? serializeRange(message.range) : undefined,
+    code: message.code,
+    stale: message.stale,
+    trace:
+      message.trace != null
+        ? message.trace.map(trace => ({
+            text: trace.text,
+            html: trace.html,
+            filePath: trace.filePath,
+            range:
+              trace.range != null ? serializeRange(trace.range) : undefined,
+          }))
+        : undefined,
+    fix: message.fix != null ? serializeFix(message.fix) : undefined,
+  }));
+  return JSON.stringify(diagnostics, null, 2);
+}
+
+// `encodeURI` leaves the characters that delimit the query and the fragment of
+// a URI as they are, so they're escaped in each segment of the path.
+function encodePath(path: string): string {
+  return path
+    .split('/')
+    .map(segment => encodeURI(segment).replace(/[?#]/g, encodeURIComponent))
+    .join('/');
+}
+
+function toArtifactUri(filePath: string): string {
+  if (nuclideUri.isRemote(filePath)) {
+    return `nuclide://${nuclideUri.getHostname(filePath)}${encodePath(
+      nuclideUri.getPath(filePath),
+    )}`;
+  }
+  const path = filePath.replace(/\\/g, '/');
+  return `file://${path.startsWith('/') ? '' : '/'}${encodePath(path)}`;
+}
+
+// SARIF lines and columns are 1-based, with an exclusive end column, like
+// Atom's ranges.
+function toSarifRegion(range: atom$Range): SarifRegion {
+  return {
+    startLine: range.start.row + 1,
+    startColumn: range.start.column + 1,
+    endLine: range.end.row + 1,
+    endColumn: range.end.column + 1,
+  };
+}
+
+function toSarifLocation(
+  filePath: ?string,
+  range: ?atom$Range,
+): ?SarifLocation {
+  if (filePath == null) {
+    return null;
+  }
+  return {
+    physicalLocation: {
+      artifactLocation: {uri: toArtifactUri(filePath)},
+      region: range != null ? toSarifRegion(range) : undefined,
+    },
+  };
+}
+
+function toSarifFix(filePath: string, fix: DiagnosticFix) {
+  return {
+    description: {text: fix.title != null ? fix.title : 'Fix'},
+    artifactChanges: [
+      {
+        artifactLocation: {uri: toArtifactUri(filePath)},
+        replacements: [
+          {
+            deletedRegion: toSarifRegion(fix.oldRange),
+            insertedContent: {text: fix.newText},
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function toSarifResult(message: DiagnosticMessage) {
+  const location = toSarifLocation(message.filePath, message.range);
+  const {trace, fix} = message;
+  return {
+    ruleId: message.code != null ? String(message.code) : undefined,
+    level: SARIF_LEVELS[message.type],
+    message: {text: getText(message)},
+    locations: location != null ? [location] : [],
+    // Traces are the closest thing to a SARIF code flow: an ordered list of
+    // locations, each with a message.
+    codeFlows:
+      trace != null && trace.length > 0
+        ? [
+            {
+              threadFlows: [
+                {
+                  locations: trace.map(traceItem => ({
+                    location: {
+                      ...toSarifLocation(traceItem.filePath, traceItem.range),
+                      message: {text: getText(traceItem)},
+                    },
+                  })),
+                },
+              ],
+            },
+          ]
+        : undefined,
+    fixes: fix != null ? [toSarifFix(message.filePath, fix)] : undefined,
+    properties: {
+      kind: message.kind != null ? message.kind : 'lint',
+      stale: message.stale,
+      speculativeFix: fix != null ? fix.speculative : undefined,
+    },
+  };
+}
+
+function toSarif(messages: Array<DiagnosticMessage>): string {
+  // Each provider is a tool of its own, so it gets its own run.
+  const messagesByProvider: Map<string, Array<DiagnosticMessage>> = new Map();
+  messages.forEach(message => {
+    const providerMessages = messagesByProvider.get(message.providerName);
+    if (providerMessages == null) {
+      messagesByProvider.set(message.providerName, [message]);
+    } else {
+      providerMessages.push(message);
+    }
+  });
+  return JSON.stringify(
+    {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: Array.from(messagesByProvider, ([providerName, results]) => ({
+        tool: {driver: {name: providerName}},
+        results: results.map(toSarifResult),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+function escapeXml(text: string): string {
+  return (
+    text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      .replace(/\n/g, '&#10;')
+      // Other control characters aren't allowed in XML 1.0.
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  );
+}
+
+function getCheckstyleMessage(message: DiagnosticMessage): string {
+  // Checkstyle has no place for traces, so they're added to the message.
+  const lines = [getText(message)];
+  if (message.trace != null) {
+    message.trace.forEach(trace => {
+      const location =
+        trace.filePath != null
+          ? `${trace.filePath}${
+              trace.range != null ? `:${trace.range.start.row + 1}` : ''
+            }: `
+          : '';
+      lines.push(`  ${location}${getText(trace)}`);
+    });
+  }
+  return lines.join('\n');
+}
+
+function getCheckstyleSource(message: DiagnosticMessage): string {
+  const kind = message.kind != null ? message.kind : 'lint';
+  return message.code != null
+    ? `${message.providerName}.${kind}.${message.code}`
+    : `${message.providerName}.${kind}`;
+}
+
+function toCheckstyleError(message: DiagnosticMessage): string {
+  const {range, fix} = message;
+  const attributes = [
+    range != null ? `line="${range.start.row + 1}"` : 'line="0"',
+    range != null ? `column="${range.start.column + 1}"` : null,
+    `severity="${CHECKSTYLE_SEVERITIES[message.type]}"`,
+    `message="${escapeXml(getCheckstyleMessage(message))}"`,
+    `source="${escapeXml(getCheckstyleSource(message))}"`,
+    // Not part of the Checkstyle format, but readers ignore extra attributes.
+    fix != null ? `fix="${escapeXml(fix.newText)}"` : null,
+    fix != null && fix.title != null
+      ? `fixTitle="${escapeXml(fix.title)}"`
+      : null,
+  ].filter(Boolean);
+  return `    <error ${attributes.join(' ')}/>`;
+}
+
+function toCheckstyle(messages: Array<DiagnosticMessage>): string {
+  const messagesByFile: Map<string, Array<DiagnosticMessage>> = new Map();
+  messages.forEach(message => {
+    const fileMessages = messagesByFile.get(message.filePath);
+    if (fileMessages == null) {
+      messagesByFile.set(message.filePath, [message]);
+    } else {
+      fileMessages.push(message);
+    }
+  });
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">',
+  ];
+  messagesByFile.forEach((fileMessages, filePath) => {
+    lines.push(`  <file name="${escapeXml(filePath)}">`);
+    fileMessages.forEach(message => lines.push(toCheckstyleError(message)));
+    lines.push('  </file>');
+  });
+  lines.push('</checkstyle>', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {
+  DiagnosticFix,
+  DiagnosticFixFilter,
+  DiagnosticMessage,
+  ProjectFix,
+} from './types';
+import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+
+// Returns the range a fix can be applied to now, or null if it's no longer valid.
+export type GetFixRange = (
+  message: DiagnosticMessage,
+  fix: DiagnosticFix,
+) => ?atom$Range;
+
+function matchesFilter(
+  message: DiagnosticMessage,
+  filter: ?DiagnosticFixFilter,
+): boolean {
+  return (
+    filter == null ||
+    ((filter.providerName == null ||
+      message.providerName === filter.providerName) &&
+      (filter.code == null || message.code === filter.code) &&
+      (filter.messages == null || filter.messages.has(message)))
+  );
+}
+
+// Overlapping edits can't be applied together, so only the first one is kept.
+function removeOverlaps(fixes: Array<ProjectFix>): Array<ProjectFix> {
+  const sorted = fixes
+    .slice()
+    .sort((a, b) => a.edit.oldRange.compare(b.edit.oldRange));
+  const kept = [];
+  sorted.forEach(fix => {
+    const previous = kept[kept.length - 1];
+    if (
+      previous == null ||
+      previous.edit.oldRange.end.isLessThanOrEqual(fix.edit.oldRange.start)
+    ) {
+      kept.push(fix);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Collects the fixes of the messages that pass the filter, grouped by file, to
+ * fix everything in the project at once. Speculative fixes need someone to look
+ * at them one by one, so they're left out, as are fixes of stale messages and
+ * fixes that are no longer valid.
+ */
+export default function getProjectFixes(
+  messages: Array<DiagnosticMessage>,
+  filter: ?DiagnosticFixFilter,
+  getFixRange: GetFixRange,
+): Map<NuclideUri, Array<ProjectFix>> {
+  const fixes: Map<NuclideUri, Array<ProjectFix>> = new Map();
+  messages.forEach(message => {
+    const {fix} = message;
+    if (
+      fix == null ||
+      fix.speculative === true ||
+      message.stale === true ||
+      !matchesFilter(message, filter)
+    ) {
+      return;
+    }
+    const range = getFixRange(message, fix);
+    if (range == null) {
+      return;
+    }
+    const projectFix = {
+      message,
+      edit: {oldRange: range, oldText: fix.oldText, newText: fix.newText},
+    };
+    const fileFixes = fixes.get(message.filePath);
+    if (fileFixes == null) {
+      fixes.set(message.filePath, [projectFix]);
+    } else {
+      fileFixes.push(projectFix);
+    }
+  });
+  fixes.forEach((fileFixes, filePath) => {
+    fixes.set(filePath, removeOverlaps(fileFixes));
+  });
+  return fixes;
+}
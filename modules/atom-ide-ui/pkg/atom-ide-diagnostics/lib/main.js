@@ -24,6 +24,7 @@ import type {CodeActionFetcher} from '../../atom-ide-code-actions/lib/types';
 
 import invariant from 'assert';
 import createPackage from 'nuclide-commons-atom/createPackage';
+import featureConfig from 'nuclide-commons-atom/feature-config';
 import {isValidTextEditor} from 'nuclide-commons-atom/text-editor';
 import UniversalDisposable from 'nuclide-commons/UniversalDisposable';
 import {observableFromSubscribeFunction} from 'nuclide-commons/event';
@@ -35,27 +36,36 @@ import {createAdapter} from './services/LinterAdapterFactory';
 import * as Actions from './redux/Actions';
 import createStore from './redux/createStore';
 
+const MARK_STALE_ON_CHANGE_SETTING = 'atom-ide-diagnostics.markStaleOnChange';
+const STALE_MESSAGE_TIMEOUT_SETTING =
+  'atom-ide-diagnostics.staleMessageTimeout';
+
 class Activation {
   _disposables: UniversalDisposable;
   _allLinterAdapters: Set<LinterAdapter>;
   _store: Store;
+  _messageRangeTracker: MessageRangeTracker;
   _busySignalService: ?BusySignalService;
   _gatekeeperServices: BehaviorSubject<?GatekeeperService> = new BehaviorSubject();
 
   constructor() {
     this._allLinterAdapters = new Set();
 
-    const messageRangeTracker = new MessageRangeTracker();
-    this._store = createStore(messageRangeTracker);
+    this._messageRangeTracker = new MessageRangeTracker();
+    this._store = createStore(this._messageRangeTracker);
 
     this._disposables = new UniversalDisposable(
-      messageRangeTracker,
+      this._messageRangeTracker,
       () => {
         this._allLinterAdapters.forEach(adapter => adapter.dispose());
         this._allLinterAdapters.clear();
       },
       this._observeActivePaneItemAndMarkMessagesStale(),
+      atom.project.onDidChangePaths(() => {
+        this._store.dispatch(Actions.loadBaselines());
+      }),
     );
+    this._store.dispatch(Actions.loadBaselines());
   }
 
   dispose() {
@@ -66,7 +76,7 @@ class Activation {
    * @return A wrapper around the methods on DiagnosticStore that allow reading data.
    */
   provideDiagnosticUpdates(): DiagnosticUpdater {
-    return new DiagnosticUpdater(this._store);
+    return new DiagnosticUpdater(this._store, this._messageRangeTracker);
   }
 
   provideIndie(): RegisterIndieLinter {
@@ -90,15 +100,25 @@ class Activation {
   }
 
   _observeActivePaneItemAndMarkMessagesStale() {
-    return this._gatekeeperServices
-      .switchMap(gatekeeperService => {
-        if (gatekeeperService == null) {
-          return Observable.of(null);
+    const passesGK = this._gatekeeperServices.switchMap(gatekeeperService => {
+      if (gatekeeperService == null) {
+        return Observable.of(false);
+      }
+      return gatekeeperService.passesGK('nuclide_diagnostics_stale');
+    });
+    const markStaleOnChange = featureConfig
+      .observeAsStream(MARK_STALE_ON_CHANGE_SETTING)
+      .map(value => value === true);
+    const staleMessageTimeout = featureConfig
+      .observeAsStream(STALE_MESSAGE_TIMEOUT_SETTING)
+      .map(value => (typeof value === 'number' ? value : 0));
+    return Observable.combineLatest(passesGK, markStaleOnChange)
+      .map(([gkEnabled, settingEnabled]) => gkEnabled || settingEnabled)
+      .distinctUntilChanged()
+      .switchMap(enabled => {
+        if (!enabled) {
+          return Observable.empty();
         }
-        return gatekeeperService.passesGK('nuclide_diagnostics_stale');
-      })
-      .filter(Boolean)
-      .switchMap(() => {
         return observableFromSubscribeFunction(
           atom.workspace.observeActivePaneItem.bind(atom.workspace),
         )
@@ -110,8 +130,14 @@ class Activation {
             ).map(() => editor.getPath());
           });
       })
-      .subscribe(filePath => {
-        this._store.dispatch(Actions.markMessagesStale(filePath));
+      .withLatestFrom(staleMessageTimeout)
+      .subscribe(([filePath, timeout]) => {
+        this._store.dispatch(
+          Actions.markMessagesStale(
+            filePath,
+            timeout > 0 ? timeout * 1000 : null,
+          ),
+        );
       });
   }
 
@@ -13,12 +13,15 @@
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
 import type {
   Action,
+  BaselinesState,
   CodeActionsState,
   DescriptionsState,
+  DiagnosticFix,
   DiagnosticInvalidationMessage,
   DiagnosticProviderUpdate,
   DiagnosticMessage,
   ObservableDiagnosticProvider,
+  ProjectFix,
 } from '../types';
 import type {CodeActionFetcher} from '../../../atom-ide-code-actions/lib/types';
 
@@ -33,9 +36,15 @@ export const UPDATE_MESSAGES = 'UPDATE_MESSAGES';
 export const INVALIDATE_MESSAGES = 'INVALIDATE_MESSAGES';
 export const APPLY_FIX = 'APPLY_FIX';
 export const APPLY_FIXES_FOR_FILE = 'APPLY_FIXES_FOR_FILE';
+export const APPLY_PROJECT_FIXES = 'APPLY_PROJECT_FIXES';
 export const FIX_FAILED = 'FIX_FAILED';
 export const FIXES_APPLIED = 'FIXES_APPLIED';
 export const MARK_MESSAGES_STALE = 'MARK_MESSAGES_STALE';
+export const EXPIRE_STALE_MESSAGES = 'EXPIRE_STALE_MESSAGES';
+export const LOAD_BASELINES = 'LOAD_BASELINES';
+export const SNAPSHOT_BASELINE = 'SNAPSHOT_BASELINE';
+export const SET_BASELINES = 'SET_BASELINES';
+export const SET_BASELINED_MESSAGES = 'SET_BASELINED_MESSAGES';
 
 export function addProvider(provider: ObservableDiagnosticProvider): Action {
   return {
@@ -44,10 +53,23 @@ export function addProvider(provider: ObservableDiagnosticProvider): Action {
   };
 }
 
-export function markMessagesStale(filePath: string): Action {
+export function markMessagesStale(
+  filePath: string,
+  expiration: ?number = null,
+): Action {
   return {
     type: MARK_MESSAGES_STALE,
-    payload: {filePath},
+    payload: {filePath, expiration},
+  };
+}
+
+export function expireStaleMessages(
+  filePath: NuclideUri,
+  messages: Set<DiagnosticMessage>,
+): Action {
+  return {
+    type: EXPIRE_STALE_MESSAGES,
+    payload: {filePath, messages},
   };
 }
 
@@ -128,11 +150,15 @@ export function updateMessages(
   };
 }
 
-export function applyFix(message: DiagnosticMessage): Action {
+export function applyFix(
+  message: DiagnosticMessage,
+  fix: ?DiagnosticFix = null,
+): Action {
   return {
     type: APPLY_FIX,
     payload: {
       message,
+      fix,
     },
   };
 }
@@ -146,6 +172,17 @@ export function applyFixesForFile(file: NuclideUri): Action {
   };
 }
 
+export function applyProjectFixes(
+  fixes: Map<NuclideUri, Array<ProjectFix>>,
+): Action {
+  return {
+    type: APPLY_PROJECT_FIXES,
+    payload: {
+      fixes,
+    },
+  };
+}
+
 export function fixFailed(): Action {
   return {type: FIX_FAILED};
 }
@@ -159,3 +196,25 @@ export function fixesApplied(
     payload: {filePath, messages},
   };
 }
+
+export function loadBaselines(): Action {
+  return {type: LOAD_BASELINES};
+}
+
+export function snapshotBaseline(): Action {
+  return {type: SNAPSHOT_BASELINE};
+}
+
+export function setBaselines(baselines: BaselinesState): Action {
+  return {
+    type: SET_BASELINES,
+    payload: {baselines},
+  };
+}
+
+export function setBaselinedMessages(messages: Set<DiagnosticMessage>): Action {
+  return {
+    type: SET_BASELINED_MESSAGES,
+    payload: {messages},
+  };
+}
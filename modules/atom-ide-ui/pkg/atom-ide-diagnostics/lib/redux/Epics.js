@@ -11,18 +11,32 @@
  */
 
 import type {ActionsObservable} from 'nuclide-commons/redux-observable';
-import type {Action, Store, DescriptionsState} from '../types';
+import type {
+  Action,
+  DescriptionsState,
+  DiagnosticMessage,
+  Store,
+} from '../types';
 import type MessageRangeTracker from '../MessageRangeTracker';
 import type {TextEdit} from 'nuclide-commons-atom/text-edit';
 
 import invariant from 'assert';
 import {getLogger} from 'log4js';
-import {applyTextEdits} from 'nuclide-commons-atom/text-edit';
-import {arrayEqual} from 'nuclide-commons/collection';
+import {
+  applyTextEdits,
+  applyTextEditsForMultipleFiles,
+} from 'nuclide-commons-atom/text-edit';
+import {areSetsEqual, arrayEqual} from 'nuclide-commons/collection';
+import {throttle} from 'nuclide-commons/observable';
 import {Observable} from 'rxjs';
+import {getBaselinedMessages, readBaselines, writeBaselines} from '../baseline';
 import * as Actions from './Actions';
 import * as Selectors from './Selectors';
 
+// Finding the baselined messages may read files, so don't do it on every
+// update.
+const THROTTLE_BASELINED_MESSAGES = 500;
+
 export function addProvider(
   actions: ActionsObservable<Action>,
 ): Observable<Action> {
@@ -62,14 +76,16 @@ export function applyFix(
   const messagesStream = Observable.merge(
     actions.ofType(Actions.APPLY_FIX).map(action => {
       invariant(action.type === Actions.APPLY_FIX);
-      const {message} = action.payload;
-      return [message];
+      const {message, fix} = action.payload;
+      return [[message, fix != null ? fix : message.fix]];
     }),
     actions.ofType(Actions.APPLY_FIXES_FOR_FILE).map(action => {
       invariant(action.type === Actions.APPLY_FIXES_FOR_FILE);
       // TODO: Be consistent about file/filePath/path.
       const {file: filePath} = action.payload;
-      return Selectors.getFileMessages(store.getState(), filePath);
+      return Selectors.getFileMessages(store.getState(), filePath).map(
+        message => [message, message.fix],
+      );
     }),
   );
 
@@ -78,18 +94,22 @@ export function applyFix(
     .map(messages => {
       // We know that all of the messages have the same path based on the actions above, so just
       // grab it from the first message.
-      const {filePath} = messages[0];
+      const {filePath} = messages[0][0];
       invariant(filePath != null);
 
       // Get the fixes for each message.
-      const messagesWithFixes = messages.filter(msg => msg.fix != null);
+      const messagesWithFixes = [];
       const fixes: Array<TextEdit> = [];
-      for (const message of messagesWithFixes) {
-        const range = messageRangeTracker.getCurrentRange(message);
+      for (const [message, fix] of messages) {
+        if (fix == null) {
+          continue;
+        }
+        messagesWithFixes.push(message);
+        const range = messageRangeTracker.getCurrentFixRange(message, fix);
         if (range == null) {
           break;
         }
-        fixes.push({...message.fix, oldRange: range});
+        fixes.push({...fix, oldRange: range});
       }
 
       const succeeded =
@@ -102,6 +122,43 @@ export function applyFix(
     });
 }
 
+/**
+ * Applies fixes across files, all of them or none at all. The files that aren't open are opened.
+ */
+export function applyProjectFixes(
+  actions: ActionsObservable<Action>,
+): Observable<Action> {
+  return actions.ofType(Actions.APPLY_PROJECT_FIXES).mergeMap(action => {
+    invariant(action.type === Actions.APPLY_PROJECT_FIXES);
+    const {fixes} = action.payload;
+    const edits = new Map();
+    fixes.forEach((fileFixes, filePath) => {
+      edits.set(filePath, fileFixes.map(fix => fix.edit));
+    });
+    return Observable.defer(() => applyTextEditsForMultipleFiles(edits))
+      .mergeMap(succeeded => {
+        if (!succeeded) {
+          return Observable.of(Actions.fixFailed());
+        }
+        return Observable.from(
+          Array.from(fixes, ([filePath, fileFixes]) =>
+            Actions.fixesApplied(
+              filePath,
+              new Set(fileFixes.map(fix => fix.message)),
+            ),
+          ),
+        );
+      })
+      .catch(err => {
+        getLogger('atom-ide-diagnostics').error(
+          'Error applying fixes across the project',
+          err,
+        );
+        return Observable.of(Actions.fixFailed());
+      });
+  });
+}
+
 export function notifyOfFixFailures(
   actions: ActionsObservable<Action>,
 ): Observable<empty> {
@@ -252,3 +309,128 @@ export function descriptionsEvicter(
       return Actions.setDescriptions(newDescriptions, false);
     });
 }
+
+export function loadBaselines(
+  actions: ActionsObservable<Action>,
+): Observable<Action> {
+  return actions
+    .ofType(Actions.LOAD_BASELINES)
+    .switchMap(() =>
+      Observable.defer(() => readBaselines(atom.project.getDirectories())).map(
+        baselines => Actions.setBaselines(baselines),
+      ),
+    );
+}
+
+export function snapshotBaseline(
+  actions: ActionsObservable<Action>,
+  store: Store,
+  extras: {messageRangeTracker: MessageRangeTracker},
+): Observable<Action> {
+  const {messageRangeTracker} = extras;
+  return actions.ofType(Actions.SNAPSHOT_BASELINE).switchMap(() => {
+    const messages = Selectors.getMessages(store.getState());
+    return Observable.defer(() =>
+      writeBaselines(atom.project.getDirectories(), messages, message =>
+        messageRangeTracker.getCurrentMessageRange(message),
+      ),
+    )
+      .map(baselines => {
+        // Messages outside of the projects can't be baselined.
+        let count = 0;
+        baselines.forEach(baseline => {
+          count += baseline.keys.size;
+        });
+        atom.notifications.addSuccess(
+          `Added ${count} diagnostics to the baseline`,
+        );
+        return Actions.setBaselines(baselines);
+      })
+      .catch(err => {
+        getLogger('atom-ide-diagnostics').error(
+          'Error writing the diagnostics baseline',
+          err,
+        );
+        atom.notifications.addError(
+          'Failed to write the diagnostics baseline',
+          {
+            detail: err.message,
+          },
+        );
+        return Observable.empty();
+      });
+  });
+}
+
+export function updateBaselinedMessages(
+  actions: ActionsObservable<Action>,
+  store: Store,
+  extras: {messageRangeTracker: MessageRangeTracker},
+): Observable<Action> {
+  const {messageRangeTracker} = extras;
+  return actions
+    .ofType(
+      Actions.UPDATE_MESSAGES,
+      Actions.INVALIDATE_MESSAGES,
+      Actions.REMOVE_PROVIDER,
+      Actions.FIXES_APPLIED,
+      Actions.MARK_MESSAGES_STALE,
+      Actions.EXPIRE_STALE_MESSAGES,
+      Actions.SET_BASELINES,
+    )
+    .let(throttle(THROTTLE_BASELINED_MESSAGES))
+    .switchMap(() => {
+      const state = store.getState();
+      if (state.baselines.size === 0) {
+        return Observable.of(new Set());
+      }
+      return Observable.defer(() =>
+        getBaselinedMessages(
+          Selectors.getMessages(state),
+          state.baselines,
+          message => messageRangeTracker.getCurrentMessageRange(message),
+        ),
+      ).catch(err => {
+        getLogger('atom-ide-diagnostics').error(
+          'Error finding the baselined diagnostics',
+          err,
+        );
+        return Observable.empty();
+      });
+    })
+    .filter(
+      messages => !areSetsEqual(messages, store.getState().baselinedMessages),
+    )
+    .map(messages => Actions.setBaselinedMessages(messages));
+}
+
+/**
+ * Removes the messages that were marked stale with an expiration if their providers haven't
+ * replaced them by the time it's up.
+ */
+export function expireStaleMessages(
+  actions: ActionsObservable<Action>,
+  store: Store,
+): Observable<Action> {
+  // Stale messages keep their identity when the file changes again, so each is only scheduled once.
+  const scheduledMessages: WeakSet<DiagnosticMessage> = new WeakSet();
+  return actions.ofType(Actions.MARK_MESSAGES_STALE).mergeMap(action => {
+    invariant(action.type === Actions.MARK_MESSAGES_STALE);
+    const {filePath, expiration} = action.payload;
+    if (expiration == null) {
+      return Observable.empty();
+    }
+    const messages = new Set(
+      Selectors.getFileMessages(store.getState(), filePath).filter(
+        message => message.stale === true && !scheduledMessages.has(message),
+      ),
+    );
+    if (messages.size === 0) {
+      return Observable.empty();
+    }
+    messages.forEach(message => scheduledMessages.add(message));
+    return Observable.timer(expiration).mapTo(
+      Actions.expireStaleMessages(filePath, messages),
+    );
+  });
+}
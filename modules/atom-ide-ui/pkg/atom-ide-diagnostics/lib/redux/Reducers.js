@@ -13,8 +13,10 @@
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
 import type {
   Action,
+  BaselinesState,
   CodeActionsState,
   DescriptionsState,
+  DiagnosticMessage,
   DiagnosticProviderUpdate,
   MessagesState,
   ObservableDiagnosticProvider,
@@ -87,6 +89,7 @@ export function messages(
           throw new Error(`Invalid scope: ${invalidation.scope}`);
       }
     }
+    case Actions.EXPIRE_STALE_MESSAGES:
     case Actions.FIXES_APPLIED: {
       const {messages: messagesToRemove, filePath} = action.payload;
 
@@ -95,7 +98,8 @@ export function messages(
         return state;
       }
 
-      // When a fix is applied, immediately remove that message from the state.
+      // When a fix is applied, immediately remove that message from the state. The same goes for
+      // stale messages that their provider didn't update in time.
       let nextState;
       for (const [provider, pathsToMessages] of state) {
         const providerMessages = pathsToMessages.get(filePath);
@@ -203,6 +207,26 @@ export function lastUpdateSource(
   return state;
 }
 
+export function baselines(
+  state: BaselinesState = new Map(),
+  action: Action,
+): BaselinesState {
+  if (action.type === Actions.SET_BASELINES) {
+    return action.payload.baselines;
+  }
+  return state;
+}
+
+export function baselinedMessages(
+  state: Set<DiagnosticMessage> = new Set(),
+  action: Action,
+): Set<DiagnosticMessage> {
+  if (action.type === Actions.SET_BASELINED_MESSAGES) {
+    return action.payload.messages;
+  }
+  return state;
+}
+
 /**
  * Delete a key from a map, treating is as an immutable collection. If the key isn't present, the
  * same map will be returned. Otherwise, a copy will be made missing the key.
@@ -226,8 +250,9 @@ function markStaleMessages(state: MessagesState, filePath: NuclideUri) {
     const messagesOnCurrentFile = newFileToMessages.get(filePath);
     if (messagesOnCurrentFile) {
       const staleMessagesOnCurrentFile = messagesOnCurrentFile.map(msg => {
-        // Mark message stale
-        return {...msg, stale: true};
+        // Mark message stale. Messages that already are keep their identity, so that they expire
+        // from when they first became stale.
+        return msg.stale === true ? msg : {...msg, stale: true};
       });
       newFileToMessages.set(filePath, staleMessagesOnCurrentFile);
     }
@@ -30,7 +30,7 @@ import {Observable} from 'rxjs';
 // Unlike text decorations, these don't need to be rapidly updated on screen as
 // the user types, though they need to be reasonably responsive once the user
 // accepts a fix and the diagnostic (hopefully) disappears as a result.
-const THROTTLE_MESSAGES_WITH_FIXES = 300;
+const THROTTLE_TRACKED_MESSAGES = 300;
 
 export default function createStore(
   messageRangeTracker: MessageRangeTracker,
@@ -46,9 +46,9 @@ export default function createStore(
     applyMiddleware(createEpicMiddleware(rootEpic)),
   );
 
-  // When we get new messages with fixes, track them.
+  // When we get new messages with fixes or ranges, track them.
   // eslint-disable-next-line nuclide-internal/unused-subscription
-  observeAllMessagesWithFixes(store)
+  observeAllTrackedMessages(store)
     .let(diffSets())
     .subscribe(({added, removed}) => {
       if (added.size > 0) {
@@ -69,9 +69,11 @@ const INITIAL_STATE = {
   descriptions: new Map(),
   providers: new Set(),
   lastUpdateSource: 'Provider',
+  baselines: new Map(),
+  baselinedMessages: new Set(),
 };
 
-function observeAllMessagesWithFixes(
+function observeAllTrackedMessages(
   store: Store,
 ): Observable<Set<DiagnosticMessage>> {
   return (
@@ -82,8 +84,8 @@ function observeAllMessagesWithFixes(
       // immediately start a throttle cooldown. Filter these out eaglery
       // before throttling as we're not interested in them anyway.
       .filter(messages => messages.size > 0)
-      .let(throttle(THROTTLE_MESSAGES_WITH_FIXES))
-      .map(() => Selectors.getAllMessagesWithFixes(store.getState()))
-      .filter(messagesWithFixes => messagesWithFixes.size > 0)
+      .let(throttle(THROTTLE_TRACKED_MESSAGES))
+      .map(() => Selectors.getAllTrackedMessages(store.getState()))
+      .filter(trackedMessages => trackedMessages.size > 0)
   );
 }
@@ -14,16 +14,23 @@ import type {
   AppState,
   CodeActionsState,
   DescriptionsState,
+  DiagnosticExportFormat,
+  DiagnosticFix,
+  DiagnosticFixFilter,
   DiagnosticMessage,
   DiagnosticMessages,
   DiagnosticMessageKind,
+  ProjectFix,
   Store,
   UiConfig,
   LastUpdateSource,
 } from '../types';
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
+import type MessageRangeTracker from '../MessageRangeTracker';
 
 import {throttle} from 'nuclide-commons/observable';
+import exportDiagnostics from '../exportDiagnostics';
+import getProjectFixes from '../getProjectFixes';
 import * as Actions from '../redux/Actions';
 import * as Selectors from '../redux/Selectors';
 import observableFromReduxStore from 'nuclide-commons/observableFromReduxStore';
@@ -40,10 +47,12 @@ const THROTTLE_FILE_MESSAGES_MS = 100;
 export default class DiagnosticUpdater {
   _store: Store;
   _states: Observable<AppState>;
+  _messageRangeTracker: MessageRangeTracker;
 
-  constructor(store: Store) {
+  constructor(store: Store, messageRangeTracker: MessageRangeTracker) {
     this._store = store;
     this._states = observableFromReduxStore(store);
+    this._messageRangeTracker = messageRangeTracker;
   }
 
   getMessages = (): Array<DiagnosticMessage> => {
@@ -145,6 +154,21 @@ export default class DiagnosticUpdater {
     );
   };
 
+  /**
+   * Observes the messages that are in the baseline of their project, which
+   * consumers can hide or de-emphasize.
+   */
+  observeBaselinedMessages = (
+    callback: (messages: Set<DiagnosticMessage>) => mixed,
+  ): IDisposable => {
+    return new UniversalDisposable(
+      this._states
+        .map(state => state.baselinedMessages)
+        .distinctUntilChanged()
+        .subscribe(callback),
+    );
+  };
+
   observeUiConfig = (callback: (config: UiConfig) => mixed): IDisposable => {
     return new UniversalDisposable(
       this._states
@@ -160,14 +184,34 @@ export default class DiagnosticUpdater {
     );
   };
 
-  applyFix = (message: DiagnosticMessage): void => {
-    this._store.dispatch(Actions.applyFix(message));
+  applyFix = (message: DiagnosticMessage, fix?: ?DiagnosticFix): void => {
+    this._store.dispatch(Actions.applyFix(message, fix));
   };
 
   applyFixesForFile = (file: NuclideUri): void => {
     this._store.dispatch(Actions.applyFixesForFile(file));
   };
 
+  /**
+   * Returns the fixes that can be applied across the project, grouped by file, optionally only
+   * those of one provider or code.
+   */
+  getProjectFixes = (
+    filter?: DiagnosticFixFilter,
+  ): Map<NuclideUri, Array<ProjectFix>> => {
+    return getProjectFixes(this.getMessages(), filter, (message, fix) =>
+      this._messageRangeTracker.getFixRangeToApply(message, fix),
+    );
+  };
+
+  /**
+   * Applies the given fixes in all of their files at once. If any of them can't be applied, none
+   * are.
+   */
+  applyProjectFixes = (fixes: Map<NuclideUri, Array<ProjectFix>>): void => {
+    this._store.dispatch(Actions.applyProjectFixes(fixes));
+  };
+
   fetchCodeActions = (
     editor: atom$TextEditor,
     messages: Array<DiagnosticMessage>,
@@ -178,4 +222,25 @@ export default class DiagnosticUpdater {
   fetchDescriptions = (messages: Array<DiagnosticMessage>): void => {
     this._store.dispatch(Actions.fetchDescriptions(messages));
   };
+
+  /**
+   * Replaces the baseline of each project with the current messages.
+   */
+  snapshotBaseline = (): void => {
+    this._store.dispatch(Actions.snapshotBaseline());
+  };
+
+  /**
+   * Serializes the given messages, or all of the current messages if none are
+   * given, in the given format.
+   */
+  exportMessages = (
+    format: DiagnosticExportFormat,
+    messages?: Array<DiagnosticMessage>,
+  ): string => {
+    return exportDiagnostics(
+      messages != null ? messages : this.getMessages(),
+      format,
+    );
+  };
 }
@@ -137,7 +137,7 @@ export function linterMessageV2ToDiagnosticMessage(
       },
     ];
   }
-  let fix;
+  const fixes = [];
   const actions = [];
   const {solutions} = msg;
   if (solutions != null && solutions.length > 0) {
@@ -146,15 +146,12 @@ export function linterMessageV2ToDiagnosticMessage(
     );
     sortedSolutions.forEach((solution, i) => {
       if (solution.replaceWith !== undefined) {
-        // TODO: support multiple fixes.
-        if (fix == null) {
-          fix = {
-            oldRange: Range.fromObject(solution.position),
-            oldText: solution.currentText,
-            newText: solution.replaceWith,
-            title: solution.title,
-          };
-        }
+        fixes.push({
+          oldRange: Range.fromObject(solution.position),
+          oldText: solution.currentText,
+          newText: solution.replaceWith,
+          title: solution.title,
+        });
       } else {
         actions.push({
           title: solution.title != null ? solution.title : `Solution ${i + 1}`,
@@ -163,6 +160,8 @@ export function linterMessageV2ToDiagnosticMessage(
       }
     });
   }
+  // The preferred fix is the one applied by "fix all", the others are only offered.
+  const [fix, ...alternativeFixes] = fixes;
   return {
     id: msg.id,
     // flowlint-next-line sketchy-null-string:off
@@ -175,7 +174,11 @@ export function linterMessageV2ToDiagnosticMessage(
     range: Range.fromObject(msg.location.position),
     trace,
     fix,
+    alternativeFixes:
+      alternativeFixes.length > 0 ? alternativeFixes : undefined,
     actions,
+    url: msg.url,
+    icon: msg.icon,
     getBlockComponent: msg.getBlockComponent,
   };
 }
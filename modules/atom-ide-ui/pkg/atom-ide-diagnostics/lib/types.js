@@ -66,6 +66,21 @@ export type DiagnosticProviderUpdate = Map<
 
 export type DiagnosticMessageKind = 'lint' | 'review' | 'action';
 export type DiagnosticMessageType = 'Error' | 'Warning' | 'Info' | 'Hint';
+export type DiagnosticExportFormat = 'sarif' | 'json' | 'checkstyle';
+
+// Limits the fixes applied across the project to those of one provider, or
+// to one of its codes, and optionally to those of the given messages.
+export type DiagnosticFixFilter = {|
+  +providerName?: string,
+  +code?: number,
+  +messages?: Set<DiagnosticMessage>,
+|};
+
+// A fix with the range it currently applies to.
+export type ProjectFix = {|
+  +message: DiagnosticMessage,
+  +edit: TextEdit,
+|};
 
 export type DiagnosticTrace = {
   type: 'Trace',
@@ -102,12 +117,18 @@ export type DiagnosticMessage = {|
   range?: atom$Range,
   trace?: Array<DiagnosticTrace>,
   fix?: DiagnosticFix,
+  // Other ways to fix the message, in order of preference, offered alongside `fix`.
+  alternativeFixes?: Array<DiagnosticFix>,
   // Actions will be displayed below the description in the popup.
   +actions?: Array<DiagnosticAction>,
-  // Indicates that the message should still be displayed, but there should be some UI indicating
-  // that it is out of date. TODO(matthewwithanm) implement this UI.
+  // Indicates that the message should still be displayed, but with some UI indicating that it may
+  // be out of date, e.g. because the file changed after the provider reported it.
   stale?: boolean,
   code?: number,
+  // A page that explains the message, shown as a "Learn more" link.
+  url?: string,
+  // The name of an icon to show in place of the one for the message's type.
+  icon?: string,
   getBlockComponent?: ?() => React.ComponentType<any>,
 |};
 
@@ -121,6 +142,20 @@ export type DiagnosticMessages = {|
 
 export type {default as DiagnosticUpdater} from './services/DiagnosticUpdater';
 
+// A message that was present when the baseline was snapshotted. Its file path
+// is relative to the project directory of the baseline.
+export type DiagnosticBaselineEntry = {|
+  providerName: string,
+  code: ?number,
+  filePath: string,
+  fingerprint: string,
+|};
+
+export type DiagnosticBaseline = {|
+  version: 1,
+  entries: Array<DiagnosticBaselineEntry>,
+|};
+
 //
 //
 // Linter APIs, for compatibility with the Atom linter package.
@@ -170,12 +205,11 @@ export type LinterMessageV2 = {
   // Languages like C++ can have errors with a huge stack, so one reference isn't enough.
   // `reference` will be ignored if this is provided.
   trace?: Array<LinterTrace>,
-  // TODO: use the URL and icon fields.
   url?: string,
   icon?: string,
   excerpt: string,
   severity: 'error' | 'warning' | 'info',
-  // TODO: only the first solution is used at the moment.
+  // Solutions that replace text become fixes, the others become actions.
   solutions?: Array<
     | {
         title?: string,
@@ -185,7 +219,6 @@ export type LinterMessageV2 = {
         replaceWith: string,
       }
     | {
-        // TODO: not currently supported.
         title?: string,
         position: atom$RangeLike,
         priority?: number,
@@ -242,6 +275,8 @@ export type AppState = {
   descriptions: DescriptionsState,
   providers: Set<ObservableDiagnosticProvider>,
   lastUpdateSource: LastUpdateSource,
+  baselines: BaselinesState,
+  baselinedMessages: Set<DiagnosticMessage>,
 };
 
 export type MessagesState = Map<
@@ -251,6 +286,15 @@ export type MessagesState = Map<
 
 export type LastUpdateSource = 'Provider' | 'Stale';
 
+export type LoadedBaseline = {|
+  // The files with baselined messages, relative to the project directory.
+  files: Set<string>,
+  keys: Set<string>,
+|};
+
+// The baselines of the project directories that have one, by their path.
+export type BaselinesState = Map<NuclideUri, LoadedBaseline>;
+
 export type CodeActionsState = Map<DiagnosticMessage, Map<string, CodeAction>>;
 export type DescriptionsState = Map<DiagnosticMessage, string>;
 
@@ -300,6 +344,8 @@ export type Action =
       type: 'APPLY_FIX',
       payload: {
         message: DiagnosticMessage,
+        // One of the message's fixes, `message.fix` by default.
+        fix: ?DiagnosticFix,
       },
     }
   | {
@@ -308,6 +354,12 @@ export type Action =
         file: NuclideUri,
       },
     }
+  | {
+      type: 'APPLY_PROJECT_FIXES',
+      payload: {
+        fixes: Map<NuclideUri, Array<ProjectFix>>,
+      },
+    }
   | {type: 'FIX_FAILED'}
   | {
       type: 'FIXES_APPLIED',
@@ -336,5 +388,26 @@ export type Action =
       type: 'MARK_MESSAGES_STALE',
       payload: {
         filePath: NuclideUri,
+        // How long the messages stay stale before they're removed, in milliseconds.
+        expiration: ?number,
+      },
+    }
+  | {
+      type: 'EXPIRE_STALE_MESSAGES',
+      payload: {
+        filePath: NuclideUri,
+        messages: Set<DiagnosticMessage>,
       },
+    }
+
+  // Baselines
+  | {type: 'LOAD_BASELINES'}
+  | {type: 'SNAPSHOT_BASELINE'}
+  | {
+      type: 'SET_BASELINES',
+      payload: {baselines: BaselinesState},
+    }
+  | {
+      type: 'SET_BASELINED_MESSAGES',
+      payload: {messages: Set<DiagnosticMessage>},
     };
@@ -647,6 +647,38 @@ export async function memoryUsagePerPid(
   return usage;
 }
 
+// Use `ps` to get the user and the CPU usage in percent for an array of
+// process id's as a map.
+export async function userAndCpuUsagePerPid(
+  pids: Array<number>,
+): Promise<Map<number, {user: string, cpuPercent: number}>> {
+  const usage = new Map();
+  if (pids.length >= 1) {
+    try {
+      const stdout = await runCommand('ps', [
+        '-p',
+        pids.join(','),
+        '-o',
+        'pid=',
+        '-o',
+        'user=',
+        '-o',
+        '%cpu=',
+      ]).toPromise();
+      stdout.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length === 3) {
+          const [pid, user, cpu] = parts;
+          usage.set(parseInt(pid, 10), {user, cpuPercent: parseFloat(cpu)});
+        }
+      });
+    } catch (err) {
+      // Ignore errors.
+    }
+  }
+  return usage;
+}
+
 /**
  * Add no-op error handlers to the process's streams so that Node doesn't throw them.
  */
@@ -64,6 +64,10 @@ export class AutoGenLaunchAttachProvider extends DebuggerLaunchAttachProvider {
     return Promise.resolve(filePath);
   }
 
+  getAutoGenConfig(): AutoGenConfig {
+    return this._config;
+  }
+
   getCallbacksForAction(action: DebuggerConfigAction) {
     return {
       /**
@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {
+  DebugSessionTranscript,
+  DebugSessionTranscriptEntry,
+  IProcessConfig,
+  MessageProcessor,
+} from './types';
+
+/**
+ * Records the messages a VsDebugSession exchanges with its adapter into a
+ * transcript. Add `recordClientMessage` after all the other send
+ * preprocessors and `recordAdapterMessage` before all the other receive
+ * preprocessors, so that the messages are recorded as they went over the wire.
+ */
+export default class DebugSessionRecorder {
+  _configuration: IProcessConfig;
+  _startTime: number;
+  _entries: Array<DebugSessionTranscriptEntry>;
+
+  constructor(configuration: IProcessConfig) {
+    this._configuration = configuration;
+    this._startTime = Date.now();
+    this._entries = [];
+  }
+
+  recordClientMessage: MessageProcessor = message => {
+    this._record('client', message);
+  };
+
+  recordAdapterMessage: MessageProcessor = message => {
+    this._record('adapter', message);
+  };
+
+  _record(from: 'client' | 'adapter', message: Object): void {
+    this._entries.push({
+      time: Date.now() - this._startTime,
+      from,
+      // Later preprocessors may modify the message in place.
+      message: JSON.parse(JSON.stringify(message)),
+    });
+  }
+
+  getTranscript(): DebugSessionTranscript {
+    const {
+      adapterType,
+      debugMode,
+      targetUri,
+      processName,
+    } = this._configuration;
+    return {
+      version: 1,
+      adapterType,
+      debugMode,
+      targetUri,
+      processName,
+      startTime: this._startTime,
+      entries: this._entries.slice(),
+    };
+  }
+}
@@ -11,7 +11,7 @@
  */
 
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
-import type {DebuggerConfigAction} from './types';
+import type {AutoGenConfig, DebuggerConfigAction} from './types';
 import * as React from 'react';
 
 let uniqueKeySeed = 0;
@@ -65,6 +65,14 @@ export default class DebuggerLaunchAttachProvider {
     };
   }
 
+  /**
+   * Returns the auto-generated launch/attach configuration schema for this
+   * provider, if it has one. Used to validate project launch configurations.
+   */
+  getAutoGenConfig(): ?AutoGenConfig {
+    return null;
+  }
+
   /**
    * Returns target uri for this provider.
    */
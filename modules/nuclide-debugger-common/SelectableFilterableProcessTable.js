@@ -12,7 +12,7 @@
 
 import type {Column} from 'nuclide-commons-ui/Table';
 import type {NuclideUri} from 'nuclide-commons/nuclideUri';
-import type {ProcessInfo} from 'nuclide-commons/process';
+import type {AttachableProcessInfo} from './types';
 import * as React from 'react';
 
 import {getVSCodeDebuggerAdapterServiceByNuclideUri} from './debug-adapter-service';
@@ -24,35 +24,73 @@ import {Observable} from 'rxjs';
 
 const PROCESS_UPDATES_INTERVAL_MS = 2000;
 
+function CpuComponent(props: {data: ?number}): React.Node {
+  return props.data != null ? `${props.data.toFixed(1)}%` : '';
+}
+
+function MemoryComponent(props: {data: ?number}): React.Node {
+  return props.data != null ? `${(props.data / 1024).toFixed(1)} MB` : '';
+}
+
 const COLUMNS: Array<Column<*>> = [
   {
     title: 'Process Binary',
     key: 'process',
-    width: 0.25,
+    width: 0.2,
   },
   {
     title: 'PID',
     key: 'pid',
+    width: 0.08,
+  },
+  {
+    title: 'User',
+    key: 'user',
     width: 0.1,
   },
+  {
+    title: 'CPU',
+    key: 'cpuPercent',
+    width: 0.07,
+    component: CpuComponent,
+    shouldRightAlign: true,
+  },
+  {
+    title: 'Memory',
+    key: 'memoryKb',
+    width: 0.1,
+    component: MemoryComponent,
+    shouldRightAlign: true,
+  },
   {
     title: 'Command',
     key: 'command',
-    width: 0.65,
+    width: 0.45,
   },
 ];
 
-type ColumnName = 'process' | 'pid' | 'command';
+type ColumnName =
+  | 'process'
+  | 'pid'
+  | 'user'
+  | 'cpuPercent'
+  | 'memoryKb'
+  | 'command';
 
-type ProcessRow = {
+export type ProcessRow = {
   process: string,
   pid: number,
+  user: string,
+  cpuPercent: ?number,
+  memoryKb: ?number,
   command: string,
 };
 
 type Props = {|
   +targetUri: NuclideUri,
   +onSelect?: (selectedProcess: ?ProcessRow) => mixed,
+  // Shown above the table. Defaults to asking for a native process.
+  +title?: string,
 |};
 
 type State = {
@@ -78,6 +116,19 @@ function getCompareFunction(
       const order = sortDescending ? -1 : 1;
       return (target1: ProcessRow, target2: ProcessRow) =>
         order * (target1.pid - target2.pid);
+    case 'user':
+      return (target1: ProcessRow, target2: ProcessRow) => {
+        const first = sortDescending ? target2.user : target1.user;
+        const second = sortDescending ? target1.user : target2.user;
+        return first.toLowerCase().localeCompare(second.toLowerCase());
+      };
+    case 'cpuPercent':
+    case 'memoryKb':
+      const column = sortedColumn;
+      const usageOrder = sortDescending ? -1 : 1;
+      // Processes without a value sort as using nothing.
+      return (target1: ProcessRow, target2: ProcessRow) =>
+        usageOrder * ((target1[column] || 0) - (target2[column] || 0));
     case 'command':
       return (target1: ProcessRow, target2: ProcessRow) => {
         const first = sortDescending ? target2.command : target1.command;
@@ -102,6 +153,7 @@ function filterProcesses(processes: Array<ProcessRow>, filterText: string) {
     item =>
       filterRegex.test(item.process) ||
       filterRegex.test(item.pid.toString()) ||
+      filterRegex.test(item.user) ||
       filterRegex.test(item.command),
   );
 }
@@ -131,7 +183,7 @@ export default class SelectableFilterableProcessTable extends React.Component<
         .flatMap(_ =>
           getVSCodeDebuggerAdapterServiceByNuclideUri(
             this.props.targetUri,
-          ).getProcessTree(),
+          ).getAttachableProcesses(),
         )
         .subscribe(this._updateList),
     );
@@ -141,7 +193,7 @@ export default class SelectableFilterableProcessTable extends React.Component<
     this._disposables.dispose();
   }
 
-  _updateList = (processes: Array<ProcessInfo>): void => {
+  _updateList = (processes: Array<AttachableProcessInfo>): void => {
     // On Linux, process names for which only a name is available
     // are denoted as [name] in the commandWithArgs field. These
     // names often do not play well with basename (in particular,
@@ -160,6 +212,9 @@ export default class SelectableFilterableProcessTable extends React.Component<
       return {
         process: commandName(process.command, process.commandWithArgs),
         pid: process.pid,
+        user: process.user != null ? process.user : '',
+        cpuPercent: process.cpuPercent,
+        memoryKb: process.memoryKb,
         command: process.commandWithArgs,
       };
     });
@@ -262,7 +317,11 @@ export default class SelectableFilterableProcessTable extends React.Component<
 
     return (
       <div className="block">
-        <p>Attach to a running native process</p>
+        <p>
+          {this.props.title != null
+            ? this.props.title
+            : 'Attach to a running native process'}
+        </p>
         <AtomInput
           placeholderText="Search..."
           value={this.state.filterText}
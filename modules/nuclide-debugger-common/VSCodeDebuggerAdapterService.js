@@ -11,10 +11,18 @@
  */
 
 import type {ConnectableObservable} from 'rxjs';
-import type {VSAdapterExecutableInfo, VsAdapterType} from './types';
+import type {
+  AttachableProcessInfo,
+  VSAdapterExecutableInfo,
+  VsAdapterType,
+} from './types';
 import type {ProcessInfo, ProcessMessage} from 'nuclide-commons/process';
 
-import {psTree} from 'nuclide-commons/process';
+import {
+  memoryUsagePerPid,
+  psTree,
+  userAndCpuUsagePerPid,
+} from 'nuclide-commons/process';
 import VsAdapterSpawner from './VsAdapterSpawner';
 import {getAdapterExecutable} from './debugger-registry';
 import nuclideUri from 'nuclide-commons/nuclideUri';
@@ -47,6 +55,26 @@ export async function getProcessTree(): Promise<Array<ProcessInfo>> {
   return psTree();
 }
 
+export async function getAttachableProcesses(): Promise<
+  Array<AttachableProcessInfo>,
+> {
+  const processes = await psTree();
+  const pids = processes.map(process => process.pid);
+  const [usage, memory] = await Promise.all([
+    userAndCpuUsagePerPid(pids),
+    memoryUsagePerPid(pids),
+  ]);
+  return processes.map(process => {
+    const processUsage = usage.get(process.pid);
+    return {
+      ...process,
+      user: processUsage != null ? processUsage.user : null,
+      cpuPercent: processUsage != null ? processUsage.cpuPercent : null,
+      memoryKb: memory.get(process.pid),
+    };
+  });
+}
+
 export async function getBuckRootFromUri(uri: string): Promise<?string> {
   if (!nuclideUri.isAbsolute(uri)) {
     return null;
@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ */
+
+import type {ConnectableObservable} from 'rxjs';
+import type {ProcessMessage} from 'nuclide-commons/process';
+import type {
+  DebugSessionTranscript,
+  DebugSessionTranscriptEntry,
+  IVsAdapterSpawner,
+  VSAdapterExecutableInfo,
+} from './types';
+
+import {Observable, Scheduler} from 'rxjs';
+
+const TWO_CRLF = '\r\n\r\n';
+
+function encodeMessage(message: Object): string {
+  const json = JSON.stringify(message);
+  const length = Buffer.byteLength(json, 'utf8');
+  return `Content-Length: ${length.toString()}${TWO_CRLF}${json}`;
+}
+
+function isSameMessage(recorded: Object, message: Object): boolean {
+  return (
+    recorded.type === message.type &&
+    recorded.command === message.command &&
+    recorded.event === message.event
+  );
+}
+
+/**
+ * Plays a recorded debug session transcript back in place of the adapter.
+ * The messages the adapter sent are played as soon as the client has sent all
+ * the messages recorded before them, ignoring the recorded timing. Requests
+ * are matched to the recorded ones by command, so the client may send them
+ * in a different order. Requests missing from the transcript fail.
+ */
+export default class VsAdapterReplaySpawner implements IVsAdapterSpawner {
+  _entries: Array<DebugSessionTranscriptEntry>;
+  // Index of the next entry to play.
+  _position: number;
+  // Indices of the client entries the client has already sent.
+  _sentEntries: Set<number>;
+  // Maps the sequence numbers of the recorded client messages to the ones
+  // the client used when replaying, so that responses match their requests.
+  _sequenceNumbers: Map<number, number>;
+  _observer: ?rxjs$Observer<ProcessMessage>;
+
+  constructor(transcript: DebugSessionTranscript) {
+    if (transcript.version !== 1) {
+      throw new Error(
+        `Unsupported debug session transcript version: ${transcript.version}`,
+      );
+    }
+    this._entries = transcript.entries;
+    this._position = 0;
+    this._sentEntries = new Set();
+    this._sequenceNumbers = new Map();
+    this._observer = null;
+  }
+
+  spawnAdapter(
+    adapter: VSAdapterExecutableInfo,
+  ): ConnectableObservable<ProcessMessage> {
+    return (
+      Observable.create(observer => {
+        this._observer = observer;
+        this._play();
+        return () => {
+          this._observer = null;
+        };
+      })
+        // The client only waits for a response after it has written the
+        // request, like it would with a real adapter.
+        .observeOn(Scheduler.asap)
+        .publish()
+    );
+  }
+
+  async write(input: string): Promise<void> {
+    const message = JSON.parse(
+      input.slice(input.indexOf(TWO_CRLF) + TWO_CRLF.length),
+    );
+    const index = this._entries.findIndex(
+      (entry, i) =>
+        i >= this._position &&
+        entry.from === 'client' &&
+        !this._sentEntries.has(i) &&
+        isSameMessage(entry.message, message),
+    );
+    if (index === -1) {
+      if (message.type === 'request') {
+        this._emit({
+          type: 'response',
+          seq: 0,
+          request_seq: message.seq,
+          command: message.command,
+          success: false,
+          message: `'${message.command}' is not in the session transcript.`,
+        });
+      }
+      return;
+    }
+    this._sentEntries.add(index);
+    this._sequenceNumbers.set(this._entries[index].message.seq, message.seq);
+    this._play();
+  }
+
+  _play(): void {
+    while (this._observer != null && this._position < this._entries.length) {
+      const {from, message} = this._entries[this._position];
+      if (from === 'client') {
+        if (!this._sentEntries.has(this._position)) {
+          // Wait for the client to send it.
+          return;
+        }
+      } else if (message.type === 'response') {
+        const requestSeq = this._sequenceNumbers.get(message.request_seq);
+        this._emit({
+          ...message,
+          request_seq: requestSeq != null ? requestSeq : message.request_seq,
+        });
+      } else {
+        this._emit(message);
+      }
+      this._position++;
+    }
+  }
+
+  _emit(message: Object): void {
+    if (this._observer != null) {
+      this._observer.next({kind: 'stdout', data: encodeMessage(message)});
+    }
+  }
+
+  async dispose(): Promise<void> {
+    if (this._observer != null) {
+      this._observer.complete();
+    }
+  }
+}
@@ -14,6 +14,7 @@ import * as DebugProtocol from 'vscode-debugprotocol';
 import type {
   IVsAdapterSpawner,
   MessageProcessor,
+  ProgressEvent,
   VSAdapterExecutableInfo,
 } from './types';
 import type {ProcessMessage} from 'nuclide-commons/process';
@@ -78,6 +79,7 @@ export default class VsDebugSession extends V8Protocol {
   _onDidBreakpoint: Subject<DebugProtocol.BreakpointEvent>;
   _onDidModule: Subject<DebugProtocol.ModuleEvent>;
   _onDidLoadSource: Subject<DebugProtocol.LoadedSourceEvent>;
+  _onDidProgress: Subject<ProgressEvent>;
   _onDidCustom: Subject<DebugProtocol.DebugEvent>;
   _onDidEvent: Subject<DebugProtocol.Event | AdapterExitedEvent>;
   _onDidEvaluate: Subject<DebugProtocol.EvaluateResponse>;
@@ -118,6 +120,7 @@ export default class VsDebugSession extends V8Protocol {
     this._onDidBreakpoint = new Subject();
     this._onDidModule = new Subject();
     this._onDidLoadSource = new Subject();
+    this._onDidProgress = new Subject();
     this._onDidCustom = new Subject();
     this._onDidEvent = new Subject();
     this._onDidEvaluate = new Subject();
@@ -169,6 +172,10 @@ export default class VsDebugSession extends V8Protocol {
     return this._onDidLoadSource.asObservable();
   }
 
+  observeProgressEvents(): Observable<ProgressEvent> {
+    return this._onDidProgress.asObservable();
+  }
+
   observeCustomEvents(): Observable<DebugProtocol.DebugEvent> {
     return this._onDidCustom.asObservable();
   }
@@ -338,6 +345,11 @@ export default class VsDebugSession extends V8Protocol {
       case 'loadedSource':
         this._onDidLoadSource.next(event);
         break;
+      case 'progressStart':
+      case 'progressUpdate':
+      case 'progressEnd':
+        this._onDidProgress.next(event);
+        break;
       default:
         this._onDidCustom.next(event);
         this._logger.info('Custom event type:', event);
@@ -454,6 +466,26 @@ export default class VsDebugSession extends V8Protocol {
     return this.send('restartFrame', args);
   }
 
+  gotoTargets(
+    args: DebugProtocol.GotoTargetsArguments,
+  ): Promise<DebugProtocol.GotoTargetsResponse> {
+    return this.send('gotoTargets', args);
+  }
+
+  goto(args: DebugProtocol.GotoArguments): Promise<DebugProtocol.GotoResponse> {
+    if (this._isReadOnly) {
+      throw new Error('Read only target cannot jump to a location.');
+    }
+
+    return this.send('goto', args);
+  }
+
+  cancel(
+    args: DebugProtocol.CancelArguments,
+  ): Promise<DebugProtocol.CancelResponse> {
+    return this.send('cancel', args);
+  }
+
   completions(
     args: DebugProtocol.CompletionsArguments,
   ): Promise<DebugProtocol.CompletionsResponse> {
@@ -491,6 +523,12 @@ export default class VsDebugSession extends V8Protocol {
     return this.send('setBreakpoints', args);
   }
 
+  breakpointLocations(
+    args: DebugProtocol.BreakpointLocationsArguments,
+  ): Promise<DebugProtocol.BreakpointLocationsResponse> {
+    return this.send('breakpointLocations', args);
+  }
+
   setFunctionBreakpoints(
     args: DebugProtocol.SetFunctionBreakpointsArguments,
   ): Promise<DebugProtocol.SetFunctionBreakpointsResponse> {
@@ -503,6 +541,24 @@ export default class VsDebugSession extends V8Protocol {
     return this.send('setExceptionBreakpoints', args);
   }
 
+  dataBreakpointInfo(
+    args: DebugProtocol.DataBreakpointInfoArguments,
+  ): Promise<DebugProtocol.DataBreakpointInfoResponse> {
+    return this.send('dataBreakpointInfo', args);
+  }
+
+  setDataBreakpoints(
+    args: DebugProtocol.SetDataBreakpointsArguments,
+  ): Promise<DebugProtocol.SetDataBreakpointsResponse> {
+    return this.send('setDataBreakpoints', args);
+  }
+
+  setInstructionBreakpoints(
+    args: DebugProtocol.SetInstructionBreakpointsArguments,
+  ): Promise<DebugProtocol.SetInstructionBreakpointsResponse> {
+    return this.send('setInstructionBreakpoints', args);
+  }
+
   configurationDone(): Promise<DebugProtocol.ConfigurationDoneResponse> {
     return this.send('configurationDone', null);
   }
@@ -519,6 +575,24 @@ export default class VsDebugSession extends V8Protocol {
     return this.send('exceptionInfo', args);
   }
 
+  disassemble(
+    args: DebugProtocol.DisassembleArguments,
+  ): Promise<DebugProtocol.DisassembleResponse> {
+    return this.send('disassemble', args);
+  }
+
+  readMemory(
+    args: DebugProtocol.ReadMemoryArguments,
+  ): Promise<DebugProtocol.ReadMemoryResponse> {
+    return this.send('readMemory', args);
+  }
+
+  writeMemory(
+    args: DebugProtocol.WriteMemoryArguments,
+  ): Promise<DebugProtocol.WriteMemoryResponse> {
+    return this.send('writeMemory', args);
+  }
+
   info(args: DebugProtocol.InfoArguments): Promise<DebugProtocol.InfoResponse> {
     return this.send('info', args);
   }
@@ -545,6 +619,16 @@ export default class VsDebugSession extends V8Protocol {
     return this.send('threads', null);
   }
 
+  modules(
+    args: DebugProtocol.ModulesArguments,
+  ): Promise<DebugProtocol.ModulesResponse> {
+    return this.send('modules', args);
+  }
+
+  loadedSources(): Promise<DebugProtocol.LoadedSourcesResponse> {
+    return this.send('loadedSources', {});
+  }
+
   evaluate(
     args: DebugProtocol.EvaluateArguments,
   ): Promise<DebugProtocol.EvaluateResponse> {
@@ -557,6 +641,10 @@ export default class VsDebugSession extends V8Protocol {
   stepBack(
     args: DebugProtocol.StepBackArguments,
   ): Promise<DebugProtocol.StepBackResponse> {
+    if (this._isReadOnly) {
+      throw new Error('Read only target cannot step back.');
+    }
+
     this._fireFakeContinued(args.threadId);
     return this.send('stepBack', args);
   }
@@ -693,6 +781,7 @@ export default class VsDebugSession extends V8Protocol {
     this._onDidBreakpoint.complete();
     this._onDidModule.complete();
     this._onDidLoadSource.complete();
+    this._onDidProgress.complete();
     this._onDidCustom.complete();
     this._onDidEvent.complete();
   }
@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import type {ProcessMessage} from 'nuclide-commons/process';
+import type {DebugSessionTranscript} from '../types';
+
+import VsAdapterReplaySpawner from '../VsAdapterReplaySpawner';
+
+const TWO_CRLF = '\r\n\r\n';
+const ADAPTER = {command: '', args: []};
+
+function encode(message: Object): string {
+  const json = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(json, 'utf8')}${TWO_CRLF}${json}`;
+}
+
+function decode(message: ProcessMessage): Object {
+  if (message.kind !== 'stdout') {
+    throw new Error(`Unexpected ${message.kind} message`);
+  }
+  return JSON.parse(
+    message.data.slice(message.data.indexOf(TWO_CRLF) + TWO_CRLF.length),
+  );
+}
+
+const initializeResponse = {
+  type: 'response',
+  seq: 1,
+  request_seq: 1,
+  command: 'initialize',
+  success: true,
+  body: {},
+};
+const initializedEvent = {type: 'event', seq: 2, event: 'initialized'};
+const threadsResponse = {
+  type: 'response',
+  seq: 3,
+  request_seq: 2,
+  command: 'threads',
+  success: true,
+  body: {threads: []},
+};
+
+const transcript: DebugSessionTranscript = {
+  version: 1,
+  adapterType: 'node',
+  debugMode: 'launch',
+  targetUri: '/tmp/test.js',
+  processName: null,
+  startTime: 0,
+  entries: [
+    {
+      time: 0,
+      from: 'client',
+      message: {type: 'request', seq: 1, command: 'initialize'},
+    },
+    {time: 10, from: 'adapter', message: initializeResponse},
+    {time: 11, from: 'adapter', message: initializedEvent},
+    {
+      time: 20,
+      from: 'client',
+      message: {type: 'request', seq: 2, command: 'threads'},
+    },
+    {time: 30, from: 'adapter', message: threadsResponse},
+  ],
+};
+
+describe('VsAdapterReplaySpawner', () => {
+  it('plays the adapter messages once their requests are sent', async () => {
+    const spawner = new VsAdapterReplaySpawner(transcript);
+    const messages = spawner
+      .spawnAdapter(ADAPTER)
+      .refCount()
+      .take(3)
+      .map(decode)
+      .toArray()
+      .toPromise();
+
+    await spawner.write(
+      encode({type: 'request', seq: 7, command: 'initialize'}),
+    );
+    await spawner.write(encode({type: 'request', seq: 8, command: 'threads'}));
+
+    expect(await messages).toEqual([
+      {...initializeResponse, request_seq: 7},
+      initializedEvent,
+      {...threadsResponse, request_seq: 8},
+    ]);
+  });
+
+  it('waits for the requests recorded before the adapter messages', async () => {
+    const spawner = new VsAdapterReplaySpawner(transcript);
+    const messages = [];
+    spawner
+      .spawnAdapter(ADAPTER)
+      .refCount()
+      .subscribe(message => messages.push(decode(message)));
+
+    // The threads request was recorded after the initialize request.
+    await spawner.write(encode({type: 'request', seq: 1, command: 'threads'}));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(messages).toEqual([]);
+
+    await spawner.write(
+      encode({type: 'request', seq: 2, command: 'initialize'}),
+    );
+    await new Promise(resolve => setImmediate(resolve));
+    expect(messages).toEqual([
+      {...initializeResponse, request_seq: 2},
+      initializedEvent,
+      {...threadsResponse, request_seq: 1},
+    ]);
+  });
+
+  it('fails requests that are not in the transcript', async () => {
+    const spawner = new VsAdapterReplaySpawner(transcript);
+    const messages = spawner
+      .spawnAdapter(ADAPTER)
+      .refCount()
+      .take(1)
+      .map(decode)
+      .toArray()
+      .toPromise();
+
+    await spawner.write(encode({type: 'request', seq: 3, command: 'pause'}));
+
+    const [response] = await messages;
+    expect(response).toMatchObject({
+      type: 'response',
+      request_seq: 3,
+      command: 'pause',
+      success: false,
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ * @emails oncall+nuclide
+ */
+import {suggestAdapterTypeForProcess} from '../adapter-suggestions';
+
+describe('suggestAdapterTypeForProcess', () => {
+  const runtimes = ['node', 'python', 'hhvm', 'java'];
+
+  it('suggests the adapter of known runtimes', () => {
+    expect(suggestAdapterTypeForProcess('node', runtimes)).toBe('node');
+    expect(suggestAdapterTypeForProcess('nodejs', runtimes)).toBe('node');
+    expect(suggestAdapterTypeForProcess('node.exe', runtimes)).toBe('node');
+    expect(suggestAdapterTypeForProcess('python', runtimes)).toBe('python');
+    expect(suggestAdapterTypeForProcess('python3.6', runtimes)).toBe('python');
+    expect(suggestAdapterTypeForProcess('pypy3', runtimes)).toBe('python');
+    expect(suggestAdapterTypeForProcess('hhvm', runtimes)).toBe('hhvm');
+    expect(suggestAdapterTypeForProcess('java', runtimes)).toBe('java');
+  });
+
+  it('suggests a native adapter for other executables', () => {
+    expect(suggestAdapterTypeForProcess('bash', ['native_gdb'])).toBe(
+      'native_gdb',
+    );
+    expect(
+      suggestAdapterTypeForProcess('nodemon', ['native_gdb', 'native_lldb']),
+    ).toBe('native_lldb');
+  });
+
+  it('only suggests the adapters that are offered', () => {
+    expect(suggestAdapterTypeForProcess('node', ['native_lldb'])).toBe(null);
+    expect(suggestAdapterTypeForProcess('python-config', runtimes)).toBe(null);
+    expect(suggestAdapterTypeForProcess('bash', [])).toBe(null);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ * @format
+ * @emails oncall+nuclide
+ */
+import type {AutoGenAttachConfig, AutoGenProperty} from '../types';
+
+import {
+  getProcessAttachValues,
+  resolveAutoGenDefaults,
+  validateAutoGenValues,
+} from '../autogen-utils';
+
+const properties: Array<AutoGenProperty> = [
+  {
+    name: 'program',
+    type: 'path',
+    description: '',
+    required: true,
+    visible: true,
+  },
+  {
+    name: 'port',
+    type: 'number',
+    description: '',
+    defaultValue: 9229,
+    required: true,
+    visible: true,
+  },
+  {
+    name: 'stopOnEntry',
+    type: 'boolean',
+    description: '',
+    defaultValue: false,
+    required: false,
+    visible: false,
+  },
+  {
+    name: 'console',
+    type: 'enum',
+    enums: ['internal', 'external'],
+    description: '',
+    required: false,
+    visible: true,
+  },
+];
+
+describe('resolveAutoGenDefaults', () => {
+  it('fills in the defaults of visible and hidden properties', () => {
+    expect(resolveAutoGenDefaults(properties, {program: 'a.js'})).toEqual({
+      program: 'a.js',
+      port: 9229,
+      stopOnEntry: false,
+    });
+  });
+
+  it('keeps the values that are given', () => {
+    const values = {program: 'a.js', port: 1234, stopOnEntry: true};
+    expect(resolveAutoGenDefaults(properties, values)).toEqual(values);
+  });
+});
+
+describe('validateAutoGenValues', () => {
+  it('accepts values that match the properties', () => {
+    expect(
+      validateAutoGenValues(properties, {
+        program: 'a.js',
+        port: 9229,
+        console: 'external',
+      }),
+    ).toEqual([]);
+  });
+
+  it('accepts required properties with defaults once they are resolved', () => {
+    expect(
+      validateAutoGenValues(
+        properties,
+        resolveAutoGenDefaults(properties, {program: 'a.js'}),
+      ),
+    ).toEqual([]);
+  });
+
+  it('reports missing required properties', () => {
+    expect(validateAutoGenValues(properties, {port: 9229})).toEqual([
+      'Missing required property "program".',
+    ]);
+  });
+
+  it('reports values of the wrong type', () => {
+    expect(
+      validateAutoGenValues(properties, {
+        program: 1,
+        port: '9229',
+        console: 'terminal',
+      }),
+    ).toEqual([
+      'Property "program" must be a path.',
+      'Property "port" must be a number.',
+      'Property "console" must be one of "internal", "external".',
+    ]);
+  });
+});
+
+describe('getProcessAttachValues', () => {
+  function attachConfig(
+    attachProperties: Array<AutoGenProperty>,
+  ): AutoGenAttachConfig {
+    return {
+      launch: false,
+      vsAdapterType: 'native_lldb',
+      properties: attachProperties,
+      getProcessName: () => '',
+    };
+  }
+
+  const pid = {
+    name: 'pid',
+    type: 'process',
+    description: '',
+    required: true,
+    visible: true,
+  };
+
+  it('fills the process property with the process id', () => {
+    expect(getProcessAttachValues(attachConfig([pid]), 1234)).toEqual({
+      pid: 1234,
+    });
+  });
+
+  it('fills in the defaults of the other properties', () => {
+    const sourcePath = {
+      name: 'sourcePath',
+      type: 'string',
+      description: '',
+      defaultValue: '/src',
+      required: true,
+      visible: true,
+    };
+    expect(
+      getProcessAttachValues(attachConfig([pid, sourcePath]), 1234),
+    ).toEqual({pid: 1234, sourcePath: '/src'});
+  });
+
+  it('does not attach by process id without a process property', () => {
+    const port = {
+      name: 'port',
+      type: 'number',
+      description: '',
+      required: true,
+      visible: true,
+    };
+    expect(getProcessAttachValues(attachConfig([port]), 1234)).toBe(null);
+  });
+
+  it('does not attach when other required properties are missing', () => {
+    const program = {
+      name: 'program',
+      type: 'path',
+      description: '',
+      required: true,
+      visible: true,
+    };
+    expect(getProcessAttachValues(attachConfig([pid, program]), 1234)).toBe(
+      null,
+    );
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow strict-local
+ * @format
+ */
+
+import type {VsAdapterType} from './types';
+
+import {VsAdapterTypes} from './constants';
+
+const EXECUTABLE_ADAPTER_TYPES: Array<[RegExp, VsAdapterType]> = [
+  [/^node(js)?(\.exe)?$/i, VsAdapterTypes.NODE],
+  [/^(python|pypy)[\d.]*(\.exe)?$/i, VsAdapterTypes.PYTHON],
+  [/^hhvm$/i, VsAdapterTypes.HHVM],
+  [/^java(w)?(\.exe)?$/i, VsAdapterTypes.JAVA],
+];
+
+// Executables that aren't one of the runtimes above are native programs.
+const NATIVE_ADAPTER_TYPES: Array<VsAdapterType> = [
+  VsAdapterTypes.NATIVE_LLDB,
+  VsAdapterTypes.NATIVE_GDB,
+];
+
+/**
+ * Suggests which of the given adapters to attach to a process with, from the
+ * name of its executable. Returns null if none of them can debug it.
+ */
+export function suggestAdapterTypeForProcess(
+  executableName: string,
+  adapterTypes: Array<VsAdapterType>,
+): ?VsAdapterType {
+  const match = EXECUTABLE_ADAPTER_TYPES.find(([pattern]) =>
+    pattern.test(executableName),
+  );
+  if (match != null) {
+    return adapterTypes.includes(match[1]) ? match[1] : null;
+  }
+  const nativeAdapterType = NATIVE_ADAPTER_TYPES.find(adapterType =>
+    adapterTypes.includes(adapterType),
+  );
+  return nativeAdapterType != null ? nativeAdapterType : null;
+}
@@ -10,7 +10,7 @@
  * @format
  */
 
-import type {AutoGenProperty} from './types';
+import type {AutoGenProperty, AutoGenPropertyPrimitiveType} from './types';
 import type {
   NativeVsAdapterType,
   AutoGenLaunchConfig,
@@ -162,3 +162,129 @@ export function getNativeAutoGenConfig(
     attach: autoGenAttachConfig,
   };
 }
+
+function matchesPrimitiveType(
+  type: AutoGenPropertyPrimitiveType,
+  value: mixed,
+): boolean {
+  switch (type) {
+    case 'string':
+    case 'path':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      (type: empty);
+      return false;
+  }
+}
+
+// Returns a description of the expected value if `value` doesn't match the
+// property's type, or null if it does. Types which can only be filled in
+// interactively (devices, processes, sources) aren't checked.
+function getPropertyTypeMismatch(
+  property: AutoGenProperty,
+  value: mixed,
+): ?string {
+  const {type, itemType} = property;
+  switch (type) {
+    case 'string':
+    case 'path':
+    case 'number':
+    case 'boolean':
+      return matchesPrimitiveType(type, value) ? null : `a ${type}`;
+    case 'enum': {
+      const enums = property.enums || [];
+      return enums.includes(value)
+        ? null
+        : `one of ${enums.map(e => `"${e}"`).join(', ')}`;
+    }
+    case 'array':
+      if (itemType == null) {
+        return Array.isArray(value) ? null : 'an array';
+      }
+      return Array.isArray(value) &&
+        value.every(item => matchesPrimitiveType(itemType, item))
+        ? null
+        : `an array of ${itemType} values`;
+    case 'object':
+      return value != null && typeof value === 'object' && !Array.isArray(value)
+        ? null
+        : 'an object';
+    case 'process':
+      return matchesPrimitiveType('number', value) ? null : 'a process id';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fills in the default value of every property missing from launch/attach
+ * values that were not entered through the auto-generated UI, the way the UI
+ * pre-fills them.
+ */
+export function resolveAutoGenDefaults(
+  properties: Array<AutoGenProperty>,
+  values: {[string]: mixed},
+): {[string]: mixed} {
+  const resolved = {...values};
+  for (const property of properties) {
+    if (resolved[property.name] == null && property.defaultValue != null) {
+      resolved[property.name] = property.defaultValue;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Validates launch/attach values that were not entered through the
+ * auto-generated UI (e.g. a project launch configuration file) against the
+ * property definitions of an AutoGenConfig. Defaults should be resolved first
+ * with `resolveAutoGenDefaults`.
+ * Returns a list of human-readable errors, empty if the values are valid.
+ */
+export function validateAutoGenValues(
+  properties: Array<AutoGenProperty>,
+  values: {[string]: mixed},
+): Array<string> {
+  const errors = [];
+  for (const property of properties) {
+    const {name} = property;
+    const value = values[name];
+    if (value == null) {
+      if (property.required) {
+        errors.push(`Missing required property "${name}".`);
+      }
+      continue;
+    }
+    const expected = getPropertyTypeMismatch(property, value);
+    if (expected != null) {
+      errors.push(`Property "${name}" must be ${expected}.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Builds the values to attach to a process by its id from the `process`
+ * property of an attach configuration. Returns null if the adapter doesn't
+ * attach by process id or needs other values that have no defaults.
+ */
+export function getProcessAttachValues(
+  attachConfig: AutoGenAttachConfig,
+  pid: number,
+): ?{[string]: mixed} {
+  const {properties} = attachConfig;
+  const processProperty = properties.find(
+    property => property.type === 'process',
+  );
+  if (processProperty == null) {
+    return null;
+  }
+  const values = resolveAutoGenDefaults(properties, {
+    [processProperty.name]: pid,
+  });
+  return validateAutoGenValues(properties, values).length === 0 ? values : null;
+}
@@ -10,9 +10,15 @@
  * @format
  */
 
+export type {ProcessRow} from './SelectableFilterableProcessTable';
+
 export type {
   AtomNotificationType,
+  AttachableProcessInfo,
+  AutoGenAttachConfig,
   ControlButtonSpecification,
+  DebugSessionTranscript,
+  DebugSessionTranscriptEntry,
   DebuggerConfigAction,
   DebuggerConfigurationProvider,
   DebuggerSourcePathsService,
@@ -22,6 +28,7 @@ export type {
   IVspInstance,
   MessageProcessor,
   NuclideDebuggerProvider,
+  ProgressEvent,
   VSAdapterExecutableInfo,
   VsAdapterType,
 } from './types';
@@ -38,6 +45,12 @@ export {default as VsDebugSession} from './VsDebugSession';
 
 export {VsAdapterTypes, VsAdapterNames} from './constants';
 
+export {
+  getProcessAttachValues,
+  resolveAutoGenDefaults,
+  validateAutoGenValues,
+} from './autogen-utils';
+
 export {
   deserializeDebuggerConfig,
   serializeDebuggerConfig,
@@ -50,3 +63,13 @@ export {
 } from './processors';
 
 export {default as VsAdapterSpawner} from './VsAdapterSpawner';
+
+export {default as VsAdapterReplaySpawner} from './VsAdapterReplaySpawner';
+
+export {default as DebugSessionRecorder} from './DebugSessionRecorder';
+
+export {
+  default as SelectableFilterableProcessTable,
+} from './SelectableFilterableProcessTable';
+
+export {suggestAdapterTypeForProcess} from './adapter-suggestions';
@@ -54,6 +54,19 @@ export type VsAdapterType =
   | 'native_lldb'
   | 'native_gdb';
 
+// A process a debugger can attach to, with its owner and resource usage when
+// `ps` reports them.
+export type AttachableProcessInfo = {
+  parentPid: number,
+  pid: number,
+  command: string,
+  commandWithArgs: string,
+  user: ?string,
+  cpuPercent: ?number,
+  // Resident memory in kilobytes.
+  memoryKb: ?number,
+};
+
 export type NuclideDebuggerProvider = {
   type: VsAdapterType,
   getLaunchAttachProvider(
@@ -105,6 +118,10 @@ export type IProcessConfig = {|
   // adapter. If the callback returns an IDisposable, the disposable will
   // be disposed by the service when the corresponding debugging session stops.
   +onDebugStartedCallback?: (instance: IVspInstance) => IDisposable | void,
+
+  // If specified, the session plays this transcript back instead of starting
+  // a debug adapter.
+  +replayTranscript?: ?DebugSessionTranscript,
 |};
 
 export interface IVsAdapterSpawner {
@@ -116,6 +133,32 @@ export interface IVsAdapterSpawner {
 
 export type MessageProcessor = (message: Object) => void;
 
+export type DebugSessionTranscriptEntry = {|
+  // Milliseconds since the recording started.
+  +time: number,
+  +from: 'client' | 'adapter',
+  // A request, response or event.
+  +message: Object,
+|};
+
+// Every message a debug session exchanged with its adapter, as it went over
+// the wire, so that the session can be replayed without the adapter.
+export type DebugSessionTranscript = {|
+  +version: 1,
+  +adapterType: VsAdapterType,
+  +debugMode: DebuggerConfigAction,
+  +targetUri: NuclideUri,
+  +processName: ?string,
+  // When the recording started, in milliseconds since the epoch.
+  +startTime: number,
+  +entries: Array<DebugSessionTranscriptEntry>,
+|};
+
+export type ProgressEvent =
+  | DebugProtocol.ProgressStartEvent
+  | DebugProtocol.ProgressUpdateEvent
+  | DebugProtocol.ProgressEndEvent;
+
 export type AutoGenPropertyPrimitiveType =
   | 'string'
   | 'number'